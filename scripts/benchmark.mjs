@@ -0,0 +1,302 @@
+/**
+ * Banco de pruebas del sistema: juega partidas completas contra disposiciones de minas
+ * generadas (con el oráculo automático) y mide la tasa de victorias, las conjeturas,
+ * los movimientos y el tiempo de análisis para cada tamaño de tablero y densidad.
+ *
+ * Uso:
+ *   npm run benchmark -- [opciones]
+ *
+ * Opciones:
+ *   --partidas N            Partidas por tamaño y densidad (por defecto 100)
+ *   --tamaños 8x8,10x10     Tamaños a probar (por defecto todos los de TAMAÑOS_TABLERO)
+ *   --densidades 0.1,0.2    Densidades de minas (por defecto 0.10,0.15,0.20)
+ *   --semilla N             Semilla base de las disposiciones (por defecto 1)
+ *   --config ruta.json      Configuración de estrategia a medir (por defecto la del juego)
+ *   --comparar ruta.json    Segunda configuración, jugada sobre las mismas disposiciones y semillas
+ *   --formato tabla|json    Formato de la salida por consola (por defecto tabla)
+ *   --salida ruta.json      Guarda además los resultados completos en JSON
+ *
+ * Una configuración es un JSON como:
+ *   { "nombre": "tolerancia 5%", "totalMinasConocido": true, "parametrosEstrategia": { "toleranciaEmpate": 0.05 } }
+ * parametrosEstrategia admite también "estrategias" para activar, desactivar o reordenar las
+ * estrategias registradas, p. ej. { "estrategias": { "muySeguraLejosDeNumeros": { "activa": false } } }.
+ * Para probar estrategias o auxiliares nuevos se puede pasar un módulo .mjs cuyo export default
+ * sea la configuración, con funciones en parametrosEstrategia.estrategiasAdicionales o .auxiliares.
+ */
+
+import { register } from 'node:module';
+import { readFileSync, writeFileSync } from 'node:fs';
+import { resolve as resolverRuta } from 'node:path';
+import { pathToFileURL } from 'node:url';
+import { performance } from 'node:perf_hooks';
+
+register('./cargadorModulos.mjs', import.meta.url);
+
+const { crearMotorJuego } = await import('../src/utils/MotorJuego.js');
+const { crearGeneradorAleatorio } = await import('../src/utils/aleatorio.js');
+const { calcularMinasPorDensidad, generarTableroOculto, responderComoOraculo } = await import('../src/utils/oraculo.js');
+const { TAMAÑOS_TABLERO, EVENTOS_MOTOR } = await import('../src/constants/gameConfig.js');
+
+const DENSIDADES_POR_DEFECTO = [0.10, 0.15, 0.20];
+
+const CONFIGURACION_POR_DEFECTO = {
+    nombre: 'por defecto',
+    totalMinasConocido: false,
+    parametrosEstrategia: null
+};
+
+/**
+ * Hash FNV-1a de un texto, para derivar semillas estables por grupo
+ * @param {string} texto - Texto a resumir
+ * @returns {number} - Entero sin signo de 32 bits
+ */
+const hashTexto = (texto) => {
+    let hash = 0x811C9DC5;
+    for (let i = 0; i < texto.length; i++) {
+        hash = Math.imul(hash ^ texto.charCodeAt(i), 0x01000193) >>> 0;
+    }
+    return hash;
+};
+
+/**
+ * Leer una configuración de estrategia desde un JSON o un módulo ES
+ * @param {string} ruta - Ruta del fichero
+ * @returns {Promise<object>} - Configuración completa
+ */
+const leerConfiguracion = async (ruta) => {
+    const contenido = ruta.endsWith('.json')
+        ? JSON.parse(readFileSync(ruta, 'utf8'))
+        : (await import(pathToFileURL(resolverRuta(ruta)).href)).default;
+
+    return { ...CONFIGURACION_POR_DEFECTO, nombre: ruta, ...contenido };
+};
+
+/**
+ * Leer las opciones de la línea de comandos
+ * @param {Array<string>} argumentos - process.argv sin node ni el script
+ * @returns {Promise<object>} - Opciones del banco de pruebas
+ */
+const leerOpciones = async (argumentos) => {
+    const valores = {};
+    for (let i = 0; i < argumentos.length; i++) {
+        if (!argumentos[i].startsWith('--')) {
+            throw new Error(`Argumento no reconocido: ${argumentos[i]}`);
+        }
+        valores[argumentos[i].slice(2)] = argumentos[i + 1];
+        i++;
+    }
+
+    const tamaños = valores['tamaños']
+        ? valores['tamaños'].split(',').map(nombre => {
+            const [filas, columnas] = nombre.split('x').map(Number);
+            if (!filas || !columnas) throw new Error(`Tamaño no válido: ${nombre}`);
+            return { nombre, filas, columnas };
+        })
+        : TAMAÑOS_TABLERO;
+
+    return {
+        partidas: valores.partidas ? parseInt(valores.partidas, 10) : 100,
+        tamaños,
+        densidades: valores.densidades ? valores.densidades.split(',').map(Number) : DENSIDADES_POR_DEFECTO,
+        semilla: valores.semilla ? parseInt(valores.semilla, 10) : 1,
+        configuraciones: [
+            valores.config ? await leerConfiguracion(valores.config) : CONFIGURACION_POR_DEFECTO,
+            ...(valores.comparar ? [await leerConfiguracion(valores.comparar)] : [])
+        ],
+        formato: valores.formato || 'tabla',
+        salida: valores.salida || null
+    };
+};
+
+/**
+ * Jugar una partida completa respondiendo con el oráculo
+ * @param {object} tamañoTablero - Tamaño del tablero
+ * @param {number} densidad - Densidad de minas
+ * @param {number} semillaPartida - Semilla del motor y de la disposición oculta
+ * @param {object} configuracion - Configuración de estrategia
+ * @returns {object} - { victoria, conjeturas, movimientos, tiempoAnalisis, analisis, tiempoAnalisisMaximo }
+ */
+const jugarPartida = (tamañoTablero, densidad, semillaPartida, configuracion) => {
+    const motor = crearMotorJuego({
+        tamañoTablero,
+        aprender: false,
+        parametrosEstrategia: configuracion.parametrosEstrategia
+    });
+    const numeroMinas = calcularMinasPorDensidad(tamañoTablero, densidad);
+
+    // Cuenta como conjetura toda selección (salvo la primera) que no era segura con certeza
+    let conjeturas = 0;
+    let primeraSeleccion = true;
+    motor.suscribir(EVENTOS_MOTOR.SELECCION, ({ probabilidadMina }) => {
+        if (!primeraSeleccion && probabilidadMina !== 0) conjeturas++;
+        primeraSeleccion = false;
+    });
+
+    let celda = motor.iniciar(tamañoTablero, {
+        semilla: semillaPartida,
+        totalMinas: configuracion.totalMinasConocido ? numeroMinas : null
+    });
+
+    // Misma transformación de la semilla que el modo demostración de la interfaz
+    const minas = generarTableroOculto(tamañoTablero, numeroMinas, crearGeneradorAleatorio(semillaPartida ^ 0x9E3779B9), celda);
+
+    let tiempoAnalisis = 0;
+    let tiempoAnalisisMaximo = 0;
+    let analisis = 0;
+    const limiteJugadas = tamañoTablero.filas * tamañoTablero.columnas * 2;
+
+    for (let jugada = 0; celda && jugada < limiteJugadas; jugada++) {
+        const respuesta = responderComoOraculo(minas, celda.fila, celda.columna, tamañoTablero);
+        let resultado = motor.responder(celda, respuesta);
+        if (!resultado.aceptada) {
+            resultado = motor.responder(celda, respuesta, { forzar: true });
+        }
+        if (!resultado.aceptada) {
+            console.error(`Respuesta rechazada en (${celda.fila + 1},${celda.columna + 1}): ${resultado.motivo || 'inconsistencia'}`);
+            break;
+        }
+
+        const inicio = performance.now();
+        celda = motor.siguienteCelda();
+        const duracion = performance.now() - inicio;
+        tiempoAnalisis += duracion;
+        tiempoAnalisisMaximo = Math.max(tiempoAnalisisMaximo, duracion);
+        analisis++;
+    }
+
+    const estado = motor.obtenerEstado();
+    return {
+        victoria: estado.resultado === 'victoria',
+        conjeturas,
+        movimientos: estado.estadisticas.movimientos,
+        tiempoAnalisis,
+        tiempoAnalisisMaximo,
+        analisis
+    };
+};
+
+/**
+ * Resumir las partidas de un grupo (tamaño, densidad y configuración)
+ * @param {Array<object>} partidas - Resultados de jugarPartida
+ * @returns {object} - Métricas agregadas
+ */
+const resumirPartidas = (partidas) => {
+    const total = partidas.length;
+    const suma = (campo) => partidas.reduce((acumulado, p) => acumulado + p[campo], 0);
+    const analisis = suma('analisis');
+
+    return {
+        partidas: total,
+        victorias: partidas.filter(p => p.victoria).length,
+        tasaVictoria: total ? partidas.filter(p => p.victoria).length / total : 0,
+        conjeturasMedias: total ? suma('conjeturas') / total : 0,
+        movimientosMedios: total ? suma('movimientos') / total : 0,
+        tiempoAnalisisMedioMs: analisis ? suma('tiempoAnalisis') / analisis : 0,
+        tiempoAnalisisMaximoMs: Math.max(0, ...partidas.map(p => p.tiempoAnalisisMaximo))
+    };
+};
+
+/**
+ * Formatear los resultados como tabla de texto
+ * @param {Array<object>} filas - Filas con las columnas ya formateadas
+ * @returns {string} - Tabla alineada
+ */
+const formatearTabla = (filas) => {
+    const columnas = Object.keys(filas[0]);
+    const anchos = columnas.map(col => Math.max(col.length, ...filas.map(f => String(f[col]).length)));
+    const linea = (valores) => valores.map((v, i) => String(v).padEnd(anchos[i])).join('  ');
+
+    return [
+        linea(columnas),
+        linea(anchos.map(ancho => '-'.repeat(ancho))),
+        ...filas.map(fila => linea(columnas.map(col => fila[col])))
+    ].join('\n');
+};
+
+const ejecutar = async () => {
+    const opciones = await leerOpciones(process.argv.slice(2));
+    const escribir = (texto) => process.stdout.write(`${texto}\n`);
+    const progreso = (texto) => process.stderr.write(`${texto}\n`);
+
+    // El análisis es muy verboso: silenciar sus logs durante las partidas
+    console.log = () => {};
+    console.warn = () => {};
+
+    // Semillas fijadas de antemano para que todas las configuraciones jueguen las mismas partidas.
+    // Dependen solo de la semilla base, el tamaño y la densidad, no de qué otros grupos se ejecuten.
+    const grupos = [];
+    opciones.tamaños.forEach(tamaño => {
+        opciones.densidades.forEach(densidad => {
+            const generadorSemillas = crearGeneradorAleatorio(opciones.semilla ^ hashTexto(`${tamaño.nombre}@${densidad}`));
+            grupos.push({
+                tamaño,
+                densidad,
+                semillas: Array.from({ length: opciones.partidas }, () => Math.floor(generadorSemillas() * 0x100000000))
+            });
+        });
+    });
+
+    const resultados = grupos.map(({ tamaño, densidad, semillas }) => {
+        const porConfiguracion = opciones.configuraciones.map(configuracion => {
+            progreso(`Jugando ${semillas.length} partidas ${tamaño.nombre} al ${Math.round(densidad * 100)}% (${configuracion.nombre})...`);
+            const partidas = semillas.map(semilla => jugarPartida(tamaño, densidad, semilla, configuracion));
+            return { configuracion: configuracion.nombre, juegos: partidas, ...resumirPartidas(partidas) };
+        });
+
+        const grupo = {
+            tamaño: tamaño.nombre,
+            densidad,
+            minas: calcularMinasPorDensidad(tamaño, densidad),
+            configuraciones: porConfiguracion.map(({ juegos, ...resumen }) => resumen)
+        };
+
+        // Comparación emparejada: mismas disposiciones y mismas semillas para ambas configuraciones
+        if (porConfiguracion.length === 2) {
+            const [a, b] = porConfiguracion.map(c => c.juegos);
+            grupo.comparacion = {
+                diferenciaTasaVictoria: porConfiguracion[1].tasaVictoria - porConfiguracion[0].tasaVictoria,
+                soloGanaA: a.filter((p, i) => p.victoria && !b[i].victoria).length,
+                soloGanaB: a.filter((p, i) => !p.victoria && b[i].victoria).length
+            };
+        }
+
+        return grupo;
+    });
+
+    const informe = {
+        fecha: new Date().toISOString(),
+        semilla: opciones.semilla,
+        partidasPorGrupo: opciones.partidas,
+        // Las funciones de las configuraciones .mjs no se pueden serializar
+        configuraciones: JSON.parse(JSON.stringify(opciones.configuraciones)),
+        resultados
+    };
+
+    if (opciones.salida) {
+        writeFileSync(opciones.salida, JSON.stringify(informe, null, 2));
+        progreso(`Resultados guardados en ${opciones.salida}`);
+    }
+
+    if (opciones.formato === 'json') {
+        escribir(JSON.stringify(informe, null, 2));
+        return;
+    }
+
+    const filas = resultados.flatMap(grupo => grupo.configuraciones.map((resumen, indice) => ({
+        tamaño: grupo.tamaño,
+        densidad: `${Math.round(grupo.densidad * 100)}%`,
+        minas: grupo.minas,
+        config: resumen.configuracion,
+        partidas: resumen.partidas,
+        victorias: `${(resumen.tasaVictoria * 100).toFixed(1)}%`,
+        conjeturas: resumen.conjeturasMedias.toFixed(2),
+        movimientos: resumen.movimientosMedios.toFixed(1),
+        'análisis ms': resumen.tiempoAnalisisMedioMs.toFixed(2),
+        'máx ms': resumen.tiempoAnalisisMaximoMs.toFixed(1),
+        'solo gana': grupo.comparacion ? (indice === 0 ? grupo.comparacion.soloGanaA : grupo.comparacion.soloGanaB) : '-'
+    })));
+
+    escribir(formatearTabla(filas));
+};
+
+await ejecutar();
@@ -0,0 +1,26 @@
+/**
+ * Hooks de carga para ejecutar el código de src/ directamente con Node.
+ * El código de la aplicación usa módulos ES con imports sin extensión (estilo webpack),
+ * así que aquí se completa la extensión .js y se marcan esos ficheros como módulos ES.
+ */
+
+const URL_SRC = new URL('../src/', import.meta.url).href;
+
+export const resolve = async (especificador, contexto, siguienteResolve) => {
+    try {
+        return await siguienteResolve(especificador, contexto);
+    } catch (error) {
+        const esRelativoSinExtension = especificador.startsWith('.') && !/\.[a-z]+$/i.test(especificador);
+        if (error.code === 'ERR_MODULE_NOT_FOUND' && esRelativoSinExtension) {
+            return siguienteResolve(`${especificador}.js`, contexto);
+        }
+        throw error;
+    }
+};
+
+export const load = async (url, contexto, siguienteLoad) => {
+    if (url.startsWith(URL_SRC) && url.endsWith('.js')) {
+        return siguienteLoad(url, { ...contexto, format: 'module' });
+    }
+    return siguienteLoad(url, contexto);
+};
@@ -0,0 +1,40 @@
+import React from 'react';
+import { FASES_JUEGO } from '../constants/gameConfig';
+
+const AvisoPartidaGuardada = ({
+    tema,
+    partidaGuardada,
+    formatearTiempo,
+    reanudarPartida,
+    descartarPartida
+}) => {
+    const { partida, tiempoJuego } = partidaGuardada;
+    const respuestas = partida.historialMovimientos.filter(mov => !mov.esAccion).length;
+    const pregunta = partida.fase === FASES_JUEGO.ESPERANDO_RESPUESTA ? partida.celdaActual : null;
+
+    return (
+        <div className={`mb-4 p-4 rounded-lg border ${tema.panel}`} role="region" aria-label="Partida sin terminar">
+            <p className="font-bold text-center">Tienes una partida sin terminar</p>
+            <p className="text-sm text-center mt-1">
+                Tablero {partida.tamañoTablero.filas}x{partida.tamañoTablero.columnas}, {respuestas} respuesta{respuestas !== 1 ? 's' : ''}, {partida.banderas.length} bandera{partida.banderas.length !== 1 ? 's' : ''} y {formatearTiempo(tiempoJuego || 0)} de juego.
+                {pregunta && ` El sistema esperaba tu respuesta para la casilla (${pregunta.fila + 1},${pregunta.columna + 1}).`}
+            </p>
+            <div className="flex flex-wrap gap-2 justify-center mt-3">
+                <button
+                    className={`px-4 py-2 rounded font-medium ${tema.botonPrimario}`}
+                    onClick={reanudarPartida}
+                >
+                    ▶️ Reanudar partida
+                </button>
+                <button
+                    className={`px-4 py-2 border rounded ${tema.botonSecundario}`}
+                    onClick={descartarPartida}
+                >
+                    Descartar
+                </button>
+            </div>
+        </div>
+    );
+};
+
+export default AvisoPartidaGuardada;
@@ -1,75 +1,170 @@
-import React, { useState, useEffect, useRef } from 'react';
+import React, { useState, useEffect, useRef, useCallback, useMemo } from 'react';
 import TableroJuego from './TableroJuego';
 import PanelLateralIzquierdo from './PanelLateralIzquierdo';
 import PanelLateralDerecho from './PanelLateralDerecho';
 import ModalAnimacion from './ModalAnimacion';
 import PanelRespuesta from './PanelRespuesta';
 import GestionInconsistencias from './GestionInconsistencias';
+import IndicadorPensando from './IndicadorPensando';
+import PanelPista from './PanelPista';
+import PanelCorreccion from './PanelCorreccion';
+import AvisoPartidaGuardada from './AvisoPartidaGuardada';
 import { obtenerClasesTema } from '../utils/temas';
+import { crearMotorJuego } from '../utils/MotorJuego';
+import { crearJuegoClasico } from '../utils/juegoClasico';
+import { crearClienteAnalisis } from '../utils/clienteAnalisis';
+import { inicializarMemoria, guardarMemoria } from '../utils/MemoriaJuego';
+import { crearGeneradorAleatorio } from '../utils/aleatorio';
+import { calcularMinasPorDensidad, generarTableroOculto, responderComoOraculo } from '../utils/oraculo';
+import { calcularRespuestasPosibles } from '../utils/validacionLogica';
+import { cargarModoValidacion, guardarPreferencias } from '../utils/preferencias';
+import { obtenerMaximoVecinas, contarCeldasActivas, esMismoTablero } from '../utils/topologia';
+import { obtenerHuecosForma } from '../utils/formasTablero';
+import { cargarPartida, guardarPartida, borrarPartida } from '../utils/partidaGuardada';
+import { crearRepeticion, leerRepeticion } from '../utils/repeticionPartida';
 import {
-    seleccionarPrimeraCeldaSegura,
-    analizarTablero,
-    obtenerCeldasAdyacentes,
-    aprenderDeDerrota,
-    distanciaManhattan
-} from '../utils/logicaJuego';
-import { 
-    verificarConsistenciaRespuesta, 
-    verificarConsistenciaGlobal,
-    verificarPosiblesInconsistenciasFuturas
-} from '../utils/validacionLogica';
-import {
-    inicializarMemoria,
-    guardarMemoria,
-    registrarMinaEncontrada,
-    registrarSecuenciaPerdedora,
-    registrarVictoria,
-    evaluarCeldaConMemoria,
-    determinarMejorSegundoMovimiento
-} from '../utils/MemoriaJuego';
-import { TAMAÑOS_TABLERO, DURACION_ANIMACION, DURACION_MODAL } from '../constants/gameConfig';
+    TAMAÑOS_TABLERO,
+    DURACION_ANIMACION,
+    DURACION_MODAL,
+    INTERVALO_ANALISIS,
+    EVENTOS_MOTOR,
+    FASES_JUEGO,
+    DENSIDADES_ORACULO,
+    VELOCIDADES_ORACULO,
+    MODOS_JUEGO,
+    MODOS_VALIDACION,
+    TOPOLOGIAS,
+    MINIMO_CELDAS_FORMA
+} from '../constants/gameConfig';
+
+// Mensajes del modal final según el tipo de victoria del sistema
+const MENSAJES_VICTORIA = {
+    completa: '¡VICTORIA COMPLETA! El sistema ha terminado el juego sin encontrar ninguna mina. 🎉💣🎊',
+    seguras: '¡Victoria! El sistema ha identificado correctamente todas las minas.',
+    recuento: '¡Victoria! El sistema ha identificado todas las minas del tablero.'
+};
+
+// Pausa entre una respuesta y la siguiente selección del sistema (en ms)
+const PAUSA_SIGUIENTE_SELECCION = 1000;
+
+// Configuración de la interfaz que corresponde al tablero de una partida importada
+const configuracionDeTablero = ({ nombre, filas, columnas, topologia, bloqueadas }) => ({
+    tamañoSeleccionado: TAMAÑOS_TABLERO.find(t => t.filas === filas && t.columnas === columnas) ??
+        { nombre, filas, columnas, personalizado: true },
+    topologia,
+    forma: bloqueadas ? { nombre: null, filas, columnas, bloqueadas } : null
+});
 
 const Buscaminas = () => {
-    // Estado del juego
+    // Configuración de la partida
+    const [modoJuego, setModoJuego] = useState(MODOS_JUEGO.INVERSO);
+    const [densidadClasica, setDensidadClasica] = useState(DENSIDADES_ORACULO[1].valor);
     const [tamañoSeleccionado, setTamañoSeleccionado] = useState(TAMAÑOS_TABLERO[0]);
-    const [tablero, setTablero] = useState([]);
-    const [juegoIniciado, setJuegoIniciado] = useState(false);
-    const [juegoTerminado, setJuegoTerminado] = useState(false);
-    const [banderas, setBanderas] = useState([]);
-    const [celdasDescubiertas, setCeldasDescubiertas] = useState([]);
-    const [celdaActual, setCeldaActual] = useState(null);
-    const [esperandoRespuesta, setEsperandoRespuesta] = useState(false);
+    const [topologia, setTopologia] = useState(TOPOLOGIAS.PLANA);
+    // Forma irregular elegida (predefinida, guardada o dibujada) y si se están dibujando sus huecos
+    const [forma, setForma] = useState(null);
+    const [editandoForma, setEditandoForma] = useState(false);
+    const huecos = useMemo(() => obtenerHuecosForma(forma, tamañoSeleccionado), [forma, tamañoSeleccionado]);
+    // Tamaño con el que se juega: la topología y los huecos viajan con él hasta el motor y el análisis
+    const tamañoPartida = useMemo(
+        () => ({ ...tamañoSeleccionado, topologia, ...(huecos ? { bloqueadas: huecos } : {}) }),
+        [tamañoSeleccionado, topologia, huecos]
+    );
+    const [totalMinas, setTotalMinas] = useState(null);
+    const [semilla, setSemilla] = useState(null);
+    const [modoOraculo, setModoOraculo] = useState({
+        activo: false,
+        densidad: DENSIDADES_ORACULO[1].valor,
+        velocidad: VELOCIDADES_ORACULO[1].valor
+    });
+
+    // Disposición oculta de minas del modo demostración (se genera con la primera pregunta)
+    const [minasOcultas, setMinasOcultas] = useState(null);
+
+    // Partida sin terminar de una sesión anterior que se ofrece reanudar
+    const [partidaGuardada, setPartidaGuardada] = useState(cargarPartida);
+
+    // Estado de la interfaz
     const [tipoRespuesta, setTipoRespuesta] = useState('vacío');
-    const [historialMovimientos, setHistorialMovimientos] = useState([]);
-    const [mensajeSistema, setMensajeSistema] = useState('');
     const [tiempoJuego, setTiempoJuego] = useState(0);
-    const [intervaloTiempo, setIntervaloTiempo] = useState(null);
     const [temaColor, setTemaColor] = useState('claro');
     const [animacion, setAnimacion] = useState(null);
     const [mostrarModal, setMostrarModal] = useState(false);
     const [mensajeModal, setMensajeModal] = useState('');
     const [tipoModal, setTipoModal] = useState('');
-    const [intervaloBusqueda, setIntervaloBusqueda] = useState(null);
 
-    // Estados para la validación de inconsistencias
+    // Estados para la validación de inconsistencias (el modo se recuerda entre sesiones)
+    const [modoValidacion, setModoValidacion] = useState(cargarModoValidacion);
     const [mostrarAdvertencia, setMostrarAdvertencia] = useState(false);
     const [inconsistenciaDetectada, setInconsistenciaDetectada] = useState(null);
 
     // Estado para la memoria del juego
-    const [memoriaJuego, setMemoriaJuego] = useState(inicializarMemoria());
+    const [memoriaJuego] = useState(inicializarMemoria);
 
-    // Estado para las estadísticas de juego
+    // Estado para las estadísticas globales de juego
     const [estadisticas, setEstadisticas] = useState({
-        movimientos: 0,
-        banderasColocadas: 0,
-        celdasSeguras: 0,
         tiempoTotal: 0,
         partidasJugadas: 0,
         victorias: 0
     });
 
-    // Refs para manejar el estado en setTimeout
-    const stateRef = useRef({});
+    // Motor con las reglas de la partida; la vista solo refleja su estado
+    const motorRef = useRef(null);
+    if (!motorRef.current) {
+        motorRef.current = crearMotorJuego({ tamañoTablero: TAMAÑOS_TABLERO[0], memoriaJuego });
+    }
+    const motor = motorRef.current;
+    const [estadoJuego, setEstadoJuego] = useState(() => motor.obtenerEstado());
+
+    // Partida clásica: juega el usuario y el sistema da pistas bajo demanda
+    const juegoClasicoRef = useRef(null);
+    if (!juegoClasicoRef.current) {
+        juegoClasicoRef.current = crearJuegoClasico({ tamañoTablero: TAMAÑOS_TABLERO[0] });
+    }
+    const juegoClasico = juegoClasicoRef.current;
+    const [estadoClasico, setEstadoClasico] = useState(() => juegoClasico.obtenerEstado());
+    const [calculandoPista, setCalculandoPista] = useState(false);
+    const [modoBandera, setModoBandera] = useState(false);
+    // Respuesta pasada que se está corrigiendo: { indiceMovimiento, fila, columna, valor, resultado? }
+    const [correccion, setCorreccion] = useState(null);
+    const esClasico = modoJuego === MODOS_JUEGO.CLASICO;
+
+    // Cliente del análisis en segundo plano (Web Worker)
+    const clienteAnalisisRef = useRef(null);
+    if (!clienteAnalisisRef.current) {
+        clienteAnalisisRef.current = crearClienteAnalisis();
+    }
+    const clienteAnalisis = clienteAnalisisRef.current;
+
+    // Ref para leer el tiempo actual desde los manejadores de eventos
+    const tiempoRef = useRef(0);
+    tiempoRef.current = tiempoJuego;
+
+    // Lo que se muestra sale de la partida del modo activo; el ritmo del sistema, siempre del motor
+    const {
+        tablero,
+        juegoIniciado,
+        juegoTerminado,
+        banderas,
+        celdasDescubiertas,
+        historialMovimientos,
+        mensajeSistema,
+        semilla: semillaPartida
+    } = esClasico ? estadoClasico : estadoJuego;
+    const {
+        celdaActual,
+        esperandoRespuesta,
+        fase,
+        pensando
+    } = estadoJuego;
+    const sugerencia = esClasico ? estadoClasico.sugerencia : null;
+
+    // Respuestas compatibles con el tablero para la pregunta en curso (solo cambian con el tablero)
+    const respuestasPosibles = useMemo(() => {
+        if (!esperandoRespuesta || !celdaActual) return null;
+        const { tablero, celdasDescubiertas, banderas, tamañoTablero } = estadoJuego;
+        return calcularRespuestasPosibles(celdaActual.fila, celdaActual.columna, tablero, celdasDescubiertas, banderas, tamañoTablero);
+    }, [esperandoRespuesta, celdaActual, estadoJuego]);
 
     // Cargar memoria del juego al iniciar
     useEffect(() => {
@@ -89,62 +184,182 @@ const Buscaminas = () => {
         }
     }, [memoriaJuego]);
 
-    // Mantener la referencia del estado actualizada
+    // Suscribirse a los eventos del motor
     useEffect(() => {
-        stateRef.current = {
-            juegoTerminado,
-            esperandoRespuesta,
-            tablero,
-            celdasDescubiertas,
-            banderas,
-            historialMovimientos,
-            tamañoSeleccionado
+        const finalizarPartida = () => {
+            setEstadisticas(prev => ({
+                ...prev,
+                partidasJugadas: prev.partidasJugadas + 1,
+                victorias: prev.victorias + 1,
+                tiempoTotal: prev.tiempoTotal + tiempoRef.current
+            }));
         };
-    }, [juegoTerminado, esperandoRespuesta, tablero, celdasDescubiertas, banderas, historialMovimientos, tamañoSeleccionado]);
 
-    // Inicializar tablero vacío según el tamaño seleccionado
+        const cancelaciones = [
+            motor.suscribir(EVENTOS_MOTOR.CAMBIO, setEstadoJuego),
+            motor.suscribir(EVENTOS_MOTOR.ANIMACION, setAnimacion),
+            motor.suscribir(EVENTOS_MOTOR.DERROTA, () => {
+                setMostrarModal(true);
+                setMensajeModal('¡PUM! Has ganado. El sistema encontró una mina. ¿Quieres intentar de nuevo?');
+                setTipoModal('error');
+                finalizarPartida();
+            }),
+            motor.suscribir(EVENTOS_MOTOR.VICTORIA, ({ tipo }) => {
+                // Pequeño retraso para que la animación de victoria se vea antes del modal
+                setTimeout(() => {
+                    setMostrarModal(true);
+                    setMensajeModal(MENSAJES_VICTORIA[tipo] || MENSAJES_VICTORIA.seguras);
+                    setTipoModal(tipo === 'completa' ? 'fiesta' : 'éxito');
+                }, 100);
+                finalizarPartida();
+            }),
+            // Al deshacer el final de la partida se descuenta lo que sumó finalizarPartida
+            motor.suscribir(EVENTOS_MOTOR.DESHACER, ({ partidaTerminada }) => {
+                setCorreccion(null);
+                setMostrarModal(false);
+                setMostrarAdvertencia(false);
+                setInconsistenciaDetectada(null);
+                if (partidaTerminada) {
+                    setEstadisticas(prev => ({
+                        ...prev,
+                        partidasJugadas: Math.max(0, prev.partidasJugadas - 1),
+                        victorias: Math.max(0, prev.victorias - 1),
+                        tiempoTotal: Math.max(0, prev.tiempoTotal - tiempoRef.current)
+                    }));
+                }
+            }),
+            // El tablero cambió mientras se analizaba: el resultado ya no sirve
+            motor.suscribir(EVENTOS_MOTOR.ANALISIS_CANCELADO, () => clienteAnalisis.cancelar()),
+            juegoClasico.suscribir(EVENTOS_MOTOR.CAMBIO, setEstadoClasico),
+            juegoClasico.suscribir(EVENTOS_MOTOR.DERROTA, () => {
+                setMostrarModal(true);
+                setMensajeModal('¡BOOM! Has descubierto una mina. ¿Quieres intentar de nuevo?');
+                setTipoModal('error');
+                setEstadisticas(prev => ({
+                    ...prev,
+                    partidasJugadas: prev.partidasJugadas + 1,
+                    tiempoTotal: prev.tiempoTotal + tiempoRef.current
+                }));
+            }),
+            juegoClasico.suscribir(EVENTOS_MOTOR.VICTORIA, () => {
+                setMostrarModal(true);
+                setMensajeModal('¡Victoria! Has descubierto todas las casillas sin mina. 🎉');
+                setTipoModal('éxito');
+                finalizarPartida();
+            })
+        ];
+
+        return () => cancelaciones.forEach(cancelar => cancelar());
+    }, [motor, clienteAnalisis, juegoClasico]);
+
+    // Detener el worker al desmontar
+    useEffect(() => () => clienteAnalisis.terminar(), [clienteAnalisis]);
+
+    // Se activa al reanudar o importar una partida, cuyo tablero ya está en el motor
+    const partidaCargadaRef = useRef(false);
+    // Última versión de inicializarTablero: el efecto la usa sin volver a ejecutarse en cada render
+    const inicializarTableroRef = useRef(null);
+
+    // Inicializar tablero vacío según el tamaño y el modo seleccionados
     useEffect(() => {
-        inicializarTablero();
-    }, [tamañoSeleccionado]);
+        // Justo después de cargar una partida el cambio de tablero es el suyo y no se reinicia
+        const partidaCargada = partidaCargadaRef.current && modoJuego === MODOS_JUEGO.INVERSO &&
+            esMismoTablero(motor.obtenerEstado().tamañoTablero, tamañoPartida);
+        partidaCargadaRef.current = false;
+        if (!partidaCargada) {
+            inicializarTableroRef.current();
+        }
+        // El total de minas debe dejar al menos una celda libre en el nuevo tamaño
+        setTotalMinas(prev => prev === null ? null : Math.min(prev, contarCeldasActivas(tamañoPartida) - 1));
+    }, [tamañoPartida, modoJuego, motor]);
 
-    // Efecto para el contador de tiempo y análisis periódico
+    // Guardar la partida inversa en curso tras cada cambio del motor; cuando termina o se reinicia
+    // ya no hay nada que reanudar. La partida ofrecida no se toca hasta que el usuario decida.
     useEffect(() => {
-        if (juegoIniciado && !juegoTerminado) {
-            const intervalo = setInterval(() => {
-                setTiempoJuego(prevTiempo => prevTiempo + 1);
-            }, 1000);
-            setIntervaloTiempo(intervalo);
-
-            // Configurar análisis periódico del tablero
-            const busquedaIntervalo = setInterval(() => {
-                if (!stateRef.current.esperandoRespuesta && !stateRef.current.juegoTerminado) {
-                    try {
-                        realizarAnalisisTablero();
-                    } catch (error) {
-                        console.error("Error en análisis periódico:", error);
-                    }
-                }
-            }, 3000);
-            setIntervaloBusqueda(busquedaIntervalo);
+        if (partidaGuardada) return;
+
+        if (estadoJuego.juegoIniciado && !estadoJuego.juegoTerminado) {
+            guardarPartida({
+                partida: motor.exportarPartida(),
+                tiempoJuego: tiempoRef.current,
+                configuracion: { tamañoSeleccionado, topologia, forma },
+                oraculo: modoOraculo.activo ? { ...modoOraculo, minasOcultas } : null
+            });
         } else {
-            if (intervaloTiempo) {
-                clearInterval(intervaloTiempo);
-            }
-            if (intervaloBusqueda) {
-                clearInterval(intervaloBusqueda);
-            }
+            borrarPartida();
         }
+    }, [estadoJuego, partidaGuardada, motor, tamañoSeleccionado, topologia, forma, modoOraculo, minasOcultas]);
 
-        return () => {
-            if (intervaloTiempo) {
-                clearInterval(intervaloTiempo);
-            }
-            if (intervaloBusqueda) {
-                clearInterval(intervaloBusqueda);
+    // Pedir al motor la siguiente celda analizando el tablero en segundo plano
+    const pedirSiguienteCelda = useCallback(async () => {
+        try {
+            let solicitud = motor.solicitarAnalisis();
+
+            while (solicitud && solicitud.entrada) {
+                const resultado = await clienteAnalisis.analizar(solicitud.entrada);
+                if (resultado.cancelado) return;
+
+                const { reintentar } = motor.recibirAnalisis(solicitud.id, resultado);
+                solicitud = reintentar ? motor.solicitarAnalisis() : null;
             }
-        };
+        } catch (error) {
+            console.error("Error al seleccionar siguiente celda:", error);
+            motor.cancelarAnalisis();
+        }
+    }, [motor, clienteAnalisis]);
+
+    // Contador de tiempo de la partida
+    useEffect(() => {
+        if (!juegoIniciado || juegoTerminado) return;
+
+        const intervaloTiempo = setInterval(() => {
+            setTiempoJuego(prevTiempo => prevTiempo + 1);
+        }, 1000);
+
+        return () => clearInterval(intervaloTiempo);
     }, [juegoIniciado, juegoTerminado]);
 
+    // Si se vuelve a "seleccionando" sin haber llegado a preguntar, el último análisis
+    // no encontró jugada y el siguiente intento se pospone
+    const analisisSinJugadaRef = useRef(false);
+
+    // Respuesta del oráculo a la pregunta pendiente. Se renueva en cada render para que el
+    // planificador lea el tablero, la semilla y el total de minas actuales al ejecutarla
+    const responderConOraculoRef = useRef(null);
+
+    // Planificador único del ritmo de la partida: según la fase del motor programa
+    // la única acción automática pendiente y la cancela si la fase cambia antes
+    useEffect(() => {
+        if (mostrarAdvertencia) return;
+
+        let accion = null;
+        let pausa = 0;
+
+        if (fase !== FASES_JUEGO.SELECCIONANDO && fase !== FASES_JUEGO.ANALIZANDO) {
+            analisisSinJugadaRef.current = false;
+        }
+
+        if (fase === FASES_JUEGO.SELECCIONANDO) {
+            // Pausa entre una respuesta y la siguiente selección (más corta si el oráculo va rápido)
+            pausa = analisisSinJugadaRef.current
+                ? INTERVALO_ANALISIS
+                : modoOraculo.activo ? Math.min(PAUSA_SIGUIENTE_SELECCION, modoOraculo.velocidad) : PAUSA_SIGUIENTE_SELECCION;
+            accion = () => {
+                analisisSinJugadaRef.current = true;
+                pedirSiguienteCelda();
+            };
+        } else if (fase === FASES_JUEGO.ESPERANDO_RESPUESTA && modoOraculo.activo && celdaActual) {
+            // Modo demostración: el oráculo responde solo a cada pregunta del sistema
+            pausa = modoOraculo.velocidad;
+            accion = () => responderConOraculoRef.current();
+        }
+
+        if (!accion) return;
+
+        const timeout = setTimeout(accion, pausa);
+        return () => clearTimeout(timeout);
+    }, [fase, celdaActual, modoOraculo, mostrarAdvertencia, pedirSiguienteCelda]);
+
     // Efecto para controlar duración de animaciones
     useEffect(() => {
         if (animacion) {
@@ -168,744 +383,245 @@ const Buscaminas = () => {
     }, [mostrarModal]);
 
     // Inicializar el tablero vacío
-   // Inicializar el tablero vacío
-const inicializarTablero = () => {
-    console.log(`===== INICIALIZANDO TABLERO =====`);
-    console.log(`Tamaño: ${tamañoSeleccionado.filas}x${tamañoSeleccionado.columnas}`);
-    
-    const nuevoTablero = Array(tamañoSeleccionado.filas).fill().map(() =>
-        Array(tamañoSeleccionado.columnas).fill(null)
-    );
-    setTablero(nuevoTablero);
-    setBanderas([]);
-    setCeldasDescubiertas([]);
-    setJuegoIniciado(false);
-    setJuegoTerminado(false);
-    setCeldaActual(null);
-    setEsperandoRespuesta(false);
-    setHistorialMovimientos([]);
-    setMensajeSistema('Presiona "Iniciar Juego" para que el sistema comience a jugar.');
-    setTiempoJuego(0);
-    setAnimacion(null);
-    setMostrarModal(false);
-    setMostrarAdvertencia(false);
-    setInconsistenciaDetectada(null);
-
-    if (intervaloTiempo) {
-        clearInterval(intervaloTiempo);
-        setIntervaloTiempo(null);
-    }
-
-    if (intervaloBusqueda) {
-        clearInterval(intervaloBusqueda);
-        setIntervaloBusqueda(null);
-    }
-
-    // Actualizar estadísticas si era un juego en curso
-    if (juegoIniciado) {
-        console.log(`Juego anterior finalizado manualmente`);
-        setEstadisticas(prev => ({
-            ...prev,
-            partidasJugadas: prev.partidasJugadas + 1,
-            tiempoTotal: prev.tiempoTotal + tiempoJuego
-        }));
-
-        // Registrar fin de juego como perdido si estaba en curso
-        try {
-            if (memoriaJuego && historialMovimientos.length > 0) {
-                registrarSecuenciaPerdedora(memoriaJuego, historialMovimientos, tamañoSeleccionado);
-                console.log(`APRENDIZAJE: Registrando secuencia perdedora por reinicio manual`);
-            }
-        } catch (error) {
-            console.error("Error al registrar secuencia perdedora:", error);
+    const inicializarTablero = () => {
+        // Actualizar estadísticas si era un juego en curso
+        if (juegoIniciado && !juegoTerminado) {
+            console.log(`Juego anterior finalizado manualmente`);
+            setEstadisticas(prev => ({
+                ...prev,
+                partidasJugadas: prev.partidasJugadas + 1,
+                tiempoTotal: prev.tiempoTotal + tiempoJuego
+            }));
         }
-    }
-    
-    console.log(`Tablero inicializado y listo para jugar`);
-    console.log(`===== FIN DE INICIALIZACIÓN =====`);
-};
+
+        motor.reiniciar(tamañoPartida, { totalMinas, semilla });
+        juegoClasico.reiniciar(tamañoPartida, { totalMinas, densidad: densidadClasica, semilla });
+        clienteAnalisis.cancelar();
+        setModoBandera(false);
+        setCorreccion(null);
+        setMinasOcultas(null);
+        setTiempoJuego(0);
+        setAnimacion(null);
+        setMostrarModal(false);
+        setMostrarAdvertencia(false);
+        setInconsistenciaDetectada(null);
+    };
+    inicializarTableroRef.current = inicializarTablero;
 
     // Iniciar el juego - Seleccionar primera celda aleatoria
-   // Iniciar el juego - Seleccionar primera celda aleatoria
-const iniciarJuego = () => {
-    setJuegoIniciado(true);
-    console.log(`===== INICIANDO NUEVO JUEGO =====`);
-    console.log(`Tablero de ${tamañoSeleccionado.filas}x${tamañoSeleccionado.columnas}`);
-
-    try {
-        // Obtener una celda inicial aleatoria garantizando variabilidad
-        const celdaInicial = seleccionarPrimeraCeldaSegura(tamañoSeleccionado, memoriaJuego);
-
-        // Verificar que la celda inicial es válida
-        if (!celdaInicial || celdaInicial.fila === undefined || celdaInicial.columna === undefined) {
-            console.error("Error: seleccionarPrimeraCeldaSegura retornó una celda inválida", celdaInicial);
-            // En caso de error, usar una posición por defecto
-            console.log(`USANDO CELDA POR DEFECTO (1,1) debido a error`);
-            seleccionarCelda(0, 0);
-            setMensajeSistema("El sistema ha seleccionado la primera casilla. ¿Qué hay en esta casilla?");
-            return;
+    const iniciarJuego = () => {
+        // La partida nueva sustituye a la que se ofrecía reanudar
+        setPartidaGuardada(null);
+        setEditandoForma(false);
+        setTiempoJuego(0);
+        setMinasOcultas(null);
+        if (esClasico) {
+            juegoClasico.iniciar(tamañoPartida, { totalMinas, densidad: densidadClasica, semilla });
+        } else {
+            motor.iniciar(tamañoPartida, { totalMinas, semilla });
         }
+    };
 
-        console.log(`PRIMER MOVIMIENTO: Seleccionando celda (${celdaInicial.fila + 1},${celdaInicial.columna + 1})`);
-        if (celdaInicial.razonamiento && celdaInicial.razonamiento.length > 0) {
-            console.log(`Razonamiento:`);
-            celdaInicial.razonamiento.forEach(razon => console.log(`  - ${razon}`));
-        }
-        
-        seleccionarCelda(celdaInicial.fila, celdaInicial.columna);
-        setMensajeSistema(`El sistema ha seleccionado la casilla (${celdaInicial.fila + 1},${celdaInicial.columna + 1}). ¿Qué hay en esta casilla?`);
-        setAnimacion('iniciar');
+    // Poner en el motor una partida guardada o importada; la configuración pasa a ser la de esa partida
+    const cargarPartidaEnMotor = (partida, { tiempoJuego: tiempoGuardado, configuracion, oraculo = null }) => {
+        const resultado = motor.restaurarPartida(partida);
+        if (!resultado.restaurada) return resultado;
+        partidaCargadaRef.current = true;
+
+        // La partida cargada sustituye a la que se ofrecía reanudar
+        setPartidaGuardada(null);
+        setModoJuego(MODOS_JUEGO.INVERSO);
+        setTamañoSeleccionado(configuracion.tamañoSeleccionado);
+        setTopologia(configuracion.topologia);
+        setForma(configuracion.forma);
+        setEditandoForma(false);
+        setTotalMinas(partida.totalMinas);
+        setTiempoJuego(tiempoGuardado || 0);
+        setMinasOcultas(oraculo ? oraculo.minasOcultas : null);
+        setModoOraculo(prev => oraculo
+            ? { activo: true, densidad: oraculo.densidad, velocidad: oraculo.velocidad }
+            : { ...prev, activo: false });
+        setCorreccion(null);
+        setMostrarModal(false);
+        setMostrarAdvertencia(false);
+        setInconsistenciaDetectada(null);
+        return resultado;
+    };
 
-        // Inicializar estadísticas para la partida actual
-        setEstadisticas(prev => ({
-            ...prev,
-            movimientos: 0,
-            banderasColocadas: 0,
-            celdasSeguras: 0
-        }));
-        
-        console.log(`===== JUEGO INICIADO =====`);
-    } catch (error) {
-        console.error("Error al iniciar juego:", error);
-        // En caso de error, seleccionar la primera celda
-        console.log(`USANDO CELDA POR DEFECTO (1,1) debido a error`);
-        seleccionarCelda(0, 0);
-        setMensajeSistema("El sistema ha seleccionado la primera casilla. ¿Qué hay en esta casilla?");
-    }
-};
+    // Continuar la partida guardada de la sesión anterior
+    const reanudarPartida = () => {
+        const { partida, ...opciones } = partidaGuardada;
+        setPartidaGuardada(null);
 
-   // Realizar análisis del tablero para encontrar la próxima jugada
-// Realizar análisis del tablero para encontrar la próxima jugada
-const realizarAnalisisTablero = () => {
-    try {
-        // Asegurarse de que stateRef tenga valores válidos
-        const validTablero = stateRef.current.tablero || tablero;
-        const validTamañoTablero = stateRef.current.tamañoSeleccionado || tamañoSeleccionado;
-        const validCeldasDescubiertas = stateRef.current.celdasDescubiertas || celdasDescubiertas;
-        const validBanderas = stateRef.current.banderas || banderas;
-        const validHistorialMovimientos = stateRef.current.historialMovimientos || historialMovimientos;
-
-        // Obtener el último movimiento para contexto
-        let ultimoMovimiento = null;
-        if (validHistorialMovimientos.length > 0) {
-            ultimoMovimiento = validHistorialMovimientos[validHistorialMovimientos.length - 1];
+        const resultado = cargarPartidaEnMotor(partida, opciones);
+        if (!resultado.restaurada) {
+            console.error("No se ha podido reanudar la partida:", resultado.motivo);
+            borrarPartida();
         }
+    };
 
-        console.log("===== ANÁLISIS DEL TABLERO =====");
-        console.log(`Estado: ${validCeldasDescubiertas.length} celdas descubiertas, ${validBanderas.length} banderas`);
-        
-        // Mostrar estado actual para depuración
-        console.log("Estado actual del tablero:");
-        for (let i = 0; i < validTamañoTablero.filas; i++) {
-            let fila = '';
-            for (let j = 0; j < validTamañoTablero.columnas; j++) {
-                if (validCeldasDescubiertas.some(c => c.fila === i && c.columna === j)) {
-                    fila += `[${validTablero[i][j] || '0'}]`;
-                } else if (validBanderas.some(b => b.fila === i && b.columna === j)) {
-                    fila += '[F]';
-                } else {
-                    fila += '[ ]';
-                }
-            }
-            console.log(fila);
+    // Documento de repetición de la partida del modo inverso, para compartirla
+    const obtenerRepeticion = () => crearRepeticion(motor.exportarPartida(), { tiempoJuego });
+
+    // Cargar una repetición compartida: la partida queda tal como estaba al exportarla
+    const importarRepeticion = (texto) => {
+        const lectura = leerRepeticion(texto);
+        if (!lectura.valido) {
+            console.warn("Repetición no válida:", lectura.error);
+            return { importada: false, error: lectura.error };
         }
 
-        // Analizar el tablero para decidir la siguiente jugada
-        const resultadoAnalisis = analizarTablero({
-            tablero: validTablero,
-            tamañoTablero: validTamañoTablero,
-            celdasDescubiertas: validCeldasDescubiertas,
-            banderas: validBanderas,
-            historialMovimientos: validHistorialMovimientos,
-            setMensajeSistema,
-            setAnimacion,
-            memoriaJuego
+        const resultado = cargarPartidaEnMotor(lectura.partida, {
+            tiempoJuego: lectura.tiempoJuego,
+            configuracion: configuracionDeTablero(lectura.partida.tamañoTablero)
         });
+        return resultado.restaurada ? { importada: true } : { importada: false, error: resultado.motivo };
+    };
 
-        // Actualizar banderas si se encontraron nuevas
-        if (resultadoAnalisis.banderas && resultadoAnalisis.banderas.length > validBanderas.length) {
-            const nuevasBanderas = resultadoAnalisis.banderas.slice(validBanderas.length);
-            console.log(`ACCIÓN: Colocando ${nuevasBanderas.length} nuevas banderas`);
-            
-            // Mostrar ubicaciones detalladas
-            nuevasBanderas.forEach((bandera, idx) => {
-                console.log(`- Bandera ${idx+1}: (${bandera.fila + 1},${bandera.columna + 1}) - ${bandera.origen || 'análisis'}`);
-                if (bandera.detalle) {
-                    console.log(`  Razón: ${bandera.detalle}`);
-                }
-            });
-            
-            setBanderas(resultadoAnalisis.banderas);
-            
-            // Actualizar stateRef inmediatamente con las nuevas banderas
-            stateRef.current = {
-                ...stateRef.current,
-                banderas: resultadoAnalisis.banderas
-            };
-
-            // Actualizar historial con las nuevas banderas
-            let nuevoHistorial = [...validHistorialMovimientos];
-            if (resultadoAnalisis.movimientosGenerados && resultadoAnalisis.movimientosGenerados.length > 0) {
-                resultadoAnalisis.movimientosGenerados.forEach(movimiento => {
-                    if (movimiento.esAccion && movimiento.accion === "bandera") {
-                        nuevoHistorial.push({
-                            ...movimiento,
-                            explicacion: movimiento.explicacion || movimiento.detalle || "Bandera colocada"
-                        });
-                    }
-                });
-                setHistorialMovimientos(nuevoHistorial);
-                
-                // Actualizar stateRef con el nuevo historial
-                stateRef.current = {
-                    ...stateRef.current,
-                    historialMovimientos: nuevoHistorial
-                };
-            }
-
-            // Actualizar estadísticas
-            setEstadisticas(prev => ({
-                ...prev,
-                banderasColocadas: resultadoAnalisis.banderas.length
-            }));
-
-            // Mostrar animación
-            setAnimacion('bandera');
-            
-            // Verificar victoria después de colocar banderas
-            setTimeout(() => {
-                verificarVictoria();
-            }, 50);
-        }
+    // Olvidar la partida guardada
+    const descartarPartida = () => {
+        borrarPartida();
+        setPartidaGuardada(null);
+    };
 
-        // Si hay una siguiente celda, seleccionarla después de una breve pausa
-        if (resultadoAnalisis.siguienteCelda) {
-            console.log(`DECISIÓN: Seleccionar celda (${resultadoAnalisis.siguienteCelda.fila + 1}, ${resultadoAnalisis.siguienteCelda.columna + 1})`);
-            console.log(`RAZÓN: ${resultadoAnalisis.siguienteCelda.explicacion || resultadoAnalisis.siguienteCelda.tipoAnalisis}`);
-            
-            setTimeout(() => {
-                try {
-                    if (!stateRef.current.esperandoRespuesta && !stateRef.current.juegoTerminado) {
-                        seleccionarCelda(
-                            resultadoAnalisis.siguienteCelda.fila,
-                            resultadoAnalisis.siguienteCelda.columna
-                        );
-                    }
-                } catch (error) {
-                    console.error("Error al seleccionar siguiente celda:", error);
-                }
-            }, 1000);
+    // Modo clásico: clic para descubrir (o poner bandera en modo bandera), clic derecho para la bandera
+    const descubrirCasilla = (fila, columna) => {
+        if (modoBandera) {
+            juegoClasico.alternarBandera(fila, columna);
         } else {
-            // Si no hay siguientes celdas, verificar victoria
-            console.log(`DECISIÓN: No hay más movimientos seguros disponibles, verificando victoria...`);
-            verificarVictoria();
-        }
-        console.log("===== FIN DEL ANÁLISIS =====");
-    } catch (error) {
-        console.error("Error en análisis del tablero:", error);
-        // No hacer nada más, dejemos que el juego siga su curso normal
-    }
-};
-
-   
-// Sistema selecciona una celda
-const seleccionarCelda = (fila, columna) => {
-    try {
-        // Verificar si el juego ha terminado
-        if (stateRef.current.juegoTerminado) {
-            return;
-        }
-
-        // Verificar si ya estamos esperando una respuesta
-        if (stateRef.current.esperandoRespuesta) {
-            return;
-        }
-
-        // Validar que las coordenadas son correctas
-        if (fila === undefined || columna === undefined ||
-            fila < 0 || columna < 0 ||
-            fila >= tamañoSeleccionado.filas || columna >= tamañoSeleccionado.columnas) {
-            console.error("Coordenadas de celda inválidas:", fila, columna);
-            return;
-        }
-
-        // Verificar si la celda ya ha sido descubierta
-        if (stateRef.current.celdasDescubiertas.some(c => c.fila === fila && c.columna === columna)) {
-            console.log(`OMITIENDO: Celda (${fila + 1},${columna + 1}) ya está descubierta`);
-            realizarAnalisisTablero();
-            return;
+            juegoClasico.descubrir(fila, columna);
         }
+    };
 
-        // Verificar si la celda ya tiene una bandera
-        if (stateRef.current.banderas.some(b => b.fila === fila && b.columna === columna)) {
-            console.log(`OMITIENDO: Celda (${fila + 1},${columna + 1}) ya tiene bandera`);
-            realizarAnalisisTablero();
+    // Dibujo de la forma: cada clic quita la casilla del tablero o la recupera
+    const alternarHueco = (fila, columna) => {
+        const clave = `${fila},${columna}`;
+        const actuales = huecos || [];
+        const bloqueadas = actuales.includes(clave) ? actuales.filter(c => c !== clave) : [...actuales, clave];
+        if (tamañoSeleccionado.filas * tamañoSeleccionado.columnas - bloqueadas.length < MINIMO_CELDAS_FORMA) {
+            console.warn(`La forma debe conservar al menos ${MINIMO_CELDAS_FORMA} casillas`);
             return;
         }
+        // Al retocar una forma deja de ser la predefinida o la guardada
+        setForma({ nombre: null, filas: tamañoSeleccionado.filas, columnas: tamañoSeleccionado.columnas, bloqueadas });
+    };
 
-        console.log(`===== SISTEMA SELECCIONA CELDA =====`);
-        console.log(`Seleccionando celda en (${fila + 1},${columna + 1})`);
-        
-        setCeldaActual({ fila, columna });
-        setEsperandoRespuesta(true);
-        
-        // Actualizar stateRef
-        stateRef.current = {
-            ...stateRef.current,
-            celdaActual: { fila, columna },
-            esperandoRespuesta: true
-        };
-        
-        setAnimacion('seleccionar');
-
-        // Actualizar estadísticas
-        setEstadisticas(prev => ({
-            ...prev,
-            movimientos: prev.movimientos + 1
-        }));
-        console.log(`Esperando respuesta del usuario: ¿Qué hay en la celda (${fila + 1},${columna + 1})?`);
-    } catch (error) {
-        console.error("Error al seleccionar celda:", error);
-    }
-};
+    const alternarBanderaCasilla = (fila, columna) => {
+        juegoClasico.alternarBandera(fila, columna);
+    };
 
+    // Modo clásico: el análisis del sistema calcula la pista en segundo plano
+    const pedirPista = async () => {
+        const solicitud = juegoClasico.solicitarSugerencia();
+        if (!solicitud || !solicitud.entrada) return;
 
-const responderContenidoCelda = (tipo) => {
-    try {
-        if (!celdaActual || !esperandoRespuesta) {
-            console.log("No hay celda actual o no se espera respuesta");
-            return;
+        setCalculandoPista(true);
+        try {
+            const resultado = await clienteAnalisis.analizar(solicitud.entrada);
+            if (!resultado.cancelado) {
+                juegoClasico.recibirSugerencia(solicitud.id, resultado);
+            }
+        } catch (error) {
+            console.error("Error al calcular la pista:", error);
+        } finally {
+            setCalculandoPista(false);
         }
+    };
 
-        const { fila, columna } = celdaActual;
+    // El usuario responde qué hay en la celda seleccionada; el planificador se encarga de la siguiente selección
+    const responderContenidoCelda = (tipo) => {
         setTipoRespuesta(tipo);
 
-        console.log(`===== REPORTE DE RESPUESTA =====`);
-        console.log(`Usuario indica en celda (${fila + 1},${columna + 1}): ${tipo === 'mina' ? '💣 MINA' : tipo === 'vacío' ? 'VACÍO' : `NÚMERO ${tipo}`}`);
-
-        // Primera etapa - verificar si hay posibles inconsistencias futuras (advertencia preventiva)
-        const advertenciasFuturas = verificarPosiblesInconsistenciasFuturas(
-            fila,
-            columna,
-            tipo,
-            tablero,
-            celdasDescubiertas,
-            banderas,
-            tamañoSeleccionado
-        );
-
-        // Si hay advertencias futuras, mostrarlas primero (pero son solo advertencias)
-        if (advertenciasFuturas.hayAdvertencia) {
-            console.log(`ADVERTENCIA: ${advertenciasFuturas.mensaje}`);
-            // Mostrar advertencia pero permitir continuar
-            setInconsistenciaDetectada({
-                esConsistente: false,
-                mensaje: advertenciasFuturas.mensaje,
-                contradicciones: [{ 
-                    tipo: 'advertencia_preventiva', 
-                    mensaje: advertenciasFuturas.mensaje 
-                }],
-                esPreventiva: true
-            });
-            setMostrarAdvertencia(true);
-            return; // Detenerse aquí, esperar respuesta del usuario
-        }
+        // En modo "ignorar" la respuesta se aplica directamente; el motor solo rechaza números imposibles por posición
+        const resultado = motor.responder(null, tipo, { forzar: modoValidacion === MODOS_VALIDACION.IGNORAR });
 
-        // Segunda etapa - verificar la consistencia lógica de la respuesta
-        const resultadoValidacion = verificarConsistenciaRespuesta(
-            fila,
-            columna,
-            tipo,
-            tablero,
-            celdasDescubiertas,
-            banderas,
-            tamañoSeleccionado
-        );
-
-        // Si detectamos una inconsistencia
-        if (!resultadoValidacion.esConsistente) {
-            console.log(`INCONSISTENCIA: ${resultadoValidacion.mensaje}`);
-            setInconsistenciaDetectada(resultadoValidacion);
+        // Si detectamos una inconsistencia, mostrarla y esperar la decisión del usuario
+        if (!resultado.aceptada && resultado.inconsistencia) {
+            setInconsistenciaDetectada(resultado.inconsistencia);
             setMostrarAdvertencia(true);
-            return;
-        }
-
-        // Actualizar el tablero con la respuesta del usuario
-        const nuevoTablero = [...tablero];
-        
-        if (tipo === 'vacío') {
-            // 'vacío' es realmente vacío, no un 0
-            nuevoTablero[fila][columna] = '';
-        } else if (tipo === 'mina') {
-            nuevoTablero[fila][columna] = 'M';
-        } else {
-            nuevoTablero[fila][columna] = tipo;
         }
+    };
 
-        setTablero(nuevoTablero);
-
-        // Marcar la celda como descubierta
-        const nuevasCeldasDescubiertas = [...celdasDescubiertas, { fila, columna }];
-        setCeldasDescubiertas(nuevasCeldasDescubiertas);
-
-        // Añadir al historial
-        const nuevoHistorial = [...historialMovimientos, {
-            fila,
-            columna,
-            contenido: tipo,
-            inconsistente: false
-        }];
-        setHistorialMovimientos(nuevoHistorial);
-
-        console.log(`ACTUALIZACIÓN: Celda (${fila + 1},${columna + 1}) = ${tipo === 'vacío' ? 'VACÍO' : tipo === 'mina' ? 'MINA' : tipo}`);
+    responderConOraculoRef.current = () => {
+        const tamañoTablero = estadoJuego.tamañoTablero;
+        let minas = minasOcultas;
 
-        // Actualizar estadísticas
-        if (tipo === 'vacío' || tipo === '0' || !isNaN(tipo)) {
-            setEstadisticas(prev => ({
-                ...prev,
-                celdasSeguras: prev.celdasSeguras + 1
-            }));
+        if (!minas) {
+            // Flujo derivado de la semilla de la partida para que la demostración también sea reproducible
+            const aleatorio = crearGeneradorAleatorio(semillaPartida ^ 0x9E3779B9);
+            const numeroMinas = totalMinas ?? calcularMinasPorDensidad(tamañoTablero, modoOraculo.densidad);
+            minas = generarTableroOculto(tamañoTablero, numeroMinas, aleatorio, celdaActual);
+            setMinasOcultas(minas);
         }
 
-        // IMPORTANTE: Actualizar inmediatamente el stateRef para que tenga los valores actualizados
-        stateRef.current = {
-            ...stateRef.current,
-            tablero: nuevoTablero,
-            celdasDescubiertas: nuevasCeldasDescubiertas,
-            historialMovimientos: nuevoHistorial
-        };
-
-        // Verificar si el sistema ha perdido (encontró una mina)
-        if (tipo === 'mina') {
-            try {
-                console.log(`RESULTADO: ¡VICTORIA DEL USUARIO! El sistema encontró una mina en (${fila + 1},${columna + 1})`);
-                
-                // Registrar la celda peligrosa en la memoria
-                if (memoriaJuego) {
-                    registrarMinaEncontrada(memoriaJuego, fila, columna, tamañoSeleccionado);
-                    
-                    // Registrar patrón de juego que llevó a la pérdida
-                    registrarSecuenciaPerdedora(memoriaJuego, nuevoHistorial, tamañoSeleccionado);
-                    console.log(`APRENDIZAJE: Registrando mina y secuencia perdedora en memoria`);
-                }
-
-                // Actualizar estado del juego
-                setJuegoTerminado(true);
-                stateRef.current.juegoTerminado = true;
-                setMensajeSistema("¡BOOM! El sistema encontró una mina.");
-                setAnimacion('explosion');
-                setMostrarModal(true);
-                setMensajeModal('¡PUM! Has ganado. El sistema encontró una mina. ¿Quieres intentar de nuevo?');
-                setTipoModal('error');
-                setEsperandoRespuesta(false);
-                stateRef.current.esperandoRespuesta = false;
-
-                // Actualizar estadísticas
-                setEstadisticas(prev => ({
-                    ...prev,
-                    partidasJugadas: prev.partidasJugadas + 1,
-                    victorias: prev.victorias + 1,
-                    tiempoTotal: prev.tiempoTotal + tiempoJuego
-                }));
+        responderContenidoCelda(responderComoOraculo(minas, celdaActual.fila, celdaActual.columna, tamañoTablero));
+    };
 
-                // Aprender de la derrota (actualizar historial de derrotas)
-                aprenderDeDerrota({ fila, columna });
-                
-                console.log(`===== FIN DEL JUEGO =====`);
-            } catch (error) {
-                console.error("Error al procesar derrota:", error);
-            }
-        } else {
-            // IMPORTANTE: Desactivar esperandoRespuesta ANTES de llamar a la siguiente selección
-            setEsperandoRespuesta(false);
-            stateRef.current.esperandoRespuesta = false;
-
-            setAnimacion('respuesta');
-            
-            // Verificar victoria inmediatamente después de actualizar el estado y stateRef
-            setTimeout(() => {
-                verificarVictoria();
-            }, 50);
-
-            // Si es un cero, revelar automáticamente todas las celdas adyacentes
-            if (tipo === '0' || tipo === 'vacío') {
-                console.log(`ESTRATEGIA: La celda (${fila + 1},${columna + 1}) es ${tipo === '0' ? '0' : 'vacía'}, todas las celdas adyacentes son seguras`);
-                
-                // Obtener todas las celdas adyacentes
-                const celdasAdyacentes = obtenerCeldasAdyacentes(fila, columna, tamañoSeleccionado);
-                
-                // Filtrar solo las que no están descubiertas ni tienen bandera
-                const celdasADescubrir = celdasAdyacentes.filter(c => 
-                    !nuevasCeldasDescubiertas.some(d => d.fila === c.fila && d.columna === c.columna) &&
-                    !banderas.some(b => b.fila === c.fila && b.columna === c.columna)
-                );
-                
-                if (celdasADescubrir.length > 0) {
-                    console.log(`PRÓXIMA ACCIÓN: Revelar automáticamente ${celdasADescubrir.length} celdas adyacentes seguras`);
-                    console.log(`Seleccionando primero: (${celdasADescubrir[0].fila + 1},${celdasADescubrir[0].columna + 1})`);
-                    
-                    // Dar tiempo para que se actualice la interfaz antes de revelar
-                    setTimeout(() => {
-                        if (!stateRef.current.juegoTerminado) {
-                            // Seleccionar la primera celda adyacente automáticamente
-                            seleccionarCelda(celdasADescubrir[0].fila, celdasADescubrir[0].columna);
-                        }
-                    }, 1000);
-                } else {
-                    // Si no hay celdas adyacentes para descubrir, continuar análisis normal
-                    console.log(`PRÓXIMA ACCIÓN: No hay celdas adyacentes sin descubrir, continuar con análisis general`);
-                    setTimeout(() => {
-                        if (!stateRef.current.juegoTerminado) {
-                            realizarAnalisisTablero();
-                        }
-                    }, 1000);
-                }
-            } else {
-                // Para otros valores, seguir con el análisis normal
-                console.log(`PRÓXIMA ACCIÓN: Continuar con análisis general del tablero`);
-                setTimeout(() => {
-                    if (!stateRef.current.juegoTerminado) {
-                        realizarAnalisisTablero();
-                    }
-                }, 1000);
-            }
+    // Aplicar una respuesta a pesar de la inconsistencia
+    const aplicarRespuestaConInconsistencia = () => {
+        if (!inconsistenciaDetectada || !celdaActual) return;
+        if (modoValidacion === MODOS_VALIDACION.IMPEDIR) {
+            console.log("Modo impedir: la respuesta inconsistente no se aplica");
+            return;
         }
-        console.log(`===== FIN DE LA RESPUESTA =====`);
-    } catch (error) {
-        console.error("Error al responder contenido de celda:", error);
 
-        // Restablecer estado en caso de error
-        setEsperandoRespuesta(false);
-        stateRef.current.esperandoRespuesta = false;
-    }
-};
+        console.log(`===== APLICANDO RESPUESTA CON ADVERTENCIA =====`);
+        console.log(`Mensaje: ${inconsistenciaDetectada.mensaje}`);
 
-
-// Aplicar una respuesta a pesar de la inconsistencia
-const aplicarRespuestaConInconsistencia = () => {
-    if (!inconsistenciaDetectada || !celdaActual) return;
-
-    console.log(`===== APLICANDO RESPUESTA CON ADVERTENCIA =====`);
-    
-    // Si es una advertencia preventiva, continuar con menos restricciones
-    const esAdvertenciaPreventiva = inconsistenciaDetectada.esPreventiva;
-    console.log(`Tipo: ${esAdvertenciaPreventiva ? 'Advertencia preventiva' : 'Inconsistencia'}`);
-    console.log(`Mensaje: ${inconsistenciaDetectada.mensaje}`);
-
-    // Verificar si es una inconsistencia crítica que no se puede ignorar
-    if (!esAdvertenciaPreventiva && inconsistenciaDetectada.contradicciones &&
-        inconsistenciaDetectada.contradicciones.length > 0 &&
-        inconsistenciaDetectada.contradicciones[0].tipo === 'valor_imposible') {
-        // No permitir continuar con errores críticos
-        console.log(`ERROR CRÍTICO: No se puede aplicar la respuesta, número imposible por posición`);
+        const resultado = motor.responder(null, tipoRespuesta, { forzar: true });
         setMostrarAdvertencia(false);
-        console.log(`===== FIN DE APLICAR RESPUESTA CON ADVERTENCIA =====`);
-        return;
-    }
 
-    // Continuar con la respuesta a pesar de la inconsistencia o advertencia
-    const { fila, columna } = celdaActual;
-    const tipo = tipoRespuesta;
-
-    console.log(`Aplicando respuesta en celda (${fila + 1},${columna + 1}): ${tipo === 'mina' ? '💣 MINA' : tipo === 'vacío' ? 'VACÍO' : tipo}`);
-    console.log(`ADVERTENCIA: Continuando a pesar de la advertencia`);
-
-    // Actualizar tablero
-    const nuevoTablero = [...tablero];
-    
-    if (tipo === 'vacío') {
-        nuevoTablero[fila][columna] = '';
-    } else if (tipo === 'mina') {
-        nuevoTablero[fila][columna] = 'M';
-    } else {
-        nuevoTablero[fila][columna] = tipo;
-    }
+        if (resultado.aceptada) {
+            setInconsistenciaDetectada(null);
+        }
 
-    // Actualizar estado
-    setTablero(nuevoTablero);
-    
-    const nuevasCeldasDescubiertas = [...celdasDescubiertas, { fila, columna }];
-    setCeldasDescubiertas(nuevasCeldasDescubiertas);
-    
-    const nuevoHistorial = [...historialMovimientos, {
-        fila,
-        columna,
-        contenido: tipo,
-        inconsistente: !esAdvertenciaPreventiva // Marcar como inconsistente solo si no es advertencia preventiva
-    }];
-    setHistorialMovimientos(nuevoHistorial);
-
-    // Actualizar el stateRef
-    stateRef.current = {
-        ...stateRef.current,
-        tablero: nuevoTablero,
-        celdasDescubiertas: nuevasCeldasDescubiertas,
-        historialMovimientos: nuevoHistorial
+        console.log(`===== FIN DE APLICAR RESPUESTA CON ADVERTENCIA =====`);
     };
 
-    // Limpiar estado de inconsistencia
-    setInconsistenciaDetectada(null);
-    setMostrarAdvertencia(false);
-
-    // Continuar con el juego
-    setEsperandoRespuesta(false);
-    stateRef.current.esperandoRespuesta = false;
-
-    setAnimacion('respuesta');
-    
-    // Verificar victoria después de aplicar la respuesta
-    setTimeout(() => {
-        verificarVictoria();
-    }, 50);
-    
-    // Si es un cero, revelar automáticamente todas las celdas adyacentes
-    if (tipo === '0' || tipo === 'vacío') {
-        console.log(`REVELACIÓN AUTOMÁTICA: La celda es ${tipo === '0' ? '0' : 'vacía'}, todas las celdas adyacentes son seguras`);
-        
-        // Obtener todas las celdas adyacentes
-        const celdasAdyacentes = obtenerCeldasAdyacentes(fila, columna, tamañoSeleccionado);
-        
-        // Filtrar solo las que no están descubiertas ni tienen bandera
-        const celdasADescubrir = celdasAdyacentes.filter(c => 
-            !nuevasCeldasDescubiertas.some(d => d.fila === c.fila && d.columna === c.columna) &&
-            !banderas.some(b => b.fila === c.fila && b.columna === c.columna)
-        );
-        
-        if (celdasADescubrir.length > 0) {
-            console.log(`PRÓXIMA ACCIÓN: Revelar ${celdasADescubrir.length} celdas adyacentes, empezando por (${celdasADescubrir[0].fila + 1},${celdasADescubrir[0].columna + 1})`);
-            
-            setTimeout(() => {
-                if (!stateRef.current.esperandoRespuesta && !stateRef.current.juegoTerminado) {
-                    // Seleccionar la primera celda adyacente automáticamente
-                    seleccionarCelda(celdasADescubrir[0].fila, celdasADescubrir[0].columna);
-                }
-            }, 1000);
-        } else {
-            console.log(`PRÓXIMA ACCIÓN: No hay celdas adyacentes sin descubrir, continuando con análisis general`);
-            
-            setTimeout(() => {
-                if (!stateRef.current.esperandoRespuesta && !stateRef.current.juegoTerminado) {
-                    realizarAnalisisTablero();
-                }
-            }, 1000);
+    // Volver a la pregunta de una respuesta anterior (por defecto la última); el análisis sigue desde ahí
+    const deshacerRespuesta = (indiceMovimiento = null) => {
+        const resultado = motor.deshacer(indiceMovimiento);
+        if (!resultado.deshecho) {
+            console.log(`No se ha podido deshacer: ${resultado.motivo}`);
         }
-    } else {
-        console.log(`PRÓXIMA ACCIÓN: Continuar con análisis general del tablero`);
-        
-        setTimeout(() => {
-            if (!stateRef.current.esperandoRespuesta && !stateRef.current.juegoTerminado) {
-                realizarAnalisisTablero();
-            }
-        }, 1000);
-    }
-    
-    console.log(`===== FIN DE APLICAR RESPUESTA CON ADVERTENCIA =====`);
-};
-
-
-// Verificar si todas las celdas seguras han sido descubiertas (victoria)
-const verificarVictoria = () => {
-    const { filas, columnas } = tamañoSeleccionado;
-    const totalCeldas = filas * columnas;
-
-    // Usar stateRef.current para obtener valores actualizados
-    const celdasDescubiertasActuales = stateRef.current.celdasDescubiertas || celdasDescubiertas;
-    const banderasActuales = stateRef.current.banderas || banderas;
-
-    // Total de celdas marcadas (descubiertas + banderas)
-    const celdasMarcadas = celdasDescubiertasActuales.length + banderasActuales.length;
-    const celdasNoDescubiertas = totalCeldas - celdasDescubiertasActuales.length;
-
-    console.log(`===== VERIFICANDO CONDICIÓN DE VICTORIA =====`);
-    console.log(`Estado: ${celdasDescubiertasActuales.length} celdas descubiertas, ${banderasActuales.length} banderas colocadas`);
-    console.log(`Total: ${celdasMarcadas} de ${totalCeldas} celdas marcadas`);
-
-    // VERIFICACIÓN CLAVE: Si todas las celdas están marcadas (descubiertas + banderas)
-    if (celdasMarcadas === totalCeldas) {
-        try {
-            // Verificar si el sistema encontró alguna mina DURANTE ESTE JUEGO
-            // Solo usa historialMovimientos que contiene únicamente los movimientos de la partida actual
-            const encontroMinaEnJuegoActual = historialMovimientos.some(mov => mov.contenido === 'mina');
-            
-            if (!encontroMinaEnJuegoActual) {
-                console.log(`RESULTADO: ¡VICTORIA COMPLETA DEL SISTEMA! Completó el tablero sin encontrar ninguna mina.`);
-                
-                // Registrar victoria en memoria
-                if (memoriaJuego) {
-                    registrarVictoria(memoriaJuego, historialMovimientos, tamañoSeleccionado);
-                    console.log(`APRENDIZAJE: Registrando patrón de victoria en memoria`);
-                }
-
-                setJuegoTerminado(true);
-                stateRef.current.juegoTerminado = true;
-                
-                // Asegurar que se muestre la animación de victoria
-                setMensajeSistema("¡VICTORIA COMPLETA! El sistema ha terminado el juego sin encontrar ninguna mina.");
-                setAnimacion('victoria');
-                
-                // Forzar el modal con un pequeño retraso para asegurar que se muestre
-                setTimeout(() => {
-                    setMostrarModal(true);
-                    setMensajeModal('¡VICTORIA COMPLETA! El sistema ha terminado el juego sin encontrar ninguna mina. 🎉💣🎊');
-                    setTipoModal('fiesta');
-                }, 100);
-
-                // Actualizar estadísticas
-                setEstadisticas(prev => ({
-                    ...prev,
-                    partidasJugadas: prev.partidasJugadas + 1,
-                    victorias: prev.victorias + 1,
-                    tiempoTotal: prev.tiempoTotal + tiempoJuego
-                }));
+    };
 
-                console.log(`===== FIN DEL JUEGO (VICTORIA COMPLETA) =====`);
-                return true;
-            }
-        } catch (error) {
-            console.error("Error al procesar victoria:", error);
-        }
-    }
+    // Con el oráculo activo la respuesta deshecha se repetiría igual, así que solo se deshace en modo manual
+    const puedeDeshacer = !esClasico && !modoOraculo.activo && juegoIniciado &&
+        historialMovimientos.some(mov => !mov.esAccion);
 
-    // Caso específico: todas las celdas sin minas están descubiertas
-    if (celdasNoDescubiertas === banderasActuales.length && banderasActuales.length > 0) {
-        try {
-            console.log(`RESULTADO: ¡VICTORIA DEL SISTEMA! Ha descubierto todas las celdas seguras.`);
-            
-            // Registrar victoria en memoria
-            if (memoriaJuego) {
-                registrarVictoria(memoriaJuego, historialMovimientos, tamañoSeleccionado);
-                console.log(`APRENDIZAJE: Registrando patrón de victoria en memoria`);
-            }
+    // Abrir la corrección de una respuesta pasada desde el historial
+    const seleccionarCorreccion = (indiceMovimiento) => {
+        const movimiento = historialMovimientos[indiceMovimiento];
+        setCorreccion({ indiceMovimiento, fila: movimiento.fila, columna: movimiento.columna, valor: movimiento.contenido });
+    };
 
-            setJuegoTerminado(true);
-            stateRef.current.juegoTerminado = true;
-            setMensajeSistema("¡El sistema ha descubierto todas las celdas seguras! ¡Victoria!");
-            setAnimacion('victoria');
-            setMostrarModal(true);
-            setMensajeModal('¡Victoria! El sistema ha identificado correctamente todas las minas.');
-            setTipoModal('éxito');
+    // Abrir la corrección desde una casilla descubierta del tablero
+    const seleccionarCorreccionEnCelda = (fila, columna) => {
+        const indice = historialMovimientos.findIndex(mov => !mov.esAccion && mov.fila === fila && mov.columna === columna);
+        if (indice >= 0 && historialMovimientos[indice].contenido !== 'mina') seleccionarCorreccion(indice);
+    };
 
-            // Actualizar estadísticas
-            setEstadisticas(prev => ({
-                ...prev,
-                partidasJugadas: prev.partidasJugadas + 1,
-                victorias: prev.victorias + 1,
-                tiempoTotal: prev.tiempoTotal + tiempoJuego
-            }));
+    // Cambiar el valor de la respuesta en corrección; las respuestas posteriores se mantienen
+    const corregirRespuesta = (valor) => {
+        const resultado = motor.corregirRespuesta(correccion.indiceMovimiento, valor, {
+            permitirContradicciones: modoValidacion !== MODOS_VALIDACION.IMPEDIR
+        });
 
-            console.log(`===== FIN DEL JUEGO (VICTORIA) =====`);
-            return true;
-        } catch (error) {
-            console.error("Error al procesar victoria:", error);
+        if (resultado.aceptada && resultado.contradicciones.length === 0) {
+            setCorreccion(null);
+        } else {
+            setCorreccion(prev => ({ ...prev, valor: resultado.aceptada ? valor : prev.valor, resultado }));
         }
-    } else {
-        console.log(`RESULTADO: Continúa el juego, faltan ${celdasNoDescubiertas - banderasActuales.length} celdas seguras por descubrir`);
-    }
+    };
 
-    console.log(`===== FIN DE VERIFICACIÓN =====`);
-    return false;
-};
+    const puedeCorregir = !esClasico && !modoOraculo.activo && juegoIniciado && !juegoTerminado;
 
+    // Cambiar el modo de validación y recordarlo para las próximas sesiones
+    const cambiarModoValidacion = (modo) => {
+        setModoValidacion(modo);
+        guardarPreferencias({ modoValidacion: modo });
+    };
 
     // Cambiar el tema de color
     const cambiarTemaColor = (tema) => {
@@ -946,6 +662,9 @@ const verificarVictoria = () => {
         return false;
     };
 
+    const estadisticasCompletas = { ...estadisticas, ...(esClasico ? estadoClasico.estadisticas : estadoJuego.estadisticas) };
+    const maximoVecinas = obtenerMaximoVecinas(estadoJuego.tamañoTablero);
+
     return (
         <div className={`flex min-h-screen w-full ${tema.principal}`}>
             <ModalAnimacion
@@ -954,6 +673,7 @@ const verificarVictoria = () => {
                 tipoModal={tipoModal}
                 tema={tema}
                 inicializarTablero={inicializarTablero}
+                deshacerRespuesta={puedeDeshacer ? deshacerRespuesta : undefined}
             />
 
             {/* Componente de gestión de inconsistencias */}
@@ -962,64 +682,145 @@ const verificarVictoria = () => {
                 inconsistenciaDetectada={inconsistenciaDetectada}
                 tablero={tablero}
                 celdasDescubiertas={celdasDescubiertas}
+                tamañoTablero={estadoJuego.tamañoTablero}
                 setMostrarAdvertencia={setMostrarAdvertencia}
                 aplicarRespuestaConInconsistencia={aplicarRespuestaConInconsistencia}
                 tema={tema}
+                permitirContinuar={modoValidacion === MODOS_VALIDACION.ADVERTIR}
             />
 
             <div className="w-full max-w-full flex flex-col md:flex-row">
                 <PanelLateralIzquierdo
                     tema={tema}
+                    modoJuego={modoJuego}
+                    setModoJuego={setModoJuego}
+                    densidadClasica={densidadClasica}
+                    setDensidadClasica={setDensidadClasica}
                     temaColor={temaColor}
                     cambiarTemaColor={cambiarTemaColor}
                     tamañosTablero={TAMAÑOS_TABLERO}
                     tamañoSeleccionado={tamañoSeleccionado}
                     setTamañoSeleccionado={setTamañoSeleccionado}
+                    topologia={topologia}
+                    setTopologia={setTopologia}
+                    tamañoPartida={tamañoPartida}
+                    forma={forma}
+                    setForma={setForma}
+                    huecos={huecos}
+                    editandoForma={editandoForma}
+                    setEditandoForma={setEditandoForma}
+                    totalMinas={totalMinas}
+                    setTotalMinas={setTotalMinas}
+                    semilla={semilla}
+                    setSemilla={setSemilla}
+                    semillaPartida={semillaPartida}
+                    modoOraculo={modoOraculo}
+                    setModoOraculo={setModoOraculo}
+                    densidadesOraculo={DENSIDADES_ORACULO}
+                    velocidadesOraculo={VELOCIDADES_ORACULO}
+                    modoValidacion={modoValidacion}
+                    cambiarModoValidacion={cambiarModoValidacion}
                     juegoIniciado={juegoIniciado}
                     juegoTerminado={juegoTerminado}
                     iniciarJuego={iniciarJuego}
                     inicializarTablero={inicializarTablero}
+                    obtenerRepeticion={obtenerRepeticion}
+                    importarRepeticion={importarRepeticion}
                     tiempoJuego={tiempoJuego}
                     formatearTiempo={formatearTiempo}
                     banderas={banderas}
                     celdasDescubiertas={celdasDescubiertas}
                     historialMovimientos={historialMovimientos}
-                    estadisticas={estadisticas}
+                    deshacerRespuesta={puedeDeshacer ? deshacerRespuesta : undefined}
+                    corregirMovimiento={puedeCorregir ? seleccionarCorreccion : undefined}
+                    estadisticas={estadisticasCompletas}
                 />
 
                 <div className="w-full md:w-2/4 p-4 flex flex-col">
+                    {/* Partida sin terminar de la sesión anterior */}
+                    {partidaGuardada && !juegoIniciado && (
+                        <AvisoPartidaGuardada
+                            tema={tema}
+                            partidaGuardada={partidaGuardada}
+                            formatearTiempo={formatearTiempo}
+                            reanudarPartida={reanudarPartida}
+                            descartarPartida={descartarPartida}
+                        />
+                    )}
+
+                    {/* Corrección de una respuesta pasada */}
+                    {correccion && puedeCorregir && (
+                        <PanelCorreccion
+                            tema={tema}
+                            correccion={correccion}
+                            corregirRespuesta={corregirRespuesta}
+                            cerrarCorreccion={() => setCorreccion(null)}
+                            maximoVecinas={maximoVecinas}
+                        />
+                    )}
+
                     {/* Panel de respuesta */}
-                    {esperandoRespuesta && !juegoTerminado && celdaActual && !mostrarAdvertencia && (
+                    {esperandoRespuesta && !juegoTerminado && celdaActual && !mostrarAdvertencia && !modoOraculo.activo && (
                         <PanelRespuesta
                             celdaActual={celdaActual}
                             tipoRespuesta={tipoRespuesta}
                             responderContenidoCelda={responderContenidoCelda}
                             tema={tema}
+                            respuestasPosibles={respuestasPosibles}
+                            modoValidacion={modoValidacion}
+                            maximoVecinas={maximoVecinas}
                         />
                     )}
 
+                    {/* Pistas del modo clásico */}
+                    {esClasico && juegoIniciado && !juegoTerminado && (
+                        <PanelPista
+                            tema={tema}
+                            sugerencia={sugerencia}
+                            calculandoPista={calculandoPista}
+                            pedirPista={pedirPista}
+                            modoBandera={modoBandera}
+                            setModoBandera={setModoBandera}
+                            pistasUsadas={estadoClasico.estadisticas.pistasUsadas}
+                        />
+                    )}
+
+                    {/* Indicador del análisis en segundo plano */}
+                    <IndicadorPensando
+                        pensando={pensando || calculandoPista}
+                        tema={tema}
+                    />
+
                     <TableroJuego
                         tablero={tablero}
-                        tamañoSeleccionado={tamañoSeleccionado}
-                        celdaActual={celdaActual}
+                        tamañoSeleccionado={esClasico ? estadoClasico.tamañoTablero : estadoJuego.tamañoTablero}
+                        celdaActual={esClasico ? sugerencia?.celda ?? null : celdaActual}
                         banderas={banderas}
                         celdasDescubiertas={celdasDescubiertas}
                         animacion={animacion}
                         tema={tema}
                         estaRecienActualizada={estaRecienActualizada}
                         historialMovimientos={historialMovimientos}
+                        minasOcultas={juegoTerminado ? (esClasico ? estadoClasico.minasOcultas : minasOcultas) : null}
+                        demostracionActual={esClasico ? sugerencia?.demostracion ?? null : esperandoRespuesta ? estadoJuego.demostracionActual : null}
+                        onCeldaClick={editandoForma && !juegoIniciado ? alternarHueco : esClasico ? descubrirCasilla : puedeCorregir ? seleccionarCorreccionEnCelda : undefined}
+                        editandoForma={editandoForma && !juegoIniciado}
+                        onCeldaClicDerecho={esClasico ? alternarBanderaCasilla : undefined}
+                        banderasSugeridas={sugerencia?.banderasForzadas ?? []}
+                        mapaProbabilidades={!esClasico && !juegoTerminado ? estadoJuego.mapaProbabilidades : null}
                     />
                 </div>
 
                 <PanelLateralDerecho
                     tema={tema}
+                    modoJuego={modoJuego}
                     mensajeSistema={mensajeSistema}
                     juegoIniciado={juegoIniciado}
-                    estadisticas={estadisticas}
+                    estadisticas={estadisticasCompletas}
                 />
             </div>
         </div>
     );
 };
 
-export default Buscaminas;
\ No newline at end of file
+export default Buscaminas;
@@ -1,4 +1,8 @@
 import React from 'react';
+import { COLOR_JUSTIFICANTE } from '../constants/gameConfig';
+
+// Color del mapa de probabilidades: de verde (0%) a rojo (100%) pasando por amarillo
+const colorProbabilidad = (probabilidad) => `hsl(${Math.round(120 * (1 - probabilidad))}, 75%, 72%)`;
 
 const CeldaTablero = ({
     fila,
@@ -12,16 +16,36 @@ const CeldaTablero = ({
     tema,
     esInconsistente,
     estaRecienActualizada,
-    onCeldaClick
+    onCeldaClick,
+    onCeldaClicDerecho,
+    minaOculta = null,
+    esJustificante = false,
+    explicacionBandera,
+    onEnfocarBandera,
+    banderaSugerida = false,
+    probabilidadMina = null,
+    esFantasma = false
 }) => {
     // Estados de la celda
     const esSeleccionada = celdaActual && celdaActual.fila === fila && celdaActual.columna === columna;
     const tieneBandera = banderas.some(b => b.fila === fila && b.columna === columna);
     const estaDescubierta = celdasDescubiertas.some(c => c.fila === fila && c.columna === columna);
     const contenido = tablero[fila][columna];
+
+    // Al terminar una demostración se revela el tablero oculto (minaOculta es null en partidas normales)
+    const banderaIncorrecta = tieneBandera && minaOculta === false;
+    const minaSinDescubrir = !tieneBandera && !estaDescubierta && minaOculta === true;
+
+    // Mapa de probabilidades del sistema (solo sobre celdas sin descubrir ni bandera)
+    const infoProbabilidad = !tieneBandera && !estaDescubierta ? probabilidadMina : null;
+    const seguraConCerteza = infoProbabilidad?.certeza && infoProbabilidad.probabilidad === 0;
+    const minaConCerteza = infoProbabilidad?.certeza && infoProbabilidad.probabilidad === 1;
+    const tituloProbabilidad = infoProbabilidad
+        ? `${Math.round(infoProbabilidad.probabilidad * 100)}% de probabilidad de mina (${infoProbabilidad.origen})`
+        : undefined;
     
     // Ajustar tamaño de texto según tamaño del tablero
-    const esTableroGrande = tamañoSeleccionado.filas > 15;
+    const esTableroGrande = Math.max(tamañoSeleccionado.filas, tamañoSeleccionado.columnas) > 15;
     const tamañoFuente = esTableroGrande ? '0.75rem' : '0.85rem';
     const tamañoIcono = esTableroGrande ? '0.9rem' : '1.1rem';
 
@@ -32,6 +56,8 @@ const CeldaTablero = ({
         colorFondo = '#1e40af'; // Azul oscuro para celda seleccionada
     } else if (tieneBandera) {
         colorFondo = '#e2e8f0'; // Gris muy claro
+    } else if (infoProbabilidad) {
+        colorFondo = seguraConCerteza ? '#4ade80' : minaConCerteza ? '#f87171' : colorProbabilidad(infoProbabilidad.probabilidad);
     } else if (estaDescubierta) {
         if (contenido === 'M') {
             colorFondo = '#fecaca'; // Rojo muy suave
@@ -73,6 +99,29 @@ const CeldaTablero = ({
         }
     }
 
+    // Copia de una casilla del lado opuesto en el borde de un tablero toroidal: solo se muestra
+    if (esFantasma) {
+        return (
+            <div
+                className="w-full h-full flex items-center justify-center"
+                title={`Casilla (${fila + 1},${columna + 1}) del lado opuesto`}
+                style={{
+                    backgroundColor: colorFondo,
+                    color: colorTexto,
+                    opacity: 0.45,
+                    pointerEvents: 'none',
+                    width: '100%',
+                    height: '100%',
+                    borderRadius: '2px',
+                    fontSize: tieneBandera || contenido === 'M' ? tamañoIcono : tamañoFuente,
+                    fontWeight: 'bold'
+                }}
+            >
+                {tieneBandera ? '🚩' : estaDescubierta ? (contenido === 'M' ? '💣' : contenido) : ''}
+            </div>
+        );
+    }
+
     return (
         <div
             className={`w-full h-full flex items-center justify-center ${animacionClase}`}
@@ -80,10 +129,19 @@ const CeldaTablero = ({
             data-selected={esSeleccionada ? "true" : "false"}
             data-discovered={estaDescubierta ? "true" : "false"}
             data-inconsistent={esInconsistente ? "true" : "false"}
+            data-justifying={esJustificante ? "true" : "false"}
             onClick={() => onCeldaClick && onCeldaClick(fila, columna)}
+            onContextMenu={(e) => {
+                if (!onCeldaClicDerecho) return;
+                e.preventDefault();
+                onCeldaClicDerecho(fila, columna);
+            }}
+            onMouseEnter={() => tieneBandera && onEnfocarBandera && onEnfocarBandera({ fila, columna })}
+            onMouseLeave={() => tieneBandera && onEnfocarBandera && onEnfocarBandera(null)}
+            title={tituloProbabilidad}
             style={{
                 backgroundColor: colorFondo,
-                border: esInconsistente ? '2px solid #ef4444' : 'none',
+                border: esInconsistente ? '2px solid #ef4444' : esJustificante ? `2px solid ${COLOR_JUSTIFICANTE}` : 'none',
                 cursor: 'pointer',
                 transition: 'background-color 0.2s',
                 width: '100%',
@@ -94,7 +152,17 @@ const CeldaTablero = ({
             }}
         >
             {tieneBandera ? (
-                <span style={{ fontSize: tamañoIcono }}>🚩</span>
+                <span style={{ fontSize: tamañoIcono }} title={banderaIncorrecta ? 'Bandera incorrecta' : explicacionBandera}>
+                    {banderaIncorrecta ? '❌' : '🚩'}
+                </span>
+            ) : minaSinDescubrir ? (
+                <span style={{ fontSize: tamañoIcono, opacity: 0.5 }}>💣</span>
+            ) : banderaSugerida && !estaDescubierta ? (
+                <span style={{ fontSize: tamañoIcono, opacity: 0.4 }} title="Mina deducida por el sistema">🚩</span>
+            ) : seguraConCerteza || minaConCerteza ? (
+                <span style={{ fontSize: tamañoFuente, fontWeight: 'bold', color: seguraConCerteza ? '#14532d' : '#7f1d1d' }}>
+                    {seguraConCerteza ? '✓' : '✕'}
+                </span>
             ) : (
                 estaDescubierta ? (
                     contenido === 'M' ? (
@@ -1,4 +1,5 @@
 import React from 'react';
+import { obtenerVecinas, esToroidal, esHexagonal } from '../utils/topologia';
 
 /**
  * Componente para gestionar advertencias de inconsistencias lógicas
@@ -9,9 +10,11 @@ const GestionInconsistencias = ({
     inconsistenciaDetectada,
     tablero,
     celdasDescubiertas,
+    tamañoTablero,
     setMostrarAdvertencia,
     aplicarRespuestaConInconsistencia,
-    tema
+    tema,
+    permitirContinuar = true
 }) => {
     if (!mostrarAdvertencia || !inconsistenciaDetectada) return null;
     
@@ -68,62 +71,79 @@ const GestionInconsistencias = ({
         if (celdasDescubiertas.some(c => c.fila === fila && c.columna === columna) && 
             tablero[fila][columna] && !isNaN(tablero[fila][columna])) {
             
+            // Colocar cada vecina real según su desplazamiento respecto a la celda; en el tablero
+            // toroidal las que dan la vuelta por el borde quedan igualmente junto a ella
+            const desplazamiento = (destino, origen, total) => {
+                const diferencia = destino - origen;
+                if (!esToroidal(tamañoTablero) || Math.abs(diferencia) <= 1) return diferencia;
+                return diferencia > 0 ? diferencia - total : diferencia + total;
+            };
+            const vecinas = new Map(obtenerVecinas(fila, columna, tamañoTablero).map(v => [
+                `${desplazamiento(v.fila, fila, tamañoTablero.filas)},${desplazamiento(v.columna, columna, tamañoTablero.columnas)}`,
+                v
+            ]));
+            
             return (
                 <div className="mt-3 p-2 bg-gray-100 dark:bg-gray-800 rounded-lg">
                     <p className="text-sm font-medium mb-2">Visualización del problema:</p>
                     <div className="flex justify-center">
-                        {/* Miniatura 3x3 para mostrar el problema */}
-                        <div className="grid grid-cols-3 gap-1">
+                        {/* Miniatura con la celda y sus vecinas; las filas impares del tablero hexagonal van desplazadas */}
+                        <div className="flex flex-col gap-1">
                             {[-1, 0, 1].map(i => (
-                                [-1, 0, 1].map(j => {
-                                    const celdaFila = fila + i;
-                                    const celdaColumna = columna + j;
-                                    
-                                    // Si es la celda central (el número)
-                                    if (i === 0 && j === 0) {
-                                        return (
-                                            <div key={`${i}-${j}`} className="w-8 h-8 bg-blue-200 dark:bg-blue-800 border border-blue-400 dark:border-blue-600 flex items-center justify-center font-bold">
-                                                {tablero[fila][columna]}
-                                            </div>
+                                <div
+                                    key={i}
+                                    className="flex gap-1"
+                                    style={esHexagonal(tamañoTablero) && (fila + i) % 2 !== 0 ? { marginLeft: '1.125rem' } : undefined}
+                                >
+                                    {[-1, 0, 1].map(j => {
+                                        // Si es la celda central (el número)
+                                        if (i === 0 && j === 0) {
+                                            return (
+                                                <div key={j} className="w-8 h-8 bg-blue-200 dark:bg-blue-800 border border-blue-400 dark:border-blue-600 flex items-center justify-center font-bold">
+                                                    {tablero[fila][columna]}
+                                                </div>
+                                            );
+                                        }
+                                        
+                                        // Si no es vecina: fuera del tablero, un hueco o fuera de la vecindad hexagonal
+                                        const vecina = vecinas.get(`${i},${j}`);
+                                        if (!vecina) {
+                                            return (
+                                                <div key={j} className="w-8 h-8 bg-gray-300 dark:bg-gray-600 border border-gray-400 dark:border-gray-500"></div>
+                                            );
+                                        }
+                                        
+                                        const { fila: celdaFila, columna: celdaColumna } = vecina;
+                                        
+                                        // Si tiene bandera
+                                        const tieneBandera = celdasDescubiertas.some(c => 
+                                            c.fila === celdaFila && c.columna === celdaColumna && 
+                                            tablero[celdaFila][celdaColumna] === 'M'
                                         );
-                                    }
-                                    
-                                    // Si está fuera de los límites del tablero
-                                    if (celdaFila < 0 || celdaFila >= tablero.length || 
-                                        celdaColumna < 0 || celdaColumna >= tablero[0].length) {
+                                        
+                                        // Si es una celda descubierta
+                                        const estaDescubierta = celdasDescubiertas.some(c => 
+                                            c.fila === celdaFila && c.columna === celdaColumna
+                                        );
+                                        
+                                        // Determinar el estilo según el estado
+                                        let estilo = "w-8 h-8 border flex items-center justify-center ";
+                                        
+                                        if (tieneBandera) {
+                                            estilo += "bg-red-100 dark:bg-red-900 border-red-400 dark:border-red-700";
+                                        } else if (estaDescubierta) {
+                                            estilo += "bg-gray-100 dark:bg-gray-700 border-gray-400 dark:border-gray-600";
+                                        } else {
+                                            estilo += "bg-gray-200 dark:bg-gray-800 border-gray-400 dark:border-gray-600";
+                                        }
+                                        
                                         return (
-                                            <div key={`${i}-${j}`} className="w-8 h-8 bg-gray-300 dark:bg-gray-600 border border-gray-400 dark:border-gray-500"></div>
+                                            <div key={j} className={estilo}>
+                                                {tieneBandera ? "🚩" : estaDescubierta ? (tablero[celdaFila][celdaColumna] || "") : ""}
+                                            </div>
                                         );
-                                    }
-                                    
-                                    // Si tiene bandera
-                                    const tieneBandera = celdasDescubiertas.some(c => 
-                                        c.fila === celdaFila && c.columna === celdaColumna && 
-                                        tablero[celdaFila][celdaColumna] === 'M'
-                                    );
-                                    
-                                    // Si es una celda descubierta
-                                    const estaDescubierta = celdasDescubiertas.some(c => 
-                                        c.fila === celdaFila && c.columna === celdaColumna
-                                    );
-                                    
-                                    // Determinar el estilo según el estado
-                                    let estilo = "w-8 h-8 border flex items-center justify-center ";
-                                    
-                                    if (tieneBandera) {
-                                        estilo += "bg-red-100 dark:bg-red-900 border-red-400 dark:border-red-700";
-                                    } else if (estaDescubierta) {
-                                        estilo += "bg-gray-100 dark:bg-gray-700 border-gray-400 dark:border-gray-600";
-                                    } else {
-                                        estilo += "bg-gray-200 dark:bg-gray-800 border-gray-400 dark:border-gray-600";
-                                    }
-                                    
-                                    return (
-                                        <div key={`${i}-${j}`} className={estilo}>
-                                            {tieneBandera ? "🚩" : estaDescubierta ? (tablero[celdaFila][celdaColumna] || "") : ""}
-                                        </div>
-                                    );
-                                })
+                                    })}
+                                </div>
                             ))}
                         </div>
                     </div>
@@ -180,6 +200,8 @@ const GestionInconsistencias = ({
                                    tipoContradiccion === 'exceso_minas_global' ||
                                    tipoContradiccion === 'exceso_banderas' ||
                                    tipoContradiccion === 'exceso_banderas_global';
+    // En modo "impedir" ninguna inconsistencia se puede aplicar
+    const continuarBloqueado = esContradiccionCritica || !permitirContinuar;
     
     return (
         <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
@@ -205,16 +227,20 @@ const GestionInconsistencias = ({
                         Corregir mi respuesta
                     </button>
                     <button 
-                        className={`px-4 py-2 ${esContradiccionCritica ? 'bg-gray-500 dark:bg-gray-600 cursor-not-allowed' : 'bg-yellow-600 hover:bg-yellow-700 dark:bg-yellow-700 dark:hover:bg-yellow-800'} text-white rounded`}
+                        className={`px-4 py-2 ${continuarBloqueado ? 'bg-gray-500 dark:bg-gray-600 cursor-not-allowed' : 'bg-yellow-600 hover:bg-yellow-700 dark:bg-yellow-700 dark:hover:bg-yellow-800'} text-white rounded`}
                         onClick={aplicarRespuestaConInconsistencia}
-                        disabled={esContradiccionCritica}
+                        disabled={continuarBloqueado}
                     >
-                        {esContradiccionCritica ? 'No permitido' : 'Continuar de todos modos'}
+                        {continuarBloqueado ? 'No permitido' : 'Continuar de todos modos'}
                     </button>
                 </div>
                 
                 <div className="mt-4 text-xs text-gray-500 dark:text-gray-400">
-                    <p>Nota: Las inconsistencias críticas que violan reglas fundamentales de Buscaminas nunca se pueden ignorar.</p>
+                    <p>
+                        {permitirContinuar
+                            ? 'Nota: Las inconsistencias críticas que violan reglas fundamentales de Buscaminas nunca se pueden ignorar.'
+                            : 'Nota: El modo de validación actual no permite aplicar respuestas inconsistentes.'}
+                    </p>
                 </div>
             </div>
         </div>
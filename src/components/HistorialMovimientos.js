@@ -1,21 +1,55 @@
 import React from 'react';
 
-const HistorialMovimientos = ({ tema, historialMovimientos }) => {
+const HistorialMovimientos = ({ tema, historialMovimientos, deshacerRespuesta, corregirMovimiento }) => {
+    const textoMovimiento = (mov) => mov.esAccion ?
+        `Sistema coloca bandera 🚩 en (${mov.fila + 1},${mov.columna + 1})` :
+        `Sistema selecciona (${mov.fila + 1},${mov.columna + 1}) → ${mov.contenido === 'mina' ? '💣' : mov.contenido === 'vacío' ? 'vacío' : mov.contenido}
+        ${mov.corregida ? " ✏️" : ""}${mov.inconsistente ? " ⚠️" : ""}`;
+
     return (
         <div className="mb-6">
-            <h3 className="text-lg font-semibold mb-2">Últimos movimientos:</h3>
+            <div className="flex justify-between items-center mb-2">
+                <h3 className="text-lg font-semibold">Movimientos:</h3>
+                {deshacerRespuesta && (
+                    <button
+                        className={`px-2 py-1 border rounded text-sm ${tema.botonSecundario}`}
+                        onClick={() => deshacerRespuesta()}
+                        title="Deshacer la última respuesta"
+                    >
+                        ↶ Deshacer
+                    </button>
+                )}
+            </div>
             <div className={`max-h-60 overflow-y-auto border rounded p-3 ${tema.panel}`}>
-                {historialMovimientos.slice(-8).map((mov, idx) => (
-                    <p key={idx} className={`
+                {historialMovimientos.map((mov, idx) => (
+                    <p key={idx} className={`flex justify-between items-center gap-2
                         ${mov.esAccion ? "text-orange-600" : ""} 
                         ${mov.inconsistente ? "text-red-500" : ""}
                         ${idx === historialMovimientos.length - 1 ? "font-bold" : ""}
                     `}>
-                        {mov.esAccion ?
-                            `Sistema coloca bandera 🚩 en (${mov.fila + 1},${mov.columna + 1})` :
-                            `Sistema selecciona (${mov.fila + 1},${mov.columna + 1}) → ${mov.contenido === 'mina' ? '💣' : mov.contenido === 'vacío' ? 'vacío' : mov.contenido}
-                            ${mov.inconsistente ? " ⚠️" : ""}`
-                        }
+                        {/* Las respuestas se pueden corregir sin deshacer las posteriores */}
+                        {corregirMovimiento && !mov.esAccion && mov.contenido !== 'mina' ? (
+                            <button
+                                className="text-left hover:underline"
+                                onClick={() => corregirMovimiento(idx)}
+                                title={mov.corregida ? `Corregida (antes: ${mov.valorAnterior}). Clic para cambiarla` : "Corregir esta respuesta"}
+                            >
+                                {textoMovimiento(mov)}
+                            </button>
+                        ) : (
+                            <span>{textoMovimiento(mov)}</span>
+                        )}
+                        {/* Volver a la pregunta de esta respuesta, deshaciendo todo lo posterior */}
+                        {deshacerRespuesta && !mov.esAccion && (
+                            <button
+                                className="text-sm opacity-60 hover:opacity-100"
+                                onClick={() => deshacerRespuesta(idx)}
+                                title="Volver a esta pregunta"
+                                aria-label={`Volver a la pregunta de (${mov.fila + 1},${mov.columna + 1})`}
+                            >
+                                ↶
+                            </button>
+                        )}
                     </p>
                 ))}
             </div>
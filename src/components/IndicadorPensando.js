@@ -0,0 +1,13 @@
+import React from 'react';
+
+const IndicadorPensando = ({ pensando, tema }) => {
+    if (!pensando) return null;
+
+    return (
+        <div className={`mb-4 p-3 rounded-lg border ${tema.panel} animate-pulse text-center`} role="status">
+            🤔 El sistema está pensando…
+        </div>
+    );
+};
+
+export default IndicadorPensando;
@@ -5,7 +5,8 @@ const ModalAnimacion = ({
     mensajeModal, 
     tipoModal, 
     tema, 
-    inicializarTablero 
+    inicializarTablero,
+    deshacerRespuesta
 }) => {
     if (!mostrarModal) return null;
     
@@ -82,6 +83,15 @@ const ModalAnimacion = ({
                     {tipoModal === 'fiesta' ? '¡Jugar de nuevo!' : 'Intentar de nuevo'}
                 </button>
             )}
+
+            {tipoModal === 'error' && deshacerRespuesta && (
+                <button
+                    className={`px-4 py-2 mt-4 ml-2 border rounded ${tema.botonSecundario}`}
+                    onClick={() => deshacerRespuesta()}
+                >
+                    ↶ Deshacer respuesta
+                </button>
+            )}
         </div>
     );
 };
@@ -0,0 +1,99 @@
+import React, { useState } from 'react';
+import { LIMITES_TAMAÑO_PERSONALIZADO } from '../constants/gameConfig';
+import { validarTamañoPersonalizado } from '../utils/tamañosPersonalizados';
+
+const ModalTamañoPersonalizado = ({
+    tema,
+    tamañosPersonalizados,
+    crearTamaño,
+    elegirTamaño,
+    eliminarTamaño,
+    cerrar
+}) => {
+    const [filas, setFilas] = useState('16');
+    const [columnas, setColumnas] = useState('30');
+    const { minimo, maximo } = LIMITES_TAMAÑO_PERSONALIZADO;
+
+    const validacion = validarTamañoPersonalizado(Number(filas), Number(columnas));
+
+    return (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+            <div className={`p-6 rounded-lg shadow-lg max-w-sm w-full mx-auto ${tema.tarjeta}`} role="dialog" aria-label="Tamaño personalizado">
+                <h2 className="text-xl font-bold mb-4 text-center">Tamaño personalizado</h2>
+
+                <div className="grid grid-cols-2 gap-3 mb-2">
+                    <label className="block">
+                        <span className="block text-sm mb-1">Filas</span>
+                        <input
+                            type="number"
+                            className={`w-full p-2 border rounded ${tema.selector}`}
+                            min={minimo}
+                            max={maximo}
+                            value={filas}
+                            onChange={(e) => setFilas(e.target.value)}
+                        />
+                    </label>
+                    <label className="block">
+                        <span className="block text-sm mb-1">Columnas</span>
+                        <input
+                            type="number"
+                            className={`w-full p-2 border rounded ${tema.selector}`}
+                            min={minimo}
+                            max={maximo}
+                            value={columnas}
+                            onChange={(e) => setColumnas(e.target.value)}
+                        />
+                    </label>
+                </div>
+
+                {!validacion.valido && (
+                    <p className="text-sm text-red-600 mb-2" role="alert">{validacion.error}</p>
+                )}
+
+                <div className="grid grid-cols-2 gap-3 mt-3">
+                    <button
+                        className={`px-4 py-2 border rounded ${tema.botonSecundario}`}
+                        onClick={cerrar}
+                    >
+                        Cancelar
+                    </button>
+                    <button
+                        className={`px-4 py-2 rounded ${tema.botonPrimario} ${validacion.valido ? '' : 'opacity-50 cursor-not-allowed'}`}
+                        onClick={() => crearTamaño(validacion.tamaño)}
+                        disabled={!validacion.valido}
+                    >
+                        Usar y guardar
+                    </button>
+                </div>
+
+                {/* Tamaños guardados en sesiones anteriores */}
+                {tamañosPersonalizados.length > 0 && (
+                    <div className="mt-5">
+                        <h3 className="font-semibold mb-2 text-sm">Mis tamaños</h3>
+                        <ul className="space-y-1">
+                            {tamañosPersonalizados.map(tamaño => (
+                                <li key={tamaño.nombre} className="flex items-center gap-2">
+                                    <button
+                                        className={`flex-1 px-3 py-1 border rounded text-left ${tema.botonSecundario}`}
+                                        onClick={() => elegirTamaño(tamaño)}
+                                    >
+                                        {tamaño.filas} filas × {tamaño.columnas} columnas
+                                    </button>
+                                    <button
+                                        className={`px-2 py-1 border rounded ${tema.botonSecundario}`}
+                                        onClick={() => eliminarTamaño(tamaño.nombre)}
+                                        aria-label={`Eliminar el tamaño ${tamaño.nombre}`}
+                                    >
+                                        ✕
+                                    </button>
+                                </li>
+                            ))}
+                        </ul>
+                    </div>
+                )}
+            </div>
+        </div>
+    );
+};
+
+export default ModalTamañoPersonalizado;
@@ -0,0 +1,78 @@
+import React from 'react';
+
+const coordenadas = (celda) => `(${celda.fila + 1},${celda.columna + 1})`;
+
+// Explicación breve de cada contradicción que deja la corrección en el tablero
+const describirContradiccion = (contradiccion) => {
+    switch (contradiccion.tipo) {
+        case 'cero_con_banderas':
+            return `${coordenadas(contradiccion.celda)} es 0 pero tiene ${contradiccion.banderas} banderas alrededor.`;
+        case 'exceso_banderas':
+            return `${coordenadas(contradiccion.celda)} indica ${contradiccion.valor} minas pero tiene ${contradiccion.actual} banderas alrededor.`;
+        case 'minas_insuficientes':
+            return `${coordenadas(contradiccion.celda)} necesita ${contradiccion.faltantes} minas más y solo quedan ${contradiccion.disponibles} casillas sin descubrir alrededor.`;
+        default:
+            return contradiccion.celda
+                ? `Las respuestas alrededor de ${coordenadas(contradiccion.celda)} no tienen solución.`
+                : 'Las respuestas del tablero no tienen solución.';
+    }
+};
+
+const PanelCorreccion = ({
+    tema,
+    correccion,
+    corregirRespuesta,
+    cerrarCorreccion,
+    maximoVecinas = 8
+}) => {
+    const { fila, columna, valor, resultado } = correccion;
+    const valores = ['vacío', '0', ...Array.from({ length: maximoVecinas }, (_, i) => String(i + 1))];
+
+    return (
+        <div className={`mb-4 p-4 rounded-lg border ${tema.panel}`}>
+            <p className="mb-3 text-center font-bold">
+                Corregir la respuesta de la casilla ({fila + 1},{columna + 1})
+            </p>
+            <div className="flex flex-wrap justify-center gap-2 mb-3">
+                {valores.map(opcion => (
+                    <button
+                        key={opcion}
+                        className={`px-3 py-2 border rounded font-medium ${valor === opcion ? tema.botonSeleccionado : tema.botonSecundario}`}
+                        onClick={() => corregirRespuesta(opcion)}
+                        disabled={valor === opcion}
+                    >
+                        {opcion === 'vacío' ? 'Vacío' : opcion}
+                    </button>
+                ))}
+            </div>
+
+            {resultado && resultado.motivo && (
+                <p className="text-sm text-center text-red-600">{resultado.motivo}</p>
+            )}
+
+            {resultado && resultado.contradicciones && resultado.contradicciones.length > 0 && (
+                <div className="text-sm text-red-600" role="alert">
+                    <p className="font-semibold">
+                        {resultado.aceptada ? 'La corrección deja el tablero con contradicciones:' : 'Contradicciones que provocaría:'}
+                    </p>
+                    <ul className="list-disc ml-5">
+                        {resultado.contradicciones.map((contradiccion, idx) => (
+                            <li key={idx}>{describirContradiccion(contradiccion)}</li>
+                        ))}
+                    </ul>
+                </div>
+            )}
+
+            <div className="mt-3 text-center">
+                <button
+                    className={`px-4 py-2 border rounded ${tema.botonSecundario}`}
+                    onClick={cerrarCorreccion}
+                >
+                    Cerrar
+                </button>
+            </div>
+        </div>
+    );
+};
+
+export default PanelCorreccion;
@@ -1,6 +1,7 @@
 import React from 'react';
+import { MODOS_JUEGO } from '../constants/gameConfig';
 
-const PanelLateralDerecho = ({ tema, mensajeSistema, juegoIniciado }) => {
+const PanelLateralDerecho = ({ tema, modoJuego, mensajeSistema, juegoIniciado }) => {
     return (
         <div className={`w-full md:w-1/4 p-4 ${tema.tarjeta} md:min-h-screen`}>
             <div className={`p-3 rounded border ${tema.panel} shadow-sm mb-6`}>
@@ -8,18 +9,32 @@ const PanelLateralDerecho = ({ tema, mensajeSistema, juegoIniciado }) => {
                 <div className="font-medium" dangerouslySetInnerHTML={{ __html: mensajeSistema }}></div>
             </div>
 
-            <div className={`p-4 border rounded ${tema.panel} mt-6`}>
-                <h2 className="text-lg font-semibold mb-2">Instrucciones:</h2>
-                <ol className="list-decimal pl-5">
-                    <li>El sistema (IA) selecciona una casilla del tablero para descubrir.</li>
-                    <li>Tú debes indicar qué hay en esa casilla: vacío/0, un número (1-8) o una mina.</li>
-                    <li>Los números indican cuántas minas hay alrededor de esa casilla.</li>
-                    <li>El sistema utilizará esta información para decidir su siguiente movimiento.</li>
-                    <li>El sistema colocará banderas 🚩 donde cree que hay minas.</li>
-                    <li>El juego termina cuando el sistema encuentra una mina o descubre todas las casillas sin minas.</li>
-                    <li>Crea un mapa mental o en papel para recordar dónde colocaste las minas.</li>
-                </ol>
-            </div>
+            {modoJuego === MODOS_JUEGO.CLASICO ? (
+                <div className={`p-4 border rounded ${tema.panel} mt-6`}>
+                    <h2 className="text-lg font-semibold mb-2">Instrucciones:</h2>
+                    <ol className="list-decimal pl-5">
+                        <li>Haz clic en una casilla para descubrirla. La primera nunca es mina.</li>
+                        <li>Haz clic derecho (o activa el modo bandera) para marcar una mina con 🚩.</li>
+                        <li>Pulsa "Pedir pista" y el sistema te dirá qué casilla es segura, qué minas puede deducir (🚩 transparente) o, si no hay certezas, la conjetura con menos riesgo.</li>
+                        <li>Los números recuadrados son los que justifican la deducción de la pista.</li>
+                        <li>Ganas al descubrir todas las casillas sin mina.</li>
+                    </ol>
+                </div>
+            ) : (
+                <div className={`p-4 border rounded ${tema.panel} mt-6`}>
+                    <h2 className="text-lg font-semibold mb-2">Instrucciones:</h2>
+                    <ol className="list-decimal pl-5">
+                        <li>El sistema (IA) selecciona una casilla del tablero para descubrir.</li>
+                        <li>Tú debes indicar qué hay en esa casilla: vacío/0, un número (1-8) o una mina.</li>
+                        <li>Los números indican cuántas minas hay alrededor de esa casilla.</li>
+                        <li>El sistema utilizará esta información para decidir su siguiente movimiento.</li>
+                        <li>El sistema colocará banderas 🚩 donde cree que hay minas.</li>
+                        <li>El juego termina cuando el sistema encuentra una mina o descubre todas las casillas sin minas.</li>
+                        <li>Crea un mapa mental o en papel para recordar dónde colocaste las minas.</li>
+                        <li>Si te equivocas, "↶ Deshacer" vuelve a una pregunta anterior; al hacer clic en una respuesta del historial (o en su casilla) puedes corregir su valor sin perder las posteriores.</li>
+                    </ol>
+                </div>
+            )}
 
             <div className={`p-4 border rounded ${tema.panel} mt-6`}>
                 <h2 className="text-lg font-semibold mb-2">Reglas del buscaminas:</h2>
@@ -1,25 +1,61 @@
 import React from 'react';
 import HistorialMovimientos from './HistorialMovimientos';
 import SelectorTamaño from './SelectorTamaño';
+import SelectorTopologia from './SelectorTopologia';
+import SelectorForma from './SelectorForma';
+import SelectorTotalMinas from './SelectorTotalMinas';
+import SelectorSemilla from './SelectorSemilla';
+import SelectorOraculo from './SelectorOraculo';
+import SelectorValidacion from './SelectorValidacion';
+import SelectorModoJuego from './SelectorModoJuego';
 import BotonAccion from './BotonAccion';
+import PanelRepeticion from './PanelRepeticion';
 import PanelEstadisticas from './PanelEstadisticas';
+import { MODOS_JUEGO } from '../constants/gameConfig';
 
 const PanelLateralIzquierdo = ({
     tema,
     temaColor,
     cambiarTemaColor,
+    modoJuego,
+    setModoJuego,
+    densidadClasica,
+    setDensidadClasica,
     tamañosTablero,
     tamañoSeleccionado,
     setTamañoSeleccionado,
+    topologia,
+    setTopologia,
+    tamañoPartida,
+    forma,
+    setForma,
+    huecos,
+    editandoForma,
+    setEditandoForma,
+    totalMinas,
+    setTotalMinas,
+    semilla,
+    setSemilla,
+    semillaPartida,
+    modoOraculo,
+    setModoOraculo,
+    densidadesOraculo,
+    velocidadesOraculo,
+    modoValidacion,
+    cambiarModoValidacion,
     juegoIniciado,
     juegoTerminado,
     iniciarJuego,
     inicializarTablero,
+    obtenerRepeticion,
+    importarRepeticion,
     tiempoJuego,
     formatearTiempo,
     banderas,
     celdasDescubiertas,
     historialMovimientos,
+    deshacerRespuesta,
+    corregirMovimiento,
     estadisticas
 }) => {
     return (
@@ -45,9 +81,22 @@ const PanelLateralIzquierdo = ({
             </div>
 
             <p className="text-center mb-6 font-medium">
-                El sistema selecciona las casillas, y tú le dices qué hay en cada una
+                {modoJuego === MODOS_JUEGO.CLASICO
+                    ? 'Tú descubres las casillas y el sistema te da pistas cuando las pidas'
+                    : 'El sistema selecciona las casillas, y tú le dices qué hay en cada una'}
             </p>
 
+            {/* Modo de juego */}
+            <SelectorModoJuego
+                tema={tema}
+                modoJuego={modoJuego}
+                setModoJuego={setModoJuego}
+                densidadClasica={densidadClasica}
+                setDensidadClasica={setDensidadClasica}
+                densidades={densidadesOraculo}
+                juegoIniciado={juegoIniciado}
+            />
+
             {/* Selector de tamaño */}
             <SelectorTamaño 
                 tema={tema}
@@ -57,6 +106,66 @@ const PanelLateralIzquierdo = ({
                 juegoIniciado={juegoIniciado}
             />
 
+            {/* Bordes normales o unidos (toroidal) */}
+            <SelectorTopologia
+                tema={tema}
+                topologia={topologia}
+                setTopologia={setTopologia}
+                juegoIniciado={juegoIniciado}
+            />
+
+            {/* Forma irregular: casillas bloqueadas que no forman parte del tablero */}
+            <SelectorForma
+                tema={tema}
+                tamañoSeleccionado={tamañoSeleccionado}
+                forma={forma}
+                setForma={setForma}
+                huecos={huecos}
+                editandoForma={editandoForma}
+                setEditandoForma={setEditandoForma}
+                juegoIniciado={juegoIniciado}
+            />
+
+            {/* Total de minas conocido (opcional) */}
+            <SelectorTotalMinas 
+                tema={tema}
+                totalMinas={totalMinas}
+                setTotalMinas={setTotalMinas}
+                tamañoSeleccionado={tamañoPartida}
+                juegoIniciado={juegoIniciado}
+            />
+
+            {/* Semilla para reproducir partidas */}
+            <SelectorSemilla 
+                tema={tema}
+                semilla={semilla}
+                setSemilla={setSemilla}
+                semillaPartida={semillaPartida}
+                juegoIniciado={juegoIniciado}
+            />
+
+            {/* Modo demostración con respuestas automáticas */}
+            {modoJuego !== MODOS_JUEGO.CLASICO && (
+                <SelectorOraculo 
+                    tema={tema}
+                    modoOraculo={modoOraculo}
+                    setModoOraculo={setModoOraculo}
+                    densidadesOraculo={densidadesOraculo}
+                    velocidadesOraculo={velocidadesOraculo}
+                    juegoIniciado={juegoIniciado}
+                />
+            )}
+
+            {/* Qué hacer con las respuestas que contradicen el tablero */}
+            {modoJuego !== MODOS_JUEGO.CLASICO && (
+                <SelectorValidacion
+                    tema={tema}
+                    modoValidacion={modoValidacion}
+                    cambiarModoValidacion={cambiarModoValidacion}
+                    juegoIniciado={juegoIniciado}
+                />
+            )}
+
             {/* Botón de acción principal */}
             <BotonAccion 
                 tema={tema}
@@ -65,6 +174,17 @@ const PanelLateralIzquierdo = ({
                 inicializarTablero={inicializarTablero}
             />
 
+            {/* Compartir partidas como archivos de repetición */}
+            {modoJuego !== MODOS_JUEGO.CLASICO && (
+                <PanelRepeticion
+                    tema={tema}
+                    puedeExportar={juegoIniciado}
+                    puedeImportar={!juegoIniciado || juegoTerminado}
+                    obtenerRepeticion={obtenerRepeticion}
+                    importarRepeticion={importarRepeticion}
+                />
+            )}
+
             {/* Panel de estadísticas */}
             <PanelEstadisticas 
                 tema={tema}
@@ -81,6 +201,8 @@ const PanelLateralIzquierdo = ({
                 <HistorialMovimientos 
                     tema={tema}
                     historialMovimientos={historialMovimientos}
+                    deshacerRespuesta={deshacerRespuesta}
+                    corregirMovimiento={corregirMovimiento}
                 />
             )}
         </div>
@@ -0,0 +1,71 @@
+import React from 'react';
+import { describirDemostracion } from '../utils/demostraciones';
+
+const coordenadas = (celda) => `(${celda.fila + 1},${celda.columna + 1})`;
+
+const PanelPista = ({
+    tema,
+    sugerencia,
+    calculandoPista,
+    pedirPista,
+    modoBandera,
+    setModoBandera,
+    pistasUsadas
+}) => {
+    // Texto principal de la pista según lo que haya encontrado el análisis
+    const describirPista = () => {
+        if (sugerencia.tipo === 'segura') {
+            return sugerencia.celda
+                ? `La casilla ${coordenadas(sugerencia.celda)} es 100% segura.`
+                : 'Cualquier casilla es segura.';
+        }
+        if (sugerencia.tipo === 'conjetura') {
+            const riesgo = sugerencia.probabilidad === null ? '' : ` (${Math.round(sugerencia.probabilidad * 100)}% de riesgo)`;
+            return `No hay ninguna casilla segura. La mejor conjetura es ${coordenadas(sugerencia.celda)}${riesgo}.`;
+        }
+        return sugerencia.explicacion;
+    };
+
+    return (
+        <div className={`mb-4 p-3 rounded-lg border ${tema.panel}`}>
+            <div className="flex flex-wrap gap-2 justify-center">
+                <button
+                    className={`px-4 py-2 rounded font-medium ${tema.botonPrimario}`}
+                    onClick={pedirPista}
+                    disabled={calculandoPista}
+                >
+                    💡 Pedir pista
+                </button>
+                <button
+                    className={`px-4 py-2 border rounded font-medium ${modoBandera ? tema.botonSeleccionado : tema.botonSecundario}`}
+                    onClick={() => setModoBandera(!modoBandera)}
+                    aria-pressed={modoBandera}
+                >
+                    🚩 Modo bandera
+                </button>
+            </div>
+
+            {sugerencia && (
+                <div className="mt-3 text-sm" role="status">
+                    <p className="font-semibold">{describirPista()}</p>
+                    {sugerencia.tipo !== 'ninguna' && sugerencia.tipo !== 'banderas' && sugerencia.explicacion && (
+                        <p className="mt-1">
+                            {sugerencia.demostracion ? describirDemostracion(sugerencia.demostracion) : sugerencia.explicacion}
+                        </p>
+                    )}
+                    {sugerencia.banderasForzadas.length > 0 && (
+                        <p className="mt-1">
+                            Minas seguras sin bandera: {sugerencia.banderasForzadas.map(coordenadas).join(', ')}
+                        </p>
+                    )}
+                </div>
+            )}
+
+            {pistasUsadas > 0 && (
+                <div className="mt-2 text-xs text-center opacity-75">Pistas usadas: {pistasUsadas}</div>
+            )}
+        </div>
+    );
+};
+
+export default PanelPista;
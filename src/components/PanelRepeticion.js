@@ -0,0 +1,75 @@
+import React, { useState, useRef } from 'react';
+
+const PanelRepeticion = ({
+    tema,
+    puedeExportar,
+    puedeImportar,
+    obtenerRepeticion,
+    importarRepeticion
+}) => {
+    const [error, setError] = useState(null);
+    const entradaArchivo = useRef(null);
+
+    // Descargar la partida como archivo JSON
+    const exportar = () => {
+        const repeticion = obtenerRepeticion();
+        const archivo = new Blob([JSON.stringify(repeticion, null, 2)], { type: 'application/json' });
+        const url = URL.createObjectURL(archivo);
+        const enlace = document.createElement('a');
+        enlace.href = url;
+        enlace.download = `buscaminas-${repeticion.tablero.filas}x${repeticion.tablero.columnas}-${repeticion.semilla}.json`;
+        enlace.click();
+        URL.revokeObjectURL(url);
+    };
+
+    // Leer el archivo elegido; los errores de formato se muestran debajo de los botones
+    const importar = (e) => {
+        const archivo = e.target.files[0];
+        e.target.value = '';
+        if (!archivo) return;
+
+        const lector = new FileReader();
+        lector.onload = () => {
+            const resultado = importarRepeticion(String(lector.result));
+            setError(resultado.importada ? null : resultado.error);
+        };
+        lector.onerror = () => setError('No se ha podido leer el archivo');
+        lector.readAsText(archivo);
+    };
+
+    return (
+        <div className="mb-6">
+            <div className="flex gap-2">
+                <button
+                    className={`flex-1 px-3 py-2 border rounded ${tema.botonSecundario}`}
+                    onClick={exportar}
+                    disabled={!puedeExportar}
+                >
+                    📤 Exportar partida
+                </button>
+                <button
+                    className={`flex-1 px-3 py-2 border rounded ${tema.botonSecundario}`}
+                    onClick={() => entradaArchivo.current.click()}
+                    disabled={!puedeImportar}
+                >
+                    📥 Importar partida
+                </button>
+            </div>
+            <input
+                ref={entradaArchivo}
+                type="file"
+                accept="application/json,.json"
+                className="hidden"
+                onChange={importar}
+                aria-label="Archivo de partida"
+            />
+            {error && (
+                <p className="text-sm mt-2 text-red-600" role="alert">
+                    No se ha podido importar la partida: {error}
+                </p>
+            )}
+        </div>
+    );
+};
+
+export default PanelRepeticion;
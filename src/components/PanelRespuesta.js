@@ -1,10 +1,14 @@
 import React, { useEffect } from 'react';
+import { MODOS_VALIDACION } from '../constants/gameConfig';
 
 const PanelRespuesta = ({ 
     celdaActual, 
     tipoRespuesta, 
     responderContenidoCelda, 
-    tema 
+    tema,
+    respuestasPosibles = null,
+    modoValidacion = MODOS_VALIDACION.ADVERTIR,
+    maximoVecinas = 8
 }) => {
     // Añadir depuración para verificar cuando el componente se renderiza y con qué props
     useEffect(() => {
@@ -16,6 +20,51 @@ const PanelRespuesta = ({
         return null;
     }
 
+    // Las respuestas imposibles por posición se desactivan; las que contradicen el tablero se atenúan
+    // (se pueden forzar desde el aviso de inconsistencia) y la única respuesta posible se resalta.
+    // En modo "impedir" tampoco se pueden elegir las que contradicen el tablero y en "ignorar" no se señalan
+    const estiloRespuesta = (valor) => {
+        const seleccionada = tipoRespuesta === valor ? tema.botonSeleccionado : tema.botonSecundario;
+        const respuesta = respuestasPosibles?.find(r => r.valor === valor);
+
+        if (!respuesta) return { className: seleccionada };
+        if (modoValidacion === MODOS_VALIDACION.IGNORAR) {
+            return respuesta.critica
+                ? { className: `${seleccionada} opacity-40 cursor-not-allowed`, title: respuesta.motivo, disabled: true }
+                : { className: seleccionada };
+        }
+        if (respuesta.forzada) {
+            return {
+                className: `${seleccionada} ring-2 ring-green-500`,
+                title: 'Es la única respuesta compatible con el tablero'
+            };
+        }
+        if (!respuesta.posible) {
+            const bloqueada = respuesta.critica || modoValidacion === MODOS_VALIDACION.IMPEDIR;
+            return {
+                className: `${seleccionada} opacity-40 ${bloqueada ? 'cursor-not-allowed' : ''}`,
+                title: respuesta.motivo,
+                disabled: bloqueada
+            };
+        }
+        return { className: seleccionada };
+    };
+
+    const botonRespuesta = (valor, contenido, clasesExtra = '') => {
+        const { className, title, disabled } = estiloRespuesta(valor);
+        return (
+            <button
+                key={valor}
+                className={`px-3 py-2 border rounded font-medium ${clasesExtra} ${className}`}
+                onClick={() => responderContenidoCelda(valor)}
+                title={title}
+                disabled={disabled}
+            >
+                {contenido}
+            </button>
+        );
+    };
+
     // Forzar renderizado en una capa superior con alto z-index para asegurar visibilidad
     return (
         <div className="mb-6 p-4 bg-yellow-100 border border-yellow-300 rounded shadow-inner animate-pulse z-50 relative">
@@ -23,33 +72,13 @@ const PanelRespuesta = ({
                 ¿Qué hay en la casilla ({celdaActual.fila + 1},{celdaActual.columna + 1})?
             </p>
             <div className="flex flex-wrap justify-center gap-2 mb-4">
-                <button
-                    className={`px-3 py-2 border rounded font-medium ${tipoRespuesta === 'vacío' ? tema.botonSeleccionado : tema.botonSecundario}`}
-                    onClick={() => responderContenidoCelda('vacío')}
-                >
-                    Vacío
-                </button>
-                <button
-                    className={`px-3 py-2 border rounded font-medium ${tipoRespuesta === '0' ? tema.botonSeleccionado : tema.botonSecundario}`}
-                    onClick={() => responderContenidoCelda('0')}
-                >
-                    0
-                </button>
-                <button
-                    className={`px-3 py-2 border rounded font-medium ${tipoRespuesta === 'mina' ? tema.botonSeleccionado : tema.botonSecundario}`}
-                    onClick={() => responderContenidoCelda('mina')}
-                >
-                    Mina 💣
-                </button>
-                {[1, 2, 3, 4, 5, 6, 7, 8].map(num => (
-                    <button
-                        key={num}
-                        className={`px-3 py-2 border rounded font-medium w-10 h-10 flex items-center justify-center ${tipoRespuesta === num.toString() ? tema.botonSeleccionado : tema.botonSecundario}`}
-                        onClick={() => responderContenidoCelda(num.toString())}
-                    >
-                        {num}
-                    </button>
-                ))}
+                {botonRespuesta('vacío', 'Vacío')}
+                {botonRespuesta('0', '0')}
+                {botonRespuesta('mina', 'Mina 💣')}
+                {/* Un número nunca supera las vecinas de una casilla (6 en un tablero hexagonal) */}
+                {Array.from({ length: maximoVecinas }, (_, i) => i + 1).map(num =>
+                    botonRespuesta(num.toString(), num, 'w-10 h-10 flex items-center justify-center')
+                )}
             </div>
             <p className="text-sm text-center text-gray-600">
                 Selecciona "Vacío" o "0" para celdas sin minas adyacentes.
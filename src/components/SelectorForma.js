@@ -0,0 +1,144 @@
+import React, { useState } from 'react';
+import {
+    FORMAS_PREDEFINIDAS,
+    validarForma,
+    cargarFormasGuardadas,
+    guardarForma,
+    eliminarForma
+} from '../utils/formasTablero';
+
+// Prefijos de los valores del selector y valor de una forma dibujada sin guardar
+const PREFIJO_PREDEFINIDA = 'predefinida:';
+const PREFIJO_GUARDADA = 'guardada:';
+const OPCION_DIBUJADA = 'dibujada';
+
+const SelectorForma = ({
+    tema,
+    tamañoSeleccionado,
+    forma,
+    setForma,
+    huecos,
+    editandoForma,
+    setEditandoForma,
+    juegoIniciado
+}) => {
+    const [formasGuardadas, setFormasGuardadas] = useState(cargarFormasGuardadas);
+    const [nombreNuevo, setNombreNuevo] = useState('');
+    const [error, setError] = useState(null);
+
+    const { filas, columnas } = tamañoSeleccionado;
+    // Solo se ofrecen las formas guardadas que se diseñaron para este tamaño
+    const formasDelTamaño = formasGuardadas.filter(f => f.filas === filas && f.columnas === columnas);
+
+    const valorActual = () => {
+        if (!forma || !huecos) return '';
+        if (forma.predefinida) return `${PREFIJO_PREDEFINIDA}${forma.predefinida}`;
+        if (forma.nombre && formasDelTamaño.some(f => f.nombre === forma.nombre)) return `${PREFIJO_GUARDADA}${forma.nombre}`;
+        return OPCION_DIBUJADA;
+    };
+    const valor = valorActual();
+
+    const elegirForma = (valorElegido) => {
+        setError(null);
+        if (valorElegido.startsWith(PREFIJO_PREDEFINIDA)) {
+            setForma({ predefinida: valorElegido.slice(PREFIJO_PREDEFINIDA.length) });
+        } else if (valorElegido.startsWith(PREFIJO_GUARDADA)) {
+            setForma(formasDelTamaño.find(f => f.nombre === valorElegido.slice(PREFIJO_GUARDADA.length)) || null);
+        } else if (valorElegido === '') {
+            setForma(null);
+        }
+    };
+
+    const guardarFormaActual = () => {
+        const validacion = validarForma(nombreNuevo, tamañoSeleccionado, huecos || []);
+        if (!validacion.valido) {
+            setError(validacion.error);
+            return;
+        }
+        setFormasGuardadas(guardarForma(validacion.forma));
+        setForma(validacion.forma);
+        setNombreNuevo('');
+        setError(null);
+    };
+
+    return (
+        <div className="mb-4">
+            <label className="block font-medium mb-2">Forma del tablero:</label>
+            <select
+                className={`w-full p-2 border rounded ${tema.selector}`}
+                value={valor}
+                onChange={(e) => elegirForma(e.target.value)}
+                disabled={juegoIniciado}
+            >
+                <option value="">Rectangular (sin huecos)</option>
+                {FORMAS_PREDEFINIDAS.map(f => (
+                    <option key={f.id} value={`${PREFIJO_PREDEFINIDA}${f.id}`}>{f.nombre}</option>
+                ))}
+                {formasDelTamaño.length > 0 && (
+                    <optgroup label="Mis formas">
+                        {formasDelTamaño.map(f => (
+                            <option key={f.nombre} value={`${PREFIJO_GUARDADA}${f.nombre}`}>{f.nombre}</option>
+                        ))}
+                    </optgroup>
+                )}
+                {valor === OPCION_DIBUJADA && <option value={OPCION_DIBUJADA}>Dibujada (sin guardar)</option>}
+            </select>
+
+            <div className="flex gap-2 mt-2">
+                <button
+                    className={`px-3 py-1 border rounded text-sm ${editandoForma ? tema.botonSeleccionado : tema.botonSecundario}`}
+                    onClick={() => setEditandoForma(!editandoForma)}
+                    aria-pressed={editandoForma}
+                    disabled={juegoIniciado}
+                >
+                    ✏️ Dibujar huecos
+                </button>
+                {valor.startsWith(PREFIJO_GUARDADA) && (
+                    <button
+                        className={`px-3 py-1 border rounded text-sm ${tema.botonSecundario}`}
+                        onClick={() => {
+                            setFormasGuardadas(eliminarForma(forma.nombre));
+                            setForma(null);
+                        }}
+                        disabled={juegoIniciado}
+                    >
+                        Eliminar forma
+                    </button>
+                )}
+            </div>
+
+            {editandoForma && !juegoIniciado && (
+                <div className="text-sm mt-1 opacity-75">
+                    Haz clic en las casillas del tablero para quitarlas o recuperarlas.
+                </div>
+            )}
+
+            {huecos && (
+                <div className="text-sm mt-1 opacity-75">
+                    {filas * columnas - huecos.length} de {filas * columnas} casillas activas.
+                </div>
+            )}
+
+            {huecos && !juegoIniciado && (
+                <div className="flex gap-2 mt-2">
+                    <input
+                        type="text"
+                        className={`flex-1 min-w-0 p-1 border rounded text-sm ${tema.selector}`}
+                        placeholder="Nombre de la forma"
+                        value={nombreNuevo}
+                        onChange={(e) => setNombreNuevo(e.target.value)}
+                    />
+                    <button
+                        className={`px-3 py-1 border rounded text-sm ${tema.botonSecundario}`}
+                        onClick={guardarFormaActual}
+                    >
+                        Guardar forma
+                    </button>
+                </div>
+            )}
+            {error && <p className="text-sm mt-1 text-red-600" role="alert">{error}</p>}
+        </div>
+    );
+};
+
+export default SelectorForma;
@@ -0,0 +1,48 @@
+import React from 'react';
+import { MODOS_JUEGO } from '../constants/gameConfig';
+
+const SelectorModoJuego = ({
+    tema,
+    modoJuego,
+    setModoJuego,
+    densidadClasica,
+    setDensidadClasica,
+    densidades,
+    juegoIniciado
+}) => {
+    return (
+        <div className={`mb-4 p-3 border rounded ${tema.panel}`}>
+            <label className="block font-medium mb-2">Modo de juego:</label>
+            <select
+                className={`w-full p-2 border rounded ${tema.selector}`}
+                value={modoJuego}
+                onChange={(e) => setModoJuego(e.target.value)}
+                disabled={juegoIniciado}
+            >
+                <option value={MODOS_JUEGO.INVERSO}>Inverso (el sistema juega)</option>
+                <option value={MODOS_JUEGO.CLASICO}>Clásico con pistas (juegas tú)</option>
+            </select>
+
+            {modoJuego === MODOS_JUEGO.CLASICO && (
+                <div className="mt-3">
+                    <label className="block text-sm mb-1">Densidad de minas:</label>
+                    <select
+                        className={`w-full p-2 border rounded ${tema.selector}`}
+                        value={densidadClasica}
+                        onChange={(e) => setDensidadClasica(parseFloat(e.target.value))}
+                        disabled={juegoIniciado}
+                    >
+                        {densidades.map(opcion => (
+                            <option key={opcion.valor} value={opcion.valor}>{opcion.nombre}</option>
+                        ))}
+                    </select>
+                    <div className="text-sm mt-1 opacity-75">
+                        Se genera un tablero oculto. Clic para descubrir, clic derecho para poner o quitar una bandera. Si indicas el total de minas se usa ese número en lugar de la densidad.
+                    </div>
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default SelectorModoJuego;
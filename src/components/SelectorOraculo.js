@@ -0,0 +1,62 @@
+import React from 'react';
+
+const SelectorOraculo = ({
+    tema,
+    modoOraculo,
+    setModoOraculo,
+    densidadesOraculo,
+    velocidadesOraculo,
+    juegoIniciado
+}) => {
+    const { activo, densidad, velocidad } = modoOraculo;
+
+    return (
+        <div className={`mb-4 p-3 border rounded ${tema.panel}`}>
+            <label className="flex items-center font-medium">
+                <input
+                    type="checkbox"
+                    className="mr-2"
+                    checked={activo}
+                    onChange={(e) => setModoOraculo(prev => ({ ...prev, activo: e.target.checked }))}
+                    disabled={juegoIniciado}
+                />
+                Modo demostración (respuestas automáticas)
+            </label>
+
+            {activo && (
+                <div className="mt-3 space-y-2">
+                    <div>
+                        <label className="block text-sm mb-1">Densidad de minas:</label>
+                        <select
+                            className={`w-full p-2 border rounded ${tema.selector}`}
+                            value={densidad}
+                            onChange={(e) => setModoOraculo(prev => ({ ...prev, densidad: parseFloat(e.target.value) }))}
+                            disabled={juegoIniciado}
+                        >
+                            {densidadesOraculo.map(opcion => (
+                                <option key={opcion.valor} value={opcion.valor}>{opcion.nombre}</option>
+                            ))}
+                        </select>
+                    </div>
+                    <div>
+                        <label className="block text-sm mb-1">Velocidad:</label>
+                        <select
+                            className={`w-full p-2 border rounded ${tema.selector}`}
+                            value={velocidad}
+                            onChange={(e) => setModoOraculo(prev => ({ ...prev, velocidad: parseInt(e.target.value, 10) }))}
+                        >
+                            {velocidadesOraculo.map(opcion => (
+                                <option key={opcion.valor} value={opcion.valor}>{opcion.nombre}</option>
+                            ))}
+                        </select>
+                    </div>
+                    <div className="text-sm opacity-75">
+                        Se genera un tablero oculto que responde solo a cada pregunta del sistema. Si indicas el total de minas se usa ese número en lugar de la densidad. Al terminar se revela el tablero.
+                    </div>
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default SelectorOraculo;
@@ -0,0 +1,44 @@
+import React from 'react';
+import { normalizarSemilla } from '../utils/aleatorio';
+
+const SelectorSemilla = ({
+    tema,
+    semilla,
+    setSemilla,
+    semillaPartida,
+    juegoIniciado
+}) => {
+    return (
+        <div className="mb-4">
+            <label className="block font-medium mb-2">Semilla (opcional):</label>
+            <input
+                type="number"
+                className={`w-full p-2 border rounded ${tema.selector}`}
+                min={0}
+                placeholder="Aleatoria"
+                value={semilla ?? ''}
+                onChange={(e) => setSemilla(normalizarSemilla(e.target.value))}
+                disabled={juegoIniciado}
+            />
+            {juegoIniciado ? (
+                <div className="text-sm mt-1 flex justify-between items-center">
+                    <span>
+                        Semilla de esta partida: <span className="font-mono font-bold">{semillaPartida}</span>
+                    </span>
+                    <button
+                        className="underline opacity-75 hover:opacity-100"
+                        onClick={() => setSemilla(semillaPartida)}
+                    >
+                        Repetir
+                    </button>
+                </div>
+            ) : (
+                <div className="text-sm mt-1 opacity-75">
+                    Con la misma semilla, las mismas respuestas y la misma memoria aprendida, el sistema repite la partida jugada a jugada.
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default SelectorSemilla;
@@ -1,4 +1,13 @@
-import React from 'react';
+import React, { useState } from 'react';
+import ModalTamañoPersonalizado from './ModalTamañoPersonalizado';
+import {
+    cargarTamañosPersonalizados,
+    guardarTamañoPersonalizado,
+    eliminarTamañoPersonalizado
+} from '../utils/tamañosPersonalizados';
+
+// Valor de la opción que abre el diálogo de tamaño personalizado
+const OPCION_PERSONALIZADO = 'personalizado';
 
 const SelectorTamaño = ({ 
     tema, 
@@ -7,6 +16,20 @@ const SelectorTamaño = ({
     setTamañoSeleccionado, 
     juegoIniciado 
 }) => {
+    const [tamañosPersonalizados, setTamañosPersonalizados] = useState(cargarTamañosPersonalizados);
+    const [mostrarDialogo, setMostrarDialogo] = useState(false);
+
+    // Un tamaño personalizado que se acaba de borrar sigue en la lista mientras esté seleccionado
+    const personalizados = tamañosPersonalizados.some(t => t.nombre === tamañoSeleccionado.nombre) ||
+        tamañosTablero.some(t => t.nombre === tamañoSeleccionado.nombre)
+        ? tamañosPersonalizados
+        : [...tamañosPersonalizados, tamañoSeleccionado];
+
+    const elegirTamaño = (tamaño) => {
+        setTamañoSeleccionado(tamaño);
+        setMostrarDialogo(false);
+    };
+
     return (
         <div className="mb-4">
             <label className="block font-medium mb-2">Tamaño del tablero:</label>
@@ -14,7 +37,11 @@ const SelectorTamaño = ({
                 className={`w-full p-2 border rounded ${tema.selector}`}
                 value={tamañoSeleccionado.nombre}
                 onChange={(e) => {
-                    const nuevoTamaño = tamañosTablero.find(t => t.nombre === e.target.value);
+                    if (e.target.value === OPCION_PERSONALIZADO) {
+                        setMostrarDialogo(true);
+                        return;
+                    }
+                    const nuevoTamaño = [...tamañosTablero, ...personalizados].find(t => t.nombre === e.target.value);
                     setTamañoSeleccionado(nuevoTamaño);
                 }}
                 disabled={juegoIniciado}
@@ -24,9 +51,36 @@ const SelectorTamaño = ({
                         {tamaño.nombre}
                     </option>
                 ))}
+                {personalizados.length > 0 && (
+                    <optgroup label="Mis tamaños">
+                        {personalizados.map((tamaño) => (
+                            <option key={tamaño.nombre} value={tamaño.nombre}>
+                                {tamaño.nombre}
+                            </option>
+                        ))}
+                    </optgroup>
+                )}
+                <option value={OPCION_PERSONALIZADO}>Personalizado…</option>
             </select>
+            <div className="text-sm mt-1 opacity-75">Filas × columnas</div>
+
+            {mostrarDialogo && (
+                <ModalTamañoPersonalizado
+                    tema={tema}
+                    tamañosPersonalizados={tamañosPersonalizados}
+                    crearTamaño={(tamaño) => {
+                        // Si coincide con un tamaño predefinido se usa ese en lugar de guardarlo
+                        const predefinido = tamañosTablero.find(t => t.nombre === tamaño.nombre);
+                        if (!predefinido) setTamañosPersonalizados(guardarTamañoPersonalizado(tamaño));
+                        elegirTamaño(predefinido || tamaño);
+                    }}
+                    elegirTamaño={elegirTamaño}
+                    eliminarTamaño={(nombre) => setTamañosPersonalizados(eliminarTamañoPersonalizado(nombre))}
+                    cerrar={() => setMostrarDialogo(false)}
+                />
+            )}
         </div>
     );
 };
 
-export default SelectorTamaño;
\ No newline at end of file
+export default SelectorTamaño;
@@ -0,0 +1,39 @@
+import React from 'react';
+import { TOPOLOGIAS } from '../constants/gameConfig';
+
+const SelectorTopologia = ({
+    tema,
+    topologia,
+    setTopologia,
+    juegoIniciado
+}) => {
+    return (
+        <div className="mb-4">
+            <label className="block font-medium mb-2">Tipo de tablero:</label>
+            <select
+                className={`w-full p-2 border rounded ${tema.selector}`}
+                value={topologia}
+                onChange={(e) => setTopologia(e.target.value)}
+                disabled={juegoIniciado}
+            >
+                <option value={TOPOLOGIAS.PLANA}>Normal</option>
+                <option value={TOPOLOGIAS.TOROIDAL}>Toroidal (los bordes opuestos se tocan)</option>
+                <option value={TOPOLOGIAS.HEXAGONAL}>Hexagonal (6 vecinas por casilla)</option>
+            </select>
+            {topologia === TOPOLOGIAS.TOROIDAL && (
+                <div className="text-sm mt-1 opacity-75">
+                    El borde izquierdo toca el derecho y el superior el inferior: todas las casillas tienen 8 vecinas.
+                    Alrededor del tablero se ven atenuadas las casillas del lado opuesto.
+                </div>
+            )}
+            {topologia === TOPOLOGIAS.HEXAGONAL && (
+                <div className="text-sm mt-1 opacity-75">
+                    Las filas pares se desplazan media casilla: cada casilla toca dos de su fila y dos de cada fila contigua,
+                    así que las respuestas van de 0 a 6.
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default SelectorTopologia;
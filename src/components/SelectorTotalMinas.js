@@ -0,0 +1,37 @@
+import React from 'react';
+import { contarCeldasActivas } from '../utils/topologia';
+
+const SelectorTotalMinas = ({
+    tema,
+    totalMinas,
+    setTotalMinas,
+    tamañoSeleccionado,
+    juegoIniciado
+}) => {
+    // Debe quedar al menos una celda sin mina (los huecos de un tablero irregular no cuentan)
+    const maximoMinas = contarCeldasActivas(tamañoSeleccionado) - 1;
+
+    return (
+        <div className="mb-4">
+            <label className="block font-medium mb-2">Total de minas (opcional):</label>
+            <input
+                type="number"
+                className={`w-full p-2 border rounded ${tema.selector}`}
+                min={1}
+                max={maximoMinas}
+                placeholder="Desconocido"
+                value={totalMinas ?? ''}
+                onChange={(e) => {
+                    const valor = parseInt(e.target.value, 10);
+                    setTotalMinas(isNaN(valor) ? null : Math.min(maximoMinas, Math.max(1, valor)));
+                }}
+                disabled={juegoIniciado}
+            />
+            <div className="text-sm mt-1 opacity-75">
+                Si lo indicas, el sistema lo usa para calcular probabilidades y gana al marcar todas las minas.
+            </div>
+        </div>
+    );
+};
+
+export default SelectorTotalMinas;
@@ -1,5 +1,11 @@
-import React from 'react';
+import React, { useState } from 'react';
 import CeldaTablero from './CeldaTablero';
+import { celdasJustificantes, describirDemostracion } from '../utils/demostraciones';
+import { COLOR_JUSTIFICANTE } from '../constants/gameConfig';
+import { esToroidal, esHexagonal, estaBloqueada } from '../utils/topologia';
+
+// Silueta de una casilla hexagonal con un vértice arriba
+const SILUETA_HEXAGONO = 'polygon(50% 0, 100% 25%, 100% 75%, 50% 100%, 0 75%, 0 25%)';
 
 const TableroJuego = ({ 
     tablero, 
@@ -11,8 +17,36 @@ const TableroJuego = ({
     tema,
     estaRecienActualizada,
     historialMovimientos,
-    onCeldaClick
+    onCeldaClick,
+    onCeldaClicDerecho,
+    minasOcultas = null,
+    demostracionActual = null,
+    banderasSugeridas = [],
+    mapaProbabilidades = null,
+    editandoForma = false
 }) => {
+    // Bandera bajo el ratón: se resaltan los números que la justifican
+    const [banderaEnfocada, setBanderaEnfocada] = useState(null);
+    // Capa con la probabilidad de mina que estima el sistema para cada celda sin descubrir
+    const [mostrarProbabilidades, setMostrarProbabilidades] = useState(false);
+    const probabilidadDe = (fila, columna) =>
+        mostrarProbabilidades && mapaProbabilidades ? mapaProbabilidades[`${fila},${columna}`] ?? null : null;
+
+    const demostracionEnfocada = banderaEnfocada
+        ? banderas.find(b => b.fila === banderaEnfocada.fila && b.columna === banderaEnfocada.columna)?.demostracion
+        : demostracionActual;
+    const justificantes = celdasJustificantes(demostracionEnfocada);
+
+    const esJustificante = (fila, columna) => justificantes.some(c => c.fila === fila && c.columna === columna);
+    const esBanderaSugerida = (fila, columna) => banderasSugeridas.some(c => c.fila === fila && c.columna === columna);
+
+    // Explicación de la deducción de una bandera (para el título de la celda)
+    const explicarBandera = (fila, columna) => {
+        const bandera = banderas.find(b => b.fila === fila && b.columna === columna);
+        return bandera?.demostracion ? describirDemostracion(bandera.demostracion) : undefined;
+    };
+
+
     // Función para verificar si una celda tiene un valor inconsistente
     const esInconsistente = (fila, columna) => {
         return historialMovimientos.some(mov => 
@@ -22,19 +56,75 @@ const TableroJuego = ({
         );
     };
 
-    // Generar números para filas y columnas
-    const numerosColumnas = Array.from({ length: tamañoSeleccionado.columnas }, (_, i) => i + 1);
+    // Filas y columnas que se dibujan; en un tablero toroidal se añade alrededor un borde
+    // "fantasma" con las casillas del lado opuesto para que se vean las vecindades que dan la vuelta
+    const toroidal = esToroidal(tamañoSeleccionado);
+    const indicesVisibles = (total) => [
+        ...(toroidal ? [{ indice: total - 1, fantasma: true }] : []),
+        ...Array.from({ length: total }, (_, indice) => ({ indice, fantasma: false })),
+        ...(toroidal ? [{ indice: 0, fantasma: true }] : [])
+    ];
+    const filasVisibles = indicesVisibles(tamañoSeleccionado.filas);
+    const columnasVisibles = indicesVisibles(tamañoSeleccionado.columnas);
 
-    // Calcular un tamaño base adaptativo según el tamaño del tablero
+    // Calcular un tamaño base adaptativo según la dimensión mayor del tablero (puede ser rectangular)
+    const dimensionMayor = Math.max(tamañoSeleccionado.filas, tamañoSeleccionado.columnas);
     const calcularTamañoCelda = () => {
-        if (tamañoSeleccionado.filas <= 8) return 38;  
-        if (tamañoSeleccionado.filas <= 10) return 34;
-        if (tamañoSeleccionado.filas <= 15) return 28;
-        return 22; // Para tableros muy grandes
+        if (dimensionMayor <= 8) return 38;  
+        if (dimensionMayor <= 10) return 34;
+        if (dimensionMayor <= 15) return 28;
+        if (dimensionMayor <= 30) return 22;
+        return 18; // Para tableros muy grandes
     };
 
     const tamañoCelda = calcularTamañoCelda();
 
+    // En un tablero hexagonal el alto de la casilla es su ancho por 2/√3, cada fila se monta
+    // un cuarto de ese alto sobre la anterior y las filas impares se desplazan media casilla
+    const hexagonal = esHexagonal(tamañoSeleccionado);
+    const separacionHexagonos = 2;
+    const altoHexagono = tamañoCelda * 2 / Math.sqrt(3);
+
+    // Los huecos de un tablero irregular se dibujan vacíos; mientras se dibuja la forma se pueden recuperar con un clic
+    const renderizarHueco = (i, j) => (
+        <div
+            onClick={editandoForma && onCeldaClick ? () => onCeldaClick(i, j) : undefined}
+            title={editandoForma ? 'Hueco: haz clic para recuperar la casilla' : undefined}
+            style={{
+                width: '100%',
+                height: '100%',
+                background: colores.fondoTablero,
+                border: editandoForma ? `1px dashed ${colores.bordeExt}` : 'none',
+                cursor: editandoForma ? 'pointer' : 'default'
+            }}
+        />
+    );
+
+    const renderizarCelda = (i, j, esFantasma = false) => estaBloqueada(i, j, tamañoSeleccionado) ? renderizarHueco(i, j) : (
+        <CeldaTablero 
+            fila={i}
+            columna={j}
+            tablero={tablero}
+            tamañoSeleccionado={tamañoSeleccionado}
+            celdaActual={celdaActual}
+            banderas={banderas}
+            celdasDescubiertas={celdasDescubiertas}
+            animacion={animacion}
+            tema={tema}
+            esInconsistente={esInconsistente(i, j)}
+            estaRecienActualizada={estaRecienActualizada}
+            onCeldaClick={onCeldaClick}
+            onCeldaClicDerecho={onCeldaClicDerecho}
+            minaOculta={minasOcultas ? minasOcultas[i][j] : null}
+            esJustificante={esJustificante(i, j)}
+            explicacionBandera={explicarBandera(i, j)}
+            onEnfocarBandera={setBanderaEnfocada}
+            banderaSugerida={esBanderaSugerida(i, j)}
+            probabilidadMina={probabilidadDe(i, j)}
+            esFantasma={esFantasma}
+        />
+    );
+
     // Colores para el tablero
     const colores = {
         fondoPrincipal: '#2d3748',
@@ -65,58 +155,88 @@ const TableroJuego = ({
                             background: colores.fondoTablero
                         }}
                     >
-                        <table 
-                            style={{
-                                borderCollapse: 'separate',
-                                borderSpacing: '1px',
-                                width: 'auto',
-                                background: colores.bordeNormal
-                            }}
-                        >
-                            <thead>
-                                <tr>
-                                    {/* Celda X/Y */}
-                                    <th 
-                                        style={{
-                                            width: `${tamañoCelda}px`,
-                                            height: `${tamañoCelda}px`,
-                                            padding: '0',
-                                            backgroundColor: colores.coordenadasFondo,
-                                            color: colores.coordenadasTexto,
-                                            borderTopLeftRadius: '6px',
-                                            fontWeight: 'bold',
-                                            textAlign: 'center',
-                                            fontSize: tamañoSeleccionado.filas > 15 ? '0.7rem' : '0.85rem'
-                                        }}
+                        {hexagonal ? (
+                            <div style={{ padding: '4px' }}>
+                                {/* Números de columna, alineados con las filas pares */}
+                                <div className="flex" style={{ gap: `${separacionHexagonos}px` }}>
+                                    <div
+                                        className="flex items-center justify-center text-xs font-bold opacity-80"
+                                        style={{ width: `${tamañoCelda}px`, flexShrink: 0, color: colores.coordenadasTexto }}
                                     >
-                                        <div className="transform -rotate-45 text-xs font-bold opacity-80">X/Y</div>
-                                    </th>
-                                    
-                                    {/* Números de columna */}
-                                    {numerosColumnas.map((num, idx) => (
-                                        <th 
-                                            key={`col-${num}`}
+                                        X/Y
+                                    </div>
+                                    {Array.from({ length: tamañoSeleccionado.columnas }, (_, j) => (
+                                        <div
+                                            key={`col-${j}`}
                                             style={{
                                                 width: `${tamañoCelda}px`,
-                                                height: `${tamañoCelda}px`,
-                                                padding: '0',
-                                                backgroundColor: colores.coordenadasFondo,
+                                                flexShrink: 0,
                                                 color: colores.coordenadasTexto,
                                                 fontWeight: 'bold',
                                                 textAlign: 'center',
-                                                borderTopRightRadius: idx === numerosColumnas.length - 1 ? '6px' : '0',
-                                                fontSize: tamañoSeleccionado.filas > 15 ? '0.7rem' : '0.85rem'
+                                                fontSize: dimensionMayor > 15 ? '0.7rem' : '0.85rem'
                                             }}
                                         >
-                                            {num}
-                                        </th>
+                                            {j + 1}
+                                        </div>
                                     ))}
-                                </tr>
-                            </thead>
-                            <tbody>
-                                {tablero.map((fila, i) => (
-                                    <tr key={`fila-${i}`}>
+                                </div>
+
+                                {Array.from({ length: tamañoSeleccionado.filas }, (_, i) => (
+                                    <div
+                                        key={`fila-${i}`}
+                                        className="flex items-center"
+                                        style={{ marginTop: i === 0 ? '0' : `${separacionHexagonos - altoHexagono / 4}px` }}
+                                    >
                                         {/* Número de fila */}
+                                        <div
+                                            style={{
+                                                width: `${tamañoCelda}px`,
+                                                flexShrink: 0,
+                                                color: colores.coordenadasTexto,
+                                                fontWeight: 'bold',
+                                                textAlign: 'center',
+                                                fontSize: dimensionMayor > 15 ? '0.7rem' : '0.85rem'
+                                            }}
+                                        >
+                                            {i + 1}
+                                        </div>
+                                        <div
+                                            className="flex"
+                                            style={{
+                                                gap: `${separacionHexagonos}px`,
+                                                marginLeft: `${separacionHexagonos + (i % 2 === 1 ? (tamañoCelda + separacionHexagonos) / 2 : 0)}px`
+                                            }}
+                                        >
+                                            {Array.from({ length: tamañoSeleccionado.columnas }, (_, j) => (
+                                                <div
+                                                    key={`celda-${i}-${j}`}
+                                                    style={{
+                                                        width: `${tamañoCelda}px`,
+                                                        height: `${altoHexagono}px`,
+                                                        flexShrink: 0,
+                                                        clipPath: SILUETA_HEXAGONO
+                                                    }}
+                                                >
+                                                    {renderizarCelda(i, j)}
+                                                </div>
+                                            ))}
+                                        </div>
+                                    </div>
+                                ))}
+                            </div>
+                        ) : (
+                            <table 
+                                style={{
+                                    borderCollapse: 'separate',
+                                    borderSpacing: '1px',
+                                    width: 'auto',
+                                    background: colores.bordeNormal
+                                }}
+                            >
+                                <thead>
+                                    <tr>
+                                        {/* Celda X/Y */}
                                         <th 
                                             style={{
                                                 width: `${tamañoCelda}px`,
@@ -124,46 +244,77 @@ const TableroJuego = ({
                                                 padding: '0',
                                                 backgroundColor: colores.coordenadasFondo,
                                                 color: colores.coordenadasTexto,
+                                                borderTopLeftRadius: '6px',
                                                 fontWeight: 'bold',
                                                 textAlign: 'center',
-                                                borderBottomLeftRadius: i === tablero.length - 1 ? '6px' : '0',
-                                                fontSize: tamañoSeleccionado.filas > 15 ? '0.7rem' : '0.85rem'
+                                                fontSize: dimensionMayor > 15 ? '0.7rem' : '0.85rem'
                                             }}
                                         >
-                                            {i + 1}
+                                            <div className="transform -rotate-45 text-xs font-bold opacity-80">X/Y</div>
                                         </th>
-                                        
-                                        {/* Celdas del tablero */}
-                                        {fila.map((_, j) => (
-                                            <td 
-                                                key={`celda-${i}-${j}`}
+                                    
+                                        {/* Números de columna */}
+                                        {columnasVisibles.map(({ indice, fantasma }, idx) => (
+                                            <th 
+                                                key={`col-${idx}`}
                                                 style={{
                                                     width: `${tamañoCelda}px`,
                                                     height: `${tamañoCelda}px`,
                                                     padding: '0',
-                                                    borderBottomRightRadius: (i === tablero.length - 1 && j === fila.length - 1) ? '6px' : '0'
+                                                    backgroundColor: colores.coordenadasFondo,
+                                                    color: colores.coordenadasTexto,
+                                                    fontWeight: 'bold',
+                                                    textAlign: 'center',
+                                                    borderTopRightRadius: idx === columnasVisibles.length - 1 ? '6px' : '0',
+                                                    fontSize: dimensionMayor > 15 ? '0.7rem' : '0.85rem',
+                                                    opacity: fantasma ? 0.5 : 1
                                                 }}
                                             >
-                                                <CeldaTablero 
-                                                    fila={i}
-                                                    columna={j}
-                                                    tablero={tablero}
-                                                    tamañoSeleccionado={tamañoSeleccionado}
-                                                    celdaActual={celdaActual}
-                                                    banderas={banderas}
-                                                    celdasDescubiertas={celdasDescubiertas}
-                                                    animacion={animacion}
-                                                    tema={tema}
-                                                    esInconsistente={esInconsistente(i, j)}
-                                                    estaRecienActualizada={estaRecienActualizada}
-                                                    onCeldaClick={onCeldaClick}
-                                                />
-                                            </td>
+                                                {indice + 1}
+                                            </th>
                                         ))}
                                     </tr>
-                                ))}
-                            </tbody>
-                        </table>
+                                </thead>
+                                <tbody>
+                                    {filasVisibles.map(({ indice: i, fantasma: filaFantasma }, posicionFila) => (
+                                        <tr key={`fila-${posicionFila}`}>
+                                            {/* Número de fila */}
+                                            <th 
+                                                style={{
+                                                    width: `${tamañoCelda}px`,
+                                                    height: `${tamañoCelda}px`,
+                                                    padding: '0',
+                                                    backgroundColor: colores.coordenadasFondo,
+                                                    color: colores.coordenadasTexto,
+                                                    fontWeight: 'bold',
+                                                    textAlign: 'center',
+                                                    borderBottomLeftRadius: posicionFila === filasVisibles.length - 1 ? '6px' : '0',
+                                                    fontSize: dimensionMayor > 15 ? '0.7rem' : '0.85rem',
+                                                    opacity: filaFantasma ? 0.5 : 1
+                                                }}
+                                            >
+                                                {i + 1}
+                                            </th>
+                                        
+                                            {/* Celdas del tablero */}
+                                            {columnasVisibles.map(({ indice: j, fantasma: columnaFantasma }, posicionColumna) => (
+                                                <td 
+                                                    key={`celda-${posicionFila}-${posicionColumna}`}
+                                                    style={{
+                                                        width: `${tamañoCelda}px`,
+                                                        height: `${tamañoCelda}px`,
+                                                        padding: '0',
+                                                        borderBottomRightRadius: (posicionFila === filasVisibles.length - 1 && posicionColumna === columnasVisibles.length - 1) ? '6px' : '0'
+                                                    }}
+                                                >
+                                                    {renderizarCelda(i, j, filaFantasma || columnaFantasma)}
+                                                </td>
+                                            ))}
+                                        </tr>
+                                    ))}
+                                </tbody>
+                            </table>
+                        )}
                     </div>
 
                     {/* Leyenda del tablero */}
@@ -183,7 +334,46 @@ const TableroJuego = ({
                             }}></div>
                             <span>Celdas</span>
                         </div>
+                        <div className="flex items-center">
+                            <div className="w-3 h-3 rounded-sm mr-2" style={{ 
+                                border: `2px solid ${COLOR_JUSTIFICANTE}`
+                            }}></div>
+                            <span>Justifican la deducción</span>
+                        </div>
                     </div>
+
+                    {/* Mapa de probabilidades del sistema */}
+                    {mapaProbabilidades && (
+                        <div className="mt-3 text-sm flex flex-wrap justify-center items-center gap-4" style={{
+                            color: colores.textoLeyenda
+                        }}>
+                            <button
+                                className={`px-3 py-1 border rounded ${mostrarProbabilidades ? tema.botonSeleccionado : tema.botonSecundario}`}
+                                onClick={() => setMostrarProbabilidades(!mostrarProbabilidades)}
+                                aria-pressed={mostrarProbabilidades}
+                            >
+                                🌡️ Mapa de probabilidades
+                            </button>
+                            {mostrarProbabilidades && (
+                                <>
+                                    <div className="flex items-center">
+                                        <div className="w-16 h-3 rounded-sm mr-2" style={{
+                                            background: 'linear-gradient(90deg, hsl(120, 75%, 72%), hsl(60, 75%, 72%), hsl(0, 75%, 72%))'
+                                        }}></div>
+                                        <span>0% → 100%</span>
+                                    </div>
+                                    <div className="flex items-center">
+                                        <span className="mr-1" style={{ color: '#4ade80' }}>✓</span>
+                                        <span>Segura</span>
+                                    </div>
+                                    <div className="flex items-center">
+                                        <span className="mr-1" style={{ color: '#f87171' }}>✕</span>
+                                        <span>Mina segura</span>
+                                    </div>
+                                </>
+                            )}
+                        </div>
+                    )}
                 </div>
             </div>
         </div>
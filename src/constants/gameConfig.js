@@ -10,6 +10,20 @@ export const TAMAÑOS_TABLERO = [
     { nombre: "20x20", filas: 20, columnas: 20 },  // Nuevo tamaño (muy grande)
 ];
 
+// Límites de filas y columnas para los tamaños personalizados
+export const LIMITES_TAMAÑO_PERSONALIZADO = { minimo: 5, maximo: 50 };
+
+// Casillas activas que debe conservar como mínimo un tablero con huecos
+export const MINIMO_CELDAS_FORMA = 9;
+
+// Topologías del tablero: con bordes (plana), con los bordes opuestos unidos (toroidal)
+// o de casillas hexagonales
+export const TOPOLOGIAS = {
+    PLANA: 'plana',
+    TOROIDAL: 'toroidal',
+    HEXAGONAL: 'hexagonal'
+};
+
 // Tipos de animación
 export const TIPOS_ANIMACION = {
     SELECCIONAR: 'seleccionar',
@@ -31,7 +45,10 @@ export const TIPOS_MODAL = {
 export const DURACION_ANIMACION = 1500;
 export const DURACION_MODAL = 3000;
 
-// Intervalo de análisis periódico (en ms)
+// Recuadro de los números que justifican una deducción en el tablero
+export const COLOR_JUSTIFICANTE = '#f59e0b';
+
+// Espera antes de volver a analizar cuando un análisis no encontró jugada (en ms)
 export const INTERVALO_ANALISIS = 3000;
 
 // Modos de validación
@@ -39,4 +56,64 @@ export const MODOS_VALIDACION = {
     ADVERTIR: 'advertir',
     IMPEDIR: 'impedir',
     IGNORAR: 'ignorar'
-};
\ No newline at end of file
+};
+
+// Eventos emitidos por el motor de juego
+export const EVENTOS_MOTOR = {
+    CAMBIO: 'cambio',
+    SELECCION: 'seleccion',
+    RESPUESTA: 'respuesta',
+    BANDERAS: 'banderas',
+    INCONSISTENCIA: 'inconsistencia',
+    MENSAJE: 'mensaje',
+    ANIMACION: 'animacion',
+    VICTORIA: 'victoria',
+    DERROTA: 'derrota',
+    ANALISIS_CANCELADO: 'analisisCancelado',
+    TRANSICION_RECHAZADA: 'transicionRechazada',
+    DESHACER: 'deshacer',
+    CORRECCION: 'correccion'
+};
+
+// Fases de la partida (máquina de estados del motor)
+export const FASES_JUEGO = {
+    INACTIVO: 'inactivo',
+    SELECCIONANDO: 'seleccionando',
+    ANALIZANDO: 'analizando',
+    ESPERANDO_RESPUESTA: 'esperandoRespuesta',
+    VICTORIA: 'victoria',
+    DERROTA: 'derrota'
+};
+
+// Acciones que provocan los cambios de fase
+export const ACCIONES_JUEGO = {
+    INICIAR: 'iniciar',
+    ANALIZAR: 'analizar',
+    SELECCIONAR: 'seleccionar',
+    DESCARTAR_ANALISIS: 'descartarAnalisis',
+    RESPONDER: 'responder',
+    GANAR: 'ganar',
+    PERDER: 'perder',
+    DESHACER: 'deshacer',
+    REINICIAR: 'reiniciar'
+};
+
+// Modo demostración: densidades de minas para el tablero oculto del oráculo
+export const DENSIDADES_ORACULO = [
+    { nombre: "Baja (10%)", valor: 0.10 },
+    { nombre: "Media (15%)", valor: 0.15 },
+    { nombre: "Alta (20%)", valor: 0.20 }
+];
+
+// Modo demostración: pausa del oráculo antes de responder (en ms)
+export const VELOCIDADES_ORACULO = [
+    { nombre: "Lenta", valor: 1500 },
+    { nombre: "Normal", valor: 600 },
+    { nombre: "Rápida", valor: 100 }
+];
+
+// Modos de juego: el sistema juega y el usuario responde (inverso) o el usuario juega con pistas (clásico)
+export const MODOS_JUEGO = {
+    INVERSO: 'inverso',
+    CLASICO: 'clasico'
+};
@@ -3,3 +3,6 @@
 // expect(element).toHaveTextContent(/react/i)
 // learn more: https://github.com/testing-library/jest-dom
 import '@testing-library/jest-dom';
+
+// import.meta (usado para crear el Web Worker) no lo entiende Jest: las pruebas analizan en el hilo principal
+jest.mock('./utils/crearWorkerAnalisis', () => ({ crearWorkerAnalisis: () => null }));
@@ -4,6 +4,8 @@
  * y tomar decisiones más inteligentes basadas en experiencias pasadas
  */
 
+import { obtenerLimitesActivos } from './topologia';
+
 // Almacenamiento local para la memoria del juego
 const STORAGE_KEY = 'buscaminas_memoria';
 
@@ -649,7 +651,8 @@ const tienenSuficientesMovimientosComunes = (secuencia1, secuencia2, minimo) =>
 
 /**
  * Normaliza una posición según el tamaño del tablero
- * Permite aplicar el conocimiento entre tableros de diferentes tamaños
+ * Permite aplicar el conocimiento entre tableros de diferentes tamaños.
+ * En un tablero irregular la escala va de la primera a la última fila y columna con casillas activas
  * @param {number} fila - Fila de la celda
  * @param {number} columna - Columna de la celda
  * @param {Object} tamañoTablero - Tamaño del tablero
@@ -665,8 +668,11 @@ export const normalizarPosicion = (fila, columna, tamañoTablero) => {
 
     try {
         // Normalizar a escala 0-1
-        const filaNorm = tamañoTablero.filas > 1 ? fila / (tamañoTablero.filas - 1) : 0;
-        const columnaNorm = tamañoTablero.columnas > 1 ? columna / (tamañoTablero.columnas - 1) : 0;
+        const { filaMinima, filaMaxima, columnaMinima, columnaMaxima } = obtenerLimitesActivos(tamañoTablero);
+        const escalar = (valor, minimo, maximo) =>
+            maximo > minimo ? Math.min(1, Math.max(0, (valor - minimo) / (maximo - minimo))) : 0;
+        const filaNorm = escalar(fila, filaMinima, filaMaxima);
+        const columnaNorm = escalar(columna, columnaMinima, columnaMaxima);
 
         // Discretizar a 10 niveles para generalizar entre tableros
         const discretizarValor = (valor) => {
@@ -683,6 +689,21 @@ export const normalizarPosicion = (fila, columna, tamañoTablero) => {
     }
 };
 
+/**
+ * Convierte una posición normalizada en la celda correspondiente del tablero (inversa de normalizarPosicion)
+ * @param {number} filaNorm - Fila en escala 0-1
+ * @param {number} columnaNorm - Columna en escala 0-1
+ * @param {Object} tamañoTablero - Tamaño del tablero
+ * @returns {Object} - { fila, columna }
+ */
+export const desnormalizarPosicion = (filaNorm, columnaNorm, tamañoTablero) => {
+    const { filaMinima, filaMaxima, columnaMinima, columnaMaxima } = obtenerLimitesActivos(tamañoTablero);
+    return {
+        fila: filaMinima + Math.round(filaNorm * (filaMaxima - filaMinima)),
+        columna: columnaMinima + Math.round(columnaNorm * (columnaMaxima - columnaMinima))
+    };
+};
+
 /**
  * Guarda la memoria en el almacenamiento local
  * @param {Object} memoria - Objeto de memoria a guardar
@@ -700,6 +721,27 @@ export const guardarMemoria = (memoria) => {
     }
 };
 
+/**
+ * Crea una copia independiente de la memoria para poder restaurarla más tarde
+ * @param {Object} memoria - Objeto de memoria actual
+ * @returns {Object} Copia de la memoria
+ */
+export const copiarMemoria = (memoria) => JSON.parse(JSON.stringify(memoria));
+
+/**
+ * Devuelve la memoria al contenido de una copia anterior y la guarda.
+ * Se modifica el mismo objeto porque el motor y la interfaz lo comparten.
+ * @param {Object} memoria - Objeto de memoria actual
+ * @param {Object} copia - Copia obtenida con copiarMemoria
+ */
+export const restaurarMemoria = (memoria, copia) => {
+    if (!memoria || !copia) return;
+
+    Object.keys(memoria).forEach(clave => delete memoria[clave]);
+    Object.assign(memoria, copiarMemoria(copia));
+    guardarMemoria(memoria);
+};
+
 /**
  * Determina el mejor segundo movimiento basado en la memoria
  * @param {Object} memoria - Objeto de memoria actual
@@ -737,8 +779,7 @@ export const determinarMejorSegundoMovimiento = (memoria, primerMovimiento, tama
                 const tasaExito = total > 0 ? stats.victorias / total : 0;
 
                 // Denormalizar las coordenadas al tamaño actual del tablero
-                const fila = Math.round(filaNorm * (tamañoTablero.filas - 1));
-                const columna = Math.round(columnaNorm * (tamañoTablero.columnas - 1));
+                const { fila, columna } = desnormalizarPosicion(filaNorm, columnaNorm, tamañoTablero);
 
                 segundosMovimientosPosibles.push({
                     fila,
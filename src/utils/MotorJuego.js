@@ -0,0 +1,1068 @@
+/**
+ * Motor de juego del Buscaminas Inverso, independiente de React
+ * Contiene las reglas de la partida (selección de celdas, respuestas, banderas y victoria),
+ * permite deshacer o corregir respuestas y notifica cada cambio mediante eventos para que cualquier
+ * interfaz o script pueda seguirla
+ */
+
+import {
+    seleccionarPrimeraCeldaSegura,
+    obtenerCeldasAdyacentes,
+    aprenderDeDerrota,
+    deducirBanderas
+} from './logicaJuego';
+import { ejecutarAnalisis } from './ejecucionAnalisis';
+import {
+    verificarConsistenciaRespuesta,
+    verificarPosiblesInconsistenciasFuturas,
+    verificarConsistenciaGlobal
+} from './validacionLogica';
+import {
+    registrarMinaEncontrada,
+    registrarSecuenciaPerdedora,
+    registrarVictoria,
+    copiarMemoria,
+    restaurarMemoria
+} from './MemoriaJuego';
+import { cargarHistorialDerrotas, restaurarHistorialDerrotas } from './historialDerrotas';
+import { crearGeneradorAleatorio, generarSemilla } from './aleatorio';
+import { reducirFase, indicadoresDeFase } from './maquinaEstadosJuego';
+import { TIPOS_DEMOSTRACION, crearDemostracion } from './demostraciones';
+import { estaBloqueada, contarCeldasActivas } from './topologia';
+import { TAMAÑOS_TABLERO, EVENTOS_MOTOR, FASES_JUEGO, ACCIONES_JUEGO } from '../constants/gameConfig';
+
+/**
+ * Máximo de análisis consecutivos para obtener una celda seleccionable
+ * @type {number}
+ */
+const MAXIMO_INTENTOS_SELECCION = 3;
+
+/**
+ * Crea el estado de una partida vacía
+ * @param {object} tamañoTablero - Dimensiones del tablero
+ * @param {number|null} totalMinas - Total de minas indicado por el usuario, si se conoce
+ * @param {number} semilla - Semilla de las decisiones aleatorias de la partida
+ * @returns {object} - Estado inicial
+ */
+const crearEstadoInicial = (tamañoTablero, totalMinas = null, semilla = generarSemilla()) => ({
+    tamañoTablero,
+    totalMinas,
+    semilla,
+    tablero: Array(tamañoTablero.filas).fill().map(() => Array(tamañoTablero.columnas).fill(null)),
+    celdasDescubiertas: [],
+    banderas: [],
+    historialMovimientos: [],
+    celdaActual: null,
+    demostracionActual: null,
+    fase: FASES_JUEGO.INACTIVO,
+    ...indicadoresDeFase(FASES_JUEGO.INACTIVO),
+    resultado: null,
+    mensajeSistema: 'Presiona "Iniciar Juego" para que el sistema comience a jugar.',
+    mapaProbabilidades: null,
+    estadisticas: {
+        movimientos: 0,
+        banderasColocadas: 0,
+        celdasSeguras: 0
+    }
+});
+
+/**
+ * Convierte una respuesta del usuario en el contenido que se guarda en el tablero
+ * @param {string} valor - 'vacío', 'mina' o un número
+ * @returns {string} - '' para vacío, 'M' para mina o el número
+ */
+export const contenidoSegunRespuesta = (valor) => {
+    if (valor === 'vacío') return '';
+    if (valor === 'mina') return 'M';
+    return valor;
+};
+
+/**
+ * Texto de una respuesta para los mensajes
+ * @param {string} valor - 'vacío', 'mina' o un número
+ * @returns {string} - Texto legible
+ */
+const describirRespuesta = (valor) => valor === 'vacío' ? 'vacío' : valor === 'mina' ? 'mina' : valor;
+
+/**
+ * Crea un motor de juego
+ * @param {object} opciones - Opciones del motor
+ * @param {object} opciones.tamañoTablero - Tamaño inicial del tablero
+ * @param {object} opciones.memoriaJuego - Memoria histórica usada en el análisis (opcional)
+ * @param {boolean} opciones.aprender - Si se registran victorias y derrotas en la memoria
+ * @param {object} opciones.parametrosEstrategia - Sustituciones de los parámetros de selección de jugadas (opcional)
+ * @returns {object} - API del motor
+ */
+export const crearMotorJuego = ({
+    tamañoTablero = TAMAÑOS_TABLERO[0],
+    memoriaJuego = null,
+    aprender = true,
+    parametrosEstrategia = null
+} = {}) => {
+    let estado = crearEstadoInicial(tamañoTablero);
+    let aleatorio = null;
+    let usosAleatorio = 0;
+    let celdaPrioritaria = null;
+    const manejadores = {};
+
+    // Deshacer: un punto de restauración por respuesta y la memoria anterior al aprendizaje
+    let puntosRestauracion = [];
+    let copiaAprendizaje = null;
+
+    /**
+     * Prepara el generador de la partida contando los números que se le piden, para poder
+     * volver a dejarlo exactamente donde estaba al deshacer
+     * @param {number} semilla - Semilla de la partida
+     * @param {number} usos - Números ya consumidos que hay que saltar
+     */
+    const prepararAleatorio = (semilla, usos = 0) => {
+        const generador = crearGeneradorAleatorio(semilla);
+        for (let i = 0; i < usos; i++) generador();
+        usosAleatorio = usos;
+        aleatorio = () => {
+            usosAleatorio++;
+            return generador();
+        };
+    };
+    prepararAleatorio(estado.semilla);
+
+    // Análisis asíncrono: cada cambio del tablero invalida la solicitud en curso
+    let versionTablero = 0;
+    let solicitudPendiente = null;
+    let contadorSolicitudes = 0;
+    let intentosFallidos = 0;
+
+    /**
+     * Copia del estado para que los suscriptores no puedan modificar el motor
+     * @returns {object} - Instantánea del estado actual
+     */
+    const obtenerEstado = () => ({
+        ...estado,
+        tablero: estado.tablero.map(fila => [...fila]),
+        celdasDescubiertas: estado.celdasDescubiertas.map(c => ({ ...c })),
+        banderas: estado.banderas.map(b => ({ ...b })),
+        historialMovimientos: estado.historialMovimientos.map(m => ({ ...m })),
+        celdaActual: estado.celdaActual ? { ...estado.celdaActual } : null,
+        estadisticas: { ...estado.estadisticas }
+    });
+
+    /**
+     * Suscribe un manejador a un evento del motor
+     * @param {string} evento - Uno de EVENTOS_MOTOR
+     * @param {Function} manejador - Función que recibe los datos del evento
+     * @returns {Function} - Función para cancelar la suscripción
+     */
+    const suscribir = (evento, manejador) => {
+        if (!manejadores[evento]) manejadores[evento] = [];
+        manejadores[evento].push(manejador);
+        return () => {
+            manejadores[evento] = manejadores[evento].filter(m => m !== manejador);
+        };
+    };
+
+    const emitir = (evento, datos) => {
+        (manejadores[evento] || []).forEach(manejador => {
+            try {
+                manejador(datos);
+            } catch (error) {
+                console.error(`Error en manejador del evento ${evento}:`, error);
+            }
+        });
+    };
+
+    const actualizar = (cambios) => {
+        estado = { ...estado, ...cambios };
+        emitir(EVENTOS_MOTOR.CAMBIO, obtenerEstado());
+    };
+
+    /**
+     * Cambia de fase según la máquina de estados. Las transiciones inválidas se rechazan
+     * sin tocar el estado y se registran.
+     * @param {string} accion - Una de ACCIONES_JUEGO
+     * @param {object} cambios - Cambios del estado que acompañan a la transición
+     * @returns {boolean} - true si la transición se ha aplicado
+     */
+    const transicionar = (accion, cambios = {}) => {
+        const nuevaFase = reducirFase(estado.fase, accion);
+
+        if (!nuevaFase) {
+            console.error(`TRANSICIÓN RECHAZADA: "${accion}" no es válida en la fase "${estado.fase}"`);
+            emitir(EVENTOS_MOTOR.TRANSICION_RECHAZADA, { fase: estado.fase, accion });
+            return false;
+        }
+
+        actualizar({ ...cambios, fase: nuevaFase, ...indicadoresDeFase(nuevaFase) });
+        return true;
+    };
+
+    const mostrarMensaje = (mensaje) => {
+        actualizar({ mensajeSistema: mensaje });
+        emitir(EVENTOS_MOTOR.MENSAJE, mensaje);
+    };
+
+    const mostrarAnimacion = (animacion) => {
+        emitir(EVENTOS_MOTOR.ANIMACION, animacion);
+    };
+
+    const esCeldaSeleccionable = (fila, columna) => {
+        const { filas, columnas } = estado.tamañoTablero;
+        return fila >= 0 && fila < filas && columna >= 0 && columna < columnas &&
+            !estaBloqueada(fila, columna, estado.tamañoTablero) &&
+            !estado.celdasDescubiertas.some(c => c.fila === fila && c.columna === columna) &&
+            !estado.banderas.some(b => b.fila === fila && b.columna === columna);
+    };
+
+    /**
+     * Registra un cambio del tablero. Si había un análisis en curso queda obsoleto
+     * y se avisa para que quien lo ejecuta pueda cancelarlo.
+     */
+    const marcarCambioTablero = () => {
+        versionTablero++;
+        intentosFallidos = 0;
+        if (solicitudPendiente) {
+            const { id } = solicitudPendiente;
+            solicitudPendiente = null;
+            emitir(EVENTOS_MOTOR.ANALISIS_CANCELADO, { id });
+        }
+    };
+
+    /**
+     * Marca una celda como la pregunta en curso
+     * @param {object} celda - Celda elegida {fila, columna, demostracion?}
+     * @param {string} mensaje - Mensaje para el usuario
+     * @param {number|null} probabilidadMina - Riesgo estimado de la celda (0 si es segura, null si no se conoce)
+     * @returns {boolean} - true si la celda ha quedado seleccionada
+     */
+    const seleccionar = (celda, mensaje, probabilidadMina = null) => {
+        console.log(`===== SISTEMA SELECCIONA CELDA =====`);
+        console.log(`Seleccionando celda en (${celda.fila + 1},${celda.columna + 1})`);
+
+        const seleccionada = transicionar(ACCIONES_JUEGO.SELECCIONAR, {
+            celdaActual: { fila: celda.fila, columna: celda.columna },
+            demostracionActual: celda.demostracion || null,
+            estadisticas: { ...estado.estadisticas, movimientos: estado.estadisticas.movimientos + 1 }
+        });
+        if (!seleccionada) return false;
+
+        if (mensaje) mostrarMensaje(mensaje);
+        mostrarAnimacion('seleccionar');
+        emitir(EVENTOS_MOTOR.SELECCION, { ...estado.celdaActual, probabilidadMina });
+
+        console.log(`Esperando respuesta del usuario: ¿Qué hay en la celda (${celda.fila + 1},${celda.columna + 1})?`);
+        return true;
+    };
+
+    /**
+     * Termina la partida con el resultado indicado
+     * @param {string} resultado - 'victoria' o 'derrota'
+     * @param {string} mensaje - Mensaje final
+     * @param {object} datos - Datos adicionales del evento
+     */
+    const terminar = (resultado, mensaje, datos = {}) => {
+        const accion = resultado === 'victoria' ? ACCIONES_JUEGO.GANAR : ACCIONES_JUEGO.PERDER;
+        if (!transicionar(accion, { resultado })) return false;
+
+        mostrarMensaje(mensaje);
+        emitir(resultado === 'victoria' ? EVENTOS_MOTOR.VICTORIA : EVENTOS_MOTOR.DERROTA, { mensaje, ...datos });
+        return true;
+    };
+
+    /**
+     * Guarda la memoria y el historial de derrotas antes de aprender del final de la partida,
+     * para poder deshacer ese aprendizaje si se deshace la última respuesta
+     * @param {boolean} incluirDerrotas - Si también se va a registrar la mina en el historial de derrotas
+     */
+    const guardarCopiaAprendizaje = (incluirDerrotas) => {
+        try {
+            copiaAprendizaje = {
+                memoria: memoriaJuego ? copiarMemoria(memoriaJuego) : null,
+                derrotas: incluirDerrotas ? cargarHistorialDerrotas() : null
+            };
+        } catch (error) {
+            console.error("Error al copiar la memoria antes de aprender:", error);
+            copiaAprendizaje = null;
+        }
+    };
+
+    /**
+     * Comprueba las condiciones de victoria del sistema
+     * @returns {boolean} - true si la partida ha terminado con victoria
+     */
+    const verificarVictoria = () => {
+        if (estado.juegoTerminado) return false;
+
+        // Los huecos de un tablero irregular no cuentan
+        const totalCeldas = contarCeldasActivas(estado.tamañoTablero);
+        const { celdasDescubiertas, banderas, totalMinas, historialMovimientos } = estado;
+        const celdasNoDescubiertas = totalCeldas - celdasDescubiertas.length;
+
+        console.log(`===== VERIFICANDO CONDICIÓN DE VICTORIA =====`);
+        console.log(`Estado: ${celdasDescubiertas.length} celdas descubiertas, ${banderas.length} banderas colocadas`);
+
+        let victoria = null;
+
+        if (totalMinas !== null && banderas.length === totalMinas) {
+            // Con el total de minas conocido, basta con haber marcado todas las minas
+            victoria = {
+                tipo: 'recuento',
+                mensaje: `¡El sistema ha marcado las ${totalMinas} minas! El resto del tablero es seguro. ¡Victoria!`
+            };
+        } else if (celdasDescubiertas.length + banderas.length === totalCeldas &&
+            !historialMovimientos.some(mov => mov.contenido === 'mina')) {
+            victoria = {
+                tipo: 'completa',
+                mensaje: '¡VICTORIA COMPLETA! El sistema ha terminado el juego sin encontrar ninguna mina.'
+            };
+        } else if (celdasNoDescubiertas === banderas.length && banderas.length > 0) {
+            victoria = {
+                tipo: 'seguras',
+                mensaje: '¡El sistema ha descubierto todas las celdas seguras! ¡Victoria!'
+            };
+        }
+
+        if (!victoria) {
+            console.log(`RESULTADO: Continúa el juego, faltan ${celdasNoDescubiertas - banderas.length} celdas seguras por descubrir`);
+            console.log(`===== FIN DE VERIFICACIÓN =====`);
+            return false;
+        }
+
+        console.log(`RESULTADO: ${victoria.mensaje}`);
+
+        if (!reducirFase(estado.fase, ACCIONES_JUEGO.GANAR)) {
+            console.error(`TRANSICIÓN RECHAZADA: no se puede declarar la victoria en la fase "${estado.fase}"`);
+            return false;
+        }
+
+        if (aprender && memoriaJuego) {
+            guardarCopiaAprendizaje(false);
+            try {
+                registrarVictoria(memoriaJuego, historialMovimientos, estado.tamañoTablero);
+                console.log(`APRENDIZAJE: Registrando patrón de victoria en memoria`);
+            } catch (error) {
+                console.error("Error al registrar victoria:", error);
+            }
+        }
+
+        if (!terminar('victoria', victoria.mensaje, { tipo: victoria.tipo })) return false;
+        mostrarAnimacion('victoria');
+        console.log(`===== FIN DEL JUEGO (VICTORIA) =====`);
+        return true;
+    };
+
+    /**
+     * Prepara un tablero vacío sin empezar la partida. Si había una partida en curso
+     * se registra como secuencia perdedora.
+     * @param {object} nuevoTamaño - Tamaño del tablero (por defecto el actual)
+     * @param {object} opciones - { totalMinas, semilla }. Sin semilla se genera una nueva;
+     * con la semilla de una partida anterior se repiten exactamente sus decisiones.
+     * @returns {object} - Estado resultante
+     */
+    const reiniciar = (nuevoTamaño = estado.tamañoTablero, { totalMinas = estado.totalMinas, semilla = null } = {}) => {
+        console.log(`===== INICIALIZANDO TABLERO =====`);
+        console.log(`Tamaño: ${nuevoTamaño.filas}x${nuevoTamaño.columnas}`);
+
+        if (estado.juegoIniciado && !estado.juegoTerminado && aprender && memoriaJuego &&
+            estado.historialMovimientos.length > 0) {
+            try {
+                registrarSecuenciaPerdedora(memoriaJuego, estado.historialMovimientos, estado.tamañoTablero);
+                console.log(`APRENDIZAJE: Registrando secuencia perdedora por reinicio manual`);
+            } catch (error) {
+                console.error("Error al registrar secuencia perdedora:", error);
+            }
+        }
+
+        celdaPrioritaria = null;
+        puntosRestauracion = [];
+        copiaAprendizaje = null;
+        marcarCambioTablero();
+        estado = crearEstadoInicial(nuevoTamaño, totalMinas, semilla ?? generarSemilla());
+        prepararAleatorio(estado.semilla);
+        emitir(EVENTOS_MOTOR.CAMBIO, obtenerEstado());
+
+        console.log(`===== FIN DE INICIALIZACIÓN =====`);
+        return obtenerEstado();
+    };
+
+    /**
+     * Empieza una partida y selecciona la primera celda
+     * @param {object} nuevoTamaño - Tamaño del tablero (por defecto el actual)
+     * @param {object} opciones - { totalMinas, semilla }
+     * @returns {object} - Primera celda seleccionada
+     */
+    const iniciar = (nuevoTamaño = estado.tamañoTablero, opciones = {}) => {
+        reiniciar(nuevoTamaño, opciones);
+        transicionar(ACCIONES_JUEGO.INICIAR);
+
+        console.log(`===== INICIANDO NUEVO JUEGO =====`);
+        console.log(`Tablero de ${nuevoTamaño.filas}x${nuevoTamaño.columnas}`);
+        console.log(`Semilla: ${estado.semilla}`);
+        if (estado.totalMinas !== null) {
+            console.log(`Total de minas indicado: ${estado.totalMinas}`);
+        }
+
+        let celdaInicial = null;
+        try {
+            celdaInicial = seleccionarPrimeraCeldaSegura(nuevoTamaño, memoriaJuego, aleatorio);
+        } catch (error) {
+            console.error("Error al iniciar juego:", error);
+        }
+
+        // En caso de error, usar una posición por defecto
+        if (!celdaInicial || celdaInicial.fila === undefined || celdaInicial.columna === undefined) {
+            console.log(`USANDO CELDA POR DEFECTO (1,1) debido a error`);
+            celdaInicial = { fila: 0, columna: 0 };
+        }
+
+        if (celdaInicial.razonamiento && celdaInicial.razonamiento.length > 0) {
+            console.log(`Razonamiento:`);
+            celdaInicial.razonamiento.forEach(razon => console.log(`  - ${razon}`));
+        }
+
+        seleccionar(
+            celdaInicial,
+            `El sistema ha seleccionado la casilla (${celdaInicial.fila + 1},${celdaInicial.columna + 1}). ¿Qué hay en esta casilla?`
+        );
+        mostrarAnimacion('iniciar');
+
+        console.log(`===== JUEGO INICIADO =====`);
+        return { ...estado.celdaActual };
+    };
+
+    /**
+     * Instantánea serializable del tablero para el análisis. La semilla del análisis sale del
+     * generador de la partida, así que el resultado es el mismo se analice aquí o en un worker.
+     * @returns {object} - Entrada para ejecutarAnalisis
+     */
+    const crearEntradaAnalisis = () => ({
+        tablero: estado.tablero,
+        tamañoTablero: estado.tamañoTablero,
+        celdasDescubiertas: estado.celdasDescubiertas,
+        banderas: estado.banderas,
+        historialMovimientos: estado.historialMovimientos,
+        memoriaJuego,
+        totalMinas: estado.totalMinas,
+        parametrosEstrategia,
+        semillaAnalisis: Math.floor(aleatorio() * 0x100000000)
+    });
+
+    /**
+     * Selecciona la celda pendiente tras un cero o vacío, si sigue disponible
+     * @returns {object|null} - Celda seleccionada o null si hay que analizar
+     */
+    const seleccionarCeldaPrioritaria = () => {
+        const celda = celdaPrioritaria;
+        celdaPrioritaria = null;
+        if (celda && esCeldaSeleccionable(celda.fila, celda.columna) && seleccionar(celda, undefined, 0)) {
+            return { ...estado.celdaActual };
+        }
+        return null;
+    };
+
+    /**
+     * Aplica el resultado de un análisis (en la fase "analizando"): mensajes, banderas nuevas
+     * y selección de la siguiente celda
+     * @param {object} resultadoAnalisis - Resultado de ejecutarAnalisis
+     * @returns {object|null|undefined} - Celda seleccionada, null si no quedan jugadas
+     *                                    o undefined si la celda elegida ya no es seleccionable
+     */
+    const aplicarResultadoAnalisis = (resultadoAnalisis) => {
+        (resultadoAnalisis.mensajes || []).forEach(mostrarMensaje);
+        (resultadoAnalisis.animaciones || []).forEach(mostrarAnimacion);
+
+        // Colocar las banderas nuevas
+        if (resultadoAnalisis.banderas && resultadoAnalisis.banderas.length > estado.banderas.length) {
+            const nuevasBanderas = resultadoAnalisis.banderas.slice(estado.banderas.length);
+            console.log(`ACCIÓN: Colocando ${nuevasBanderas.length} nuevas banderas`);
+
+            const movimientosBandera = (resultadoAnalisis.movimientosGenerados || [])
+                .filter(mov => mov.esAccion && mov.accion === "bandera")
+                .map(mov => ({
+                    ...mov,
+                    explicacion: mov.explicacion || mov.detalle || "Bandera colocada"
+                }));
+
+            marcarCambioTablero();
+            actualizar({
+                banderas: resultadoAnalisis.banderas,
+                historialMovimientos: [...estado.historialMovimientos, ...movimientosBandera],
+                estadisticas: { ...estado.estadisticas, banderasColocadas: resultadoAnalisis.banderas.length }
+            });
+            emitir(EVENTOS_MOTOR.BANDERAS, nuevasBanderas);
+
+            if (verificarVictoria()) return null;
+        }
+
+        actualizar({ mapaProbabilidades: resultadoAnalisis.mapaProbabilidades || null });
+
+        const celda = resultadoAnalisis.siguienteCelda;
+
+        if (!celda) {
+            console.log(`DECISIÓN: No hay más movimientos seguros disponibles, verificando victoria...`);
+            if (!verificarVictoria()) transicionar(ACCIONES_JUEGO.DESCARTAR_ANALISIS);
+            return null;
+        }
+
+        if (esCeldaSeleccionable(celda.fila, celda.columna)) {
+            console.log(`DECISIÓN: Seleccionar celda (${celda.fila + 1}, ${celda.columna + 1})`);
+            console.log(`RAZÓN: ${celda.explicacion || celda.tipoAnalisis}`);
+            const infoCelda = resultadoAnalisis.mapaProbabilidades?.[`${celda.fila},${celda.columna}`];
+            const probabilidadMina = celda.seguridadMáxima ? 0 : (infoCelda ? infoCelda.probabilidad : null);
+            intentosFallidos = 0;
+            return seleccionar(celda, undefined, probabilidadMina) ? { ...estado.celdaActual } : null;
+        }
+
+        console.log(`OMITIENDO: Celda (${celda.fila + 1},${celda.columna + 1}) ya está descubierta o tiene bandera`);
+        intentosFallidos++;
+        transicionar(ACCIONES_JUEGO.DESCARTAR_ANALISIS);
+        return undefined;
+    };
+
+    /**
+     * Analiza el tablero, coloca las banderas deducidas y selecciona la siguiente celda.
+     * Si ya hay una pregunta pendiente la devuelve sin analizar de nuevo.
+     * Versión síncrona: el análisis se ejecuta en el hilo actual.
+     * @returns {object|null} - Celda seleccionada o null si no quedan jugadas
+     */
+    const siguienteCelda = () => {
+        if (!estado.juegoIniciado || estado.juegoTerminado) return null;
+        if (estado.esperandoRespuesta) return { ...estado.celdaActual };
+        if (estado.fase !== FASES_JUEGO.SELECCIONANDO) {
+            transicionar(ACCIONES_JUEGO.ANALIZAR); // Registra el rechazo (p. ej. un análisis ya en curso)
+            return null;
+        }
+
+        // Tras un cero o vacío se revela primero una de sus celdas adyacentes
+        const celdaAdyacente = seleccionarCeldaPrioritaria();
+        if (celdaAdyacente) return celdaAdyacente;
+
+        for (let intento = 0; intento < MAXIMO_INTENTOS_SELECCION; intento++) {
+            console.log("===== ANÁLISIS DEL TABLERO =====");
+            console.log(`Estado: ${estado.celdasDescubiertas.length} celdas descubiertas, ${estado.banderas.length} banderas`);
+
+            if (!transicionar(ACCIONES_JUEGO.ANALIZAR)) return null;
+            const celda = aplicarResultadoAnalisis(ejecutarAnalisis(crearEntradaAnalisis()));
+            if (celda !== undefined) return celda;
+        }
+
+        console.error("No se pudo obtener una celda seleccionable tras varios análisis");
+        return null;
+    };
+
+    /**
+     * Versión asíncrona de siguienteCelda, primera mitad: prepara la solicitud de análisis
+     * para ejecutarla fuera del motor (por ejemplo en un Web Worker) y pasa a la fase "analizando".
+     * @returns {object|null} - { celda } si no hace falta analizar, { id, entrada } con la solicitud,
+     *                          o null si no hay nada que hacer (partida parada o análisis ya en curso)
+     */
+    const solicitarAnalisis = () => {
+        if (!estado.juegoIniciado || estado.juegoTerminado) return null;
+        if (estado.esperandoRespuesta) return { celda: { ...estado.celdaActual } };
+        if (estado.fase !== FASES_JUEGO.SELECCIONANDO) {
+            transicionar(ACCIONES_JUEGO.ANALIZAR); // Registra el rechazo (p. ej. un análisis ya en curso)
+            return null;
+        }
+
+        const celdaAdyacente = seleccionarCeldaPrioritaria();
+        if (celdaAdyacente) return { celda: celdaAdyacente };
+
+        if (intentosFallidos >= MAXIMO_INTENTOS_SELECCION) {
+            console.error("No se pudo obtener una celda seleccionable tras varios análisis");
+            return null;
+        }
+
+        if (!transicionar(ACCIONES_JUEGO.ANALIZAR)) return null;
+        const id = ++contadorSolicitudes;
+        solicitudPendiente = { id, version: versionTablero };
+        console.log(`===== SOLICITUD DE ANÁLISIS ${id} =====`);
+
+        return { id, entrada: crearEntradaAnalisis() };
+    };
+
+    /**
+     * Versión asíncrona de siguienteCelda, segunda mitad: aplica el resultado de una solicitud.
+     * Los resultados de solicitudes obsoletas (el tablero cambió entretanto) se descartan.
+     * @param {number} id - Identificador devuelto por solicitarAnalisis
+     * @param {object} resultadoAnalisis - Resultado de ejecutarAnalisis
+     * @returns {object} - { celda } con la celda seleccionada (o null), { descartado: true }
+     *                     o { reintentar: true } si hay que volver a solicitar el análisis
+     */
+    const recibirAnalisis = (id, resultadoAnalisis) => {
+        if (!solicitudPendiente || solicitudPendiente.id !== id || solicitudPendiente.version !== versionTablero) {
+            console.log(`ANÁLISIS: Resultado ${id} descartado por obsoleto`);
+            return { descartado: true };
+        }
+
+        solicitudPendiente = null;
+
+        const celda = aplicarResultadoAnalisis(resultadoAnalisis);
+        return celda === undefined ? { reintentar: true } : { celda };
+    };
+
+    /**
+     * Abandona el análisis en curso (por ejemplo si ha fallado el worker)
+     */
+    const cancelarAnalisis = () => {
+        if (!solicitudPendiente) return;
+        solicitudPendiente = null;
+        transicionar(ACCIONES_JUEGO.DESCARTAR_ANALISIS);
+    };
+
+    /**
+     * Responde a la pregunta en curso
+     * @param {object|null} celda - Celda respondida (null = la celda actual)
+     * @param {string} valor - 'vacío', '0'-'8' o 'mina'
+     * @param {object} opciones - { forzar: aplicar aunque haya inconsistencias no críticas }
+     * @returns {object} - { aceptada, inconsistencia?, motivo? }
+     */
+    const responder = (celda, valor, { forzar = false } = {}) => {
+        if (!reducirFase(estado.fase, ACCIONES_JUEGO.RESPONDER) || !estado.celdaActual) {
+            console.error(`TRANSICIÓN RECHAZADA: no se espera ninguna respuesta en la fase "${estado.fase}"`);
+            emitir(EVENTOS_MOTOR.TRANSICION_RECHAZADA, { fase: estado.fase, accion: ACCIONES_JUEGO.RESPONDER });
+            return { aceptada: false, motivo: 'No se espera ninguna respuesta' };
+        }
+
+        const { fila, columna } = estado.celdaActual;
+
+        if (celda && (celda.fila !== fila || celda.columna !== columna)) {
+            return { aceptada: false, motivo: `La pregunta en curso es la celda (${fila + 1},${columna + 1})` };
+        }
+
+        console.log(`===== REPORTE DE RESPUESTA =====`);
+        console.log(`Usuario indica en celda (${fila + 1},${columna + 1}): ${valor === 'mina' ? '💣 MINA' : valor === 'vacío' ? 'VACÍO' : `NÚMERO ${valor}`}`);
+
+        const { tablero, celdasDescubiertas, banderas, tamañoTablero } = estado;
+
+        const resultadoValidacion = verificarConsistenciaRespuesta(
+            fila, columna, valor, tablero, celdasDescubiertas, banderas, tamañoTablero
+        );
+
+        if (!forzar) {
+            // Primera etapa - consistencia lógica de la respuesta y de sus vecinas
+            if (!resultadoValidacion.esConsistente) {
+                console.log(`INCONSISTENCIA: ${resultadoValidacion.mensaje}`);
+                emitir(EVENTOS_MOTOR.INCONSISTENCIA, { celda: { fila, columna }, valor, inconsistencia: resultadoValidacion });
+                return { aceptada: false, inconsistencia: resultadoValidacion };
+            }
+
+            // Segunda etapa - advertencias preventivas: la frontera se queda sin solución
+            const advertenciasFuturas = verificarPosiblesInconsistenciasFuturas(
+                fila, columna, valor, tablero, celdasDescubiertas, banderas, tamañoTablero
+            );
+
+            if (advertenciasFuturas.hayAdvertencia) {
+                console.log(`ADVERTENCIA: ${advertenciasFuturas.mensaje}`);
+                const inconsistencia = {
+                    esConsistente: false,
+                    mensaje: advertenciasFuturas.mensaje,
+                    contradicciones: advertenciasFuturas.contradicciones,
+                    esPreventiva: true
+                };
+                emitir(EVENTOS_MOTOR.INCONSISTENCIA, { celda: { fila, columna }, valor, inconsistencia });
+                return { aceptada: false, inconsistencia };
+            }
+        } else if (resultadoValidacion.contradicciones.length > 0 &&
+            resultadoValidacion.contradicciones[0].tipo === 'valor_imposible') {
+            // No permitir continuar con errores críticos
+            console.log(`ERROR CRÍTICO: No se puede aplicar la respuesta, número imposible por posición`);
+            return { aceptada: false, inconsistencia: resultadoValidacion, motivo: resultadoValidacion.mensaje };
+        }
+
+        // Punto de restauración: la partida tal como estaba al hacer la pregunta
+        puntosRestauracion.push({
+            indiceMovimiento: estado.historialMovimientos.length,
+            estado: obtenerEstado(),
+            usosAleatorio
+        });
+
+        // Aplicar la respuesta
+        const nuevoTablero = tablero.map(filaTablero => [...filaTablero]);
+        nuevoTablero[fila][columna] = contenidoSegunRespuesta(valor);
+
+        const nuevasCeldasDescubiertas = [...celdasDescubiertas, { fila, columna }];
+        const movimiento = {
+            fila,
+            columna,
+            contenido: valor,
+            inconsistente: !resultadoValidacion.esConsistente
+        };
+        const nuevoHistorial = [...estado.historialMovimientos, movimiento];
+        const esSegura = valor !== 'mina';
+
+        marcarCambioTablero();
+        actualizar({
+            tablero: nuevoTablero,
+            celdasDescubiertas: nuevasCeldasDescubiertas,
+            historialMovimientos: nuevoHistorial,
+            estadisticas: esSegura
+                ? { ...estado.estadisticas, celdasSeguras: estado.estadisticas.celdasSeguras + 1 }
+                : estado.estadisticas
+        });
+        emitir(EVENTOS_MOTOR.RESPUESTA, { ...movimiento });
+
+        console.log(`ACTUALIZACIÓN: Celda (${fila + 1},${columna + 1}) = ${valor === 'vacío' ? 'VACÍO' : valor === 'mina' ? 'MINA' : valor}`);
+
+        // El sistema ha perdido (encontró una mina)
+        if (valor === 'mina') {
+            console.log(`RESULTADO: ¡VICTORIA DEL USUARIO! El sistema encontró una mina en (${fila + 1},${columna + 1})`);
+
+            if (aprender) {
+                guardarCopiaAprendizaje(true);
+                try {
+                    if (memoriaJuego) {
+                        registrarMinaEncontrada(memoriaJuego, fila, columna, tamañoTablero);
+                        registrarSecuenciaPerdedora(memoriaJuego, nuevoHistorial, tamañoTablero);
+                        console.log(`APRENDIZAJE: Registrando mina y secuencia perdedora en memoria`);
+                    }
+                    aprenderDeDerrota({ fila, columna });
+                } catch (error) {
+                    console.error("Error al procesar derrota:", error);
+                }
+            }
+
+            terminar('derrota', "¡BOOM! El sistema encontró una mina.", { celda: { fila, columna } });
+            mostrarAnimacion('explosion');
+            console.log(`===== FIN DEL JUEGO =====`);
+            return { aceptada: true };
+        }
+
+        transicionar(ACCIONES_JUEGO.RESPONDER);
+        mostrarAnimacion('respuesta');
+
+        if (verificarVictoria()) {
+            return { aceptada: true };
+        }
+
+        // Si es un cero, la siguiente celda será una adyacente sin descubrir
+        if (valor === '0' || valor === 'vacío') {
+            const celdasADescubrir = obtenerCeldasAdyacentes(fila, columna, tamañoTablero)
+                .filter(c => esCeldaSeleccionable(c.fila, c.columna));
+
+            if (celdasADescubrir.length > 0) {
+                console.log(`ESTRATEGIA: La celda (${fila + 1},${columna + 1}) es ${valor === '0' ? '0' : 'vacía'}, todas las celdas adyacentes son seguras`);
+                celdaPrioritaria = {
+                    ...celdasADescubrir[0],
+                    demostracion: crearDemostracion({
+                        tipo: TIPOS_DEMOSTRACION.ADYACENTE_A_CERO,
+                        restricciones: [{
+                            celda: { fila, columna },
+                            valor: 0,
+                            banderas: [],
+                            desconocidas: celdasADescubrir,
+                            minasFaltantes: 0
+                        }],
+                        conclusion: 'segura',
+                        celdas: celdasADescubrir
+                    })
+                };
+            }
+        }
+
+        console.log(`===== FIN DE LA RESPUESTA =====`);
+        return { aceptada: true };
+    };
+
+    /**
+     * Deshace respuestas y vuelve a la pregunta de una de ellas: el tablero, las celdas descubiertas,
+     * las banderas, las estadísticas y el generador aleatorio quedan como estaban al hacer esa pregunta.
+     * Si la partida había terminado, también se deshace lo aprendido de su final.
+     * @param {number|null} indiceMovimiento - Índice en historialMovimientos de la respuesta a deshacer
+     *                                         (null = la última respuesta)
+     * @returns {object} - { deshecho, celda?, movimientosDeshechos?, motivo? }
+     */
+    const deshacer = (indiceMovimiento = null) => {
+        const posicion = indiceMovimiento === null
+            ? puntosRestauracion.length - 1
+            : puntosRestauracion.findIndex(punto => punto.indiceMovimiento === indiceMovimiento);
+
+        if (posicion < 0) {
+            return { deshecho: false, motivo: 'No hay ninguna respuesta que deshacer en ese punto' };
+        }
+        if (!reducirFase(estado.fase, ACCIONES_JUEGO.DESHACER)) {
+            console.error(`TRANSICIÓN RECHAZADA: no se puede deshacer en la fase "${estado.fase}"`);
+            emitir(EVENTOS_MOTOR.TRANSICION_RECHAZADA, { fase: estado.fase, accion: ACCIONES_JUEGO.DESHACER });
+            return { deshecho: false, motivo: 'No se puede deshacer en este momento' };
+        }
+
+        const punto = puntosRestauracion[posicion];
+        const movimientosDeshechos = estado.historialMovimientos.length - punto.indiceMovimiento;
+        const partidaTerminada = estado.juegoTerminado;
+
+        console.log(`===== DESHACIENDO RESPUESTAS =====`);
+        console.log(`Volviendo a la pregunta de la celda (${punto.estado.celdaActual.fila + 1},${punto.estado.celdaActual.columna + 1}), ${movimientosDeshechos} movimientos deshechos`);
+
+        if (partidaTerminada && copiaAprendizaje) {
+            try {
+                if (copiaAprendizaje.memoria) restaurarMemoria(memoriaJuego, copiaAprendizaje.memoria);
+                if (copiaAprendizaje.derrotas) restaurarHistorialDerrotas(copiaAprendizaje.derrotas);
+                console.log(`APRENDIZAJE: Deshecho lo aprendido del final de la partida`);
+            } catch (error) {
+                console.error("Error al restaurar la memoria:", error);
+            }
+        }
+        copiaAprendizaje = null;
+
+        puntosRestauracion = puntosRestauracion.slice(0, posicion);
+        celdaPrioritaria = null;
+        marcarCambioTablero();
+        prepararAleatorio(estado.semilla, punto.usosAleatorio);
+        transicionar(ACCIONES_JUEGO.DESHACER, {
+            ...punto.estado,
+            resultado: null,
+            mensajeSistema: `Respuesta deshecha. ¿Qué hay en la casilla (${punto.estado.celdaActual.fila + 1},${punto.estado.celdaActual.columna + 1})?`
+        });
+        emitir(EVENTOS_MOTOR.DESHACER, { celda: { ...estado.celdaActual }, movimientosDeshechos, partidaTerminada });
+
+        console.log(`===== FIN DE DESHACER =====`);
+        return { deshecho: true, celda: { ...estado.celdaActual }, movimientosDeshechos };
+    };
+
+    /**
+     * Corrige el valor de una respuesta pasada sin deshacer las posteriores. Las banderas colocadas
+     * desde entonces se vuelven a deducir con el tablero corregido: las que ya no se siguen se retiran
+     * y las contradicciones que queden en el tablero se devuelven para avisar al usuario.
+     * Los puntos de restauración posteriores a la respuesta se descartan porque guardan el valor antiguo.
+     * @param {number} indiceMovimiento - Índice en historialMovimientos de la respuesta a corregir
+     * @param {string} valor - Nuevo valor: 'vacío' o '0'-'8'
+     * @param {object} opciones - { permitirContradicciones: false para rechazar la corrección si deja contradicciones }
+     * @returns {object} - { aceptada, banderasRetiradas?, contradicciones?, inconsistencia?, motivo? }
+     */
+    const corregirRespuesta = (indiceMovimiento, valor, { permitirContradicciones = true } = {}) => {
+        const movimiento = estado.historialMovimientos[indiceMovimiento];
+
+        if (!estado.juegoIniciado || estado.juegoTerminado) {
+            return { aceptada: false, motivo: 'Solo se pueden corregir respuestas durante la partida' };
+        }
+        if (!movimiento || movimiento.esAccion) {
+            return { aceptada: false, motivo: 'Ese movimiento no es una respuesta' };
+        }
+        if (valor === 'mina' || movimiento.contenido === 'mina') {
+            return { aceptada: false, motivo: 'Una mina termina la partida: usa deshacer para volver a esa pregunta' };
+        }
+        if (valor === movimiento.contenido) {
+            return { aceptada: false, motivo: 'La respuesta ya tiene ese valor' };
+        }
+
+        const { fila, columna } = movimiento;
+        const { tamañoTablero, celdasDescubiertas, historialMovimientos } = estado;
+
+        // Las contradicciones se aplican y se avisan; solo un número imposible por posición se rechaza
+        const validacion = verificarConsistenciaRespuesta(
+            fila, columna, valor, estado.tablero, celdasDescubiertas, estado.banderas, tamañoTablero
+        );
+        if (validacion.contradicciones.some(c => c.tipo === 'valor_imposible')) {
+            return { aceptada: false, inconsistencia: validacion, motivo: validacion.mensaje };
+        }
+
+        console.log(`===== CORRIGIENDO RESPUESTA =====`);
+        console.log(`Celda (${fila + 1},${columna + 1}): ${describirRespuesta(movimiento.contenido)} → ${describirRespuesta(valor)}`);
+
+        const nuevoTablero = estado.tablero.map(filaTablero => [...filaTablero]);
+        nuevoTablero[fila][columna] = contenidoSegunRespuesta(valor);
+
+        // Banderas colocadas después de la respuesta: solo se conservan las que se siguen deduciendo
+        const esPosterior = (celda) => historialMovimientos.some((mov, indice) =>
+            indice > indiceMovimiento && mov.esAccion && mov.fila === celda.fila && mov.columna === celda.columna
+        );
+        const deducidas = deducirBanderas({
+            tablero: nuevoTablero,
+            tamañoTablero,
+            celdasDescubiertas,
+            banderas: estado.banderas.filter(b => !esPosterior(b)),
+            totalMinas: estado.totalMinas
+        });
+        const deducida = (celda) => deducidas.find(d => d.fila === celda.fila && d.columna === celda.columna);
+
+        const banderasRetiradas = estado.banderas
+            .filter(b => esPosterior(b) && !deducida(b))
+            .map(b => ({ fila: b.fila, columna: b.columna }));
+        const nuevasBanderas = estado.banderas
+            .filter(b => !esPosterior(b) || deducida(b))
+            .map(b => esPosterior(b) ? { ...b, ...deducida(b) } : b);
+
+        const { inconsistencias: contradicciones } = verificarConsistenciaGlobal(
+            nuevoTablero, tamañoTablero, celdasDescubiertas, nuevasBanderas
+        );
+
+        if (contradicciones.length > 0 && !permitirContradicciones) {
+            console.log(`Corrección rechazada: deja ${contradicciones.length} contradicciones`);
+            console.log(`===== FIN DE LA CORRECCIÓN =====`);
+            return { aceptada: false, contradicciones, motivo: 'La corrección dejaría el tablero con contradicciones' };
+        }
+
+        // Un análisis en curso parte del valor antiguo
+        cancelarAnalisis();
+
+        const nuevoHistorial = historialMovimientos
+            .map((mov, indice) => {
+                if (indice === indiceMovimiento) {
+                    return {
+                        ...mov,
+                        contenido: valor,
+                        valorAnterior: mov.valorAnterior ?? mov.contenido,
+                        corregida: true,
+                        inconsistente: contradicciones.length > 0
+                    };
+                }
+                const bandera = indice > indiceMovimiento && mov.esAccion ? deducida(mov) : null;
+                if (!bandera) return mov;
+                return {
+                    ...mov,
+                    origen: bandera.origen,
+                    demostracion: bandera.demostracion || null,
+                    explicacion: bandera.detalle || `Bandera identificada mediante ${bandera.origen}`
+                };
+            })
+            .filter((mov, indice) => !(indice > indiceMovimiento && mov.esAccion && !deducida(mov)));
+
+        puntosRestauracion = puntosRestauracion.filter(punto => punto.indiceMovimiento <= indiceMovimiento);
+        celdaPrioritaria = null;
+        marcarCambioTablero();
+        actualizar({
+            tablero: nuevoTablero,
+            banderas: nuevasBanderas,
+            historialMovimientos: nuevoHistorial,
+            estadisticas: { ...estado.estadisticas, banderasColocadas: nuevasBanderas.length },
+            // Las probabilidades se calcularon con el valor antiguo
+            mapaProbabilidades: null
+        });
+
+        let mensaje = `Respuesta de la casilla (${fila + 1},${columna + 1}) corregida: ${describirRespuesta(movimiento.contenido)} → ${describirRespuesta(valor)}.`;
+        if (banderasRetiradas.length > 0) {
+            mensaje += ` He retirado ${banderasRetiradas.length} bandera${banderasRetiradas.length > 1 ? 's' : ''} que ya no se deduce${banderasRetiradas.length > 1 ? 'n' : ''}.`;
+        }
+        if (contradicciones.length > 0) {
+            mensaje += ` ⚠️ El tablero tiene ${contradicciones.length} contradicción${contradicciones.length > 1 ? 'es' : ''}: revisa las respuestas de alrededor.`;
+        }
+        mostrarMensaje(mensaje);
+        banderasRetiradas.forEach(b => console.log(`RETIRADA: Bandera en (${b.fila + 1},${b.columna + 1}) ya no se deduce`));
+        contradicciones.forEach(c => console.log(`CONTRADICCIÓN: ${c.tipo} en (${c.celda.fila + 1},${c.celda.columna + 1})`));
+
+        emitir(EVENTOS_MOTOR.CORRECCION, {
+            celda: { fila, columna },
+            valorAnterior: movimiento.contenido,
+            valor,
+            banderasRetiradas,
+            contradicciones
+        });
+
+        console.log(`===== FIN DE LA CORRECCIÓN =====`);
+        return { aceptada: true, banderasRetiradas, contradicciones };
+    };
+
+    /**
+     * Instantánea serializable de la partida en curso para poder continuarla más tarde,
+     * incluida la posición del generador aleatorio para que las decisiones sigan siendo las mismas
+     * @returns {object} - Datos que acepta restaurarPartida
+     */
+    const exportarPartida = () => {
+        const {
+            tamañoTablero,
+            totalMinas,
+            semilla,
+            tablero,
+            celdasDescubiertas,
+            banderas,
+            historialMovimientos,
+            celdaActual,
+            demostracionActual,
+            fase,
+            resultado,
+            mensajeSistema,
+            estadisticas
+        } = obtenerEstado();
+
+        return {
+            tamañoTablero,
+            totalMinas,
+            semilla,
+            tablero,
+            celdasDescubiertas,
+            banderas,
+            historialMovimientos,
+            celdaActual,
+            demostracionActual,
+            fase,
+            resultado,
+            mensajeSistema,
+            estadisticas,
+            usosAleatorio,
+            celdaPrioritaria
+        };
+    };
+
+    /**
+     * Continúa una partida exportada con exportarPartida. Si estaba pendiente una pregunta se vuelve
+     * a hacer la misma; si no, el sistema sigue eligiendo desde el mismo punto del generador.
+     * Una partida terminada se restaura con su resultado, sin volver a aprender de él.
+     * Las respuestas anteriores a la restauración pueden corregirse pero no deshacerse.
+     * @param {object} partida - Datos devueltos por exportarPartida
+     * @returns {object} - { restaurada, celda?, motivo? }
+     */
+    const restaurarPartida = (partida) => {
+        const fasesValidas = [
+            FASES_JUEGO.SELECCIONANDO,
+            FASES_JUEGO.ANALIZANDO,
+            FASES_JUEGO.ESPERANDO_RESPUESTA,
+            FASES_JUEGO.VICTORIA,
+            FASES_JUEGO.DERROTA
+        ];
+        const { tamañoTablero: tamaño, tablero: tableroGuardado } = partida || {};
+
+        if (!partida || !fasesValidas.includes(partida.fase) || !tamaño ||
+            (partida.fase === FASES_JUEGO.DERROTA && !partida.celdaActual) ||
+            ![partida.celdasDescubiertas, partida.banderas, partida.historialMovimientos].every(Array.isArray) ||
+            !Array.isArray(tableroGuardado) || tableroGuardado.length !== tamaño.filas ||
+            tableroGuardado.some(fila => !Array.isArray(fila) || fila.length !== tamaño.columnas)) {
+            return { restaurada: false, motivo: 'Los datos no corresponden a una partida empezada' };
+        }
+
+        reiniciar(tamaño, { totalMinas: partida.totalMinas ?? null, semilla: partida.semilla });
+
+        console.log(`===== REANUDANDO PARTIDA =====`);
+        console.log(`Semilla: ${partida.semilla}, ${partida.historialMovimientos.length} movimientos`);
+
+        prepararAleatorio(partida.semilla, partida.usosAleatorio || 0);
+        celdaPrioritaria = partida.celdaPrioritaria || null;
+        transicionar(ACCIONES_JUEGO.INICIAR, {
+            tablero: tableroGuardado.map(fila => [...fila]),
+            celdasDescubiertas: partida.celdasDescubiertas.map(c => ({ ...c })),
+            banderas: partida.banderas.map(b => ({ ...b })),
+            historialMovimientos: partida.historialMovimientos.map(m => ({ ...m })),
+            estadisticas: { ...estado.estadisticas, ...partida.estadisticas },
+            mensajeSistema: partida.mensajeSistema || estado.mensajeSistema
+        });
+
+        // La pregunta pendiente (o la de la mina, en una derrota) se repite tal cual, sin contarla como un movimiento nuevo
+        if ((partida.fase === FASES_JUEGO.ESPERANDO_RESPUESTA || partida.fase === FASES_JUEGO.DERROTA) && partida.celdaActual) {
+            transicionar(ACCIONES_JUEGO.SELECCIONAR, {
+                celdaActual: { fila: partida.celdaActual.fila, columna: partida.celdaActual.columna },
+                demostracionActual: partida.demostracionActual || null
+            });
+        }
+        if (partida.fase === FASES_JUEGO.VICTORIA || partida.fase === FASES_JUEGO.DERROTA) {
+            const accion = partida.fase === FASES_JUEGO.VICTORIA ? ACCIONES_JUEGO.GANAR : ACCIONES_JUEGO.PERDER;
+            transicionar(accion, { resultado: partida.resultado });
+        }
+
+        console.log(`===== FIN DE REANUDAR PARTIDA =====`);
+        return { restaurada: true, celda: estado.celdaActual ? { ...estado.celdaActual } : null };
+    };
+
+    return {
+        iniciar,
+        reiniciar,
+        siguienteCelda,
+        solicitarAnalisis,
+        recibirAnalisis,
+        cancelarAnalisis,
+        responder,
+        deshacer,
+        corregirRespuesta,
+        exportarPartida,
+        restaurarPartida,
+        verificarVictoria,
+        obtenerBanderas: () => estado.banderas.map(b => ({ ...b })),
+        obtenerEstado,
+        suscribir
+    };
+};
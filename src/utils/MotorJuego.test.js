@@ -0,0 +1,257 @@
+import { crearMotorJuego } from './MotorJuego';
+import { EVENTOS_MOTOR, FASES_JUEGO, ACCIONES_JUEGO } from '../constants/gameConfig';
+import { ejecutarAnalisis } from './ejecucionAnalisis';
+import { inicializarMemoria, normalizarPosicion } from './MemoriaJuego';
+import { cargarHistorialDerrotas } from './historialDerrotas';
+import { jugarConOraculo, continuarConOraculo } from './pruebasOraculo';
+
+const TABLERO_PRUEBA = { nombre: '5x5', filas: 5, columnas: 5 };
+
+beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterEach(() => {
+    jest.restoreAllMocks();
+});
+
+test('el motor rechaza y notifica las transiciones de fase inválidas', () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    const motor = crearMotorJuego({ tamañoTablero: TABLERO_PRUEBA, aprender: false });
+    const rechazos = jest.fn();
+    motor.suscribir(EVENTOS_MOTOR.TRANSICION_RECHAZADA, rechazos);
+
+    expect(motor.responder(null, '1').aceptada).toBe(false);
+    expect(rechazos).toHaveBeenCalledWith({ fase: FASES_JUEGO.INACTIVO, accion: ACCIONES_JUEGO.RESPONDER });
+
+    const celda = motor.iniciar();
+    expect(motor.obtenerEstado().fase).toBe(FASES_JUEGO.ESPERANDO_RESPUESTA);
+    motor.responder(celda, '1');
+    expect(motor.obtenerEstado().fase).toBe(FASES_JUEGO.SELECCIONANDO);
+
+    // Una segunda solicitud mientras se analiza no provoca una doble selección
+    expect(motor.solicitarAnalisis().entrada).toBeDefined();
+    expect(motor.siguienteCelda()).toBeNull();
+    expect(rechazos).toHaveBeenLastCalledWith({ fase: FASES_JUEGO.ANALIZANDO, accion: ACCIONES_JUEGO.ANALIZAR });
+    expect(motor.obtenerEstado().fase).toBe(FASES_JUEGO.ANALIZANDO);
+});
+
+test('el motor selecciona una celda al iniciar y espera respuesta', () => {
+    const motor = crearMotorJuego({ tamañoTablero: TABLERO_PRUEBA, aprender: false });
+    const celda = motor.iniciar();
+
+    const estado = motor.obtenerEstado();
+    expect(estado.juegoIniciado).toBe(true);
+    expect(estado.esperandoRespuesta).toBe(true);
+    expect(estado.celdaActual).toEqual(celda);
+});
+
+test('responder mina termina la partida con derrota del sistema', () => {
+    const motor = crearMotorJuego({ tamañoTablero: TABLERO_PRUEBA, aprender: false });
+    const derrota = jest.fn();
+    motor.suscribir(EVENTOS_MOTOR.DERROTA, derrota);
+
+    const celda = motor.iniciar();
+    expect(motor.responder(celda, 'mina').aceptada).toBe(true);
+
+    expect(derrota).toHaveBeenCalledTimes(1);
+    expect(motor.obtenerEstado().resultado).toBe('derrota');
+    expect(motor.siguienteCelda()).toBeNull();
+});
+
+test('con el total de minas indicado el sistema gana al marcarlas todas aunque queden celdas por descubrir', () => {
+    const motor = crearMotorJuego({ tamañoTablero: TABLERO_PRUEBA, aprender: false });
+    const victoria = jest.fn();
+    motor.suscribir(EVENTOS_MOTOR.VICTORIA, victoria);
+
+    jugarConOraculo(TABLERO_PRUEBA, { semilla: 4, numeroMinas: 3, totalMinas: 3, motor });
+
+    const { resultado, banderas, celdasDescubiertas } = motor.obtenerEstado();
+    expect(resultado).toBe('victoria');
+    expect(victoria).toHaveBeenCalledWith(expect.objectContaining({ tipo: 'recuento' }));
+    expect(banderas).toHaveLength(3);
+    expect(celdasDescubiertas.length + banderas.length).toBeLessThan(TABLERO_PRUEBA.filas * TABLERO_PRUEBA.columnas);
+});
+
+test('tras un vacío la siguiente celda es adyacente a la respondida', () => {
+    const motor = crearMotorJuego({ tamañoTablero: TABLERO_PRUEBA, aprender: false });
+    const celda = motor.iniciar();
+    motor.responder(celda, 'vacío');
+
+    const siguiente = motor.siguienteCelda();
+    expect(Math.abs(siguiente.fila - celda.fila)).toBeLessThanOrEqual(1);
+    expect(Math.abs(siguiente.columna - celda.columna)).toBeLessThanOrEqual(1);
+});
+
+test('un número imposible por posición no se puede forzar', () => {
+    const motor = crearMotorJuego({ tamañoTablero: TABLERO_PRUEBA, aprender: false });
+    motor.iniciar({ ...TABLERO_PRUEBA });
+    const { fila, columna } = motor.obtenerEstado().celdaActual;
+
+    const resultado = motor.responder({ fila, columna }, '9', { forzar: true });
+    expect(resultado.aceptada).toBe(false);
+    expect(motor.obtenerEstado().esperandoRespuesta).toBe(true);
+});
+
+test('la misma semilla repite las mismas selecciones', () => {
+    const jugar = () => {
+        const motor = crearMotorJuego({ tamañoTablero: TABLERO_PRUEBA, aprender: false });
+        const celdas = [motor.iniciar(TABLERO_PRUEBA, { semilla: 12345 })];
+        motor.responder(celdas[0], '1');
+        celdas.push(motor.siguienteCelda());
+        return { celdas, semilla: motor.obtenerEstado().semilla };
+    };
+
+    const primera = jugar();
+    expect(primera.semilla).toBe(12345);
+    expect(jugar().celdas).toEqual(primera.celdas);
+});
+
+test('el análisis asíncrono descarta resultados de un tablero que ya cambió', () => {
+    const motor = crearMotorJuego({ tamañoTablero: TABLERO_PRUEBA, aprender: false });
+    const cancelado = jest.fn();
+    motor.suscribir(EVENTOS_MOTOR.ANALISIS_CANCELADO, cancelado);
+
+    const celda = motor.iniciar(TABLERO_PRUEBA, { semilla: 12345 });
+    motor.responder(celda, '1');
+
+    const solicitud = motor.solicitarAnalisis();
+    expect(motor.obtenerEstado().pensando).toBe(true);
+    expect(motor.solicitarAnalisis()).toBeNull();
+
+    motor.reiniciar(TABLERO_PRUEBA);
+    expect(cancelado).toHaveBeenCalledWith({ id: solicitud.id });
+    expect(motor.obtenerEstado().pensando).toBe(false);
+    expect(motor.recibirAnalisis(solicitud.id, ejecutarAnalisis(solicitud.entrada))).toEqual({ descartado: true });
+});
+
+test('el análisis asíncrono elige la misma celda que el síncrono', () => {
+    const preparar = () => {
+        const motor = crearMotorJuego({ tamañoTablero: TABLERO_PRUEBA, aprender: false });
+        motor.responder(motor.iniciar(TABLERO_PRUEBA, { semilla: 12345 }), '1');
+        return motor;
+    };
+
+    const sincrona = preparar().siguienteCelda();
+
+    const motor = preparar();
+    const { id, entrada } = motor.solicitarAnalisis();
+    const { celda } = motor.recibirAnalisis(id, JSON.parse(JSON.stringify(ejecutarAnalisis(entrada))));
+
+    expect(celda).toEqual(sincrona);
+    expect(motor.obtenerEstado().pensando).toBe(false);
+});
+
+test('deshacer vuelve a cualquier pregunta anterior y borra lo aprendido de la derrota', () => {
+    localStorage.clear();
+    const memoriaJuego = inicializarMemoria();
+    const memoriaInicial = JSON.stringify(memoriaJuego);
+    const motor = crearMotorJuego({ tamañoTablero: TABLERO_PRUEBA, memoriaJuego });
+
+    const primera = motor.iniciar(TABLERO_PRUEBA, { semilla: 12345 });
+    const estadoPrimera = motor.obtenerEstado();
+    expect(motor.responder(primera, '1').aceptada).toBe(true);
+    const segunda = motor.siguienteCelda();
+    expect(motor.responder(segunda, 'mina').aceptada).toBe(true);
+    expect(JSON.stringify(memoriaJuego)).not.toBe(memoriaInicial);
+    expect(cargarHistorialDerrotas()).toHaveLength(1);
+
+    // Deshacer la derrota devuelve la pregunta y la memoria anterior
+    expect(motor.deshacer()).toEqual({ deshecho: true, celda: segunda, movimientosDeshechos: 1 });
+    expect(motor.obtenerEstado().fase).toBe(FASES_JUEGO.ESPERANDO_RESPUESTA);
+    expect(JSON.stringify(memoriaJuego)).toBe(memoriaInicial);
+    expect(cargarHistorialDerrotas()).toHaveLength(0);
+
+    // Volver a la primera respuesta deja la partida como estaba y el análisis se repite igual
+    expect(motor.deshacer(0).deshecho).toBe(true);
+    const estado = motor.obtenerEstado();
+    expect(estado.tablero).toEqual(estadoPrimera.tablero);
+    expect(estado.celdaActual).toEqual(primera);
+    expect(estado.historialMovimientos).toEqual([]);
+    expect(estado.estadisticas).toEqual(estadoPrimera.estadisticas);
+    expect(motor.deshacer().deshecho).toBe(false);
+
+    motor.responder(primera, '1');
+    expect(motor.siguienteCelda()).toEqual(segunda);
+});
+
+test('corregir una respuesta pasada retira las banderas que ya no se deducen y avisa de las contradicciones', () => {
+    const tamaño = { nombre: '6x6', filas: 6, columnas: 6 };
+    const { motor } = jugarConOraculo(tamaño, {
+        semilla: 3,
+        hasta: (partida) => partida.obtenerEstado().banderas.length > 0
+    });
+
+    // Cambiar el número que justifica las banderas hace que dejen de deducirse
+    const { historialMovimientos, banderas } = motor.obtenerEstado();
+    const justificante = historialMovimientos.find(mov => mov.esAccion).demostracion.restricciones[0];
+    const indice = historialMovimientos.findIndex(mov =>
+        !mov.esAccion && mov.fila === justificante.celda.fila && mov.columna === justificante.celda.columna);
+    const respuestasPosteriores = historialMovimientos.filter((mov, i) => i > indice && !mov.esAccion);
+
+    const resultado = motor.corregirRespuesta(indice, String(justificante.valor - 1));
+    expect(resultado.aceptada).toBe(true);
+    expect(resultado.banderasRetiradas).toEqual(banderas.map(({ fila, columna }) => ({ fila, columna })));
+    expect(resultado.contradicciones).toEqual([]);
+
+    const estado = motor.obtenerEstado();
+    expect(estado.banderas).toEqual([]);
+    expect(estado.historialMovimientos[indice]).toMatchObject({ corregida: true, valorAnterior: String(justificante.valor) });
+    expect(estado.historialMovimientos.filter((mov, i) => i > indice)).toEqual(respuestasPosteriores);
+    expect(estado.fase).toBe(FASES_JUEGO.ESPERANDO_RESPUESTA);
+
+    // En modo "impedir" la misma corrección se rechaza sin tocar el tablero
+    const contenidoAntes = motor.obtenerEstado().historialMovimientos[0].contenido;
+    expect(motor.corregirRespuesta(0, '5', { permitirContradicciones: false })).toMatchObject({ aceptada: false });
+    expect(motor.obtenerEstado().historialMovimientos[0].contenido).toBe(contenidoAntes);
+
+    // Un número que sus vecinas ya no pueden cumplir se aplica pero se avisa
+    const { contradicciones } = motor.corregirRespuesta(0, '5');
+    expect(contradicciones).toEqual([expect.objectContaining({ tipo: 'minas_insuficientes', celda: { fila: 0, columna: 2 } })]);
+});
+
+test('en un tablero rectangular el sistema solo pregunta por celdas dentro del tablero', () => {
+    const tamaño = { nombre: '5x9', filas: 5, columnas: 9 };
+    const { motor } = jugarConOraculo(tamaño, {
+        semilla: 7,
+        numeroMinas: 5,
+        alPreguntar: (celda) => {
+            expect(celda.fila).toBeLessThan(tamaño.filas);
+            expect(celda.columna).toBeLessThan(tamaño.columnas);
+        }
+    });
+
+    const estado = motor.obtenerEstado();
+    expect(estado.juegoTerminado).toBe(true);
+    expect(estado.tablero).toHaveLength(5);
+    expect(estado.tablero.every(fila => fila.length === 9)).toBe(true);
+
+    // La memoria normaliza cada eje por separado
+    expect(normalizarPosicion(4, 8, tamaño)).toEqual({ filaNorm: 1, columnaNorm: 1 });
+    expect(normalizarPosicion(2, 4, tamaño)).toEqual({ filaNorm: 0.5, columnaNorm: 0.5 });
+});
+
+test('una partida exportada sigue igual en otro motor, con la pregunta pendiente incluida', () => {
+    const tamaño = { nombre: '8x8', filas: 8, columnas: 8 };
+    const { motor: original, minas, celda } = jugarConOraculo(tamaño, { semilla: 7, maximoJugadas: 4 });
+    const guardada = JSON.parse(JSON.stringify(original.exportarPartida()));
+    expect(guardada.fase).toBe(FASES_JUEGO.ESPERANDO_RESPUESTA);
+
+    const reanudada = crearMotorJuego({ tamañoTablero: TABLERO_PRUEBA, aprender: false });
+    expect(reanudada.restaurarPartida({ ...guardada, fase: FASES_JUEGO.INACTIVO }).restaurada).toBe(false);
+    const { historialMovimientos, ...sinHistorial } = guardada;
+    // Unos datos incompletos se rechazan sin tocar la partida en curso
+    expect(original.restaurarPartida(sinHistorial).restaurada).toBe(false);
+    expect(reanudada.restaurarPartida(guardada)).toEqual({ restaurada: true, celda });
+
+    const sinProbabilidades = ({ mapaProbabilidades, ...estado }) => estado;
+    expect(sinProbabilidades(reanudada.obtenerEstado())).toEqual(sinProbabilidades(original.obtenerEstado()));
+
+    // Las dos partidas terminan con las mismas preguntas
+    const continuar = (motor) => {
+        const celdas = [];
+        continuarConOraculo(motor, minas, celda, tamaño, { alPreguntar: (pregunta) => celdas.push(pregunta) });
+        return { celdas, resultado: motor.obtenerEstado().resultado };
+    };
+    expect(continuar(reanudada)).toEqual(continuar(original));
+});
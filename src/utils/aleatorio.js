@@ -0,0 +1,47 @@
+/**
+ * Generador pseudoaleatorio con semilla para que las partidas sean reproducibles
+ */
+
+/**
+ * Valor máximo (exclusivo) de una semilla: enteros sin signo de 32 bits
+ * @type {number}
+ */
+const LIMITE_SEMILLA = 0x100000000;
+
+/**
+ * Generar una semilla nueva para una partida
+ * @returns {number} - Entero en [0, 2^32)
+ */
+export const generarSemilla = () => Math.floor(Math.random() * LIMITE_SEMILLA);
+
+/**
+ * Normalizar una semilla introducida por el usuario
+ * @param {number|string} valor - Semilla a normalizar
+ * @returns {number|null} - Entero en [0, 2^32) o null si no es válida
+ */
+export const normalizarSemilla = (valor) => {
+    const numero = typeof valor === 'string' ? Number(valor.trim()) : valor;
+    if (valor === '' || !Number.isInteger(numero) || numero < 0 || numero >= LIMITE_SEMILLA) {
+        return null;
+    }
+    return numero;
+};
+
+/**
+ * Crear un generador determinista (mulberry32) a partir de una semilla.
+ * La misma semilla produce siempre la misma secuencia, de modo que puede
+ * sustituir a Math.random en cualquier decisión aleatoria del juego.
+ * @param {number} semilla - Semilla entera
+ * @returns {Function} - Función que devuelve números en [0, 1)
+ */
+export const crearGeneradorAleatorio = (semilla) => {
+    let estado = semilla >>> 0;
+
+    return () => {
+        estado = (estado + 0x6D2B79F5) >>> 0;
+        let t = estado;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / LIMITE_SEMILLA;
+    };
+};
@@ -0,0 +1,17 @@
+/* eslint-disable no-restricted-globals */
+/**
+ * Web Worker del análisis del tablero.
+ * Protocolo: recibe { id, entrada } y responde { id, resultado } o { id, error }.
+ */
+
+import { ejecutarAnalisis } from './ejecucionAnalisis';
+
+self.onmessage = ({ data }) => {
+    const { id, entrada } = data;
+    try {
+        self.postMessage({ id, resultado: ejecutarAnalisis(entrada) });
+    } catch (error) {
+        console.error("Error en el worker de análisis:", error);
+        self.postMessage({ id, error: error.message });
+    }
+};
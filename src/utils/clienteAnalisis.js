@@ -0,0 +1,122 @@
+/**
+ * Cliente del análisis en segundo plano. Envía instantáneas del tablero al Web Worker
+ * y permite cancelar el análisis en curso cuando el tablero cambia.
+ * Si el entorno no admite workers, analiza en el hilo principal de forma diferida.
+ */
+
+import { crearWorkerAnalisis } from './crearWorkerAnalisis';
+import { ejecutarAnalisis } from './ejecucionAnalisis';
+
+/**
+ * Crear un cliente de análisis
+ * @returns {object} - { analizar, cancelar, terminar }
+ */
+export const crearClienteAnalisis = () => {
+    let worker = null;
+    let pendiente = null;
+    let contadorSolicitudes = 0;
+
+    const manejarMensaje = ({ data }) => {
+        const { id, resultado, error } = data;
+        if (!pendiente || pendiente.id !== id) return; // Respuesta de una solicitud ya cancelada
+
+        const { resolver, rechazar } = pendiente;
+        pendiente = null;
+        if (error) {
+            rechazar(new Error(error));
+        } else {
+            resolver(resultado);
+        }
+    };
+
+    const manejarError = (evento) => {
+        console.error("Error en el worker de análisis:", evento.message || evento);
+        worker = null;
+        if (pendiente) {
+            const { rechazar } = pendiente;
+            pendiente = null;
+            rechazar(new Error(evento.message || 'El worker de análisis ha fallado'));
+        }
+    };
+
+    const obtenerWorker = () => {
+        if (!worker) {
+            try {
+                worker = crearWorkerAnalisis();
+            } catch (error) {
+                console.error("No se pudo crear el worker de análisis, se analizará en el hilo principal:", error);
+                worker = null;
+            }
+            if (worker) {
+                worker.onmessage = manejarMensaje;
+                worker.onerror = manejarError;
+            }
+        }
+        return worker;
+    };
+
+    /**
+     * Cancelar el análisis en curso. Su promesa se resuelve con { cancelado: true }.
+     * Un worker ocupado no se puede interrumpir, así que se termina y se crea otro en la siguiente solicitud.
+     */
+    const cancelar = () => {
+        if (!pendiente) return;
+
+        const { resolver, temporizador } = pendiente;
+        pendiente = null;
+        if (temporizador) {
+            clearTimeout(temporizador);
+        } else if (worker) {
+            worker.terminate();
+            worker = null;
+        }
+        console.log("ANÁLISIS: Solicitud cancelada por cambio en el tablero");
+        resolver({ cancelado: true });
+    };
+
+    /**
+     * Analizar una instantánea del tablero. Cancela cualquier análisis anterior.
+     * @param {object} entrada - Instantánea serializable (ver ejecutarAnalisis)
+     * @returns {Promise<object>} - Resultado del análisis o { cancelado: true }
+     */
+    const analizar = (entrada) => {
+        cancelar();
+        const id = ++contadorSolicitudes;
+
+        return new Promise((resolver, rechazar) => {
+            const workerActual = obtenerWorker();
+
+            if (workerActual) {
+                try {
+                    workerActual.postMessage({ id, entrada });
+                    pendiente = { id, resolver, rechazar };
+                    return;
+                } catch (error) {
+                    // Entradas no clonables (p. ej. estrategias adicionales con funciones) se analizan aquí
+                    console.warn("No se pudo enviar el análisis al worker, se analizará en el hilo principal:", error);
+                }
+            }
+
+            // Sin workers: analizar en la siguiente vuelta del bucle de eventos para no bloquear la respuesta actual
+            const temporizador = setTimeout(() => {
+                pendiente = null;
+                try {
+                    resolver(ejecutarAnalisis(entrada));
+                } catch (error) {
+                    rechazar(error);
+                }
+            }, 0);
+            pendiente = { id, resolver, rechazar, temporizador };
+        });
+    };
+
+    const terminar = () => {
+        cancelar();
+        if (worker) {
+            worker.terminate();
+            worker = null;
+        }
+    };
+
+    return { analizar, cancelar, terminar };
+};
@@ -0,0 +1,9 @@
+/**
+ * Crear el Web Worker del análisis. Está aislado en su propio módulo porque la sintaxis
+ * de import.meta solo la entiende webpack; las pruebas lo sustituyen en setupTests.js.
+ * @returns {Worker|null} - Worker o null si el entorno no admite workers
+ */
+export const crearWorkerAnalisis = () => {
+    if (typeof Worker === 'undefined') return null;
+    return new Worker(new URL('./analisis.worker.js', import.meta.url));
+};
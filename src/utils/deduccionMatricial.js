@@ -0,0 +1,222 @@
+/**
+ * Deducción por álgebra lineal sobre la frontera del tablero.
+ * Cada número descubierto es una ecuación "suma de sus celdas desconocidas = minas que le faltan".
+ * Se reduce la matriz de esas ecuaciones (Gauss-Jordan) y, como cada celda vale 0 o 1, una fila
+ * cuyo resultado coincide con el mínimo o el máximo alcanzable fuerza el valor de todas sus celdas.
+ * Así se encuentran las deducciones en cadena que los patrones locales no cubren.
+ */
+
+import { TIPOS_DEMOSTRACION, describirRestriccion, crearDemostracion } from './demostraciones';
+
+/**
+ * Tolerancia numérica de la eliminación
+ * @type {number}
+ */
+const EPSILON = 1e-9;
+
+const claveCelda = ({ fila, columna }) => `${fila},${columna}`;
+
+/**
+ * Construir la matriz de restricciones de la frontera
+ * @param {object} modeloTablero - Modelo del tablero (ver crearModeloTablero)
+ * @returns {object} - { restricciones, variables, filas }: restricciones descritas, celdas de la frontera
+ *                     y filas { coeficientes, resultado, combinacion } (combinacion: factor de cada restricción)
+ */
+export const construirMatrizRestricciones = (modeloTablero) => {
+    const { restricciones: restriccionesModelo, estadoCeldas } = modeloTablero;
+
+    const restricciones = restriccionesModelo
+        .map(r => describirRestriccion(r, estadoCeldas))
+        .filter(r => r.desconocidas.length > 0);
+
+    const indices = new Map();
+    const variables = [];
+    restricciones.forEach(r => r.desconocidas.forEach(c => {
+        const clave = claveCelda(c);
+        if (!indices.has(clave)) {
+            indices.set(clave, variables.length);
+            variables.push(c);
+        }
+    }));
+
+    const filas = restricciones.map((r, k) => {
+        const coeficientes = Array(variables.length).fill(0);
+        r.desconocidas.forEach(c => { coeficientes[indices.get(claveCelda(c))] = 1; });
+        const combinacion = Array(restricciones.length).fill(0);
+        combinacion[k] = 1;
+        return { coeficientes, resultado: r.minasFaltantes, combinacion };
+    });
+
+    return { restricciones, variables, filas };
+};
+
+/**
+ * Reducir las filas a forma escalonada reducida (Gauss-Jordan con pivote parcial)
+ * @param {Array} filas - Filas de la matriz (no se modifican)
+ * @returns {Array} - Filas reducidas, con su combinación de restricciones originales
+ */
+export const reducirMatriz = (filas) => {
+    const reducidas = filas.map(f => ({
+        coeficientes: [...f.coeficientes],
+        resultado: f.resultado,
+        combinacion: [...f.combinacion]
+    }));
+    if (reducidas.length === 0) return reducidas;
+
+    const numeroColumnas = reducidas[0].coeficientes.length;
+    let filaPivote = 0;
+
+    // Restar a la fila destino la fila origen multiplicada por factor
+    const restar = (destino, origen, factor) => {
+        destino.coeficientes = destino.coeficientes.map((a, i) => a - factor * origen.coeficientes[i]);
+        destino.resultado -= factor * origen.resultado;
+        destino.combinacion = destino.combinacion.map((a, i) => a - factor * origen.combinacion[i]);
+    };
+
+    for (let columna = 0; columna < numeroColumnas && filaPivote < reducidas.length; columna++) {
+        let mejor = filaPivote;
+        for (let i = filaPivote + 1; i < reducidas.length; i++) {
+            if (Math.abs(reducidas[i].coeficientes[columna]) > Math.abs(reducidas[mejor].coeficientes[columna])) {
+                mejor = i;
+            }
+        }
+        if (Math.abs(reducidas[mejor].coeficientes[columna]) < EPSILON) continue;
+
+        [reducidas[filaPivote], reducidas[mejor]] = [reducidas[mejor], reducidas[filaPivote]];
+
+        const pivote = reducidas[filaPivote];
+        const valorPivote = pivote.coeficientes[columna];
+        pivote.coeficientes = pivote.coeficientes.map(a => a / valorPivote);
+        pivote.resultado /= valorPivote;
+        pivote.combinacion = pivote.combinacion.map(a => a / valorPivote);
+
+        reducidas.forEach(fila => {
+            if (fila !== pivote && Math.abs(fila.coeficientes[columna]) >= EPSILON) {
+                restar(fila, pivote, fila.coeficientes[columna]);
+            }
+        });
+
+        filaPivote++;
+    }
+
+    // Eliminar el ruido numérico
+    const limpiar = (valor) => {
+        const redondeado = Math.round(valor);
+        return Math.abs(valor - redondeado) < EPSILON ? redondeado : valor;
+    };
+    return reducidas.map(f => ({
+        coeficientes: f.coeficientes.map(limpiar),
+        resultado: limpiar(f.resultado),
+        combinacion: f.combinacion.map(limpiar)
+    }));
+};
+
+/**
+ * Razonamiento de cotas 0/1 sobre una fila: si el resultado es el mínimo o el máximo
+ * alcanzable, el valor de cada celda queda forzado
+ * @param {object} fila - Fila { coeficientes, resultado }
+ * @returns {object|null} - { cota: 'minima'|'maxima', valores: [{ indice, valor }] } o null
+ */
+const aplicarCotas = ({ coeficientes, resultado }) => {
+    let minimo = 0;
+    let maximo = 0;
+    coeficientes.forEach(a => {
+        if (a < 0) minimo += a;
+        else maximo += a;
+    });
+
+    const noNulos = coeficientes
+        .map((a, indice) => ({ a, indice }))
+        .filter(({ a }) => Math.abs(a) >= EPSILON);
+    if (noNulos.length === 0) return null;
+
+    // En la cota mínima los coeficientes positivos valen 0 y los negativos 1; en la máxima, al revés
+    if (Math.abs(resultado - minimo) < EPSILON) {
+        return { cota: 'minima', valores: noNulos.map(({ a, indice }) => ({ indice, valor: a < 0 ? 1 : 0 })) };
+    }
+    if (Math.abs(resultado - maximo) < EPSILON) {
+        return { cota: 'maxima', valores: noNulos.map(({ a, indice }) => ({ indice, valor: a > 0 ? 1 : 0 })) };
+    }
+    return null;
+};
+
+/**
+ * Deducir minas y celdas seguras forzadas por la matriz de restricciones de la frontera
+ * @param {object} modeloTablero - Modelo del tablero
+ * @returns {object} - { banderas, seguras, inconsistente } con demostración en cada celda
+ */
+export const deducirPorAlgebraLineal = (modeloTablero) => {
+    const { restricciones, variables, filas } = construirMatrizRestricciones(modeloTablero);
+    const banderas = [];
+    const seguras = [];
+
+    if (filas.length === 0) return { banderas, seguras, inconsistente: false };
+
+    const reducidas = reducirMatriz(filas);
+
+    // Una fila 0 = k (k ≠ 0) significa que las respuestas son contradictorias: no se deduce nada
+    if (reducidas.some(f => f.coeficientes.every(a => Math.abs(a) < EPSILON) && Math.abs(f.resultado) >= EPSILON)) {
+        console.log("ÁLGEBRA LINEAL: Sistema de restricciones inconsistente, se omite la deducción matricial");
+        return { banderas, seguras, inconsistente: true };
+    }
+
+    const valores = new Map();
+    let contradiccion = false;
+
+    // Las filas originales primero: dan demostraciones más sencillas que las reducidas
+    [...filas, ...reducidas].forEach(fila => {
+        const forzadas = aplicarCotas(fila);
+        if (!forzadas) return;
+
+        const nuevas = forzadas.valores.filter(({ indice, valor }) => {
+            const previo = valores.get(indice);
+            if (previo !== undefined && previo !== valor) contradiccion = true;
+            return previo === undefined;
+        });
+        if (nuevas.length === 0) return;
+
+        const relacion = {
+            tipo: 'combinacionLineal',
+            factores: fila.combinacion
+                .map((factor, k) => ({ celda: restricciones[k].celda, factor }))
+                .filter(({ factor }) => Math.abs(factor) >= EPSILON),
+            coeficientes: fila.coeficientes
+                .map((coeficiente, i) => ({ celda: variables[i], coeficiente }))
+                .filter(({ coeficiente }) => Math.abs(coeficiente) >= EPSILON),
+            resultado: fila.resultado,
+            cota: forzadas.cota
+        };
+        const usadas = restricciones.filter((_, k) => Math.abs(fila.combinacion[k]) >= EPSILON);
+
+        ['mina', 'segura'].forEach(conclusion => {
+            const celdas = nuevas
+                .filter(({ valor }) => (valor === 1) === (conclusion === 'mina'))
+                .map(({ indice }) => variables[indice]);
+            if (celdas.length === 0) return;
+
+            const demostracion = crearDemostracion({
+                tipo: TIPOS_DEMOSTRACION.ALGEBRA_LINEAL,
+                restricciones: usadas,
+                relacion,
+                conclusion,
+                celdas
+            });
+            const destino = conclusion === 'mina' ? banderas : seguras;
+            celdas.forEach(c => destino.push({
+                fila: c.fila,
+                columna: c.columna,
+                origen: 'álgebra lineal',
+                demostracion
+            }));
+        });
+
+        nuevas.forEach(({ indice, valor }) => valores.set(indice, valor));
+    });
+
+    if (contradiccion) {
+        console.log("ÁLGEBRA LINEAL: Deducciones contradictorias, se omite la deducción matricial");
+        return { banderas: [], seguras: [], inconsistente: true };
+    }
+
+    return { banderas, seguras, inconsistente: false };
+};
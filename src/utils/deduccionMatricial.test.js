@@ -0,0 +1,33 @@
+import { deducirPorAlgebraLineal } from './deduccionMatricial';
+import { obtenerCeldasAdyacentes } from './logicaJuego';
+import { verificarDemostracion } from './demostraciones';
+
+beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterEach(() => {
+    jest.restoreAllMocks();
+});
+
+test('la reducción de la matriz resuelve una cadena de unos que los patrones locales no cierran', () => {
+    // Tablero de 2x6: la fila de arriba sin descubrir, la de abajo toda con 1 (minas en las columnas 1 y 4)
+    const tamañoTablero = { filas: 2, columnas: 6 };
+    const estadoCeldas = [0, 1].map(fila =>
+        Array(6).fill().map(() => ({ descubierta: fila === 1, tieneBandera: false }))
+    );
+    const restricciones = Array(6).fill().map((_, columna) => ({
+        celda: { fila: 1, columna },
+        valor: 1,
+        celdasAfectadas: obtenerCeldasAdyacentes(1, columna, tamañoTablero).filter(c => c.fila === 0)
+    }));
+
+    const { banderas, seguras, inconsistente } = deducirPorAlgebraLineal({ estadoCeldas, restricciones, tamañoTablero });
+
+    expect(inconsistente).toBe(false);
+    expect(banderas.map(b => b.columna).sort()).toEqual([1, 4]);
+    expect(seguras.map(s => s.columna).sort()).toEqual([0, 2, 3, 5]);
+    [...banderas, ...seguras].forEach(celda => {
+        expect(verificarDemostracion(celda.demostracion, celda).valida).toBe(true);
+    });
+});
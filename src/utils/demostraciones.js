@@ -0,0 +1,273 @@
+/**
+ * Demostraciones estructuradas de las deducciones lógicas.
+ * Cada bandera y cada celda segura deducida lleva una demostración con las restricciones
+ * usadas (celda numérica, valor, banderas y celdas desconocidas a su alrededor), la relación
+ * o patrón aplicado y la conclusión, de modo que la interfaz pueda señalar los números que
+ * la justifican y las pruebas puedan comprobar la deducción.
+ */
+
+import { sonVecinas } from './topologia';
+
+/**
+ * Tipos de demostración
+ * @type {object}
+ */
+export const TIPOS_DEMOSTRACION = {
+    // Un 0 o vacío no tiene minas alrededor
+    ADYACENTE_A_CERO: 'adyacenteACero',
+    // Las minas que faltan a un número son tantas como sus celdas desconocidas
+    RESTRICCION_COMPLETA: 'restriccionCompleta',
+    // Un número ya tiene todas sus minas marcadas
+    RESTRICCION_SATURADA: 'restriccionSaturada',
+    // Las celdas desconocidas de un número están contenidas en las de otro
+    SUBCONJUNTO: 'subconjunto',
+    // Patrón de números reconocido (p. ej. 1-2-1)
+    PATRON: 'patron',
+    // Todas las configuraciones compatibles con el total de minas coinciden en la celda
+    RECUENTO_TOTAL: 'recuentoTotal',
+    // Una combinación lineal de restricciones alcanza su cota mínima o máxima
+    ALGEBRA_LINEAL: 'algebraLineal'
+};
+
+const mismaCelda = (a, b) => a.fila === b.fila && a.columna === b.columna;
+const copiarCelda = ({ fila, columna }) => ({ fila, columna });
+
+// Tolerancia al comparar combinaciones lineales con coeficientes fraccionarios
+const EPSILON = 1e-6;
+
+/**
+ * Fotografía de una restricción en el momento de la deducción
+ * @param {object} restriccion - Restricción del modelo ({ celda, valor, celdasAfectadas })
+ * @param {Array} estadoCeldas - Estado de las celdas usado en la deducción
+ * @param {Array} banderasAdicionales - Banderas deducidas en este análisis que aún no están en estadoCeldas
+ * @returns {object} - { celda, valor, banderas, desconocidas, minasFaltantes }
+ */
+export const describirRestriccion = (restriccion, estadoCeldas, banderasAdicionales = []) => {
+    const banderas = [];
+    const desconocidas = [];
+
+    restriccion.celdasAfectadas.forEach(c => {
+        const estado = estadoCeldas[c.fila][c.columna];
+        if (estado.tieneBandera || banderasAdicionales.some(b => mismaCelda(b, c))) {
+            banderas.push(copiarCelda(c));
+        } else if (!estado.descubierta) {
+            desconocidas.push(copiarCelda(c));
+        }
+    });
+
+    return {
+        celda: copiarCelda(restriccion.celda),
+        valor: restriccion.valor,
+        banderas,
+        desconocidas,
+        minasFaltantes: restriccion.valor - banderas.length
+    };
+};
+
+/**
+ * Crear una demostración
+ * @param {object} datos - Datos de la demostración
+ * @param {string} datos.tipo - Uno de TIPOS_DEMOSTRACION
+ * @param {Array} datos.restricciones - Restricciones usadas (ver describirRestriccion)
+ * @param {object|null} datos.relacion - Relación entre restricciones (subconjunto o combinación lineal)
+ * @param {object|null} datos.patron - Patrón reconocido { nombre, celdas }
+ * @param {number|null} datos.totalMinas - Total de minas usado (solo en el recuento total)
+ * @param {string} datos.conclusion - 'mina' o 'segura'
+ * @param {Array} datos.celdas - Celdas a las que se aplica la conclusión
+ * @returns {object} - Demostración
+ */
+export const crearDemostracion = ({ tipo, restricciones = [], relacion = null, patron = null, totalMinas = null, conclusion, celdas }) => ({
+    tipo,
+    restricciones,
+    relacion,
+    patron,
+    totalMinas,
+    conclusion: {
+        tipo: conclusion,
+        celdas: celdas.map(copiarCelda)
+    }
+});
+
+/**
+ * Demostración por subconjunto: las desconocidas de la restricción menor están contenidas en las de la mayor
+ * @param {object} menor - Restricción descrita cuyas desconocidas son subconjunto
+ * @param {object} mayor - Restricción descrita que las contiene
+ * @param {string} conclusion - 'mina' o 'segura'
+ * @returns {object} - Demostración
+ */
+export const crearDemostracionSubconjunto = (menor, mayor, conclusion) => {
+    const diferencia = mayor.desconocidas.filter(c => !menor.desconocidas.some(m => mismaCelda(m, c)));
+
+    return crearDemostracion({
+        tipo: TIPOS_DEMOSTRACION.SUBCONJUNTO,
+        restricciones: [menor, mayor],
+        relacion: {
+            tipo: 'subconjunto',
+            subconjunto: menor.celda,
+            superconjunto: mayor.celda,
+            diferencia,
+            minasDiferencia: mayor.minasFaltantes - menor.minasFaltantes
+        },
+        conclusion,
+        celdas: diferencia
+    });
+};
+
+/**
+ * Celdas numéricas que justifican una demostración (para resaltarlas en el tablero)
+ * @param {object|null} demostracion - Demostración
+ * @returns {Array} - Celdas {fila, columna}
+ */
+export const celdasJustificantes = (demostracion) => {
+    if (!demostracion) return [];
+    const celdas = demostracion.restricciones.map(r => r.celda);
+    if (demostracion.patron) {
+        demostracion.patron.celdas.forEach(c => {
+            if (!celdas.some(existente => mismaCelda(existente, c))) celdas.push(c);
+        });
+    }
+    return celdas;
+};
+
+/**
+ * Explicación legible de una demostración
+ * @param {object} demostracion - Demostración
+ * @returns {string} - Texto para el usuario
+ */
+export const describirDemostracion = (demostracion) => {
+    const coordenadas = (c) => `(${c.fila + 1},${c.columna + 1})`;
+    const [primera, segunda] = demostracion.restricciones;
+    const esMina = demostracion.conclusion.tipo === 'mina';
+
+    switch (demostracion.tipo) {
+        case TIPOS_DEMOSTRACION.ADYACENTE_A_CERO:
+            return `${coordenadas(primera.celda)} es ${primera.valor}: ninguna celda a su alrededor tiene mina`;
+        case TIPOS_DEMOSTRACION.RESTRICCION_COMPLETA:
+            return `${coordenadas(primera.celda)}=${primera.valor} necesita ${primera.minasFaltantes} minas más y solo le quedan ${primera.desconocidas.length} celdas desconocidas`;
+        case TIPOS_DEMOSTRACION.RESTRICCION_SATURADA:
+            return `${coordenadas(primera.celda)}=${primera.valor} ya tiene sus ${primera.banderas.length} minas marcadas`;
+        case TIPOS_DEMOSTRACION.SUBCONJUNTO:
+            return `Las desconocidas de ${coordenadas(primera.celda)}=${primera.valor} están dentro de las de ${coordenadas(segunda.celda)}=${segunda.valor}; ` +
+                `las ${demostracion.relacion.diferencia.length} celdas de diferencia tienen ${demostracion.relacion.minasDiferencia} minas`;
+        case TIPOS_DEMOSTRACION.PATRON:
+            return `Patrón ${demostracion.patron.nombre} en ${demostracion.patron.celdas.map(coordenadas).join(', ')}`;
+        case TIPOS_DEMOSTRACION.RECUENTO_TOTAL:
+            return `Con ${demostracion.totalMinas} minas en total, la celda es ${esMina ? 'mina' : 'segura'} en todas las configuraciones compatibles`;
+        case TIPOS_DEMOSTRACION.ALGEBRA_LINEAL: {
+            const { coeficientes, resultado, cota } = demostracion.relacion;
+            const redondear = (x) => Number(x.toFixed(3));
+            const ecuacion = coeficientes
+                .map(({ celda, coeficiente }, i) => {
+                    const signo = coeficiente < 0 ? '- ' : (i > 0 ? '+ ' : '');
+                    const magnitud = Math.abs(redondear(coeficiente));
+                    return `${signo}${magnitud === 1 ? '' : magnitud}x${coordenadas(celda)}`;
+                })
+                .join(' ');
+            return `Combinando ${demostracion.restricciones.map(r => `${coordenadas(r.celda)}=${r.valor}`).join(', ')} ` +
+                `se obtiene ${ecuacion} = ${redondear(resultado)}, que es su valor ${cota === 'minima' ? 'mínimo' : 'máximo'} posible`;
+        }
+        default:
+            return 'Deducción sin descripción';
+    }
+};
+
+/**
+ * Comprobar que una demostración es correcta con los datos que contiene
+ * (las de patrón y recuento total no se pueden comprobar localmente)
+ * @param {object} demostracion - Demostración
+ * @param {object} celda - Celda cuya conclusión se comprueba (opcional)
+ * @param {object} tamañoTablero - Tamaño del tablero (opcional; necesario si las vecindades dan la vuelta)
+ * @returns {object} - { valida, motivo }
+ */
+export const verificarDemostracion = (demostracion, celda = null, tamañoTablero = null) => {
+    if (!demostracion) return { valida: false, motivo: 'sin demostración' };
+
+    const { tipo, restricciones, relacion, conclusion } = demostracion;
+    const esMina = conclusion.tipo === 'mina';
+
+    if (celda && !conclusion.celdas.some(c => mismaCelda(c, celda))) {
+        return { valida: false, motivo: 'la conclusión no incluye la celda' };
+    }
+
+    const conclusionDentroDe = (celdas) => conclusion.celdas.every(c => celdas.some(d => mismaCelda(c, d)));
+
+    // Las celdas de cada restricción deben ser vecinas de su número
+    const adyacentesCorrectas = restricciones.every(r =>
+        [...r.banderas, ...r.desconocidas].every(c => tamañoTablero
+            ? sonVecinas(c, r.celda, tamañoTablero)
+            : Math.abs(c.fila - r.celda.fila) <= 1 && Math.abs(c.columna - r.celda.columna) <= 1 && !mismaCelda(c, r.celda)
+        ) && r.minasFaltantes === r.valor - r.banderas.length
+    );
+    if (!adyacentesCorrectas) {
+        return { valida: false, motivo: 'restricción incoherente' };
+    }
+
+    switch (tipo) {
+        case TIPOS_DEMOSTRACION.ADYACENTE_A_CERO: {
+            const [cero] = restricciones;
+            const valida = !esMina && cero.valor === 0 && conclusionDentroDe(cero.desconocidas);
+            return { valida, motivo: valida ? 'vecina de un cero' : 'el número no es cero o la celda no es vecina' };
+        }
+        case TIPOS_DEMOSTRACION.RESTRICCION_COMPLETA: {
+            const [r] = restricciones;
+            const valida = esMina && r.minasFaltantes > 0 && r.minasFaltantes === r.desconocidas.length &&
+                conclusionDentroDe(r.desconocidas);
+            return { valida, motivo: valida ? 'minas faltantes = celdas desconocidas' : 'las minas faltantes no cubren las desconocidas' };
+        }
+        case TIPOS_DEMOSTRACION.RESTRICCION_SATURADA: {
+            const [r] = restricciones;
+            const valida = !esMina && r.minasFaltantes === 0 && conclusionDentroDe(r.desconocidas);
+            return { valida, motivo: valida ? 'todas las minas del número marcadas' : 'al número le faltan minas' };
+        }
+        case TIPOS_DEMOSTRACION.SUBCONJUNTO: {
+            const [menor, mayor] = restricciones;
+            const contenida = menor.desconocidas.every(c => mayor.desconocidas.some(d => mismaCelda(c, d)));
+            const diferencia = mayor.desconocidas.filter(c => !menor.desconocidas.some(m => mismaCelda(m, c)));
+            const minasDiferencia = mayor.minasFaltantes - menor.minasFaltantes;
+            const cuadra = esMina ? minasDiferencia === diferencia.length : minasDiferencia === 0;
+            const valida = contenida && diferencia.length > 0 && cuadra &&
+                relacion?.minasDiferencia === minasDiferencia && conclusionDentroDe(diferencia);
+            return { valida, motivo: valida ? 'subconjunto con diferencia determinada' : 'la relación de subconjunto no justifica la conclusión' };
+        }
+        case TIPOS_DEMOSTRACION.ALGEBRA_LINEAL: {
+            // Rehacer la combinación de restricciones y comprobar que da la ecuación declarada
+            const combinacion = new Map();
+            let resultado = 0;
+            const factoresValidos = relacion.factores.every(({ celda: numero, factor }) => {
+                const r = restricciones.find(candidata => mismaCelda(candidata.celda, numero));
+                if (!r) return false;
+                r.desconocidas.forEach(c => {
+                    const clave = `${c.fila},${c.columna}`;
+                    combinacion.set(clave, (combinacion.get(clave) || 0) + factor);
+                });
+                resultado += factor * r.minasFaltantes;
+                return true;
+            });
+
+            const declarados = new Map(relacion.coeficientes.map(({ celda: c, coeficiente }) => [`${c.fila},${c.columna}`, coeficiente]));
+            const claves = new Set([...combinacion.keys(), ...declarados.keys()]);
+            const ecuacionCuadra = factoresValidos && Math.abs(resultado - relacion.resultado) < EPSILON &&
+                [...claves].every(clave => Math.abs((combinacion.get(clave) || 0) - (declarados.get(clave) || 0)) < EPSILON);
+
+            // Cota alcanzada: en la mínima los coeficientes negativos son minas; en la máxima, los positivos
+            const minimo = relacion.coeficientes.reduce((suma, { coeficiente }) => suma + Math.min(0, coeficiente), 0);
+            const maximo = relacion.coeficientes.reduce((suma, { coeficiente }) => suma + Math.max(0, coeficiente), 0);
+            const enCota = relacion.cota === 'minima'
+                ? Math.abs(relacion.resultado - minimo) < EPSILON
+                : Math.abs(relacion.resultado - maximo) < EPSILON;
+            const signoMina = relacion.cota === 'minima' ? -1 : 1;
+            const conclusionCoherente = conclusion.celdas.every(c => {
+                const coeficiente = declarados.get(`${c.fila},${c.columna}`) || 0;
+                return Math.abs(coeficiente) >= EPSILON && (Math.sign(coeficiente) === signoMina) === esMina;
+            });
+
+            const valida = ecuacionCuadra && enCota && conclusionCoherente;
+            return { valida, motivo: valida ? 'combinación lineal en su cota' : 'la combinación lineal no justifica la conclusión' };
+        }
+        case TIPOS_DEMOSTRACION.PATRON:
+        case TIPOS_DEMOSTRACION.RECUENTO_TOTAL:
+            return { valida: true, motivo: 'no comprobable localmente' };
+        default:
+            return { valida: false, motivo: `tipo desconocido: ${tipo}` };
+    }
+};
@@ -0,0 +1,70 @@
+import { crearMotorJuego } from './MotorJuego';
+import { jugarConOraculo } from './pruebasOraculo';
+import { TIPOS_DEMOSTRACION, crearDemostracion, verificarDemostracion } from './demostraciones';
+import { EVENTOS_MOTOR } from '../constants/gameConfig';
+
+const TABLERO_PRUEBA = { nombre: '8x8', filas: 8, columnas: 8 };
+
+beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterEach(() => {
+    jest.restoreAllMocks();
+});
+
+test('una demostración que no cuadra con sus restricciones se rechaza', () => {
+    const restriccion = {
+        celda: { fila: 1, columna: 1 },
+        valor: 2,
+        banderas: [],
+        desconocidas: [{ fila: 0, columna: 0 }, { fila: 0, columna: 1 }, { fila: 0, columna: 2 }],
+        minasFaltantes: 2
+    };
+    const demostracion = crearDemostracion({
+        tipo: TIPOS_DEMOSTRACION.RESTRICCION_COMPLETA,
+        restricciones: [restriccion],
+        conclusion: 'mina',
+        celdas: restriccion.desconocidas
+    });
+
+    expect(verificarDemostracion(demostracion).valida).toBe(false);
+});
+
+test('cada bandera y cada celda segura deducida lleva una demostración válida y correcta', () => {
+    let demostracionesComprobadas = 0;
+
+    [1, 2, 3, 4, 5].forEach(semilla => {
+        const motor = crearMotorJuego({ tamañoTablero: TABLERO_PRUEBA, aprender: false });
+        let minas = null;
+
+        motor.suscribir(EVENTOS_MOTOR.BANDERAS, (banderas) => {
+            banderas.forEach(bandera => {
+                expect(bandera.demostracion).toBeTruthy();
+                expect(verificarDemostracion(bandera.demostracion, bandera).valida).toBe(true);
+                expect(minas[bandera.fila][bandera.columna]).toBe(true);
+                demostracionesComprobadas++;
+            });
+        });
+
+        const seleccionesDemostradas = [];
+        jugarConOraculo(TABLERO_PRUEBA, {
+            semilla,
+            numeroMinas: 10,
+            motor,
+            alEmpezar: (oculto) => { minas = oculto; },
+            alPreguntar: (celda) => {
+                const { demostracionActual } = motor.obtenerEstado();
+                if (demostracionActual) seleccionesDemostradas.push({ celda, demostracion: demostracionActual });
+            }
+        });
+
+        seleccionesDemostradas.forEach(({ celda: seleccionada, demostracion }) => {
+            expect(verificarDemostracion(demostracion, seleccionada).valida).toBe(true);
+            expect(minas[seleccionada.fila][seleccionada.columna]).toBe(false);
+            demostracionesComprobadas++;
+        });
+    });
+
+    expect(demostracionesComprobadas).toBeGreaterThan(0);
+});
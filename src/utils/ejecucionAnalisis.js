@@ -0,0 +1,28 @@
+/**
+ * Ejecución aislada del análisis del tablero: recibe una instantánea serializable
+ * y devuelve el resultado junto con los mensajes y animaciones que produjo, de modo
+ * que se pueda ejecutar igual en el hilo principal o dentro de un Web Worker.
+ */
+
+import { analizarTablero } from './logicaJuego';
+import { crearGeneradorAleatorio } from './aleatorio';
+
+/**
+ * Analizar una instantánea del tablero
+ * @param {object} entrada - { tablero, tamañoTablero, celdasDescubiertas, banderas, historialMovimientos,
+ *                           memoriaJuego, totalMinas, parametrosEstrategia, semillaAnalisis }
+ * @returns {object} - Resultado de analizarTablero con { mensajes, animaciones } añadidos
+ */
+export const ejecutarAnalisis = ({ semillaAnalisis, ...entrada }) => {
+    const mensajes = [];
+    const animaciones = [];
+
+    const resultado = analizarTablero({
+        ...entrada,
+        setMensajeSistema: (mensaje) => mensajes.push(mensaje),
+        setAnimacion: (animacion) => animaciones.push(animacion),
+        aleatorio: crearGeneradorAleatorio(semillaAnalisis)
+    });
+
+    return { ...resultado, mensajes, animaciones };
+};
@@ -0,0 +1,366 @@
+/**
+ * Registro de estrategias de selección de jugadas.
+ * Cada estrategia es un objeto { nombre, prioridad, descripcion, evaluar } y se prueban en orden
+ * de prioridad (menor primero) hasta que una elige celda. evaluar(contexto) devuelve
+ * { celda, motivo }: con celda null la estrategia declina y el motivo explica por qué.
+ *
+ * El contexto contiene modeloTablero, mapaProbabilidades, celdasSeguras, historialMovimientos,
+ * memoriaJuego, tamañoTablero, aleatorio, parametros (umbrales), candidatas (celdas sin descubrir
+ * ni bandera con su probabilidad), probabilidadMinima, celdasMinimoRiesgo y auxiliares
+ * (funciones de apoyo reemplazables: seleccionarCeldaMasCercana, clasificarSegunNumerosAdyacentes,
+ * esLejanaANumeros, seleccionarCeldaAleatoriaSegura y estimarGananciaInformacion).
+ */
+
+import { obtenerMaximoVecinas } from './topologia';
+
+const porcentaje = (probabilidad) => Math.round(probabilidad * 100);
+
+/**
+ * Conjetura que cambia algo de riesgo por información. No está entre las estrategias por defecto
+ * porque en el banco de pruebas no mejora la tasa de victorias (8x8 al 20%, 40 partidas: 67,5%
+ * con ella y 72,5% sin ella) y triplica el peor tiempo de análisis. Se puede probar añadiéndola
+ * en parametrosEstrategia.estrategiasAdicionales.
+ * @type {object}
+ */
+export const ESTRATEGIA_CONJETURA_INFORMATIVA = {
+    nombre: 'conjeturaInformativa',
+    prioridad: 25,
+    descripcion: 'Conjetura que combina la probabilidad de sobrevivir con la de desbloquear deducciones',
+    evaluar: ({ candidatas, probabilidadMinima, modeloTablero, mapaProbabilidades, tamañoTablero, parametros, auxiliares }) => {
+        const aspirantes = candidatas
+            .filter(c => c.probabilidad <= probabilidadMinima + parametros.margenConjetura)
+            .sort((a, b) => a.probabilidad - b.probabilidad)
+            .slice(0, parametros.maximoCandidatasInformacion);
+
+        if (aspirantes.length === 0) {
+            return { celda: null, motivo: 'no hay celdas candidatas' };
+        }
+
+        // Puntuación: supervivencia, aumentada según las deducciones que se esperan desbloquear
+        // (con tantas como vecinas puede tener una celda, 8 o 6 en el hexagonal, el aumento es completo)
+        const maximoVecinas = obtenerMaximoVecinas(tamañoTablero);
+        const evaluadas = auxiliares.estimarGananciaInformacion(aspirantes, modeloTablero, mapaProbabilidades)
+            .map(c => ({
+                ...c,
+                puntuacion: (1 - c.probabilidad) * (1 + parametros.pesoInformacion * Math.min(1, c.celdasDesbloqueadas / maximoVecinas))
+            }));
+        const mejorCelda = evaluadas.reduce((mejor, c) => c.puntuacion > mejor.puntuacion ? c : mejor);
+
+        if (mejorCelda.celdasDesbloqueadas === 0) {
+            return { celda: null, motivo: `ninguna de las ${aspirantes.length} celdas de menor riesgo desbloquea deducciones` };
+        }
+
+        return {
+            celda: {
+                fila: mejorCelda.fila,
+                columna: mejorCelda.columna,
+                tipoAnalisis: `conjetura informativa ${porcentaje(mejorCelda.probabilidad)}% (${porcentaje(mejorCelda.probabilidadProgreso)}% de desbloquear deducciones)`,
+                origen: mejorCelda.origen,
+                razonamientoMemoria: mejorCelda.razonamientoMemoria,
+                explicacion: `Esta celda tiene un ${porcentaje(mejorCelda.probabilidad)}% de probabilidad de mina y, si es segura, ` +
+                    `un ${porcentaje(mejorCelda.probabilidadProgreso)}% de probabilidad de mostrar un número que permita deducir ` +
+                    `nuevas celdas (${mejorCelda.celdasDesbloqueadas.toFixed(1)} de media)`
+            },
+            motivo: `${aspirantes.length} celdas evaluadas por supervivencia e información`
+        };
+    }
+};
+
+/**
+ * Estrategias del sistema, equivalentes a las capas originales de determinarMejorJugadaEnCapas
+ * @type {Array<object>}
+ */
+export const ESTRATEGIAS_POR_DEFECTO = [
+    {
+        nombre: 'seguraAdyacenteACero',
+        prioridad: 10,
+        descripcion: 'Celda 100% segura adyacente a un cero o vacío',
+        evaluar: ({ celdasSeguras, historialMovimientos, auxiliares }) => {
+            const adyacentesACero = celdasSeguras.filter(celda => celda.origen === 'adyacente a cero');
+            if (adyacentesACero.length === 0) {
+                return { celda: null, motivo: 'no hay celdas seguras adyacentes a ceros' };
+            }
+
+            const mejorCelda = auxiliares.seleccionarCeldaMasCercana(adyacentesACero, historialMovimientos);
+            return {
+                celda: {
+                    fila: mejorCelda.fila,
+                    columna: mejorCelda.columna,
+                    tipoAnalisis: 'celda 100% segura (adyacente a cero)',
+                    origen: mejorCelda.origen,
+                    explicacion: 'Esta celda es 100% segura porque está adyacente a una celda con valor 0 (o vacío)',
+                    seguridadMáxima: true,
+                    demostracion: mejorCelda.demostracion || null
+                },
+                motivo: `${adyacentesACero.length} celdas seguras adyacentes a ceros, elegida la más cercana al último movimiento`
+            };
+        }
+    },
+    {
+        nombre: 'seguraPorDeduccion',
+        prioridad: 20,
+        descripcion: 'Celda 100% segura identificada por análisis lógico',
+        evaluar: ({ celdasSeguras, historialMovimientos, auxiliares }) => {
+            if (celdasSeguras.length === 0) {
+                return { celda: null, motivo: 'no hay celdas 100% seguras' };
+            }
+
+            const mejorCelda = auxiliares.seleccionarCeldaMasCercana(celdasSeguras, historialMovimientos);
+            return {
+                celda: {
+                    fila: mejorCelda.fila,
+                    columna: mejorCelda.columna,
+                    tipoAnalisis: 'celda 100% segura',
+                    origen: mejorCelda.origen,
+                    explicacion: `Esta celda es 100% segura porque ${mejorCelda.origen}`,
+                    seguridadMáxima: true,
+                    demostracion: mejorCelda.demostracion || null
+                },
+                motivo: `${celdasSeguras.length} celdas seguras, elegida la más cercana al último movimiento`
+            };
+        }
+    },
+    {
+        nombre: 'muySeguraLejosDeNumeros',
+        prioridad: 30,
+        descripcion: 'Celda de riesgo mínimo y muy bajo, lejos de números',
+        evaluar: ({ celdasMinimoRiesgo, modeloTablero, parametros, auxiliares }) => {
+            const muySeguras = celdasMinimoRiesgo
+                .filter(c => c.probabilidad < parametros.umbralMuySegura)
+                .sort((a, b) => a.probabilidad - b.probabilidad);
+            const lejanas = muySeguras.filter(celda => auxiliares.esLejanaANumeros(celda, modeloTablero));
+
+            if (lejanas.length === 0) {
+                return {
+                    celda: null,
+                    motivo: muySeguras.length === 0
+                        ? `ninguna celda por debajo del ${porcentaje(parametros.umbralMuySegura)}%`
+                        : 'todas las celdas muy seguras están cerca de números'
+                };
+            }
+
+            const celdaElegida = lejanas[0];
+            return {
+                celda: {
+                    fila: celdaElegida.fila,
+                    columna: celdaElegida.columna,
+                    tipoAnalisis: `probabilidad muy baja ${porcentaje(celdaElegida.probabilidad)}%, lejos de números`,
+                    origen: celdaElegida.origen,
+                    razonamientoMemoria: celdaElegida.razonamientoMemoria,
+                    explicacion: `Esta celda tiene una probabilidad muy baja de contener una mina (${porcentaje(celdaElegida.probabilidad)}%) y está lejos de celdas con números`
+                },
+                motivo: `${lejanas.length} celdas muy seguras lejos de números`
+            };
+        }
+    },
+    {
+        nombre: 'muySegura',
+        prioridad: 35,
+        descripcion: 'Celda de riesgo mínimo y muy bajo',
+        evaluar: ({ celdasMinimoRiesgo, parametros }) => {
+            const muySeguras = celdasMinimoRiesgo
+                .filter(c => c.probabilidad < parametros.umbralMuySegura)
+                .sort((a, b) => a.probabilidad - b.probabilidad);
+
+            if (muySeguras.length === 0) {
+                return { celda: null, motivo: `ninguna celda por debajo del ${porcentaje(parametros.umbralMuySegura)}%` };
+            }
+
+            const celdaElegida = muySeguras[0];
+            return {
+                celda: {
+                    fila: celdaElegida.fila,
+                    columna: celdaElegida.columna,
+                    tipoAnalisis: `probabilidad muy baja ${porcentaje(celdaElegida.probabilidad)}%`,
+                    origen: celdaElegida.origen,
+                    razonamientoMemoria: celdaElegida.razonamientoMemoria,
+                    explicacion: `Esta celda tiene una probabilidad muy baja de contener una mina (${porcentaje(celdaElegida.probabilidad)}%) comparada con las demás opciones`
+                },
+                motivo: `${muySeguras.length} celdas por debajo del ${porcentaje(parametros.umbralMuySegura)}%`
+            };
+        }
+    },
+    {
+        nombre: 'noAdyacenteANumeros',
+        prioridad: 40,
+        descripcion: 'Celda de riesgo mínimo y bajo que no toca ningún número',
+        evaluar: ({ celdasMinimoRiesgo, modeloTablero, parametros, auxiliares }) => {
+            const noAdyacentes = auxiliares.clasificarSegunNumerosAdyacentes(celdasMinimoRiesgo, modeloTablero)
+                .filter(c => c.maxNumeroAdyacente === -1 && c.probabilidad < parametros.umbralBajaProbabilidad)
+                .sort((a, b) => a.probabilidad - b.probabilidad);
+
+            if (noAdyacentes.length === 0) {
+                return { celda: null, motivo: 'todas las celdas de riesgo mínimo tocan números o superan el umbral de baja probabilidad' };
+            }
+
+            const mejorCelda = noAdyacentes[0];
+            return {
+                celda: {
+                    fila: mejorCelda.fila,
+                    columna: mejorCelda.columna,
+                    tipoAnalisis: `no adyacente a números (${porcentaje(mejorCelda.probabilidad)}%)`,
+                    origen: mejorCelda.origen,
+                    razonamientoMemoria: mejorCelda.razonamientoMemoria,
+                    explicacion: `Esta celda no es adyacente a ningún número conocido y tiene baja probabilidad de ser mina`
+                },
+                motivo: `${noAdyacentes.length} celdas no adyacentes a números y de baja probabilidad`
+            };
+        }
+    },
+    {
+        nombre: 'lejosDeNumerosAltos',
+        prioridad: 50,
+        descripcion: 'Celda de riesgo mínimo que no toca números altos (4-8)',
+        evaluar: ({ celdasMinimoRiesgo, modeloTablero, auxiliares }) => {
+            const lejosDeAltos = auxiliares.clasificarSegunNumerosAdyacentes(celdasMinimoRiesgo, modeloTablero)
+                .filter(c => !c.esAdyacenteAlto)
+                .sort((a, b) => a.probabilidad - b.probabilidad);
+
+            if (lejosDeAltos.length === 0) {
+                return { celda: null, motivo: 'todas las celdas de riesgo mínimo tocan números altos' };
+            }
+
+            const mejorCelda = lejosDeAltos[0];
+            return {
+                celda: {
+                    fila: mejorCelda.fila,
+                    columna: mejorCelda.columna,
+                    tipoAnalisis: `lejos de números altos (${porcentaje(mejorCelda.probabilidad)}%)`,
+                    origen: mejorCelda.origen,
+                    explicacion: `Esta celda no está cerca de números altos (4-8) y tiene una probabilidad de ${porcentaje(mejorCelda.probabilidad)}% de contener una mina`
+                },
+                motivo: `${lejosDeAltos.length} celdas no adyacentes a números altos`
+            };
+        }
+    },
+    {
+        nombre: 'minimaProbabilidad',
+        prioridad: 60,
+        descripcion: 'Celda de menor probabilidad por debajo del umbral de peligro',
+        evaluar: ({ candidatas, parametros }) => {
+            const bajoUmbral = candidatas
+                .filter(c => c.probabilidad < parametros.umbralPeligro)
+                .sort((a, b) => a.probabilidad - b.probabilidad);
+
+            if (bajoUmbral.length === 0) {
+                return { celda: null, motivo: `todas las celdas tienen probabilidad ≥${porcentaje(parametros.umbralPeligro)}%` };
+            }
+
+            const celdaMinima = bajoUmbral[0];
+            return {
+                celda: {
+                    fila: celdaMinima.fila,
+                    columna: celdaMinima.columna,
+                    tipoAnalisis: `mínima probabilidad ${porcentaje(celdaMinima.probabilidad)}%`,
+                    origen: celdaMinima.origen,
+                    razonamientoMemoria: celdaMinima.razonamientoMemoria,
+                    explicacion: `Esta celda tiene la menor probabilidad (${porcentaje(celdaMinima.probabilidad)}%) de contener una mina entre todas las opciones disponibles`
+                },
+                motivo: `${candidatas.length - bajoUmbral.length} celdas descartadas por superar el umbral de peligro`
+            };
+        }
+    },
+    {
+        nombre: 'seleccionForzada',
+        prioridad: 70,
+        descripcion: 'Selección al azar entre el 30% de celdas menos probables',
+        evaluar: ({ candidatas, aleatorio }) => {
+            if (candidatas.length === 0) {
+                return { celda: null, motivo: 'no hay celdas candidatas' };
+            }
+
+            // Limitar a las mejores opciones (30% superior) e introducir aleatoriedad para evitar repetición
+            const ordenadas = [...candidatas].sort((a, b) => a.probabilidad - b.probabilidad);
+            const mejoresOpciones = ordenadas.slice(0, Math.max(1, Math.ceil(ordenadas.length * 0.3)));
+            const celdaSeleccionada = mejoresOpciones[Math.floor(aleatorio() * mejoresOpciones.length)];
+
+            return {
+                celda: {
+                    fila: celdaSeleccionada.fila,
+                    columna: celdaSeleccionada.columna,
+                    tipoAnalisis: `selección forzada ${porcentaje(celdaSeleccionada.probabilidad)}%`,
+                    origen: celdaSeleccionada.origen,
+                    razonamientoMemoria: celdaSeleccionada.razonamientoMemoria,
+                    explicacion: `A pesar de que todas las celdas tienen alta probabilidad de mina, esta celda fue seleccionada como la mejor opción disponible`
+                },
+                motivo: `elegida al azar entre ${mejoresOpciones.length} opciones de menor probabilidad`
+            };
+        }
+    },
+    {
+        nombre: 'aleatoriaSegura',
+        prioridad: 80,
+        descripcion: 'Selección aleatoria ponderada cuando no hay probabilidades calculadas',
+        evaluar: ({ modeloTablero, tamañoTablero, memoriaJuego, historialMovimientos, aleatorio, auxiliares }) => {
+            const celda = auxiliares.seleccionarCeldaAleatoriaSegura(
+                modeloTablero.estadoCeldas,
+                tamañoTablero,
+                modeloTablero.celdasDescubiertas,
+                modeloTablero.banderas,
+                memoriaJuego,
+                historialMovimientos,
+                aleatorio
+            );
+            return celda
+                ? { celda, motivo: 'ninguna otra estrategia eligió celda' }
+                : { celda: null, motivo: 'no quedan celdas disponibles' };
+        }
+    }
+];
+
+/**
+ * Construir la lista ordenada de estrategias activas a partir de la configuración
+ * @param {object} configuracion - { estrategias: { [nombre]: { activa, prioridad } }, estrategiasAdicionales: [estrategia] }
+ *                                 Una estrategia adicional con el nombre de una existente la reemplaza.
+ * @returns {Array<object>} - Estrategias activas ordenadas por prioridad
+ */
+export const resolverEstrategias = (configuracion = {}) => {
+    const { estrategias: ajustes = {}, estrategiasAdicionales = [] } = configuracion || {};
+
+    const porNombre = new Map(ESTRATEGIAS_POR_DEFECTO.map(estrategia => [estrategia.nombre, estrategia]));
+    estrategiasAdicionales.forEach(estrategia => {
+        if (!estrategia || !estrategia.nombre || typeof estrategia.evaluar !== 'function') {
+            console.error("Estrategia adicional no válida (necesita nombre y evaluar):", estrategia);
+            return;
+        }
+        porNombre.set(estrategia.nombre, { prioridad: 100, ...estrategia });
+    });
+
+    return [...porNombre.values()]
+        .map(estrategia => ({ ...estrategia, ...ajustes[estrategia.nombre] }))
+        .filter(estrategia => estrategia.activa !== false)
+        .sort((a, b) => a.prioridad - b.prioridad);
+};
+
+/**
+ * Probar las estrategias en orden hasta que una elija celda
+ * @param {Array<object>} estrategias - Estrategias ordenadas (resultado de resolverEstrategias)
+ * @param {object} contexto - Contexto de la decisión
+ * @returns {object} - { celda, estrategia, informe } donde informe lista cada estrategia probada con su motivo
+ */
+export const ejecutarEstrategias = (estrategias, contexto) => {
+    const informe = [];
+
+    for (const estrategia of estrategias) {
+        let resultado;
+        try {
+            resultado = estrategia.evaluar(contexto) || { celda: null, motivo: 'sin resultado' };
+        } catch (error) {
+            console.error(`Error en la estrategia ${estrategia.nombre}:`, error);
+            resultado = { celda: null, motivo: `error: ${error.message}` };
+        }
+
+        informe.push({
+            estrategia: estrategia.nombre,
+            elegida: Boolean(resultado.celda),
+            motivo: resultado.motivo
+        });
+        console.log(`- ${estrategia.nombre}: ${resultado.celda ? 'ELIGE' : 'declina'} (${resultado.motivo})`);
+
+        if (resultado.celda) {
+            return { celda: resultado.celda, estrategia: estrategia.nombre, informe };
+        }
+    }
+
+    return { celda: null, estrategia: null, informe };
+};
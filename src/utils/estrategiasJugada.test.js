@@ -0,0 +1,78 @@
+import {
+    resolverEstrategias,
+    ejecutarEstrategias,
+    ESTRATEGIAS_POR_DEFECTO,
+    ESTRATEGIA_CONJETURA_INFORMATIVA
+} from './estrategiasJugada';
+
+beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterEach(() => {
+    jest.restoreAllMocks();
+});
+
+test('sin configuración se usan las estrategias por defecto en orden de prioridad', () => {
+    const nombres = resolverEstrategias().map(e => e.nombre);
+    const esperados = [...ESTRATEGIAS_POR_DEFECTO].sort((a, b) => a.prioridad - b.prioridad).map(e => e.nombre);
+    expect(nombres).toEqual(esperados);
+});
+
+test('la configuración desactiva, reordena y añade estrategias', () => {
+    const estrategias = resolverEstrategias({
+        estrategias: {
+            seguraAdyacenteACero: { activa: false },
+            aleatoriaSegura: { prioridad: 1 }
+        },
+        estrategiasAdicionales: [
+            { nombre: 'primera', prioridad: 0, evaluar: () => ({ celda: null, motivo: 'declina siempre' }) }
+        ]
+    });
+    const nombres = estrategias.map(e => e.nombre);
+
+    expect(nombres).not.toContain('seguraAdyacenteACero');
+    expect(nombres.slice(0, 2)).toEqual(['primera', 'aleatoriaSegura']);
+});
+
+test('el informe recoge el motivo de cada estrategia probada', () => {
+    const estrategias = [
+        { nombre: 'a', prioridad: 1, evaluar: () => ({ celda: null, motivo: 'nada que hacer' }) },
+        { nombre: 'b', prioridad: 2, evaluar: () => ({ celda: { fila: 1, columna: 2 }, motivo: 'elegida' }) },
+        { nombre: 'c', prioridad: 3, evaluar: () => { throw new Error('no debería ejecutarse'); } }
+    ];
+
+    const { celda, estrategia, informe } = ejecutarEstrategias(estrategias, {});
+
+    expect(celda).toEqual({ fila: 1, columna: 2 });
+    expect(estrategia).toBe('b');
+    expect(informe).toEqual([
+        { estrategia: 'a', elegida: false, motivo: 'nada que hacer' },
+        { estrategia: 'b', elegida: true, motivo: 'elegida' }
+    ]);
+});
+
+test('la conjetura informativa cambia algo de riesgo por información y declina si no hay ninguna', () => {
+    const conjetura = ESTRATEGIA_CONJETURA_INFORMATIVA;
+    const candidatas = [
+        { fila: 0, columna: 0, probabilidad: 0.20 },
+        { fila: 0, columna: 1, probabilidad: 0.22 },
+        { fila: 0, columna: 2, probabilidad: 0.40 }
+    ];
+    const contexto = (desbloqueadas) => ({
+        candidatas,
+        probabilidadMinima: 0.20,
+        parametros: { margenConjetura: 0.05, pesoInformacion: 0.5, maximoCandidatasInformacion: 12 },
+        auxiliares: {
+            estimarGananciaInformacion: (celdas) => celdas.map(c => ({
+                ...c,
+                probabilidadProgreso: desbloqueadas[c.columna] > 0 ? 1 : 0,
+                celdasDesbloqueadas: desbloqueadas[c.columna]
+            }))
+        }
+    });
+
+    // La de 40% queda fuera del margen aunque sea la más informativa
+    expect(conjetura.evaluar(contexto([0, 6, 8])).celda).toMatchObject({ fila: 0, columna: 1 });
+    expect(conjetura.evaluar(contexto([0, 0, 8])).celda).toBeNull();
+});
@@ -0,0 +1,140 @@
+/**
+ * Formas irregulares del tablero: huecos (casillas bloqueadas) sobre el rectángulo del tamaño elegido.
+ * Las formas predefinidas se adaptan a cualquier tamaño; las que dibuja el jugador se guardan con
+ * nombre junto a las dimensiones para las que se diseñaron.
+ */
+
+import { MINIMO_CELDAS_FORMA } from '../constants/gameConfig';
+import { cargarPreferencias, guardarPreferencias } from './preferencias';
+
+// Huecos de las casillas que quedan fuera de una figura descrita en coordenadas centradas:
+// x e y van de -1 a 1 entre la primera y la última columna o fila
+const crearHuecos = (tamaño, quedaFuera) => {
+    const { filas, columnas } = tamaño;
+    const huecos = [];
+    for (let i = 0; i < filas; i++) {
+        for (let j = 0; j < columnas; j++) {
+            const x = columnas > 1 ? (2 * j) / (columnas - 1) - 1 : 0;
+            const y = filas > 1 ? (2 * i) / (filas - 1) - 1 : 0;
+            if (quedaFuera(x, y)) huecos.push(`${i},${j}`);
+        }
+    }
+    return huecos;
+};
+
+// Formas que se generan para el tamaño elegido
+export const FORMAS_PREDEFINIDAS = [
+    {
+        id: 'anillo',
+        nombre: 'Anillo',
+        generar: (tamaño) => crearHuecos(tamaño, (x, y) => {
+            const radio = Math.hypot(x, y);
+            return radio > 1.05 || radio < 0.45;
+        })
+    },
+    {
+        id: 'corazon',
+        nombre: 'Corazón',
+        // Curva (x² + y² - 1)³ - x²·y³ = 0 con los lóbulos arriba
+        generar: (tamaño) => crearHuecos(tamaño, (x, y) => {
+            const px = x * 1.3;
+            const py = 0.15 - y * 1.3;
+            return (px * px + py * py - 1) ** 3 - px * px * py ** 3 > 0;
+        })
+    },
+    {
+        id: 'rombo',
+        nombre: 'Rombo',
+        generar: (tamaño) => crearHuecos(tamaño, (x, y) => Math.abs(x) + Math.abs(y) > 1.05)
+    }
+];
+
+/**
+ * Validar una forma: nombre, huecos dentro del tablero y casillas activas suficientes
+ * @param {string} nombre - Nombre de la forma
+ * @param {object} tamaño - Tamaño { filas, columnas } para el que se diseñó
+ * @param {Array} bloqueadas - Claves "fila,columna" de los huecos
+ * @returns {object} - { valido, forma?, error? } con la forma lista para guardar si es válida
+ */
+export const validarForma = (nombre, tamaño, bloqueadas) => {
+    const nombreLimpio = typeof nombre === 'string' ? nombre.trim() : '';
+    if (!nombreLimpio) {
+        return { valido: false, error: 'La forma necesita un nombre' };
+    }
+    if (!tamaño || !Number.isInteger(tamaño.filas) || !Number.isInteger(tamaño.columnas) || !Array.isArray(bloqueadas)) {
+        return { valido: false, error: 'La forma no tiene un tamaño válido' };
+    }
+
+    const { filas, columnas } = tamaño;
+    const dentro = bloqueadas.every(clave => {
+        const [fila, columna] = String(clave).split(',').map(Number);
+        return Number.isInteger(fila) && Number.isInteger(columna) &&
+            fila >= 0 && fila < filas && columna >= 0 && columna < columnas;
+    });
+    if (!dentro) {
+        return { valido: false, error: 'La forma tiene huecos fuera del tablero' };
+    }
+
+    const huecos = [...new Set(bloqueadas)];
+    if (filas * columnas - huecos.length < MINIMO_CELDAS_FORMA) {
+        return { valido: false, error: `La forma debe conservar al menos ${MINIMO_CELDAS_FORMA} casillas` };
+    }
+
+    return { valido: true, forma: { nombre: nombreLimpio, filas, columnas, bloqueadas: huecos } };
+};
+
+/**
+ * Huecos que tiene una forma en el tablero elegido
+ * @param {object|null} forma - Forma elegida ({ predefinida } o { filas, columnas, bloqueadas })
+ * @param {object} tamaño - Tamaño del tablero
+ * @returns {Array|null} - Claves de los huecos, o null si la forma no se aplica a este tamaño
+ */
+export const obtenerHuecosForma = (forma, tamaño) => {
+    if (!forma) return null;
+
+    const predefinida = FORMAS_PREDEFINIDAS.find(f => f.id === forma.predefinida);
+    if (predefinida) {
+        const huecos = predefinida.generar(tamaño);
+        // En tableros muy pequeños la figura podría quedarse sin casillas
+        return tamaño.filas * tamaño.columnas - huecos.length >= MINIMO_CELDAS_FORMA ? huecos : null;
+    }
+
+    const mismoTamaño = forma.filas === tamaño.filas && forma.columnas === tamaño.columnas;
+    return mismoTamaño && forma.bloqueadas.length > 0 ? forma.bloqueadas : null;
+};
+
+/**
+ * Cargar las formas guardadas (se descartan las que ya no son válidas)
+ * @returns {Array} - Formas { nombre, filas, columnas, bloqueadas }
+ */
+export const cargarFormasGuardadas = () => {
+    const { formasTablero } = cargarPreferencias();
+    if (!Array.isArray(formasTablero)) return [];
+
+    return formasTablero
+        .map(forma => validarForma(forma?.nombre, forma, forma?.bloqueadas))
+        .filter(validacion => validacion.valido)
+        .map(validacion => validacion.forma);
+};
+
+/**
+ * Guardar una forma (sustituye a la que tuviera el mismo nombre)
+ * @param {object} forma - Forma validada con validarForma
+ * @returns {Array} - Lista actualizada
+ */
+export const guardarForma = (forma) => {
+    const actualizadas = [...cargarFormasGuardadas().filter(f => f.nombre !== forma.nombre), forma];
+    guardarPreferencias({ formasTablero: actualizadas });
+    return actualizadas;
+};
+
+/**
+ * Quitar una forma de la lista guardada
+ * @param {string} nombre - Nombre de la forma
+ * @returns {Array} - Lista actualizada
+ */
+export const eliminarForma = (nombre) => {
+    const actualizadas = cargarFormasGuardadas().filter(f => f.nombre !== nombre);
+    guardarPreferencias({ formasTablero: actualizadas });
+    return actualizadas;
+};
@@ -63,6 +63,18 @@ export const registrarDerrota = (fila, columna) => {
     }
 };
 
+/**
+ * Sustituir el historial de derrotas por una copia anterior (al deshacer una derrota)
+ * @param {Array} historial - Historial tal como lo devolvió cargarHistorialDerrotas
+ */
+export const restaurarHistorialDerrotas = (historial) => {
+    try {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(historial));
+    } catch (error) {
+        console.error("Error al restaurar historial de derrotas:", error);
+    }
+};
+
 /**
  * Ajustar probabilidades basadas en el historial de derrotas
  * @param {Array} celdasCandidatas - Array de objetos {fila, columna, probabilidad}
@@ -139,13 +151,14 @@ export const seleccionarCeldaPorEstrategiaDeCapa = (capas, mapaProbabilidades, h
  * Evita patrones predecibles en la selección de celdas
  * @param {Array} celdasCandidatas - Celdas candidatas ordenadas por probabilidad
  * @param {Array} historialMovimientos - Historial de movimientos realizados
+ * @param {Function} aleatorio - Generador de números en [0, 1) (por defecto Math.random)
  * @returns {Object} - Celda seleccionada con cierta aleatoriedad
  */
-export const evitarPatronesPredecibles = (celdasCandidatas, historialMovimientos) => {
+export const evitarPatronesPredecibles = (celdasCandidatas, historialMovimientos, aleatorio = Math.random) => {
     if (!celdasCandidatas || celdasCandidatas.length === 0) return null;
     
     // Añadir algo de aleatoriedad para evitar patrones predecibles
-    const indiceAleatorio = Math.floor(Math.random() * Math.min(3, celdasCandidatas.length));
+    const indiceAleatorio = Math.floor(aleatorio() * Math.min(3, celdasCandidatas.length));
     return celdasCandidatas[indiceAleatorio];
 };
 
@@ -0,0 +1,342 @@
+/**
+ * Partida clásica del buscaminas, independiente de React: la aplicación genera el tablero
+ * oculto y el humano descubre casillas y coloca banderas. El análisis del sistema actúa
+ * como consejero bajo demanda: indica la siguiente celda segura, las banderas forzadas
+ * o la mejor conjetura con su probabilidad.
+ */
+
+import { obtenerCeldasAdyacentes } from './logicaJuego';
+import { estaBloqueada, contarCeldasActivas } from './topologia';
+import { crearGeneradorAleatorio, generarSemilla } from './aleatorio';
+import { calcularMinasPorDensidad, generarTableroOculto, responderComoOraculo } from './oraculo';
+import { TAMAÑOS_TABLERO, EVENTOS_MOTOR } from '../constants/gameConfig';
+
+/**
+ * Densidad de minas cuando no se indica el total
+ * @type {number}
+ */
+const DENSIDAD_POR_DEFECTO = 0.15;
+
+/**
+ * Crea el estado de una partida clásica sin empezar
+ * @param {object} tamañoTablero - Dimensiones del tablero
+ * @param {number} totalMinas - Minas del tablero oculto
+ * @param {number} semilla - Semilla de la disposición de minas
+ * @returns {object} - Estado inicial
+ */
+const crearEstadoInicial = (tamañoTablero, totalMinas, semilla) => ({
+    tamañoTablero,
+    totalMinas,
+    semilla,
+    tablero: Array(tamañoTablero.filas).fill().map(() => Array(tamañoTablero.columnas).fill(null)),
+    celdasDescubiertas: [],
+    banderas: [],
+    historialMovimientos: [],
+    juegoIniciado: false,
+    juegoTerminado: false,
+    resultado: null,
+    sugerencia: null,
+    mensajeSistema: 'Pulsa "Iniciar Juego" y descubre una casilla. Puedes pedirme una pista cuando quieras.',
+    estadisticas: {
+        movimientos: 0,
+        banderasColocadas: 0,
+        pistasUsadas: 0
+    }
+});
+
+/**
+ * Crea una partida clásica
+ * @param {object} opciones - Opciones de la partida
+ * @param {object} opciones.tamañoTablero - Tamaño inicial del tablero
+ * @returns {object} - API de la partida
+ */
+export const crearJuegoClasico = ({ tamañoTablero = TAMAÑOS_TABLERO[0] } = {}) => {
+    let estado = crearEstadoInicial(tamañoTablero, calcularMinasPorDensidad(tamañoTablero, DENSIDAD_POR_DEFECTO), generarSemilla());
+    let minas = null;
+    const manejadores = {};
+
+    // Cada cambio del tablero invalida la pista que se esté calculando
+    let versionTablero = 0;
+    let solicitudPendiente = null;
+    let contadorSolicitudes = 0;
+
+    /**
+     * Copia del estado; el tablero oculto solo se incluye al terminar la partida
+     * @returns {object} - Instantánea del estado actual
+     */
+    const obtenerEstado = () => ({
+        ...estado,
+        tablero: estado.tablero.map(fila => [...fila]),
+        celdasDescubiertas: estado.celdasDescubiertas.map(c => ({ ...c })),
+        banderas: estado.banderas.map(b => ({ ...b })),
+        historialMovimientos: estado.historialMovimientos.map(m => ({ ...m })),
+        estadisticas: { ...estado.estadisticas },
+        minasOcultas: estado.juegoTerminado && minas ? minas.map(fila => [...fila]) : null
+    });
+
+    /**
+     * Suscribe un manejador a un evento de la partida (EVENTOS_MOTOR: CAMBIO, VICTORIA o DERROTA)
+     * @param {string} evento - Evento
+     * @param {Function} manejador - Función que recibe los datos del evento
+     * @returns {Function} - Función para cancelar la suscripción
+     */
+    const suscribir = (evento, manejador) => {
+        if (!manejadores[evento]) manejadores[evento] = [];
+        manejadores[evento].push(manejador);
+        return () => {
+            manejadores[evento] = manejadores[evento].filter(m => m !== manejador);
+        };
+    };
+
+    const emitir = (evento, datos) => {
+        (manejadores[evento] || []).forEach(manejador => {
+            try {
+                manejador(datos);
+            } catch (error) {
+                console.error(`Error en un manejador del evento ${evento}:`, error);
+            }
+        });
+    };
+
+    const actualizar = (cambios) => {
+        estado = { ...estado, ...cambios };
+        emitir(EVENTOS_MOTOR.CAMBIO, obtenerEstado());
+    };
+
+    const marcarCambioTablero = () => {
+        versionTablero++;
+        solicitudPendiente = null;
+    };
+
+    const estaDescubierta = (fila, columna) => estado.tablero[fila][columna] !== null;
+    const tieneBandera = (fila, columna) => estado.banderas.some(b => b.fila === fila && b.columna === columna);
+
+    /**
+     * Reiniciar la partida con un tablero vacío
+     * @param {object} nuevoTamaño - Tamaño del tablero
+     * @param {object} opciones - { totalMinas, densidad, semilla }. Sin total se usa la densidad;
+     *                            sin semilla se genera una nueva
+     */
+    const reiniciar = (nuevoTamaño = estado.tamañoTablero, { totalMinas = null, densidad = DENSIDAD_POR_DEFECTO, semilla = null } = {}) => {
+        const minasPartida = totalMinas ?? calcularMinasPorDensidad(nuevoTamaño, densidad);
+        minas = null;
+        marcarCambioTablero();
+        estado = crearEstadoInicial(nuevoTamaño, minasPartida, semilla ?? generarSemilla());
+        emitir(EVENTOS_MOTOR.CAMBIO, obtenerEstado());
+    };
+
+    /**
+     * Empezar una partida. El tablero oculto se genera con el primer clic, que nunca es mina
+     * @param {object} nuevoTamaño - Tamaño del tablero
+     * @param {object} opciones - { totalMinas, densidad, semilla }
+     */
+    const iniciar = (nuevoTamaño = estado.tamañoTablero, opciones = {}) => {
+        reiniciar(nuevoTamaño, opciones);
+        console.log(`===== NUEVA PARTIDA CLÁSICA =====`);
+        console.log(`Tablero ${nuevoTamaño.filas}x${nuevoTamaño.columnas} con ${estado.totalMinas} minas, semilla ${estado.semilla}`);
+        actualizar({
+            juegoIniciado: true,
+            mensajeSistema: `Hay ${estado.totalMinas} minas escondidas. Descubre una casilla para empezar: la primera nunca es mina.`
+        });
+    };
+
+    const terminar = (resultado, mensajeSistema) => {
+        marcarCambioTablero();
+        actualizar({ juegoTerminado: true, resultado, sugerencia: null, mensajeSistema });
+        emitir(resultado === 'victoria' ? EVENTOS_MOTOR.VICTORIA : EVENTOS_MOTOR.DERROTA, obtenerEstado());
+    };
+
+    /**
+     * Descubrir una casilla. Los vacíos descubren en cascada a sus vecinas
+     * @param {number} fila - Fila de la casilla
+     * @param {number} columna - Columna de la casilla
+     * @returns {boolean} - Si la jugada se aplicó
+     */
+    const descubrir = (fila, columna) => {
+        if (!estado.juegoIniciado || estado.juegoTerminado) return false;
+        if (estaDescubierta(fila, columna) || tieneBandera(fila, columna)) return false;
+
+        const { tamañoTablero: tamaño } = estado;
+        if (estaBloqueada(fila, columna, tamaño)) return false;
+        if (!minas) {
+            minas = generarTableroOculto(tamaño, estado.totalMinas, crearGeneradorAleatorio(estado.semilla), { fila, columna });
+        }
+
+        const tablero = estado.tablero.map(filaTablero => [...filaTablero]);
+        const celdasDescubiertas = [...estado.celdasDescubiertas];
+        const movimiento = { fila, columna, contenido: responderComoOraculo(minas, fila, columna, tamaño) };
+        marcarCambioTablero();
+
+        if (movimiento.contenido === 'mina') {
+            tablero[fila][columna] = 'M';
+            celdasDescubiertas.push({ fila, columna });
+            actualizar({
+                tablero,
+                celdasDescubiertas,
+                historialMovimientos: [...estado.historialMovimientos, movimiento],
+                estadisticas: { ...estado.estadisticas, movimientos: estado.estadisticas.movimientos + 1 }
+            });
+            console.log(`RESULTADO: Mina en (${fila + 1},${columna + 1})`);
+            terminar('derrota', `¡BOOM! Había una mina en (${fila + 1},${columna + 1}).`);
+            return true;
+        }
+
+        // Descubrir en cascada desde los vacíos (las banderas del jugador no se tocan)
+        const pendientes = [{ fila, columna }];
+        while (pendientes.length > 0) {
+            const celda = pendientes.pop();
+            if (tablero[celda.fila][celda.columna] !== null || tieneBandera(celda.fila, celda.columna)) continue;
+
+            const contenido = responderComoOraculo(minas, celda.fila, celda.columna, tamaño);
+            tablero[celda.fila][celda.columna] = contenido === 'vacío' ? '' : contenido;
+            celdasDescubiertas.push({ fila: celda.fila, columna: celda.columna });
+
+            if (contenido === 'vacío') {
+                pendientes.push(...obtenerCeldasAdyacentes(celda.fila, celda.columna, tamaño));
+            }
+        }
+
+        actualizar({
+            tablero,
+            celdasDescubiertas,
+            historialMovimientos: [...estado.historialMovimientos, movimiento],
+            sugerencia: null,
+            mensajeSistema: `Has descubierto (${fila + 1},${columna + 1}).`,
+            estadisticas: { ...estado.estadisticas, movimientos: estado.estadisticas.movimientos + 1 }
+        });
+
+        // Victoria: todas las casillas sin mina descubiertas
+        const celdasLibres = contarCeldasActivas(tamaño) - estado.totalMinas;
+        if (celdasDescubiertas.length >= celdasLibres) {
+            console.log(`RESULTADO: Partida clásica ganada en ${estado.estadisticas.movimientos} movimientos`);
+            terminar('victoria', '¡Enhorabuena! Has descubierto todas las casillas sin mina.');
+        }
+        return true;
+    };
+
+    /**
+     * Poner o quitar una bandera en una casilla sin descubrir
+     * @param {number} fila - Fila de la casilla
+     * @param {number} columna - Columna de la casilla
+     * @returns {boolean} - Si la jugada se aplicó
+     */
+    const alternarBandera = (fila, columna) => {
+        if (!estado.juegoIniciado || estado.juegoTerminado || estaDescubierta(fila, columna)) return false;
+        if (estaBloqueada(fila, columna, estado.tamañoTablero)) return false;
+
+        const quitar = tieneBandera(fila, columna);
+        actualizar({
+            banderas: quitar
+                ? estado.banderas.filter(b => b.fila !== fila || b.columna !== columna)
+                : [...estado.banderas, { fila, columna }],
+            estadisticas: {
+                ...estado.estadisticas,
+                banderasColocadas: estado.estadisticas.banderasColocadas + (quitar ? -1 : 1)
+            }
+        });
+        return true;
+    };
+
+    /**
+     * Preparar la pista para la situación actual. Las banderas del jugador no se pasan al
+     * análisis porque pueden estar equivocadas: solo cuentan los números descubiertos.
+     * @returns {object|null} - { sugerencia } si se resuelve sin analizar, { id, entrada } para
+     *                          analizar (ver ejecutarAnalisis) o null si no se puede dar pista
+     */
+    const solicitarSugerencia = () => {
+        if (!estado.juegoIniciado || estado.juegoTerminado) return null;
+
+        if (estado.celdasDescubiertas.length === 0) {
+            const sugerencia = {
+                tipo: 'segura',
+                celda: null,
+                probabilidad: 0,
+                explicacion: 'La primera casilla nunca es mina: empieza por cualquiera (lejos de los bordes se suelen abrir más casillas).',
+                demostracion: null,
+                banderasForzadas: []
+            };
+            actualizar({ sugerencia, estadisticas: { ...estado.estadisticas, pistasUsadas: estado.estadisticas.pistasUsadas + 1 } });
+            return { sugerencia };
+        }
+
+        const id = ++contadorSolicitudes;
+        solicitudPendiente = { id, version: versionTablero };
+        return {
+            id,
+            entrada: {
+                tablero: estado.tablero,
+                tamañoTablero: estado.tamañoTablero,
+                celdasDescubiertas: estado.celdasDescubiertas,
+                banderas: [],
+                historialMovimientos: estado.historialMovimientos,
+                memoriaJuego: null,
+                totalMinas: estado.totalMinas,
+                parametrosEstrategia: null,
+                semillaAnalisis: (estado.semilla + id) >>> 0
+            }
+        };
+    };
+
+    /**
+     * Convertir el resultado del análisis en una pista
+     * @param {number} id - Identificador devuelto por solicitarSugerencia
+     * @param {object} resultado - Resultado de ejecutarAnalisis
+     * @returns {object|null} - Pista o null si el tablero cambió mientras se analizaba
+     */
+    const recibirSugerencia = (id, resultado) => {
+        if (!solicitudPendiente || solicitudPendiente.id !== id || solicitudPendiente.version !== versionTablero) {
+            console.log(`PISTA: Resultado ${id} descartado, el tablero ha cambiado`);
+            return null;
+        }
+        solicitudPendiente = null;
+
+        const banderasForzadas = (resultado.movimientosGenerados || [])
+            .filter(m => m.accion === 'bandera' && !tieneBandera(m.fila, m.columna))
+            .map(({ fila, columna, explicacion, demostracion }) => ({ fila, columna, explicacion, demostracion }));
+
+        const siguiente = resultado.siguienteCelda;
+        let sugerencia;
+        if (siguiente) {
+            const probabilidad = siguiente.seguridadMáxima
+                ? 0
+                : resultado.mapaProbabilidades?.[`${siguiente.fila},${siguiente.columna}`]?.probabilidad ?? null;
+            sugerencia = {
+                tipo: siguiente.seguridadMáxima ? 'segura' : 'conjetura',
+                celda: { fila: siguiente.fila, columna: siguiente.columna },
+                probabilidad,
+                explicacion: siguiente.explicacion || siguiente.tipoAnalisis || '',
+                demostracion: siguiente.demostracion || null,
+                banderasForzadas
+            };
+        } else {
+            sugerencia = {
+                tipo: banderasForzadas.length > 0 ? 'banderas' : 'ninguna',
+                celda: null,
+                probabilidad: null,
+                explicacion: banderasForzadas.length > 0
+                    ? 'Solo puedo deducir minas: márcalas con banderas.'
+                    : 'No encuentro ninguna jugada que recomendar.',
+                demostracion: null,
+                banderasForzadas
+            };
+        }
+
+        console.log(`PISTA: ${sugerencia.tipo}${sugerencia.celda ? ` en (${sugerencia.celda.fila + 1},${sugerencia.celda.columna + 1})` : ''}, ${banderasForzadas.length} banderas forzadas`);
+        actualizar({
+            sugerencia,
+            estadisticas: { ...estado.estadisticas, pistasUsadas: estado.estadisticas.pistasUsadas + 1 }
+        });
+        return sugerencia;
+    };
+
+    return {
+        iniciar,
+        reiniciar,
+        descubrir,
+        alternarBandera,
+        solicitarSugerencia,
+        recibirSugerencia,
+        obtenerEstado,
+        suscribir
+    };
+};
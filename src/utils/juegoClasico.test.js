@@ -0,0 +1,60 @@
+import { crearJuegoClasico } from './juegoClasico';
+import { ejecutarAnalisis } from './ejecucionAnalisis';
+import { EVENTOS_MOTOR } from '../constants/gameConfig';
+
+const TABLERO_PRUEBA = { nombre: '8x8', filas: 8, columnas: 8 };
+
+beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterEach(() => {
+    jest.restoreAllMocks();
+});
+
+test('el primer clic nunca es mina y los vacíos se descubren en cascada', () => {
+    const juego = crearJuegoClasico({ tamañoTablero: TABLERO_PRUEBA });
+    juego.iniciar(TABLERO_PRUEBA, { totalMinas: 10, semilla: 3 });
+
+    expect(juego.descubrir(4, 4)).toBe(true);
+    const { tablero, celdasDescubiertas, juegoTerminado } = juego.obtenerEstado();
+
+    expect(juegoTerminado).toBe(false);
+    expect(tablero[4][4]).toBe('');
+    expect(celdasDescubiertas.length).toBeGreaterThan(1);
+});
+
+test('siguiendo solo las pistas, las celdas seguras y las banderas forzadas son correctas', () => {
+    let pistasComprobadas = 0;
+
+    [1, 2, 3].forEach(semilla => {
+        const juego = crearJuegoClasico({ tamañoTablero: TABLERO_PRUEBA });
+        let minasOcultas = null;
+        juego.suscribir(EVENTOS_MOTOR.CAMBIO, (estado) => { minasOcultas = estado.minasOcultas || minasOcultas; });
+
+        juego.iniciar(TABLERO_PRUEBA, { totalMinas: 10, semilla });
+        juego.descubrir(3, 3);
+
+        const pistas = [];
+        while (!juego.obtenerEstado().juegoTerminado) {
+            const { id, entrada } = juego.solicitarSugerencia();
+            const pista = juego.recibirSugerencia(id, ejecutarAnalisis(entrada));
+            pistas.push(pista);
+            pista.banderasForzadas.forEach(b => juego.alternarBandera(b.fila, b.columna));
+            if (!pista.celda) break;
+            juego.descubrir(pista.celda.fila, pista.celda.columna);
+        }
+
+        // Al terminar la partida el tablero oculto se revela y se comprueban las pistas
+        expect(minasOcultas).not.toBeNull();
+        pistas.forEach(pista => {
+            pista.banderasForzadas.forEach(b => expect(minasOcultas[b.fila][b.columna]).toBe(true));
+        });
+        pistas.filter(pista => pista.tipo === 'segura').forEach(({ celda }) => {
+            expect(minasOcultas[celda.fila][celda.columna]).toBe(false);
+            pistasComprobadas++;
+        });
+    });
+
+    expect(pistasComprobadas).toBeGreaterThan(0);
+});
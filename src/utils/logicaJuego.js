@@ -4,8 +4,17 @@
  */
 
 
-import { evaluarCeldaConMemoria, determinarMejorSegundoMovimiento } from './MemoriaJuego';
+import { evaluarCeldaConMemoria, determinarMejorSegundoMovimiento, desnormalizarPosicion } from './MemoriaJuego';
 import { registrarDerrota } from './historialDerrotas';
+import { resolverEstrategias, ejecutarEstrategias } from './estrategiasJugada';
+import {
+    TIPOS_DEMOSTRACION,
+    describirRestriccion,
+    crearDemostracion,
+    crearDemostracionSubconjunto
+} from './demostraciones';
+import { deducirPorAlgebraLineal } from './deduccionMatricial';
+import { obtenerVecinas, desplazarCelda, tieneBordes, esHexagonal, estaBloqueada, distanciaABloqueada } from './topologia';
 
 /**
  * Obtener todas las celdas adyacentes a una celda
@@ -28,29 +37,8 @@ export const obtenerCeldasAdyacentes = (fila, columna, tamañoTablero) => {
         return []; // Retornar array vacío en lugar de fallar
     }
     
-    const { filas, columnas } = tamañoTablero;
-    const adyacentes = [];
-
-    // Recorrer todas las posiciones adyacentes, incluyendo diagonales
-    for (let i = -1; i <= 1; i++) {
-        for (let j = -1; j <= 1; j++) {
-            // Saltar la celda central (la propia celda)
-            if (i === 0 && j === 0) continue;
-            
-            const nuevaFila = fila + i;
-            const nuevaColumna = columna + j;
-            
-            // Verificar límites del tablero
-            if (
-                nuevaFila >= 0 && nuevaFila < filas &&
-                nuevaColumna >= 0 && nuevaColumna < columnas
-            ) {
-                adyacentes.push({ fila: nuevaFila, columna: nuevaColumna });
-            }
-        }
-    }
-    
-    return adyacentes;
+    // Incluye diagonales; en un tablero toroidal las vecindades dan la vuelta por los bordes
+    return obtenerVecinas(fila, columna, tamañoTablero);
 };
 
 /**
@@ -70,32 +58,30 @@ export const distanciaManhattan = (fila1, columna1, fila2, columna2) => {
  * @param {number} fila - Fila de la celda
  * @param {number} columna - Columna de la celda
  * @param {object} tamañoTablero - Tamaño del tablero
- * @returns {number} - Distancia mínima al borde (0 = borde)
+ * @returns {number} - Distancia mínima al borde (0 = borde; Infinity si el tablero no tiene bordes)
  */
 export const distanciaBorde = (fila, columna, tamañoTablero) => {
+    // Los huecos de un tablero irregular también hacen de borde
+    const distanciaHueco = distanciaABloqueada(fila, columna, tamañoTablero) - 1;
+    if (!tieneBordes(tamañoTablero)) return distanciaHueco;
+
     return Math.min(
         fila, // Distancia al borde superior
         tamañoTablero.filas - 1 - fila, // Distancia al borde inferior
         columna, // Distancia al borde izquierdo
-        tamañoTablero.columnas - 1 - columna // Distancia al borde derecho
+        tamañoTablero.columnas - 1 - columna, // Distancia al borde derecho
+        distanciaHueco
     );
 };
 
-/**
- * Historial de selecciones para evitar repetir celdas en aleatorios
- * @type {Array<string>}
- */
-let historialSeleccionesAleatorias = [];
-
-
-
 /**
  * Seleccionar una celda para el primer movimiento considerando memoria histórica
  * @param {object} tamañoTablero - Objeto con filas y columnas del tablero
  * @param {object} memoriaJuego - Objeto de memoria del juego
+ * @param {Function} aleatorio - Generador de números en [0, 1) (por defecto Math.random)
  * @returns {object} - Celda seleccionada {fila, columna}
  */
-export const seleccionarPrimeraCeldaSegura = (tamañoTablero, memoriaJuego = null) => {
+export const seleccionarPrimeraCeldaSegura = (tamañoTablero, memoriaJuego = null, aleatorio = Math.random) => {
     // Validar que tamañoTablero sea un objeto válido
     if (!tamañoTablero || typeof tamañoTablero !== 'object' || !tamañoTablero.filas || !tamañoTablero.columnas) {
         console.error("Error: tamañoTablero no es válido", tamañoTablero);
@@ -107,38 +93,6 @@ export const seleccionarPrimeraCeldaSegura = (tamañoTablero, memoriaJuego = nul
     console.log(`===== SELECCIÓN DE PRIMER MOVIMIENTO =====`);
     console.log(`Tablero: ${filas}x${columnas}`);
     
-    // Control de historial para prevenir errores
-    if (!historialSeleccionesAleatorias) {
-        historialSeleccionesAleatorias = [];
-    }
-    
-    // Reiniciar historial si se cambia el tamaño del tablero
-    if (historialSeleccionesAleatorias.length > 0) {
-        try {
-            const primeraSeleccion = historialSeleccionesAleatorias[0].split(',');
-            if (primeraSeleccion && primeraSeleccion.length >= 1) {
-                const filaHistorial = parseInt(primeraSeleccion[0]);
-                
-                // Si la fila está fuera del rango del nuevo tablero, reiniciar historial
-                if (filaHistorial >= filas) {
-                    historialSeleccionesAleatorias = [];
-                    console.log(`Historial de selecciones reiniciado por cambio de tamaño de tablero`);
-                }
-            } else {
-                // Historial malformado, reiniciarlo
-                historialSeleccionesAleatorias = [];
-            }
-        } catch (error) {
-            console.error("Error al procesar historial de selecciones:", error);
-            historialSeleccionesAleatorias = [];
-        }
-    }
-    
-    // Limitar el historial para no almacenar demasiadas entradas
-    if (historialSeleccionesAleatorias.length > 15) {
-        historialSeleccionesAleatorias = historialSeleccionesAleatorias.slice(-15);
-    }
-    
     // Lista de todas las posibles ubicaciones con su evaluación
     const todasLasUbicaciones = [];
     
@@ -174,8 +128,7 @@ export const seleccionarPrimeraCeldaSegura = (tamañoTablero, memoriaJuego = nul
                 const [filaNorm, columnaNorm] = claveNorm.split(',').map(parseFloat);
                 
                 // Denormalizar para el tamaño actual del tablero
-                const fila = Math.round(filaNorm * (filas - 1));
-                const columna = Math.round(columnaNorm * (columnas - 1));
+                const { fila, columna } = desnormalizarPosicion(filaNorm, columnaNorm, tamañoTablero);
                 
                 // Solo considerar coordenadas válidas para este tablero
                 if (fila >= 0 && fila < filas && columna >= 0 && columna < columnas) {
@@ -201,16 +154,9 @@ export const seleccionarPrimeraCeldaSegura = (tamañoTablero, memoriaJuego = nul
     // Evaluar todas las celdas
     for (let i = 0; i < filas; i++) {
         for (let j = 0; j < columnas; j++) {
-            // Crear clave para la celda
-            const clave = `${i},${j}`;
-            
-            // Si ya está en el historial reciente, saltarla
-            if (historialSeleccionesAleatorias.includes(clave)) {
-                continue;
-            }
-            
-            // IMPORTANTE: Si esta celda es una mina conocida, NO considerarla
-            if (minasConocidas.some(mina => mina.fila === i && mina.columna === j)) {
+            // IMPORTANTE: Si esta celda es una mina conocida (o un hueco del tablero), NO considerarla
+            if (estaBloqueada(i, j, tamañoTablero) ||
+                minasConocidas.some(mina => mina.fila === i && mina.columna === j)) {
                 continue;
             }
             
@@ -218,12 +164,16 @@ export const seleccionarPrimeraCeldaSegura = (tamañoTablero, memoriaJuego = nul
             const distBorde = distanciaBorde(i, j, tamañoTablero);
             let valorPosicion = 1.0;
             
+            // En un tablero toroidal todas las celdas tienen 8 vecinas y ninguna posición destaca
+            if (!tieneBordes(tamañoTablero)) {
+                valorPosicion = 1.0;
+            }
             // Esquinas (tienen solo 3 adyacentes)
-            if ((i === 0 || i === filas - 1) && (j === 0 || j === columnas - 1)) {
+            else if ((i === 0 || i === filas - 1) && (j === 0 || j === columnas - 1)) {
                 valorPosicion = 1.3; // Prioridad alta para esquinas
             } 
-            // Bordes (tienen solo 5 adyacentes)
-            else if (i === 0 || i === filas - 1 || j === 0 || j === columnas - 1) {
+            // Bordes, también los de los huecos (tienen menos adyacentes)
+            else if (distBorde === 0) {
                 valorPosicion = 1.2; // Prioridad media-alta para bordes
             }
             // Favorece algo las celdas cerca de bordes pero no en los bordes
@@ -292,10 +242,8 @@ export const seleccionarPrimeraCeldaSegura = (tamañoTablero, memoriaJuego = nul
     
     // Si no hay ubicaciones disponibles (raro), permitir reutilizar
     if (todasLasUbicaciones.length === 0) {
-        console.warn("No hay ubicaciones disponibles, reciclando...");
-        // Reiniciar historial y volver a intentar sin restricciones
-        historialSeleccionesAleatorias = [];
-        return seleccionarPrimeraCeldaSegura(tamañoTablero, memoriaJuego);
+        console.warn("No hay ubicaciones disponibles, seleccionando la esquina superior izquierda");
+        return { fila: 0, columna: 0 };
     }
     
     // Ordenar por valor (mayor primero)
@@ -309,13 +257,11 @@ export const seleccionarPrimeraCeldaSegura = (tamañoTablero, memoriaJuego = nul
     
     // Agregar algo de aleatoriedad: seleccionar entre el top 20% de opciones
     const topOpciones = Math.max(1, Math.ceil(todasLasUbicaciones.length * 0.2));
-    const indiceAleatorio = Math.floor(Math.random() * topOpciones);
+    const indiceAleatorio = Math.floor(aleatorio() * topOpciones);
     
     const seleccion = todasLasUbicaciones[indiceAleatorio];
     console.log(`SELECCIONADA: Celda (${seleccion.fila + 1},${seleccion.columna + 1}) - Valor: ${seleccion.valor.toFixed(1)}, Riesgo: ${Math.round(seleccion.factorRiesgo * 100)}%`);
     
-    // Agregar al historial
-    historialSeleccionesAleatorias.push(`${seleccion.fila},${seleccion.columna}`);
     console.log(`===== FIN DE SELECCIÓN DE PRIMER MOVIMIENTO =====`);
     
     return seleccion;
@@ -324,7 +270,8 @@ export const seleccionarPrimeraCeldaSegura = (tamañoTablero, memoriaJuego = nul
 
 /**
  * Analizar el tablero para tomar decisiones estratégicas (versión mejorada con capas)
- * @param {object} parametros - Parámetros del análisis
+ * @param {object} parametros - Parámetros del análisis (aleatorio: generador en [0, 1) para los desempates al azar;
+ *                              parametrosEstrategia: sustituciones de PARAMETROS_ESTRATEGIA_POR_DEFECTO)
  * @returns {object} - Decisiones del análisis
  */
 export const analizarTablero = ({
@@ -335,7 +282,10 @@ export const analizarTablero = ({
     historialMovimientos,
     setMensajeSistema,
     setAnimacion,
-    memoriaJuego = null
+    memoriaJuego = null,
+    totalMinas = null,
+    aleatorio = Math.random,
+    parametrosEstrategia = null
 }) => {
     // Verificar todos los parámetros para evitar errores
     if (!tablero || !Array.isArray(tablero) || tablero.length === 0) {
@@ -372,7 +322,7 @@ export const analizarTablero = ({
         }
         
         // 1. CREAR MODELO COMPLETO DEL TABLERO
-        const modeloTablero = crearModeloTablero(tablero, tamañoTablero, celdasDescubiertas, banderas);
+        const modeloTablero = crearModeloTablero(tablero, tamañoTablero, celdasDescubiertas, banderas, totalMinas);
         
         // 2. IDENTIFICAR TODAS LAS BANDERAS NUEVAS
         console.log("PASO 1: Identificando banderas");
@@ -400,10 +350,44 @@ export const analizarTablero = ({
             console.log("- No se identificaron celdas 100% seguras");
         }
         
+        // 3b. REDUCIR LA MATRIZ DE RESTRICCIONES: deducciones en cadena que los patrones locales no ven
+        console.log("PASO 2B: Reduciendo la matriz de restricciones de la frontera");
+        const deduccionMatricial = deducirPorAlgebraLineal(modeloTablero);
+        const enLista = (lista, celda) => lista.some(c => c.fila === celda.fila && c.columna === celda.columna);
+        // Solo se añaden celdas que ninguna otra capa haya clasificado ya, en un sentido u otro
+        const banderasMatriciales = deduccionMatricial.banderas
+            .filter(b => !enLista(nuevasBanderas, b) && !enLista(celdasSeguras, b))
+            .map(b => ({
+                ...b,
+                detalle: `La reducción de la matriz de restricciones fuerza una mina en (${b.fila + 1},${b.columna + 1})`
+            }));
+        const segurasMatriciales = deduccionMatricial.seguras
+            .filter(s => !enLista(celdasSeguras, s) && !enLista(nuevasBanderas, s))
+            .map(s => ({ ...s, prioridad: 'media' }));
+        nuevasBanderas.push(...banderasMatriciales);
+        celdasSeguras.push(...segurasMatriciales);
+        
+        if (banderasMatriciales.length > 0 || segurasMatriciales.length > 0) {
+            console.log(`- Álgebra lineal: ${banderasMatriciales.length} minas y ${segurasMatriciales.length} celdas seguras adicionales`);
+        } else {
+            console.log("- La reducción de la matriz no aporta deducciones nuevas");
+        }
+        
         // 4. CALCULAR PROBABILIDADES PARA TODAS LAS CELDAS
         console.log("PASO 3: Calculando probabilidades");
         const mapaProbabilidades = calcularProbabilidadesGlobales(modeloTablero);
         
+        // Con el total de minas conocido, las certezas del recuento permiten deducciones de final de partida
+        if (totalMinas !== null && totalMinas !== undefined) {
+            const deducciones = deducirPorRecuentoTotal(mapaProbabilidades, nuevasBanderas, celdasSeguras, totalMinas);
+            nuevasBanderas.push(...deducciones.banderas);
+            celdasSeguras.push(...deducciones.seguras);
+            
+            if (deducciones.banderas.length > 0 || deducciones.seguras.length > 0) {
+                console.log(`- Recuento total: ${deducciones.banderas.length} minas y ${deducciones.seguras.length} celdas seguras adicionales`);
+            }
+        }
+        
         // 5. Enriquecer el mapa de probabilidades con la memoria histórica
         console.log("PASO 4: Aplicando memoria histórica");
         const mapaProbabilidadesEnriquecido = enriquecerMapaProbabilidades(
@@ -428,8 +412,9 @@ export const analizarTablero = ({
             );
             
             if (mejorSegundoMovimiento && mejorSegundoMovimiento.confianza === 'alta') {
-                // Verificar que la celda sea válida (no descubierta, sin bandera)
-                const esValida = !celdasDescubiertas.some(c => 
+                // Verificar que la celda sea válida (no descubierta, sin bandera ni bloqueada)
+                const esValida = !estaBloqueada(mejorSegundoMovimiento.fila, mejorSegundoMovimiento.columna, tamañoTablero) &&
+                    !celdasDescubiertas.some(c => 
                     c.fila === mejorSegundoMovimiento.fila && c.columna === mejorSegundoMovimiento.columna
                 ) && !banderas.some(b => 
                     b.fila === mejorSegundoMovimiento.fila && b.columna === mejorSegundoMovimiento.columna
@@ -461,7 +446,9 @@ export const analizarTablero = ({
                 celdasSeguras, 
                 historialMovimientos,
                 memoriaJuego,
-                tamañoTablero
+                tamañoTablero,
+                aleatorio,
+                parametrosEstrategia
             );
             
             // Loguear la decisión
@@ -479,6 +466,7 @@ export const analizarTablero = ({
             esAccion: true,
             accion: "bandera",
             origen: bandera.origen,
+            demostracion: bandera.demostracion || null,
             explicacion: bandera.detalle || `Bandera identificada mediante ${bandera.origen}`
         }));
         
@@ -505,7 +493,7 @@ export const analizarTablero = ({
     } catch (error) {
         console.error("Error al analizar tablero:", error);
         // En caso de error, seleccionar una celda aleatoria para no bloquear el juego
-        const celdaAleatoria = seleccionarCeldaAleatoria(tablero, tamañoTablero, celdasDescubiertas, banderas, memoriaJuego, historialMovimientos);
+        const celdaAleatoria = seleccionarCeldaAleatoria(tablero, tamañoTablero, celdasDescubiertas, banderas, memoriaJuego, historialMovimientos, aleatorio);
         console.log("ERROR en análisis, seleccionando celda aleatoria:", celdaAleatoria);
         return {
             banderas: banderas || [],
@@ -515,20 +503,43 @@ export const analizarTablero = ({
     }
 };
 
+/**
+ * Volver a deducir las banderas seguras de un tablero, con las mismas capas que analizarTablero
+ * (patrones locales y reducción de la matriz de restricciones). Se usa al corregir una respuesta
+ * pasada para saber qué banderas posteriores siguen justificadas.
+ * @param {object} parametros - { tablero, tamañoTablero, celdasDescubiertas, banderas, totalMinas }
+ * @returns {Array} - Banderas deducidas, con origen, detalle y demostración
+ */
+export const deducirBanderas = ({ tablero, tamañoTablero, celdasDescubiertas, banderas, totalMinas = null }) => {
+    const modeloTablero = crearModeloTablero(tablero, tamañoTablero, celdasDescubiertas, banderas, totalMinas);
+    const deducidas = identificarTodasLasBanderas(modeloTablero);
+
+    deducirPorAlgebraLineal(modeloTablero).banderas
+        .filter(b => !deducidas.some(d => d.fila === b.fila && d.columna === b.columna))
+        .forEach(b => deducidas.push({
+            ...b,
+            detalle: `La reducción de la matriz de restricciones fuerza una mina en (${b.fila + 1},${b.columna + 1})`
+        }));
+
+    return deducidas;
+};
+
 /**
  * Crear un modelo completo del tablero con toda la información disponible
  * @param {Array} tablero - Estado actual del tablero
  * @param {object} tamañoTablero - Dimensiones del tablero
  * @param {Array} celdasDescubiertas - Celdas ya descubiertas
  * @param {Array} banderas - Banderas colocadas
+ * @param {number|null} totalMinas - Número total de minas del tablero, si se conoce
  * @returns {object} - Modelo completo del tablero
  */
-const crearModeloTablero = (tablero, tamañoTablero, celdasDescubiertas, banderas) => {
+const crearModeloTablero = (tablero, tamañoTablero, celdasDescubiertas, banderas, totalMinas = null) => {
     const { filas, columnas } = tamañoTablero;
     
     // Crear matriz de estado para todas las celdas
-    const estadoCeldas = Array(filas).fill().map(() => 
-        Array(columnas).fill().map(() => ({
+    const estadoCeldas = Array(filas).fill().map((_, i) => 
+        Array(columnas).fill().map((_, j) => ({
+            bloqueada: estaBloqueada(i, j, tamañoTablero), // Hueco de un tablero irregular
             descubierta: false,
             valor: null,
             tieneBandera: false,
@@ -615,10 +626,57 @@ const crearModeloTablero = (tablero, tamañoTablero, celdasDescubiertas, bandera
         restricciones,
         tamañoTablero,
         celdasDescubiertas: celdasDescubiertas.map(c => ({ ...c })),
-        banderas: banderas.map(b => ({ ...b }))
+        banderas: banderas.map(b => ({ ...b })),
+        totalMinas
     };
 };
 
+/**
+ * Extrae del mapa de probabilidades las celdas que el recuento total de minas convierte en certezas
+ * @param {object} mapaProbabilidades - Mapa calculado con el total de minas
+ * @param {Array} banderasIdentificadas - Banderas ya deducidas en este análisis
+ * @param {Array} segurasIdentificadas - Celdas seguras ya deducidas en este análisis
+ * @param {number} totalMinas - Total de minas del tablero
+ * @returns {object} - { banderas, seguras } nuevas
+ */
+const deducirPorRecuentoTotal = (mapaProbabilidades, banderasIdentificadas, segurasIdentificadas, totalMinas) => {
+    const banderas = [];
+    const seguras = [];
+    
+    Object.entries(mapaProbabilidades).forEach(([clave, info]) => {
+        if (!info.certeza) return;
+        
+        const [fila, columna] = clave.split(',').map(Number);
+        const yaIdentificada = (lista) => lista.some(c => c.fila === fila && c.columna === columna);
+        const demostrar = (conclusion) => crearDemostracion({
+            tipo: TIPOS_DEMOSTRACION.RECUENTO_TOTAL,
+            totalMinas,
+            conclusion,
+            celdas: [{ fila, columna }]
+        });
+        
+        if (info.probabilidad === 1 && !yaIdentificada(banderasIdentificadas)) {
+            banderas.push({
+                fila,
+                columna,
+                origen: 'recuento total de minas',
+                detalle: `La celda (${fila + 1},${columna + 1}) es mina en todas las configuraciones compatibles con el total de minas`,
+                demostracion: demostrar('mina')
+            });
+        } else if (info.probabilidad === 0 && !yaIdentificada(segurasIdentificadas)) {
+            seguras.push({
+                fila,
+                columna,
+                origen: 'recuento total de minas',
+                prioridad: 'alta',
+                demostracion: demostrar('segura')
+            });
+        }
+    });
+    
+    return { banderas, seguras };
+};
+
 /**
  * Identifica todas las banderas que se pueden colocar con certeza, mejorado para evitar contradicciones
  * @param {object} modeloTablero - Modelo completo del tablero
@@ -759,6 +817,14 @@ const identificarTodasLasBanderas = (modeloTablero) => {
                 
                 // Si todos los candidatos son seguros, colocar banderas
                 if (candidatosBandera.length === celdasSinDescubrirSinBandera.length) {
+                    // La demostración se toma antes de marcar las banderas de esta restricción
+                    const demostracion = crearDemostracion({
+                        tipo: TIPOS_DEMOSTRACION.RESTRICCION_COMPLETA,
+                        restricciones: [describirRestriccion(restriccion, modeloTrabajo.estadoCeldas, nuevasBanderas)],
+                        conclusion: 'mina',
+                        celdas: candidatosBandera
+                    });
+                    
                     for (const c of candidatosBandera) {
                         console.log(`✅ Colocando bandera en (${c.fila + 1},${c.columna + 1})`);
                         nuevasBanderas.push({
@@ -766,7 +832,8 @@ const identificarTodasLasBanderas = (modeloTablero) => {
                             columna: c.columna,
                             origen: 'análisis simple',
                             celdaOrigen: celda,
-                            detalle: `La celda (${celda.fila + 1},${celda.columna + 1}) con valor ${valor} necesita exactamente ${minasFaltantes} minas y hay ${celdasSinDescubrirSinBandera.length} celdas sin descubrir.`
+                            detalle: `La celda (${celda.fila + 1},${celda.columna + 1}) con valor ${valor} necesita exactamente ${minasFaltantes} minas y hay ${celdasSinDescubrirSinBandera.length} celdas sin descubrir.`,
+                            demostracion
                         });
                         
                         // Actualizar modelo para próximas comprobaciones
@@ -1009,6 +1076,12 @@ const analizarSubconjuntosConValidacionEstricta = (modeloTablero, banderas) => {
                     }
                     
                     if (esSolucionValida) {
+                        const demostracion = crearDemostracionSubconjunto(
+                            describirRestriccion(r1, estadoCeldas, banderas),
+                            describirRestriccion(r2, estadoCeldas, banderas),
+                            'mina'
+                        );
+                        
                         celdasDiferencia.forEach(c => {
                             if (!banderas.some(b => b.fila === c.fila && b.columna === c.columna) &&
                                 !nuevasBanderas.some(b => b.fila === c.fila && b.columna === c.columna)) {
@@ -1020,7 +1093,8 @@ const analizarSubconjuntosConValidacionEstricta = (modeloTablero, banderas) => {
                                     origen: 'análisis de subconjuntos',
                                     celdaOrigen1: r1.celda,
                                     celdaOrigen2: r2.celda,
-                                    detalle: `Las celdas sin descubrir de (${r1.celda.fila + 1},${r1.celda.columna + 1})=${r1.valor} son subconjunto de (${r2.celda.fila + 1},${r2.celda.columna + 1})=${r2.valor}, con ${minasDiferencia} minas en las ${celdasDiferencia.length} celdas de diferencia.`
+                                    detalle: `Las celdas sin descubrir de (${r1.celda.fila + 1},${r1.celda.columna + 1})=${r1.valor} son subconjunto de (${r2.celda.fila + 1},${r2.celda.columna + 1})=${r2.valor}, con ${minasDiferencia} minas en las ${celdasDiferencia.length} celdas de diferencia.`,
+                                    demostracion
                                 });
                             }
                         });
@@ -1532,6 +1606,16 @@ export const identificarCeldasSeguras = (modeloTablero) => {
                 
                 // Todas las celdas adyacentes a un 0 son seguras
                 const celdasAdyacentes = obtenerCeldasAdyacentes(i, j, tamañoTablero);
+                const restriccionCero = describirRestriccion(
+                    { celda: { fila: i, columna: j }, valor: 0, celdasAfectadas: celdasAdyacentes },
+                    estadoCeldas
+                );
+                const demostracion = crearDemostracion({
+                    tipo: TIPOS_DEMOSTRACION.ADYACENTE_A_CERO,
+                    restricciones: [restriccionCero],
+                    conclusion: 'segura',
+                    celdas: restriccionCero.desconocidas
+                });
                 
                 celdasAdyacentes.forEach(c => {
                     // Verificar que no esté ya descubierta o tenga bandera
@@ -1544,7 +1628,8 @@ export const identificarCeldasSeguras = (modeloTablero) => {
                             columna: c.columna,
                             origen: 'adyacente a cero',
                             celdaOrigen: { fila: i, columna: j },
-                            prioridad: 'alta' // Alta prioridad para propagar ceros rápidamente
+                            prioridad: 'alta', // Alta prioridad para propagar ceros rápidamente
+                            demostracion
                         });
                         
                         // Actualizar modelo
@@ -1569,6 +1654,12 @@ export const identificarCeldasSeguras = (modeloTablero) => {
                 !estadoCeldas[c.fila][c.columna].tieneBandera &&
                 !banderas.some(b => b.fila === c.fila && b.columna === c.columna)
             );
+            const demostracion = crearDemostracion({
+                tipo: TIPOS_DEMOSTRACION.RESTRICCION_SATURADA,
+                restricciones: [describirRestriccion(restriccion, estadoCeldas, banderas)],
+                conclusion: 'segura',
+                celdas: celdasSinDescubrirSinBandera
+            });
             
             // Marcar estas celdas como seguras
             celdasSinDescubrirSinBandera.forEach(c => {
@@ -1578,7 +1669,8 @@ export const identificarCeldasSeguras = (modeloTablero) => {
                         columna: c.columna,
                         origen: 'análisis simple',
                         celdaOrigen: celda,
-                        prioridad: 'media' // Prioridad media
+                        prioridad: 'media', // Prioridad media
+                        demostracion
                     });
                     // Actualizar modelo
                     estadoCeldas[c.fila][c.columna].esSegura = true;
@@ -1638,352 +1730,392 @@ export const identificarCeldasSeguras = (modeloTablero) => {
 };
 
 /**
- * Calcula probabilidades de mina para todas las celdas sin descubrir
+ * Densidad de minas asumida para las celdas sin restricciones (se usa como probabilidad a priori
+ * de cada celda al ponderar las configuraciones de la frontera)
+ * @type {number}
+ */
+const DENSIDAD_MINAS_ESTIMADA = 0.16;
+
+/**
+ * Máximo de nodos que puede explorar la enumeración de un grupo antes de recurrir a una estimación local
+ * @type {number}
+ */
+const LIMITE_NODOS_ENUMERACION = 250000;
+
+/**
+ * Enumera todas las asignaciones de minas consistentes con las restricciones de un grupo conectado
+ * @param {object} grupo - Grupo devuelto por encontrarGruposRestriccionesConectadas
+ * @returns {object} - { celdas, configuracionesPorMinas, completa } donde configuracionesPorMinas[k]
+ *                     contiene el total de configuraciones con k minas y cuántas de ellas tienen mina en cada celda
+ */
+const enumerarConfiguracionesGrupo = (grupo) => {
+    const celdas = grupo.celdasArray;
+    const indicePorClave = new Map(celdas.map((c, idx) => [`${c.fila},${c.columna}`, idx]));
+    const configuracionesPorMinas = [];
+    
+    // Traducir cada restricción a índices locales del grupo (sin banderas ni celdas descubiertas)
+    const restriccionesLocales = grupo.restricciones.map(r => ({
+        indices: r.celdasAfectadas
+            .map(c => indicePorClave.get(`${c.fila},${c.columna}`))
+            .filter(idx => idx !== undefined),
+        minasFaltantes: r.minasFaltantes
+    }));
+    
+    // Una restricción imposible de entrada deja el grupo sin ninguna configuración válida
+    if (restriccionesLocales.some(r => r.minasFaltantes < 0 || r.minasFaltantes > r.indices.length)) {
+        return { celdas, configuracionesPorMinas, completa: true };
+    }
+    
+    // Restricciones que afectan a cada celda, para comprobar solo las implicadas en cada paso
+    const restriccionesPorCelda = celdas.map(() => []);
+    restriccionesLocales.forEach((r, idx) => {
+        r.indices.forEach(i => restriccionesPorCelda[i].push(idx));
+    });
+    
+    const minasRestantes = restriccionesLocales.map(r => r.minasFaltantes);
+    const celdasSinAsignar = restriccionesLocales.map(r => r.indices.length);
+    const asignacion = new Array(celdas.length).fill(0);
+    let nodosExplorados = 0;
+    let completa = true;
+    
+    // Backtracking: cada celda es 0 (segura) o 1 (mina) mientras todas sus restricciones sigan siendo satisfacibles
+    const asignarCelda = (indice, minasColocadas) => {
+        if (++nodosExplorados > LIMITE_NODOS_ENUMERACION) {
+            completa = false;
+            return;
+        }
+        
+        // Configuración completa: la poda garantiza que todas las restricciones se cumplen exactamente
+        if (indice === celdas.length) {
+            if (!configuracionesPorMinas[minasColocadas]) {
+                configuracionesPorMinas[minasColocadas] = {
+                    total: 0,
+                    conteoPorCelda: new Array(celdas.length).fill(0)
+                };
+            }
+            
+            const entrada = configuracionesPorMinas[minasColocadas];
+            entrada.total++;
+            asignacion.forEach((valor, i) => {
+                if (valor === 1) entrada.conteoPorCelda[i]++;
+            });
+            return;
+        }
+        
+        const afectadas = restriccionesPorCelda[indice];
+        
+        for (const valor of [0, 1]) {
+            afectadas.forEach(r => {
+                celdasSinAsignar[r]--;
+                minasRestantes[r] -= valor;
+            });
+            
+            const esFactible = afectadas.every(r => 
+                minasRestantes[r] >= 0 && minasRestantes[r] <= celdasSinAsignar[r]
+            );
+            
+            if (esFactible) {
+                asignacion[indice] = valor;
+                asignarCelda(indice + 1, minasColocadas + valor);
+            }
+            
+            afectadas.forEach(r => {
+                celdasSinAsignar[r]++;
+                minasRestantes[r] += valor;
+            });
+            
+            if (!completa) return;
+        }
+        
+        asignacion[indice] = 0;
+    };
+    
+    asignarCelda(0, 0);
+    
+    return { celdas, configuracionesPorMinas, completa };
+};
+
+/**
+ * Estimación local para grupos que no se pueden enumerar (demasiado grandes o contradictorios):
+ * toma la proporción más alta minasFaltantes / celdas entre las restricciones de cada celda
+ * @param {object} grupo - Grupo de restricciones conectadas
+ * @param {object} estadoCeldas - Estado de las celdas del modelo
+ * @returns {Map} - Probabilidad estimada por clave "fila,columna"
+ */
+const estimarProbabilidadesLocales = (grupo, estadoCeldas) => {
+    const estimaciones = new Map();
+    
+    grupo.restricciones.forEach(r => {
+        const celdasRelevantes = r.celdasAfectadas.filter(c => 
+            !estadoCeldas[c.fila][c.columna].descubierta &&
+            !estadoCeldas[c.fila][c.columna].tieneBandera
+        );
+        
+        if (celdasRelevantes.length === 0) return;
+        
+        const proporcion = Math.max(0, Math.min(1, r.minasFaltantes / celdasRelevantes.length));
+        
+        celdasRelevantes.forEach(c => {
+            const clave = `${c.fila},${c.columna}`;
+            estimaciones.set(clave, Math.max(estimaciones.get(clave) || 0, proporcion));
+        });
+    });
+    
+    return estimaciones;
+};
+
+/**
+ * Logaritmo del número de combinaciones C(n, k), para ponderar sin desbordar números grandes
+ * @param {number} n - Tamaño del conjunto
+ * @param {number} k - Elementos elegidos
+ * @returns {number} - log C(n, k), o -Infinity si k está fuera de rango
+ */
+const logCombinaciones = (n, k) => {
+    if (k < 0 || k > n) return -Infinity;
+    
+    const menor = Math.min(k, n - k);
+    let resultado = 0;
+    
+    for (let i = 1; i <= menor; i++) {
+        resultado += Math.log(n - menor + i) - Math.log(i);
+    }
+    
+    return resultado;
+};
+
+/**
+ * Convoluciona dos distribuciones de número de minas (índice = minas, valor = peso)
+ * @param {Array<number>} a - Primera distribución
+ * @param {Array<number>} b - Segunda distribución
+ * @returns {Array<number>} - Distribución del total de minas de ambas
+ */
+const convolucionarDistribuciones = (a, b) => {
+    const resultado = new Array(a.length + b.length - 1).fill(0);
+    
+    a.forEach((pesoA, i) => {
+        if (!pesoA) return;
+        b.forEach((pesoB, j) => {
+            resultado[i + j] += pesoA * pesoB;
+        });
+    });
+    
+    return resultado;
+};
+
+/**
+ * Calcula probabilidades de mina para todas las celdas sin descubrir enumerando de forma exacta
+ * todas las configuraciones de minas compatibles con las restricciones de la frontera.
+ * Si el modelo incluye totalMinas, las configuraciones se ponderan por las formas de colocar
+ * las minas restantes en las celdas sin restricciones.
  * @param {object} modeloTablero - Modelo completo del tablero
  * @returns {object} - Mapa de probabilidades para cada celda
  */
 export const calcularProbabilidadesGlobales = (modeloTablero) => {
-    const { estadoCeldas, restricciones, tamañoTablero } = modeloTablero;
+    const { estadoCeldas, restricciones, tamañoTablero, banderas, totalMinas = null } = modeloTablero;
     const { filas, columnas } = tamañoTablero;
     const mapaProbabilidades = {};
     
-    console.log("INICIO: Calculando probabilidades globales mejoradas");
+    console.log("INICIO: Calculando probabilidades exactas por enumeración de la frontera");
     
-    // 1. INICIALIZAR MAPA CON PROBABILIDAD BASE CONSERVADORA
-    let celdasSinDescubrirTotal = 0;
+    // 1. REGISTRAR LAS CELDAS SIN DESCUBRIR
+    const celdasSinDescubrir = [];
     
     for (let i = 0; i < filas; i++) {
         for (let j = 0; j < columnas; j++) {
-            // Clave única para cada celda
-            const clave = `${i},${j}`;
-            
-            // Si la celda ya está descubierta o tiene bandera, no necesitamos calcular probabilidad
-            if (estadoCeldas[i][j].descubierta || estadoCeldas[i][j].tieneBandera) {
-                continue;
+            // Si la celda ya está descubierta, tiene bandera o es un hueco, no necesitamos calcular probabilidad
+            if (!estadoCeldas[i][j].descubierta && !estadoCeldas[i][j].tieneBandera && !estadoCeldas[i][j].bloqueada) {
+                celdasSinDescubrir.push(`${i},${j}`);
             }
-            
-            celdasSinDescubrirTotal++;
-            
-            // Probabilidad base más baja para favorecer exploración
-            mapaProbabilidades[clave] = {
-                probabilidad: 0.08, // Más bajo para ser conservador
-                certeza: false,
-                origen: 'valor base',
-                restriccionesAfectantes: []
-            };
         }
     }
     
-    console.log(`- ${celdasSinDescubrirTotal} celdas sin descubrir para evaluar`);
+    console.log(`- ${celdasSinDescubrir.length} celdas sin descubrir para evaluar`);
     
-    // 2. ANÁLISIS DE RESTRICCIONES LOCALES CON PONDERACIÓN MEJORADA
-    console.log("FASE 1: Análisis de restricciones locales");
+    // 2. DIVIDIR LA FRONTERA EN GRUPOS INDEPENDIENTES Y ENUMERARLOS
+    const grupos = encontrarGruposRestriccionesConectadas(restricciones, estadoCeldas)
+        .filter(grupo => grupo.celdasArray.length > 0);
     
-    // Crear un mapa de influencia para cada restricción
-    const mapaInfluencia = new Map();
+    console.log(`FASE 1: ${grupos.length} grupos independientes en la frontera`);
     
-    restricciones.forEach((restriccion, idx) => {
-        const { celda, celdasAfectadas, minasFaltantes } = restriccion;
-        const valorNumerico = parseInt(estadoCeldas[celda.fila][celda.columna].valor);
-        
-        // Solo calcular si hay celdas afectadas y minas faltantes
-        if (celdasAfectadas.length > 0) {
-            // Filtrar celdas sin descubrir y sin bandera
-            const celdasRelevantes = celdasAfectadas.filter(c => 
-                !estadoCeldas[c.fila][c.columna].descubierta && 
-                !estadoCeldas[c.fila][c.columna].tieneBandera
-            );
-            
-            // Si no hay celdas relevantes, saltamos
-            if (celdasRelevantes.length === 0) return;
-            
-            // Calcular probabilidad para esta restricción
-            const probabilidadRestriccion = minasFaltantes >= 0 && celdasRelevantes.length > 0 ? 
-                minasFaltantes / celdasRelevantes.length : 0;
-            
-            // MEJORADO: Factor de ajuste dinámico según el valor numérico (0-8)
-            let factorAjuste = 1.0;
-            
-            // Valores altos indican mayor concentración de minas en la zona
-            if (valorNumerico === 0) {
-                factorAjuste = 0; // Celdas adyacentes a 0 siempre son seguras
-            } else if (valorNumerico === 1) {
-                factorAjuste = 0.85; // Reducido para ser más conservador
-            } else if (valorNumerico === 2) {
-                factorAjuste = 0.95; // Ligeramente reducido
-            } else if (valorNumerico === 3) {
-                factorAjuste = 1.05; // Ligero incremento
-            } else if (valorNumerico === 4) {
-                factorAjuste = 1.15; // Incremento moderado
-            } else if (valorNumerico >= 5) {
-                factorAjuste = 1.25; // Incremento significativo
-            }
-            
-            // Actualizar mapa de probabilidades
-            celdasRelevantes.forEach(c => {
-                const clave = `${c.fila},${c.columna}`;
-                
-                // Si valorNumerico es 0, siempre asignar probabilidad 0
-                if (valorNumerico === 0) {
-                    mapaProbabilidades[clave] = {
-                        probabilidad: 0,
-                        certeza: true,
-                        origen: `adyacente a cero en (${celda.fila+1},${celda.columna+1})`,
-                        restriccionesAfectantes: [idx]
-                    };
-                    return;
-                }
-                
-                // Guardar información de la restricción para esta celda
-                if (!mapaInfluencia.has(clave)) {
-                    mapaInfluencia.set(clave, []);
-                }
-                
-                mapaInfluencia.get(clave).push({
-                    indice: idx,
-                    probabilidad: probabilidadRestriccion * factorAjuste,
-                    valor: valorNumerico,
-                    minasFaltantes,
-                    celdasRelevantes: celdasRelevantes.length
-                });
-                
-                // Si la celda ya tiene una probabilidad asignada, tomamos la más alta
-                // para ser conservadores, o 0 si es adyacente a un cero
-                if (mapaProbabilidades[clave] && mapaProbabilidades[clave].probabilidad > 0) {
-                    // Aplicar factor de ajuste
-                    const probabilidadAjustada = probabilidadRestriccion * factorAjuste;
-                    
-                    if (probabilidadAjustada > mapaProbabilidades[clave].probabilidad) {
-                        mapaProbabilidades[clave].probabilidad = probabilidadAjustada;
-                        mapaProbabilidades[clave].origen = `restricción de ${valorNumerico} en (${restriccion.celda.fila+1},${restriccion.celda.columna+1})`;
-                    }
-                    
-                    // Registrar que esta restricción afecta a la celda
-                    if (!mapaProbabilidades[clave].restriccionesAfectantes.includes(idx)) {
-                        mapaProbabilidades[clave].restriccionesAfectantes.push(idx);
-                    }
-                }
-            });
-        }
+    const enumeraciones = grupos.map(grupo => {
+        const enumeracion = enumerarConfiguracionesGrupo(grupo);
+        const totalConfiguraciones = enumeracion.configuracionesPorMinas
+            .reduce((suma, entrada) => suma + (entrada ? entrada.total : 0), 0);
+        return { grupo, ...enumeracion, totalConfiguraciones };
     });
     
-    // 3. RESOLUCIÓN MEJORADA DE CELDAS CON MÚLTIPLES RESTRICCIONES
-    // Ahora usaremos el mapa de influencia para un análisis más profundo
-    console.log("FASE 2: Resolución de restricciones múltiples");
+    const enumeracionesValidas = enumeraciones.filter(e => e.completa && e.totalConfiguraciones > 0);
+    const enumeracionesFallidas = enumeraciones.filter(e => !e.completa || e.totalConfiguraciones === 0);
     
-    for (const [clave, restriccionesAfectantes] of mapaInfluencia.entries()) {
-        if (restriccionesAfectantes.length > 1) {
-            // Solo procesar celdas con múltiples restricciones
-            const [fila, columna] = clave.split(',').map(Number);
-            
-            console.log(`- Celda (${fila + 1},${columna + 1}) afectada por ${restriccionesAfectantes.length} restricciones`);
-            
-            // Analizar si hay una restricción que implique probabilidad 1 (100% mina)
-            const restriccionImplicaMina = restriccionesAfectantes.some(r => 
-                r.minasFaltantes === r.celdasRelevantes
-            );
-            
-            // Analizar si hay una restricción que implique probabilidad 0 (0% mina)
-            const restriccionImplicaNoMina = restriccionesAfectantes.some(r => 
-                r.minasFaltantes === 0 || r.valor === 0
-            );
-            
-            // Resolver conflictos:
-            // Si alguna restricción implica que NO es mina, prevalece esa
-            if (restriccionImplicaNoMina) {
-                mapaProbabilidades[clave].probabilidad = 0;
-                mapaProbabilidades[clave].certeza = true;
-                mapaProbabilidades[clave].origen = "múltiples restricciones - segura";
-                console.log(`  ✓ Determinada como segura (0% mina) por restricciones confluyentes`);
-            }
-            // Si alguna restricción implica que ES mina, prevalece esa
-            else if (restriccionImplicaMina) {
-                mapaProbabilidades[clave].probabilidad = 1;
-                mapaProbabilidades[clave].certeza = true;
-                mapaProbabilidades[clave].origen = "múltiples restricciones - mina";
-                console.log(`  ⚠ Determinada como mina (100% mina) por restricciones confluyentes`);
-            }
-            // Si no hay certeza, ponderamos las restricciones
-            else {
-                // Calcular la probabilidad ponderada dando más peso a valores mayores
-                let sumaPonderada = 0;
-                let sumaPesos = 0;
-                
-                restriccionesAfectantes.forEach(r => {
-                    // Mayor peso a restricciones con valores altos y menos celdas relevantes
-                    const peso = r.valor * (1 / Math.max(1, r.celdasRelevantes));
-                    sumaPonderada += r.probabilidad * peso;
-                    sumaPesos += peso;
-                });
-                
-                // Calcular probabilidad ponderada
-                const probabilidadPonderada = sumaPonderada / sumaPesos;
-                
-                // Ser muy conservadores con múltiples restricciones en conflicto
-                // Aplicar un factor adicional de seguridad
-                const factorSeguridad = 1.1; // 10% adicional
-                const probabilidadFinal = Math.min(0.95, probabilidadPonderada * factorSeguridad);
-                
-                mapaProbabilidades[clave].probabilidad = probabilidadFinal;
-                mapaProbabilidades[clave].origen = "múltiples restricciones ponderadas";
-                
-                console.log(`  • Probabilidad ponderada: ${Math.round(probabilidadFinal * 100)}%`);
-            }
-        }
-    }
+    // Índices (en restricciones) que afectan a una celda de un grupo
+    const restriccionesDeCelda = (grupo, c) => grupo.restricciones
+        .filter(r => r.celdasAfectadas.some(a => a.fila === c.fila && a.columna === c.columna))
+        .map(r => restricciones.indexOf(r));
     
-    // 4. AJUSTE PARA CELDAS ADYACENTES A MÚLTIPLES NÚMEROS
-    console.log("FASE 3: Ajuste para celdas con múltiples números adyacentes");
+    // Celdas que no pertenecen a ningún grupo de la frontera
+    const clavesFrontera = new Set();
+    grupos.forEach(grupo => grupo.celdas.forEach(clave => clavesFrontera.add(clave)));
+    const celdasLibres = celdasSinDescubrir.filter(clave => !clavesFrontera.has(clave));
     
-    for (let i = 0; i < filas; i++) {
-        for (let j = 0; j < columnas; j++) {
-            const clave = `${i},${j}`;
-            
-            // Saltarse celdas descubiertas o con probabilidad calculada como 0 o 1
-            if (!mapaProbabilidades[clave] || 
-                mapaProbabilidades[clave].certeza === true) {
-                continue;
-            }
-            
-            // Verificar si es adyacente a algún número
-            const celdasAdyacentes = obtenerCeldasAdyacentes(i, j, tamañoTablero);
-            
-            // Buscar el número más alto adyacente (más relevante para determinar riesgo)
-            let maxValorAdyacente = 0;
-            let numerosAltos = 0;
-            
-            celdasAdyacentes.forEach(adj => {
-                if (estadoCeldas[adj.fila][adj.columna].descubierta) {
-                    const valorAdj = estadoCeldas[adj.fila][adj.columna].valor;
-                    if (valorAdj !== '' && valorAdj !== 'M' && !isNaN(valorAdj)) {
-                        const numValor = parseInt(valorAdj);
-                        maxValorAdyacente = Math.max(maxValorAdyacente, numValor);
-                        
-                        // Contar números 3+
-                        if (numValor >= 3) {
-                            numerosAltos++;
-                        }
-                    }
-                }
+    // 3. DETERMINAR CÓMO PONDERAR LAS CONFIGURACIONES
+    const conocemosTotal = totalMinas !== null && totalMinas !== undefined;
+    const minasRestantes = conocemosTotal ? totalMinas - banderas.length : null;
+    
+    // Con el total conocido se combinan todos los grupos; si algún grupo no se pudo enumerar
+    // se usa la densidad de las minas restantes como aproximación
+    let distribucionConjunta = null;
+    let pesoSegunMinasFrontera = null;
+    let pesoNormalizador = 0;
+    
+    if (conocemosTotal && enumeracionesFallidas.length === 0) {
+        console.log(`FASE 2: Combinando grupos con el total de minas (${minasRestantes} restantes, ${celdasLibres.length} celdas sin restricciones)`);
+        
+        // Distribución del número de minas de cada grupo, normalizada para evitar desbordes
+        const distribuciones = enumeracionesValidas.map(e => 
+            e.configuracionesPorMinas.map(entrada => entrada ? entrada.total / e.totalConfiguraciones : 0)
+        );
+        distribucionConjunta = distribuciones.reduce(convolucionarDistribuciones, [1]);
+        
+        // Peso de que la frontera tenga K minas: formas de colocar el resto en las celdas libres
+        const logReferencia = Math.max(...distribucionConjunta.map((_, minas) => 
+            logCombinaciones(celdasLibres.length, minasRestantes - minas)
+        ));
+        pesoSegunMinasFrontera = (minas) => {
+            const logPeso = logCombinaciones(celdasLibres.length, minasRestantes - minas);
+            return logPeso === -Infinity ? 0 : Math.exp(logPeso - logReferencia);
+        };
+        
+        pesoNormalizador = distribucionConjunta.reduce((suma, peso, minas) => 
+            suma + peso * pesoSegunMinasFrontera(minas), 0
+        );
+        
+        if (!(pesoNormalizador > 0)) {
+            console.log(`⚠ ADVERTENCIA: El total de ${totalMinas} minas no es compatible con el tablero, se ignora`);
+            distribucionConjunta = null;
+        } else {
+            // Convoluciones acumuladas para obtener rápidamente "todos los grupos menos uno"
+            const prefijos = [[1]];
+            distribuciones.forEach((d, idx) => prefijos.push(convolucionarDistribuciones(prefijos[idx], d)));
+            const sufijos = new Array(distribuciones.length + 1);
+            sufijos[distribuciones.length] = [1];
+            for (let idx = distribuciones.length - 1; idx >= 0; idx--) {
+                sufijos[idx] = convolucionarDistribuciones(distribuciones[idx], sufijos[idx + 1]);
+            }
+            
+            enumeracionesValidas.forEach((e, idx) => {
+                const otrosGrupos = convolucionarDistribuciones(prefijos[idx], sufijos[idx + 1]);
+                e.pesoPorMinas = e.configuracionesPorMinas.map((_, minas) => 
+                    otrosGrupos.reduce((suma, peso, otrasMinas) => 
+                        suma + peso * pesoSegunMinasFrontera(minas + otrasMinas), 0
+                    )
+                );
             });
-            
-            // Si es adyacente a un número > 0, ajustar su probabilidad
-            if (maxValorAdyacente > 0) {
-                // Escala de ajuste basada en el máximo valor adyacente
-                let factorAjuste = 1 + (maxValorAdyacente * 0.08); // 8% por cada unidad
-                
-                // Bonus para números muy altos (indican alta concentración de minas)
-                if (numerosAltos > 0) {
-                    factorAjuste += (numerosAltos * 0.05); // 5% adicional por cada número alto
-                }
-                
-                // Aplicar ajuste, con un límite para evitar exagerar
-                const probAnterior = mapaProbabilidades[clave].probabilidad;
-                mapaProbabilidades[clave].probabilidad *= factorAjuste;
-                mapaProbabilidades[clave].probabilidad = Math.min(0.95, mapaProbabilidades[clave].probabilidad);
-                
-                // Solo actualizar origen si el cambio es significativo
-                if (Math.abs(mapaProbabilidades[clave].probabilidad - probAnterior) > 0.05) {
-                    mapaProbabilidades[clave].origen += ` | adyacente a ${maxValorAdyacente}${numerosAltos > 0 ? ` y ${numerosAltos} números altos` : ''}`;
-                }
-            }
         }
     }
     
-    // 5. REDUCIR PROBABILIDADES PARA CELDAS AISLADAS (MEJORA PRINCIPAL)
-    console.log("FASE 4: Reducir probabilidades para celdas aisladas");
+    let densidad = DENSIDAD_MINAS_ESTIMADA;
     
-    // Identificar celdas que no están afectadas por ninguna restricción
-    for (let i = 0; i < filas; i++) {
-        for (let j = 0; j < columnas; j++) {
-            const clave = `${i},${j}`;
-            
-            // Solo procesar celdas sin descubrir y sin bandera
-            if (!mapaProbabilidades[clave]) continue;
-            
-            // Si la celda no tiene restricciones o son muy pocas, reducir probabilidad
-            const numRestricciones = mapaProbabilidades[clave].restriccionesAfectantes?.length || 0;
-            
-            if (numRestricciones === 0) {
-                // Reducir probabilidad para celdas totalmente aisladas
-                mapaProbabilidades[clave].probabilidad *= 0.3; // Reducción agresiva (70%)
-                mapaProbabilidades[clave].origen = 'celda aislada (sin restricciones)';
-            } else if (numRestricciones === 1) {
-                // Reducir algo también para celdas con solo una restricción
-                mapaProbabilidades[clave].probabilidad *= 0.8; // Reducción moderada (20%)
-                mapaProbabilidades[clave].origen += ' | restricción única';
-            }
-            
-            // Calcular distancia al número más cercano
-            // Cuanto más lejos estén, menor probabilidad
-            let distanciaMinima = Number.MAX_SAFE_INTEGER;
-            
-            for (let fi = 0; fi < filas; fi++) {
-                for (let cj = 0; cj < columnas; cj++) {
-                    // Solo considerar celdas descubiertas con números
-                    if (estadoCeldas[fi][cj].descubierta && 
-                        estadoCeldas[fi][cj].valor !== null && 
-                        estadoCeldas[fi][cj].valor !== '' && 
-                        estadoCeldas[fi][cj].valor !== 'M' &&
-                        !isNaN(estadoCeldas[fi][cj].valor)) {
-                        
-                        // Calcular distancia Manhattan
-                        const distancia = Math.abs(fi - i) + Math.abs(cj - j);
-                        distanciaMinima = Math.min(distanciaMinima, distancia);
-                    }
-                }
-            }
-            
-            // Si está muy lejos de cualquier número (distancia > 2), es muy poco probable que tenga mina
-            if (distanciaMinima > 3) {
-                // Reducir más la probabilidad cuanto más lejos esté
-                const factorDistancia = Math.max(0.2, 1 - (distanciaMinima * 0.15));
-                mapaProbabilidades[clave].probabilidad *= factorDistancia;
-                mapaProbabilidades[clave].origen = 'celda muy alejada de números conocidos';
-            }
+    if (!distribucionConjunta) {
+        if (conocemosTotal && celdasSinDescubrir.length > 0) {
+            densidad = Math.min(0.99, Math.max(0.01, minasRestantes / celdasSinDescubrir.length));
         }
+        
+        // Cada mina adicional en una configuración multiplica su peso por p / (1 - p)
+        const razonDensidad = densidad / (1 - densidad);
+        enumeracionesValidas.forEach(e => {
+            e.pesoPorMinas = e.configuracionesPorMinas.map((_, minas) => Math.pow(razonDensidad, minas));
+        });
     }
     
-    // 6. AJUSTE PARA CELDAS EN BORDES Y ESQUINAS (MEJORA IMPORTANTE)
-    console.log("FASE 5: Ajuste para celdas en bordes y esquinas");
+    // 4. CELDAS SIN RESTRICCIONES
+    if (distribucionConjunta && celdasLibres.length > 0) {
+        let pesoMinasLibres = 0;
+        let pesoSegurasLibres = 0;
+        
+        distribucionConjunta.forEach((peso, minas) => {
+            const pesoTotal = peso * pesoSegunMinasFrontera(minas);
+            pesoMinasLibres += pesoTotal * (minasRestantes - minas);
+            pesoSegurasLibres += pesoTotal * (celdasLibres.length - (minasRestantes - minas));
+        });
+        
+        const esSegura = pesoMinasLibres === 0;
+        const esMina = pesoSegurasLibres === 0;
+        
+        celdasLibres.forEach(clave => {
+            mapaProbabilidades[clave] = {
+                probabilidad: esSegura ? 0 : esMina ? 1 : pesoMinasLibres / (pesoNormalizador * celdasLibres.length),
+                certeza: esSegura || esMina,
+                origen: esSegura ? 'recuento total de minas - segura' :
+                        esMina ? 'recuento total de minas - mina' :
+                        'celda sin restricciones (recuento total de minas)',
+                restriccionesAfectantes: []
+            };
+        });
+        
+        if (esSegura || esMina) {
+            console.log(`  ${esSegura ? '✓' : '⚠'} Las ${celdasLibres.length} celdas sin restricciones son ${esSegura ? 'seguras' : 'minas'} por el recuento total`);
+        }
+    } else {
+        celdasLibres.forEach(clave => {
+            mapaProbabilidades[clave] = {
+                probabilidad: densidad,
+                certeza: false,
+                origen: conocemosTotal ? 'celda sin restricciones (densidad de minas restantes)' : 'celda sin restricciones (densidad estimada)',
+                restriccionesAfectantes: []
+            };
+        });
+    }
     
-    // Las celdas en bordes y esquinas tienen estadísticamente menos minas
-    // en muchos diseños de Buscaminas
-    for (let i = 0; i < filas; i++) {
-        for (let j = 0; j < columnas; j++) {
-            const clave = `${i},${j}`;
+    // 5. CONVERTIR LOS CONTEOS DE CADA GRUPO EN PROBABILIDADES
+    enumeracionesValidas.forEach((e, idxGrupo) => {
+        const { grupo, celdas, configuracionesPorMinas, pesoPorMinas, totalConfiguraciones } = e;
+        
+        console.log(`- Grupo ${idxGrupo + 1} (${celdas.length} celdas, ${grupo.restricciones.length} restricciones): ${totalConfiguraciones} configuraciones válidas`);
+        
+        celdas.forEach((c, i) => {
+            let pesoMina = 0;
+            let pesoSegura = 0;
             
-            if (!mapaProbabilidades[clave]) continue;
+            configuracionesPorMinas.forEach((entrada, minas) => {
+                if (!entrada) return;
+                pesoMina += entrada.conteoPorCelda[i] * pesoPorMinas[minas];
+                pesoSegura += (entrada.total - entrada.conteoPorCelda[i]) * pesoPorMinas[minas];
+            });
             
-            // Detectar si es una celda de borde o esquina
-            const esEsquina = (i === 0 || i === filas - 1) && (j === 0 || j === columnas - 1);
-            const esBorde = i === 0 || i === filas - 1 || j === 0 || j === columnas - 1;
+            const esSegura = pesoMina === 0;
+            const esMina = pesoSegura === 0;
+            
+            mapaProbabilidades[`${c.fila},${c.columna}`] = {
+                probabilidad: esSegura ? 0 : esMina ? 1 : pesoMina / (pesoMina + pesoSegura),
+                certeza: esSegura || esMina,
+                origen: esSegura ? 'enumeración exacta - segura' :
+                        esMina ? 'enumeración exacta - mina' :
+                        `enumeración exacta (${totalConfiguraciones} configuraciones)`,
+                restriccionesAfectantes: restriccionesDeCelda(grupo, c)
+            };
             
-            // Aplicar factores de reducción
-            if (esEsquina) {
-                // Reducir más para esquinas
-                mapaProbabilidades[clave].probabilidad *= 0.7; // Reducción del 30%
-                mapaProbabilidades[clave].origen += ' | celda de esquina';
-            } else if (esBorde) {
-                // Reducir menos para bordes
-                mapaProbabilidades[clave].probabilidad *= 0.85; // Reducción del 15%
-                mapaProbabilidades[clave].origen += ' | celda de borde';
+            if (esSegura || esMina) {
+                console.log(`  ${esSegura ? '✓' : '⚠'} Celda (${c.fila + 1},${c.columna + 1}) ${esSegura ? 'segura' : 'mina'} en todas las configuraciones`);
             }
-        }
-    }
-    
-    // 7. FINAL: NORMALIZACIÓN Y ASEGURAR LÍMITES
-    console.log("FASE 6: Normalización y verificación final");
+        });
+    });
     
-    // Asegurar que todas las probabilidades estén en el rango [0, 1]
-    for (const clave in mapaProbabilidades) {
-        mapaProbabilidades[clave].probabilidad = Math.max(0, Math.min(1, mapaProbabilidades[clave].probabilidad));
+    // 6. GRUPOS QUE NO SE PUDIERON ENUMERAR
+    enumeracionesFallidas.forEach(e => {
+        const motivo = !e.completa ? 'grupo demasiado grande para enumerar' : 'restricciones contradictorias';
+        console.log(`- Grupo de ${e.celdas.length} celdas: ${motivo}, usando estimación local`);
         
-        // Si es cercana a 0 pero no es 0, asignar un valor mínimo
-        if (mapaProbabilidades[clave].probabilidad > 0 && mapaProbabilidades[clave].probabilidad < 0.01) {
-            mapaProbabilidades[clave].probabilidad = 0.01; // Mínimo 1% para no ser 0 absoluto
-        }
-    }
+        const estimaciones = estimarProbabilidadesLocales(e.grupo, estadoCeldas);
+        e.celdas.forEach(c => {
+            const clave = `${c.fila},${c.columna}`;
+            mapaProbabilidades[clave] = {
+                probabilidad: estimaciones.get(clave) ?? densidad,
+                certeza: false,
+                origen: `estimación local (${motivo})`,
+                restriccionesAfectantes: restriccionesDeCelda(e.grupo, c)
+            };
+        });
+    });
     
     // Log de estadísticas finales
     let celdasSeguras = 0;
@@ -2130,6 +2262,11 @@ const enriquecerMapaProbabilidades = (mapaProbabilidades, memoriaJuego, tamañoT
             if (estadoCeldas[i][j].descubierta || estadoCeldas[i][j].tieneBandera || !mapaEnriquecido[clave]) {
                 continue;
             }
+
+            // Las certezas de la enumeración exacta no se pueden corregir con estadísticas históricas
+            if (mapaEnriquecido[clave].certeza) {
+                continue;
+            }
             
             // CORRECCIÓN: Verificar primero las coincidencias de minas exactas
             if (memoriaJuego.minasExactas && memoriaJuego.minasExactas[`${i},${j}`]) {
@@ -2204,6 +2341,7 @@ const enriquecerMapaProbabilidades = (mapaProbabilidades, memoriaJuego, tamañoT
  * @param {Array} banderas - Banderas colocadas
  * @param {object} memoriaJuego - Memoria del juego
  * @param {Array} historialMovimientos - Historial de movimientos
+ * @param {Function} aleatorio - Generador de números en [0, 1)
  * @returns {object} - Celda seleccionada aleatoriamente
  */
 const seleccionarCeldaAleatoria = (
@@ -2212,7 +2350,8 @@ const seleccionarCeldaAleatoria = (
     celdasDescubiertas, 
     banderas, 
     memoriaJuego = null,
-    historialMovimientos = []
+    historialMovimientos = [],
+    aleatorio = Math.random
 ) => {
     // Validar parámetros
     if (!tamañoTablero || !tamañoTablero.filas || !tamañoTablero.columnas) {
@@ -2235,8 +2374,8 @@ const seleccionarCeldaAleatoria = (
             // Verificar si la celda tiene bandera
             const tieneBandera = banderas && banderas.some(b => b.fila === i && b.columna === j);
             
-            // Si no está descubierta y no tiene bandera, está disponible
-            if (!estaDescubierta && !tieneBandera) {
+            // Si no está descubierta, no tiene bandera y no es un hueco, está disponible
+            if (!estaDescubierta && !tieneBandera && !estaBloqueada(i, j, tamañoTablero)) {
                 let factorRiesgo = 0;
                 let razonamiento = ["Selección aleatoria"];
                 
@@ -2274,7 +2413,7 @@ const seleccionarCeldaAleatoria = (
         
         // Seleccionar entre el 33% más seguro con algo de aleatoriedad
         const topSeguras = Math.max(1, Math.ceil(celdasDisponibles.length * 0.33));
-        const indiceAleatorio = Math.floor(Math.random() * topSeguras);
+        const indiceAleatorio = Math.floor(aleatorio() * topSeguras);
         
         const seleccion = celdasDisponibles[indiceAleatorio];
         console.log(`SELECCIONADA ALEATORIAMENTE: Celda (${seleccion.fila + 1},${seleccion.columna + 1})`);
@@ -2294,14 +2433,35 @@ const seleccionarCeldaAleatoria = (
 };
 
 /**
- * Determina la mejor jugada utilizando un enfoque basado en capas y seguridad
+ * Parámetros ajustables de la selección de jugadas. Se pueden sustituir parcialmente
+ * (por ejemplo desde el banco de pruebas) para comparar variantes de la estrategia.
+ * Junto a ellos se pueden indicar estrategias, estrategiasAdicionales y auxiliares (ver estrategiasJugada.js).
+ * @type {object}
+ */
+export const PARAMETROS_ESTRATEGIA_POR_DEFECTO = {
+    toleranciaEmpate: 0.01,        // Diferencia de probabilidad que se considera empate con el mínimo
+    umbralMuySegura: 0.05,         // CAPA 2: probabilidad por debajo de la cual una celda es muy segura
+    umbralBajaProbabilidad: 0.2,   // CAPA 3: probabilidad considerada baja
+    umbralPeligro: 0.85,           // CAPA 5: probabilidad a partir de la cual se evita una celda
+    margenConjetura: 0.05,         // Conjetura informativa: riesgo extra admitido sobre el mínimo
+    pesoInformacion: 0.5,          // Conjetura informativa: valor de desbloquear deducciones frente a sobrevivir
+    maximoCandidatasInformacion: 12 // Conjetura informativa: candidatas evaluadas como máximo
+};
+
+/**
+ * Determina la mejor jugada probando en orden de prioridad las estrategias registradas
+ * (ver estrategiasJugada.js). Por defecto reproducen las capas: celdas seguras, celdas de
+ * riesgo mínimo con sus desempates, mínima probabilidad, selección forzada y selección aleatoria.
  * @param {object} modeloTablero - Modelo del tablero
  * @param {object} mapaProbabilidades - Mapa de probabilidades
  * @param {Array} celdasSeguras - Celdas identificadas como seguras
  * @param {Array} historialMovimientos - Historial de movimientos
  * @param {object} memoriaJuego - Memoria del juego
  * @param {object} tamañoTablero - Tamaño del tablero
- * @returns {object} - Mejor celda para seleccionar
+ * @param {Function} aleatorio - Generador de números en [0, 1) para la selección forzada
+ * @param {object} parametros - Sustituciones de PARAMETROS_ESTRATEGIA_POR_DEFECTO y configuración de
+ *                              estrategias ({ estrategias, estrategiasAdicionales, auxiliares }) (opcional)
+ * @returns {object} - Mejor celda para seleccionar, con informeEstrategias y estrategia elegida
  */
 export const determinarMejorJugadaEnCapas = (
     modeloTablero, 
@@ -2309,65 +2469,16 @@ export const determinarMejorJugadaEnCapas = (
     celdasSeguras, 
     historialMovimientos,
     memoriaJuego,
-    tamañoTablero
+    tamañoTablero,
+    aleatorio = Math.random,
+    parametros = null
 ) => {
     console.log("===== DETERMINANDO MEJOR JUGADA =====");
     
-    // CAPA 1: SEGURIDAD ABSOLUTA - CELDAS 100% SEGURAS
-    if (celdasSeguras.length > 0) {
-        console.log(`CAPA 1: ${celdasSeguras.length} celdas 100% seguras disponibles`);
-        
-        // Prioridad 1: Celdas adyacentes a ceros
-        const celdasAdyacentesACero = celdasSeguras.filter(
-            celda => celda.origen === 'adyacente a cero'
-        );
-        
-        if (celdasAdyacentesACero.length > 0) {
-            console.log(`- Encontradas ${celdasAdyacentesACero.length} celdas adyacentes a ceros (máxima prioridad)`);
-            
-            // Elegir la celda más cercana al último movimiento
-            const mejorCelda = seleccionarCeldaMasCercanaAlUltimoMovimiento(
-                celdasAdyacentesACero,
-                historialMovimientos
-            );
-            
-            console.log(`DECISIÓN: Celda segura adyacente a cero en (${mejorCelda.fila + 1},${mejorCelda.columna + 1})`);
-            
-            return {
-                fila: mejorCelda.fila,
-                columna: mejorCelda.columna,
-                tipoAnalisis: 'celda 100% segura (adyacente a cero)',
-                origen: mejorCelda.origen,
-                explicacion: 'Esta celda es 100% segura porque está adyacente a una celda con valor 0 (o vacío)',
-                seguridadMáxima: true
-            };
-        }
-        
-        // Prioridad 2: Otras celdas seguras
-        console.log(`- Usando otras celdas seguras identificadas por análisis lógico`);
-        
-        const mejorCeldaSegura = seleccionarCeldaMasCercanaAlUltimoMovimiento(
-            celdasSeguras,
-            historialMovimientos
-        );
-        
-        console.log(`DECISIÓN: Celda 100% segura en (${mejorCeldaSegura.fila + 1},${mejorCeldaSegura.columna + 1})`);
-        
-        return {
-            fila: mejorCeldaSegura.fila,
-            columna: mejorCeldaSegura.columna,
-            tipoAnalisis: 'celda 100% segura',
-            origen: mejorCeldaSegura.origen,
-            explicacion: `Esta celda es 100% segura porque ${mejorCeldaSegura.origen}`,
-            seguridadMáxima: true
-        };
-    }
-    
-    // CAPA 2: CELDAS MUY SEGURAS (menos de 5% de probabilidad)
-    console.log("CAPA 2: Evaluando celdas de muy baja probabilidad");
+    const { estrategias, estrategiasAdicionales, auxiliares, ...umbrales } = parametros || {};
     
     // Convertir mapa de probabilidades a lista de celdas candidatas
-    const celdasCandidatas = [];
+    const candidatas = [];
     
     Object.entries(mapaProbabilidades).forEach(([clave, info]) => {
         const [fila, columna] = clave.split(',').map(Number);
@@ -2376,7 +2487,7 @@ export const determinarMejorJugadaEnCapas = (
         if (!modeloTablero.estadoCeldas[fila][columna].descubierta && 
             !modeloTablero.estadoCeldas[fila][columna].tieneBandera) {
             
-            celdasCandidatas.push({
+            candidatas.push({
                 fila,
                 columna,
                 probabilidad: info.probabilidad,
@@ -2386,183 +2497,56 @@ export const determinarMejorJugadaEnCapas = (
         }
     });
     
-    // Si no hay celdas candidatas, seleccionar aleatoriamente
-    if (celdasCandidatas.length === 0) {
-        console.log(`- No hay celdas candidatas, seleccionando aleatoriamente`);
-        return seleccionarCeldaAleatoriaSegura(
-            modeloTablero.estadoCeldas, 
-            tamañoTablero, 
-            modeloTablero.celdasDescubiertas, 
-            modeloTablero.banderas,
-            memoriaJuego,
-            historialMovimientos
-        );
-    }
+    const parametrosEfectivos = { ...PARAMETROS_ESTRATEGIA_POR_DEFECTO, ...umbrales };
     
-    // Identificar celdas con probabilidad muy baja
-    const celdasMuySeguras = celdasCandidatas.filter(c => c.probabilidad < 0.05);
+    // Las probabilidades son exactas: las estrategias de desempate solo eligen entre las celdas de mínimo riesgo
+    const probabilidadMinima = Math.min(...candidatas.map(c => c.probabilidad));
+    const celdasMinimoRiesgo = candidatas.filter(c => c.probabilidad <= probabilidadMinima + parametrosEfectivos.toleranciaEmpate);
     
-    if (celdasMuySeguras.length > 0) {
-        console.log(`- Encontradas ${celdasMuySeguras.length} celdas muy seguras (<5% de probabilidad de mina)`);
-        
-        // Ordenar por probabilidad ascendente (menor primero)
-        celdasMuySeguras.sort((a, b) => a.probabilidad - b.probabilidad);
-        
-        // Verificar si alguna celda muy segura está lejos de números
-        const celdasLejosDeNumeros = celdasMuySeguras.filter(celda => {
-            return esLejanaANumeros(celda, modeloTablero);
-        });
-        
-        if (celdasLejosDeNumeros.length > 0) {
-            console.log(`- ${celdasLejosDeNumeros.length} celdas muy seguras están lejos de números (prioridad máxima)`);
-            
-            // Elegir la celda más segura entre las lejanas a números
-            const celdaElegida = celdasLejosDeNumeros[0];
-            
-            console.log(`DECISIÓN: Celda muy segura lejos de números en (${celdaElegida.fila + 1},${celdaElegida.columna + 1}) - ${Math.round(celdaElegida.probabilidad * 100)}%`);
-            
-            return {
-                fila: celdaElegida.fila,
-                columna: celdaElegida.columna,
-                tipoAnalisis: `probabilidad muy baja ${Math.round(celdaElegida.probabilidad * 100)}%, lejos de números`,
-                origen: celdaElegida.origen,
-                razonamientoMemoria: celdaElegida.razonamientoMemoria,
-                explicacion: `Esta celda tiene una probabilidad muy baja de contener una mina (${Math.round(celdaElegida.probabilidad * 100)}%) y está lejos de celdas con números`
-            };
-        }
-        
-        // Elegir la celda más segura
-        const celdaElegida = celdasMuySeguras[0];
-        
-        console.log(`DECISIÓN: Celda muy segura en (${celdaElegida.fila + 1},${celdaElegida.columna + 1}) - ${Math.round(celdaElegida.probabilidad * 100)}%`);
-        
-        return {
-            fila: celdaElegida.fila,
-            columna: celdaElegida.columna,
-            tipoAnalisis: `probabilidad muy baja ${Math.round(celdaElegida.probabilidad * 100)}%`,
-            origen: celdaElegida.origen,
-            razonamientoMemoria: celdaElegida.razonamientoMemoria,
-            explicacion: `Esta celda tiene una probabilidad muy baja de contener una mina (${Math.round(celdaElegida.probabilidad * 100)}%) comparada con las demás opciones`
-        };
+    console.log(`- ${celdasSeguras.length} celdas 100% seguras, ${candidatas.length} candidatas`);
+    if (candidatas.length > 0) {
+        console.log(`- ${celdasMinimoRiesgo.length} celdas empatadas en el mínimo riesgo (${Math.round(probabilidadMinima * 100)}%)`);
     }
     
-    // CAPA 3: ESTRATEGIA DE EVITAR NÚMEROS ADYACENTES
-    console.log("CAPA 3: Evitando celdas adyacentes a números y de alta probabilidad");
-    
-    // Clasificar celdas según los números adyacentes
-    const celdasConInfoNumeros = clasificarSegunNumerosAdyacentes(celdasCandidatas, modeloTablero);
-    
-    // Filtrar celdas no adyacentes a números conocidos
-    const celdasNoAdyacentes = celdasConInfoNumeros.filter(c => c.maxNumeroAdyacente === -1);
-    
-    // Filtrar celdas con baja probabilidad (menos del 20%)
-    const celdasBajaProbabilidad = celdasCandidatas.filter(c => c.probabilidad < 0.2);
-    
-    if (celdasNoAdyacentes.length > 0 && celdasBajaProbabilidad.length > 0) {
-        // Intersección: celdas no adyacentes a números y con baja probabilidad
-        const celdasSegurasFiltradas = celdasNoAdyacentes.filter(c => 
-            celdasBajaProbabilidad.some(b => b.fila === c.fila && b.columna === c.columna)
-        );
-        
-        if (celdasSegurasFiltradas.length > 0) {
-            console.log(`- Encontradas ${celdasSegurasFiltradas.length} celdas no adyacentes a números y baja probabilidad`);
-            
-            // Ordenar por probabilidad
-            celdasSegurasFiltradas.sort((a, b) => a.probabilidad - b.probabilidad);
-            
-            const mejorCelda = celdasSegurasFiltradas[0];
-            
-            console.log(`DECISIÓN: Celda no adyacente a números en (${mejorCelda.fila + 1},${mejorCelda.columna + 1}) - ${Math.round(mejorCelda.probabilidad * 100)}%`);
-            
-            return {
-                fila: mejorCelda.fila,
-                columna: mejorCelda.columna,
-                tipoAnalisis: `no adyacente a números (${Math.round(mejorCelda.probabilidad * 100)}%)`,
-                origen: mejorCelda.origen,
-                razonamientoMemoria: mejorCelda.razonamientoMemoria,
-                explicacion: `Esta celda no es adyacente a ningún número conocido y tiene baja probabilidad de ser mina`
-            };
+    const contexto = {
+        modeloTablero,
+        mapaProbabilidades,
+        celdasSeguras,
+        historialMovimientos,
+        memoriaJuego,
+        tamañoTablero,
+        aleatorio,
+        parametros: parametrosEfectivos,
+        candidatas,
+        probabilidadMinima,
+        celdasMinimoRiesgo,
+        auxiliares: {
+            seleccionarCeldaMasCercana: seleccionarCeldaMasCercanaAlUltimoMovimiento,
+            clasificarSegunNumerosAdyacentes,
+            esLejanaANumeros,
+            seleccionarCeldaAleatoriaSegura,
+            estimarGananciaInformacion,
+            ...auxiliares
         }
-    }
-    
-    // CAPA 4: CELDAS LEJANAS A NÚMEROS ALTOS
-    console.log("CAPA 4: Evaluando distancia a números altos");
+    };
     
-    // Filtrar celdas no adyacentes a números altos (4-8)
-    const celdasLejosDeAltos = celdasConInfoNumeros.filter(c => !c.esAdyacenteAlto);
+    const { celda, estrategia, informe } = ejecutarEstrategias(
+        resolverEstrategias({ estrategias, estrategiasAdicionales }),
+        contexto
+    );
     
-    if (celdasLejosDeAltos.length > 0) {
-        console.log(`- Encontradas ${celdasLejosDeAltos.length} celdas no adyacentes a números altos`);
-        
-        // Ordenar por probabilidad
-        celdasLejosDeAltos.sort((a, b) => a.probabilidad - b.probabilidad);
-        
-        // Seleccionar la de menor probabilidad
-        const mejorCelda = celdasLejosDeAltos[0];
-        
-        console.log(`DECISIÓN: Celda lejos de números altos en (${mejorCelda.fila + 1},${mejorCelda.columna + 1}) - ${Math.round(mejorCelda.probabilidad * 100)}%`);
-        
-        return {
-            fila: mejorCelda.fila,
-            columna: mejorCelda.columna,
-            tipoAnalisis: `lejos de números altos (${Math.round(mejorCelda.probabilidad * 100)}%)`,
-            origen: mejorCelda.origen,
-            explicacion: `Esta celda no está cerca de números altos (4-8) y tiene una probabilidad de ${Math.round(mejorCelda.probabilidad * 100)}% de contener una mina`
-        };
+    if (!celda) {
+        console.log(`DECISIÓN: Ninguna estrategia ha elegido celda`);
+        return null;
     }
     
-    // CAPA 5: SELECCIÓN CON MÍNIMA PROBABILIDAD
-    console.log("CAPA 5: Seleccionando celda con mínima probabilidad");
-
-    // NUEVA PROTECCIÓN: Filtrar celdas con probabilidad muy alta de ser minas (>85%)
-    const UMBRAL_PELIGRO = 0.85; // 85% o más se considera muy probablemente una mina
-    const celdasBajoUmbral = celdasCandidatas.filter(c => c.probabilidad < UMBRAL_PELIGRO);
-
-    // Si hay celdas con probabilidad menor al umbral, usar esas
-    if (celdasBajoUmbral.length > 0) {
-        console.log(`- Filtrando ${celdasCandidatas.length - celdasBajoUmbral.length} celdas con probabilidad ≥${UMBRAL_PELIGRO * 100}% de ser minas`);
-        
-        // Ordenar por probabilidad (menor primero)
-        celdasBajoUmbral.sort((a, b) => a.probabilidad - b.probabilidad);
-        
-        // Seleccionar la de menor probabilidad
-        const celdaMinimaProbabilidad = celdasBajoUmbral[0];
-        
-        console.log(`DECISIÓN FINAL: Celda de menor probabilidad en (${celdaMinimaProbabilidad.fila + 1},${celdaMinimaProbabilidad.columna + 1}) - ${Math.round(celdaMinimaProbabilidad.probabilidad * 100)}%`);
-        
-        return {
-            fila: celdaMinimaProbabilidad.fila,
-            columna: celdaMinimaProbabilidad.columna,
-            tipoAnalisis: `mínima probabilidad ${Math.round(celdaMinimaProbabilidad.probabilidad * 100)}%`,
-            origen: celdaMinimaProbabilidad.origen,
-            razonamientoMemoria: celdaMinimaProbabilidad.razonamientoMemoria,
-            explicacion: `Esta celda tiene la menor probabilidad (${Math.round(celdaMinimaProbabilidad.probabilidad * 100)}%) de contener una mina entre todas las opciones disponibles`
-        };
-    } else {
-        console.log(`ADVERTENCIA: Todas las celdas tienen probabilidad ≥${UMBRAL_PELIGRO * 100}% de ser minas`);
-        console.log(`- Forzando selección aleatoria entre las probabilidades más bajas disponibles`);
-        
-        // Ordenar todas las celdas por probabilidad
-        celdasCandidatas.sort((a, b) => a.probabilidad - b.probabilidad);
-        
-        // Limitar a las mejores opciones (30% superior)
-        const mejoresOpciones = celdasCandidatas.slice(0, Math.max(1, Math.ceil(celdasCandidatas.length * 0.3)));
-        
-        // Introducir aleatoriedad para evitar repetición
-        const indiceAleatorio = Math.floor(Math.random() * mejoresOpciones.length);
-        const celdaSeleccionada = mejoresOpciones[indiceAleatorio];
-        
-        console.log(`DECISIÓN FINAL (forzada): Celda en (${celdaSeleccionada.fila + 1},${celdaSeleccionada.columna + 1}) - ${Math.round(celdaSeleccionada.probabilidad * 100)}%`);
-        
-        return {
-            fila: celdaSeleccionada.fila,
-            columna: celdaSeleccionada.columna,
-            tipoAnalisis: `selección forzada ${Math.round(celdaSeleccionada.probabilidad * 100)}%`,
-            origen: celdaSeleccionada.origen,
-            razonamientoMemoria: celdaSeleccionada.razonamientoMemoria,
-            explicacion: `A pesar de que todas las celdas tienen alta probabilidad de mina, esta celda fue seleccionada como la mejor opción disponible`
-        };
-    }
+    console.log(`DECISIÓN (${estrategia}): Celda en (${celda.fila + 1},${celda.columna + 1}) - ${celda.tipoAnalisis || ''}`);
+    
+    return {
+        ...celda,
+        estrategia,
+        informeEstrategias: informe
+    };
 };
 
 
@@ -2672,6 +2656,83 @@ const esLejanaANumeros = (celda, modeloTablero) => {
     return distanciaMinima > 2;
 };
 
+/**
+ * Estima la información que aportaría descubrir cada celda. Calcula la distribución del número
+ * que podría mostrar (vecinas independientes, cada una con su probabilidad de mina) y, para cada
+ * valor posible, si la reducción de la matriz con esa nueva restricción fuerza minas o celdas seguras
+ * @param {Array} celdas - Celdas candidatas {fila, columna, probabilidad}
+ * @param {Object} modeloTablero - Modelo del tablero
+ * @param {Object} mapaProbabilidades - Mapa de probabilidades
+ * @returns {Array} - Celdas con probabilidadProgreso (probabilidad de desbloquear alguna deducción si la
+ *                    celda resulta segura) y celdasDesbloqueadas (número esperado de deducciones nuevas)
+ */
+const estimarGananciaInformacion = (celdas, modeloTablero, mapaProbabilidades) => {
+    const { estadoCeldas, restricciones, tamañoTablero } = modeloTablero;
+    const clave = (c) => `${c.fila},${c.columna}`;
+    
+    // Lo que ya se deduce sin descubrir nada no cuenta como información nueva
+    const deduccionesActuales = deducirPorAlgebraLineal(modeloTablero);
+    const yaDeducidas = new Set([...deduccionesActuales.banderas, ...deduccionesActuales.seguras].map(clave));
+    
+    return celdas.map(celda => {
+        const adyacentes = obtenerCeldasAdyacentes(celda.fila, celda.columna, tamañoTablero)
+            .filter(c => !estadoCeldas[c.fila][c.columna].descubierta);
+        const banderasAdyacentes = adyacentes.filter(c => estadoCeldas[c.fila][c.columna].tieneBandera).length;
+        
+        // Distribución del número de minas entre las vecinas sin bandera
+        let distribucion = [1];
+        adyacentes
+            .filter(c => !estadoCeldas[c.fila][c.columna].tieneBandera)
+            .forEach(c => {
+                const probabilidad = mapaProbabilidades[clave(c)]?.probabilidad ?? DENSIDAD_MINAS_ESTIMADA;
+                const siguiente = Array(distribucion.length + 1).fill(0);
+                distribucion.forEach((q, minas) => {
+                    siguiente[minas] += q * (1 - probabilidad);
+                    siguiente[minas + 1] += q * probabilidad;
+                });
+                distribucion = siguiente;
+            });
+        
+        // Modelo hipotético con la celda descubierta
+        const estadoHipotetico = estadoCeldas.map((filaEstado, f) => f !== celda.fila ? filaEstado :
+            filaEstado.map((estado, c) => c !== celda.columna ? estado : { ...estado, descubierta: true, tieneBandera: false })
+        );
+        
+        let probabilidadPosible = 0;
+        let probabilidadProgreso = 0;
+        let celdasDesbloqueadas = 0;
+        
+        distribucion.forEach((probabilidadValor, minas) => {
+            if (probabilidadValor < 1e-6) return;
+            
+            const restriccionNueva = {
+                celda: { fila: celda.fila, columna: celda.columna },
+                valor: banderasAdyacentes + minas,
+                celdasAfectadas: adyacentes
+            };
+            const deduccion = deducirPorAlgebraLineal({
+                ...modeloTablero,
+                estadoCeldas: estadoHipotetico,
+                restricciones: [...restricciones, restriccionNueva]
+            });
+            
+            // Un valor incompatible con las restricciones no puede aparecer
+            if (deduccion.inconsistente) return;
+            
+            const nuevas = [...deduccion.banderas, ...deduccion.seguras].filter(c => !yaDeducidas.has(clave(c))).length;
+            probabilidadPosible += probabilidadValor;
+            if (nuevas > 0) probabilidadProgreso += probabilidadValor;
+            celdasDesbloqueadas += probabilidadValor * nuevas;
+        });
+        
+        return {
+            ...celda,
+            probabilidadProgreso: probabilidadPosible > 0 ? probabilidadProgreso / probabilidadPosible : 0,
+            celdasDesbloqueadas: probabilidadPosible > 0 ? celdasDesbloqueadas / probabilidadPosible : 0
+        };
+    });
+};
+
 /**
  * Registrar una derrota y aprender de ella
  * @param {object} celda - Celda donde se encontró una mina {fila, columna}
@@ -2918,6 +2979,12 @@ const analizarSubconjuntosParaSeguras = (modeloTablero) => {
                 
                 // Si no hay minas en la diferencia, todas esas celdas son seguras
                 if (minasDiferencia === 0 && celdasDiferencia.length > 0) {
+                    const demostracion = crearDemostracionSubconjunto(
+                        describirRestriccion(r1, estadoCeldas),
+                        describirRestriccion(r2, estadoCeldas),
+                        'segura'
+                    );
+                    
                     celdasDiferencia.forEach(c => {
                         // Verificar que no esté descubierta ni tenga bandera ya
                         if (!estadoCeldas[c.fila][c.columna].descubierta && 
@@ -2929,7 +2996,8 @@ const analizarSubconjuntosParaSeguras = (modeloTablero) => {
                                 columna: c.columna,
                                 origen: 'análisis de subconjuntos',
                                 celdaOrigen1: r1.celda,
-                                celdaOrigen2: r2.celda
+                                celdaOrigen2: r2.celda,
+                                demostracion
                             });
                         }
                     });
@@ -2973,22 +3041,24 @@ const detectarPatronesParaBanderas = (modeloTablero, banderasYaIdentificadas) =>
     
     // 1. PATRONES LINEALES: 1-2-1, 2-3-2, 3-4-3, 2-4-2, etc.
     console.log("\nBuscando patrones lineales (N-(N+1)-N):");
+    // En un tablero hexagonal solo la fila es una línea recta: una "columna" va en zigzag
     const direcciones = [
         { dx: 1, dy: 0, nombre: "horizontal" },
         { dx: 0, dy: 1, nombre: "vertical" }
-    ];
+    ].filter(({ dy }) => dy === 0 || !esHexagonal(tamañoTablero));
     
-    // Buscar patrones en cada dirección
+    // Buscar patrones en cada dirección (en un tablero toroidal también los que cruzan un borde)
+    const conBordes = tieneBordes(tamañoTablero);
     direcciones.forEach(({ dx, dy, nombre }) => {
         console.log(`- Buscando patrones lineales ${nombre}`);
         
         // Recorrer todo el tablero
-        for (let i = 0; i < filas - 2 * dy; i++) {
-            for (let j = 0; j < columnas - 2 * dx; j++) {
+        for (let i = 0; i < (conBordes ? filas - 2 * dy : filas); i++) {
+            for (let j = 0; j < (conBordes ? columnas - 2 * dx : columnas); j++) {
                 // Posiciones de las tres celdas en el patrón
                 const pos1 = { fila: i, columna: j };
-                const pos2 = { fila: i + dy, columna: j + dx };
-                const pos3 = { fila: i + 2*dy, columna: j + 2*dx };
+                const pos2 = desplazarCelda(i, j, dy, dx, tamañoTablero);
+                const pos3 = desplazarCelda(i, j, 2 * dy, 2 * dx, tamañoTablero);
                 
                 // Verificar si las tres celdas están descubiertas y tienen valores
                 if (estadoCeldas[pos1.fila][pos1.columna].descubierta && 
@@ -3097,10 +3167,12 @@ const detectarPatronesParaBanderas = (modeloTablero, banderasYaIdentificadas) =>
                             
                             // Analizar si hay exactamente 2 celdas únicas en diagonal
                             if (celdasUnicas && celdasUnicas.length === 2) {
-                                // Verificar si están en diagonal
+                                // Verificar si están en diagonal (las casillas hexagonales no tienen diagonales)
                                 const [c1, c2] = celdasUnicas;
-                                const esDiagonal = Math.abs(c1.fila - c2.fila) === 1 && 
-                                                Math.abs(c1.columna - c2.columna) === 1;
+                                const esDiagonal = !esHexagonal(tamañoTablero) && [-1, 1].some(df => [-1, 1].some(dc => {
+                                    const diagonal = desplazarCelda(c1.fila, c1.columna, df, dc, tamañoTablero);
+                                    return diagonal && diagonal.fila === c2.fila && diagonal.columna === c2.columna;
+                                }));
                                 
                                 if (esDiagonal) {
                                     console.log(`✅ PATRÓN 1-3-1 DIAGONAL: Las 2 celdas únicas diagonales son minas`);
@@ -3343,8 +3415,8 @@ const detectarPatronesParaBanderas = (modeloTablero, banderasYaIdentificadas) =>
     // 3. PATRÓN ESPECÍFICO DE BORDE Y ESQUINA PARA NÚMEROS 2-8
     console.log("\nBuscando patrones específicos en bordes y esquinas:");
     
-    // 3.1 Esquinas con números > 1
-    const esquinas = [
+    // 3.1 Esquinas con números > 1 (un tablero toroidal no tiene esquinas ni bordes)
+    const esquinas = !conBordes ? [] : [
         { fila: 0, columna: 0 }, // Superior izquierda
         { fila: 0, columna: columnas - 1 }, // Superior derecha
         { fila: filas - 1, columna: 0 }, // Inferior izquierda
@@ -3437,20 +3509,22 @@ const detectarPatronesParaBanderas = (modeloTablero, banderasYaIdentificadas) =>
     console.log("\nBuscando patrones en bordes:");
     
     // Recorrer bordes
-    // Borde superior e inferior
-    for (let j = 0; j < columnas; j++) {
-        // Borde superior
-        analizarCeldaBorde(0, j, estadoCeldas, tamañoTablero, banderasYaIdentificadas, nuevasBanderas);
-        // Borde inferior
-        analizarCeldaBorde(filas - 1, j, estadoCeldas, tamañoTablero, banderasYaIdentificadas, nuevasBanderas);
-    }
-    
-    // Borde izquierdo y derecho (sin esquinas)
-    for (let i = 1; i < filas - 1; i++) {
-        // Borde izquierdo
-        analizarCeldaBorde(i, 0, estadoCeldas, tamañoTablero, banderasYaIdentificadas, nuevasBanderas);
-        // Borde derecho
-        analizarCeldaBorde(i, columnas - 1, estadoCeldas, tamañoTablero, banderasYaIdentificadas, nuevasBanderas);
+    if (conBordes) {
+        // Borde superior e inferior
+        for (let j = 0; j < columnas; j++) {
+            // Borde superior
+            analizarCeldaBorde(0, j, estadoCeldas, tamañoTablero, banderasYaIdentificadas, nuevasBanderas);
+            // Borde inferior
+            analizarCeldaBorde(filas - 1, j, estadoCeldas, tamañoTablero, banderasYaIdentificadas, nuevasBanderas);
+        }
+        
+        // Borde izquierdo y derecho (sin esquinas)
+        for (let i = 1; i < filas - 1; i++) {
+            // Borde izquierdo
+            analizarCeldaBorde(i, 0, estadoCeldas, tamañoTablero, banderasYaIdentificadas, nuevasBanderas);
+            // Borde derecho
+            analizarCeldaBorde(i, columnas - 1, estadoCeldas, tamañoTablero, banderasYaIdentificadas, nuevasBanderas);
+        }
     }
     
     // 4. PATRÓN 1-1 ADYACENTES (busca pares de 1s adyacentes para deducir banderas)
@@ -3687,25 +3761,27 @@ const analizarCeldaBorde = (fila, columna, estadoCeldas, tamañoTablero, bandera
  * @returns {Array} - Celdas seguras identificadas
  */
 const detectarPatronesParaSeguras = (modeloTablero) => {
-    const { estadoCeldas, tamañoTablero } = modeloTablero;
+    const { estadoCeldas, tamañoTablero, restricciones } = modeloTablero;
     const { filas, columnas } = tamañoTablero;
     const celdasSeguras = [];
     
     // Buscar patrones 1-2-1 (horizontal y vertical)
+    // En un tablero hexagonal solo la fila es una línea recta: una "columna" va en zigzag
     const direcciones = [
         { dx: 1, dy: 0 }, // horizontal
         { dx: 0, dy: 1 }  // vertical
-    ];
+    ].filter(({ dy }) => dy === 0 || !esHexagonal(tamañoTablero));
     
-    // Buscar patrones en cada dirección
+    // Buscar patrones en cada dirección (en un tablero toroidal también los que cruzan un borde)
+    const conBordes = tieneBordes(tamañoTablero);
     direcciones.forEach(({ dx, dy }) => {
         // Recorrer todo el tablero
-        for (let i = 0; i < filas - 2 * dy; i++) {
-            for (let j = 0; j < columnas - 2 * dx; j++) {
+        for (let i = 0; i < (conBordes ? filas - 2 * dy : filas); i++) {
+            for (let j = 0; j < (conBordes ? columnas - 2 * dx : columnas); j++) {
                 // Posiciones de las tres celdas en el patrón
                 const pos1 = { fila: i, columna: j };
-                const pos2 = { fila: i + dy, columna: j + dx };
-                const pos3 = { fila: i + 2*dy, columna: j + 2*dx };
+                const pos2 = desplazarCelda(i, j, dy, dx, tamañoTablero);
+                const pos3 = desplazarCelda(i, j, 2 * dy, 2 * dx, tamañoTablero);
                 
                 // Verificar si las tres celdas están descubiertas y tienen los valores 1-2-1
                 if (estadoCeldas[pos1.fila][pos1.columna].descubierta && 
@@ -3734,6 +3810,18 @@ const detectarPatronesParaSeguras = (modeloTablero) => {
                         
                         // Combinar celdas seguras de ambos 1
                         const todasCeldasSeguras = [...celdasSegurasDe1, ...celdasSegurasDe3];
+                        const celdasPatron = [pos1, pos2, pos3];
+                        const demostracion = crearDemostracion({
+                            tipo: TIPOS_DEMOSTRACION.PATRON,
+                            restricciones: restricciones
+                                .filter(r => celdasPatron.some(p => p.fila === r.celda.fila && p.columna === r.celda.columna))
+                                .map(r => describirRestriccion(r, estadoCeldas)),
+                            patron: { nombre: '1-2-1', celdas: celdasPatron },
+                            conclusion: 'segura',
+                            celdas: todasCeldasSeguras.filter(c =>
+                                !estadoCeldas[c.fila][c.columna].descubierta && !estadoCeldas[c.fila][c.columna].tieneBandera
+                            )
+                        });
                         
                         todasCeldasSeguras.forEach(c => {
                             // Verificar que no esté descubierta ni tenga bandera ya
@@ -3749,7 +3837,8 @@ const detectarPatronesParaSeguras = (modeloTablero) => {
                                         celda1: pos1,
                                         celda2: pos2,
                                         celda3: pos3
-                                    }
+                                    },
+                                    demostracion
                                 });
                             }
                         });
@@ -3770,6 +3859,7 @@ const detectarPatronesParaSeguras = (modeloTablero) => {
  * @param {Array} banderas - Banderas colocadas
  * @param {object} memoriaJuego - Memoria del juego
  * @param {Array} historialMovimientos - Historial de movimientos
+ * @param {Function} aleatorio - Generador de números en [0, 1)
  * @returns {object} - Celda seleccionada aleatoriamente de manera segura
  */
 const seleccionarCeldaAleatoriaSegura = (
@@ -3778,7 +3868,8 @@ const seleccionarCeldaAleatoriaSegura = (
     celdasDescubiertas, 
     banderas, 
     memoriaJuego = null,
-    historialMovimientos = []
+    historialMovimientos = [],
+    aleatorio = Math.random
 ) => {
     // Validar parámetros
     if (!tamañoTablero || !tamañoTablero.filas || !tamañoTablero.columnas) {
@@ -3801,8 +3892,8 @@ const seleccionarCeldaAleatoriaSegura = (
             // Verificar si la celda tiene bandera
             const tieneBandera = banderas && banderas.some(b => b.fila === i && b.columna === j);
             
-            // Si no está descubierta y no tiene bandera, está disponible
-            if (!estaDescubierta && !tieneBandera) {
+            // Si no está descubierta, no tiene bandera y no es un hueco, está disponible
+            if (!estaDescubierta && !tieneBandera && !estaBloqueada(i, j, tamañoTablero)) {
                 let factorRiesgo = 0;
                 let razonamiento = ["Selección aleatoria"];
                 
@@ -3884,7 +3975,7 @@ const seleccionarCeldaAleatoriaSegura = (
             
             // Seleccionar entre el 50% más seguro
             const topSeguras = Math.max(1, Math.ceil(celdasNoAdyacentes.length * 0.5));
-            const indiceAleatorio = Math.floor(Math.random() * topSeguras);
+            const indiceAleatorio = Math.floor(aleatorio() * topSeguras);
             
             const seleccion = celdasNoAdyacentes[indiceAleatorio];
             console.log(`SELECCIONADA: Celda no adyacente a números (${seleccion.fila + 1},${seleccion.columna + 1})`);
@@ -3909,7 +4000,7 @@ const seleccionarCeldaAleatoriaSegura = (
             
             // Seleccionar entre el 30% más seguro
             const topSeguras = Math.max(1, Math.ceil(celdasNoAltas.length * 0.3));
-            const indiceAleatorio = Math.floor(Math.random() * topSeguras);
+            const indiceAleatorio = Math.floor(aleatorio() * topSeguras);
             
             const seleccion = celdasNoAltas[indiceAleatorio];
             console.log(`SELECCIONADA: Celda no adyacente a números altos (${seleccion.fila + 1},${seleccion.columna + 1})`);
@@ -3934,7 +4025,7 @@ const seleccionarCeldaAleatoriaSegura = (
         
         // Seleccionar entre el 20% más seguro (más conservador)
         const topSeguras = Math.max(1, Math.ceil(celdasDisponibles.length * 0.2));
-        const indiceAleatorio = Math.floor(Math.random() * topSeguras);
+        const indiceAleatorio = Math.floor(aleatorio() * topSeguras);
         
         const seleccion = celdasDisponibles[indiceAleatorio];
         console.log(`SELECCIONADA: Celda menos riesgosa (${seleccion.fila + 1},${seleccion.columna + 1})`);
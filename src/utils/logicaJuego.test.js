@@ -0,0 +1,131 @@
+import {
+    analizarTablero,
+    calcularProbabilidadesGlobales,
+    determinarMejorJugadaEnCapas,
+    obtenerCeldasAdyacentes
+} from './logicaJuego';
+
+beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterEach(() => {
+    jest.restoreAllMocks();
+});
+
+// Tablero con la fila de abajo descubierta con los valores indicados y el resto sin descubrir
+const crearModeloFilaInferior = (filas, valores, totalMinas = null) => {
+    const tamañoTablero = { filas, columnas: valores.length };
+    const estadoCeldas = Array(filas).fill().map((_, fila) =>
+        valores.map(() => ({ descubierta: fila === filas - 1, tieneBandera: false }))
+    );
+    const restricciones = valores.map((valor, columna) => ({
+        celda: { fila: filas - 1, columna },
+        valor,
+        minasFaltantes: valor,
+        celdasAfectadas: obtenerCeldasAdyacentes(filas - 1, columna, tamañoTablero)
+    }));
+
+    return { estadoCeldas, restricciones, tamañoTablero, banderas: [], totalMinas };
+};
+
+test('un 1-1 en el borde reparte la mina al 50% entre sus dos celdas', () => {
+    const mapa = calcularProbabilidadesGlobales(crearModeloFilaInferior(2, [1, 1]));
+
+    expect(mapa['0,0']).toMatchObject({ probabilidad: 0.5, certeza: false });
+    expect(mapa['0,1']).toMatchObject({ probabilidad: 0.5, certeza: false });
+});
+
+test('un 1-2-1 da minas y celda segura exactas', () => {
+    const mapa = calcularProbabilidadesGlobales(crearModeloFilaInferior(2, [1, 2, 1]));
+
+    expect(mapa['0,0']).toMatchObject({ probabilidad: 1, certeza: true, origen: 'enumeración exacta - mina' });
+    expect(mapa['0,1']).toMatchObject({ probabilidad: 0, certeza: true, origen: 'enumeración exacta - segura' });
+    expect(mapa['0,2']).toMatchObject({ probabilidad: 1, certeza: true, origen: 'enumeración exacta - mina' });
+});
+
+test('un grupo demasiado grande para enumerar recurre a la estimación local', () => {
+    // Una sola restricción con 20 minas entre 40 celdas supera con mucho el límite de nodos
+    const tamañoTablero = { filas: 2, columnas: 40 };
+    const estadoCeldas = [0, 1].map(fila =>
+        Array(40).fill().map(() => ({ descubierta: fila === 1, tieneBandera: false }))
+    );
+    const restricciones = [{
+        celda: { fila: 1, columna: 0 },
+        valor: 20,
+        minasFaltantes: 20,
+        celdasAfectadas: Array(40).fill().map((_, columna) => ({ fila: 0, columna }))
+    }];
+
+    const mapa = calcularProbabilidadesGlobales({ estadoCeldas, restricciones, tamañoTablero, banderas: [] });
+
+    expect(mapa['0,7']).toMatchObject({
+        probabilidad: 0.5,
+        certeza: false,
+        origen: 'estimación local (grupo demasiado grande para enumerar)'
+    });
+});
+
+test('las celdas a menos de la tolerancia del mínimo cuentan como empatadas', () => {
+    const modeloTablero = crearModeloFilaInferior(2, [0, 0, 0]);
+    const mapaProbabilidades = {
+        '0,0': { probabilidad: 0.3 },
+        '0,1': { probabilidad: 0.305 },
+        '0,2': { probabilidad: 0.5 }
+    };
+    // Estrategia que se ejecuta antes que ninguna y devuelve las celdas empatadas que recibe
+    const empatadas = (parametros) => {
+        let recibidas = null;
+        const espia = {
+            nombre: 'espia',
+            prioridad: 0,
+            evaluar: ({ celdasMinimoRiesgo }) => {
+                recibidas = celdasMinimoRiesgo.map(c => c.columna);
+                return { celda: celdasMinimoRiesgo[0], motivo: 'prueba' };
+            }
+        };
+        determinarMejorJugadaEnCapas(modeloTablero, mapaProbabilidades, [], [], null, modeloTablero.tamañoTablero,
+            Math.random, { ...parametros, estrategiasAdicionales: [espia] });
+        return recibidas;
+    };
+
+    expect(empatadas({})).toEqual([0, 1]);
+    expect(empatadas({ toleranciaEmpate: 0 })).toEqual([0]);
+    expect(empatadas({ toleranciaEmpate: 0.25 })).toEqual([0, 1, 2]);
+});
+
+test('con el total de minas conocido las celdas sin restricciones pueden ser todas seguras o todas minas', () => {
+    // 1-1 abajo, su mina está en la fila del medio y la fila de arriba no tiene restricciones
+    expect(calcularProbabilidadesGlobales(crearModeloFilaInferior(3, [1, 1], 1))['0,0'])
+        .toMatchObject({ probabilidad: 0, certeza: true, origen: 'recuento total de minas - segura' });
+    expect(calcularProbabilidadesGlobales(crearModeloFilaInferior(3, [1, 1], 3))['0,1'])
+        .toMatchObject({ probabilidad: 1, certeza: true, origen: 'recuento total de minas - mina' });
+
+    // Con 2 minas la segunda está en una de las dos celdas de arriba
+    expect(calcularProbabilidadesGlobales(crearModeloFilaInferior(3, [1, 1], 2))['0,0'].probabilidad).toBeCloseTo(0.5);
+});
+
+test('el análisis marca o descubre las celdas que decide el recuento total', () => {
+    const analizar = (totalMinas) => analizarTablero({
+        tablero: [[null, null], [null, null], ['1', '1']],
+        tamañoTablero: { filas: 3, columnas: 2 },
+        celdasDescubiertas: [{ fila: 2, columna: 0 }, { fila: 2, columna: 1 }],
+        banderas: [],
+        historialMovimientos: [
+            { fila: 2, columna: 0, contenido: '1' },
+            { fila: 2, columna: 1, contenido: '1' }
+        ],
+        totalMinas,
+        aleatorio: () => 0.5
+    });
+
+    const conTresMinas = analizar(3);
+    expect(conTresMinas.movimientosGenerados.map(({ fila, columna, origen }) => ({ fila, columna, origen }))).toEqual([
+        { fila: 0, columna: 0, origen: 'recuento total de minas' },
+        { fila: 0, columna: 1, origen: 'recuento total de minas' }
+    ]);
+
+    const conUnaMina = analizar(1);
+    expect(conUnaMina.movimientosGenerados).toEqual([]);
+    expect(conUnaMina.siguienteCelda.fila).toBe(0);
+});
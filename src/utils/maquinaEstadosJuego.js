@@ -0,0 +1,82 @@
+/**
+ * Máquina de estados de la partida: qué fases existen, qué acciones acepta cada una
+ * y a qué fase llevan. El motor solo cambia de fase a través de reducirFase.
+ */
+
+import { FASES_JUEGO, ACCIONES_JUEGO } from '../constants/gameConfig';
+
+const { INACTIVO, SELECCIONANDO, ANALIZANDO, ESPERANDO_RESPUESTA, VICTORIA, DERROTA } = FASES_JUEGO;
+const {
+    INICIAR,
+    ANALIZAR,
+    SELECCIONAR,
+    DESCARTAR_ANALISIS,
+    RESPONDER,
+    GANAR,
+    PERDER,
+    DESHACER,
+    REINICIAR
+} = ACCIONES_JUEGO;
+
+/**
+ * Transiciones permitidas: fase actual -> acción -> fase siguiente.
+ * Deshacer vuelve siempre a una pregunta ya hecha, incluso con la partida terminada.
+ * @type {object}
+ */
+export const TRANSICIONES_JUEGO = {
+    [INACTIVO]: {
+        [INICIAR]: SELECCIONANDO,
+        [REINICIAR]: INACTIVO
+    },
+    [SELECCIONANDO]: {
+        [ANALIZAR]: ANALIZANDO,
+        [SELECCIONAR]: ESPERANDO_RESPUESTA,
+        [GANAR]: VICTORIA,
+        [DESHACER]: ESPERANDO_RESPUESTA,
+        [REINICIAR]: INACTIVO
+    },
+    [ANALIZANDO]: {
+        [SELECCIONAR]: ESPERANDO_RESPUESTA,
+        [DESCARTAR_ANALISIS]: SELECCIONANDO,
+        [GANAR]: VICTORIA,
+        [DESHACER]: ESPERANDO_RESPUESTA,
+        [REINICIAR]: INACTIVO
+    },
+    [ESPERANDO_RESPUESTA]: {
+        [RESPONDER]: SELECCIONANDO,
+        [PERDER]: DERROTA,
+        [GANAR]: VICTORIA,
+        [DESHACER]: ESPERANDO_RESPUESTA,
+        [REINICIAR]: INACTIVO
+    },
+    [VICTORIA]: {
+        [DESHACER]: ESPERANDO_RESPUESTA,
+        [REINICIAR]: INACTIVO
+    },
+    [DERROTA]: {
+        [DESHACER]: ESPERANDO_RESPUESTA,
+        [REINICIAR]: INACTIVO
+    }
+};
+
+/**
+ * Reductor de fases
+ * @param {string} fase - Fase actual (FASES_JUEGO)
+ * @param {string} accion - Acción solicitada (ACCIONES_JUEGO)
+ * @returns {string|null} - Fase siguiente o null si la transición no es válida
+ */
+export const reducirFase = (fase, accion) => {
+    return TRANSICIONES_JUEGO[fase]?.[accion] ?? null;
+};
+
+/**
+ * Indicadores booleanos del estado derivados de la fase, para que no puedan contradecirla
+ * @param {string} fase - Fase de la partida
+ * @returns {object} - { juegoIniciado, juegoTerminado, esperandoRespuesta, pensando }
+ */
+export const indicadoresDeFase = (fase) => ({
+    juegoIniciado: fase !== INACTIVO,
+    juegoTerminado: fase === VICTORIA || fase === DERROTA,
+    esperandoRespuesta: fase === ESPERANDO_RESPUESTA,
+    pensando: fase === ANALIZANDO
+});
@@ -0,0 +1,82 @@
+/**
+ * Oráculo automático: genera una disposición oculta de minas y responde
+ * las preguntas del sistema como lo haría un jugador humano
+ */
+
+import { obtenerCeldasAdyacentes } from './logicaJuego';
+import { estaBloqueada, contarCeldasActivas } from './topologia';
+
+/**
+ * Calcular cuántas minas corresponden a una densidad en un tablero
+ * @param {object} tamañoTablero - Objeto con filas y columnas del tablero
+ * @param {number} densidad - Proporción de celdas con mina (0-1)
+ * @returns {number} - Número de minas (al menos una y dejando al menos una celda libre)
+ */
+export const calcularMinasPorDensidad = (tamañoTablero, densidad) => {
+    const totalCeldas = contarCeldasActivas(tamañoTablero);
+    return Math.max(1, Math.min(totalCeldas - 1, Math.round(totalCeldas * densidad)));
+};
+
+/**
+ * Generar una disposición oculta de minas. La celda excluida (la primera que
+ * pregunta el sistema) nunca tiene mina y, si hay espacio suficiente, tampoco
+ * sus adyacentes, de modo que la partida empieza con un vacío como en el buscaminas clásico.
+ * @param {object} tamañoTablero - Objeto con filas y columnas del tablero
+ * @param {number} totalMinas - Número de minas a colocar
+ * @param {Function} aleatorio - Generador de números en [0, 1)
+ * @param {object} celdaExcluida - Celda {fila, columna} que debe quedar libre (opcional)
+ * @returns {Array<Array<boolean>>} - Matriz con true en las celdas con mina
+ */
+export const generarTableroOculto = (tamañoTablero, totalMinas, aleatorio = Math.random, celdaExcluida = null) => {
+    const { filas, columnas } = tamañoTablero;
+
+    // Celdas que deben quedar libres
+    let excluidas = [];
+    if (celdaExcluida) {
+        const zonaInicial = [celdaExcluida, ...obtenerCeldasAdyacentes(celdaExcluida.fila, celdaExcluida.columna, tamañoTablero)];
+        excluidas = contarCeldasActivas(tamañoTablero) - zonaInicial.length >= totalMinas ? zonaInicial : [celdaExcluida];
+    }
+    const clavesExcluidas = new Set(excluidas.map(c => `${c.fila},${c.columna}`));
+
+    const candidatas = [];
+    for (let i = 0; i < filas; i++) {
+        for (let j = 0; j < columnas; j++) {
+            if (!clavesExcluidas.has(`${i},${j}`) && !estaBloqueada(i, j, tamañoTablero)) {
+                candidatas.push({ fila: i, columna: j });
+            }
+        }
+    }
+
+    // Barajado parcial de Fisher-Yates: solo hace falta elegir las primeras totalMinas
+    const minasAColocar = Math.min(totalMinas, candidatas.length);
+    for (let k = 0; k < minasAColocar; k++) {
+        const indice = k + Math.floor(aleatorio() * (candidatas.length - k));
+        [candidatas[k], candidatas[indice]] = [candidatas[indice], candidatas[k]];
+    }
+
+    const minas = Array(filas).fill().map(() => Array(columnas).fill(false));
+    candidatas.slice(0, minasAColocar).forEach(({ fila, columna }) => {
+        minas[fila][columna] = true;
+    });
+
+    console.log(`ORÁCULO: Disposición oculta generada con ${minasAColocar} minas en ${filas}x${columnas}`);
+    return minas;
+};
+
+/**
+ * Responder qué hay en una celda según la disposición oculta
+ * @param {Array<Array<boolean>>} minas - Disposición oculta de minas
+ * @param {number} fila - Fila de la celda
+ * @param {number} columna - Columna de la celda
+ * @param {object} tamañoTablero - Objeto con filas y columnas del tablero
+ * @returns {string} - 'mina', 'vacío' o el número de minas adyacentes ('1'-'8')
+ */
+export const responderComoOraculo = (minas, fila, columna, tamañoTablero) => {
+    if (minas[fila][columna]) return 'mina';
+
+    const minasAdyacentes = obtenerCeldasAdyacentes(fila, columna, tamañoTablero)
+        .filter(adj => minas[adj.fila][adj.columna])
+        .length;
+
+    return minasAdyacentes === 0 ? 'vacío' : String(minasAdyacentes);
+};
@@ -0,0 +1,81 @@
+/**
+ * Partida del modo inverso en curso, guardada tras cada movimiento para poder continuarla
+ * después de recargar la página o cerrar la pestaña
+ */
+
+import { FASES_JUEGO } from '../constants/gameConfig';
+
+// Clave para almacenamiento local
+const STORAGE_KEY = 'buscaminas_partida';
+
+// Versión del formato guardado; las partidas de otra versión se descartan al cargar
+export const VERSION_PARTIDA = 1;
+
+// Solo se guardan partidas en curso
+const FASES_GUARDADAS = [
+    FASES_JUEGO.SELECCIONANDO,
+    FASES_JUEGO.ANALIZANDO,
+    FASES_JUEGO.ESPERANDO_RESPUESTA
+];
+
+/**
+ * Comprobar que los datos guardados tienen la forma que esperan el aviso y el motor
+ * @param {Object} datos - Contenido leído del almacenamiento
+ * @returns {boolean}
+ */
+const esPartidaValida = (datos) => {
+    if (!datos || datos.version !== VERSION_PARTIDA || !datos.configuracion || !datos.partida) return false;
+
+    const { tamañoTablero: tamaño, tablero, fase, celdaActual } = datos.partida;
+    if (!tamaño || !Number.isInteger(tamaño.filas) || !Number.isInteger(tamaño.columnas)) return false;
+    if (!Array.isArray(tablero) || tablero.length !== tamaño.filas ||
+        tablero.some(fila => !Array.isArray(fila) || fila.length !== tamaño.columnas)) return false;
+    if (![datos.partida.celdasDescubiertas, datos.partida.banderas, datos.partida.historialMovimientos].every(Array.isArray)) return false;
+    if (!FASES_GUARDADAS.includes(fase)) return false;
+
+    return fase !== FASES_JUEGO.ESPERANDO_RESPUESTA || Boolean(celdaActual);
+};
+
+/**
+ * Cargar la partida guardada. Si está dañada o es de otra versión se borra.
+ * @returns {Object|null} - { version, partida, tiempoJuego, configuracion, oraculo } o null si no hay ninguna
+ */
+export const cargarPartida = () => {
+    try {
+        const partidaGuardada = localStorage.getItem(STORAGE_KEY);
+        if (partidaGuardada) {
+            const datos = JSON.parse(partidaGuardada);
+            if (esPartidaValida(datos)) {
+                return datos;
+            }
+            console.error("La partida guardada no es válida y se descarta");
+        }
+    } catch (error) {
+        console.error("Error al cargar la partida guardada:", error);
+    }
+    borrarPartida();
+    return null;
+};
+
+/**
+ * Guardar la partida en curso, sustituyendo la anterior
+ * @param {Object} datos - { partida (exportada por el motor), tiempoJuego, configuracion, oraculo }
+ */
+export const guardarPartida = (datos) => {
+    try {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify({ version: VERSION_PARTIDA, ...datos }));
+    } catch (error) {
+        console.error("Error al guardar la partida:", error);
+    }
+};
+
+/**
+ * Borrar la partida guardada
+ */
+export const borrarPartida = () => {
+    try {
+        localStorage.removeItem(STORAGE_KEY);
+    } catch (error) {
+        console.error("Error al borrar la partida guardada:", error);
+    }
+};
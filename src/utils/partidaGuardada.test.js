@@ -0,0 +1,58 @@
+import { crearMotorJuego } from './MotorJuego';
+import { cargarPartida, guardarPartida, VERSION_PARTIDA } from './partidaGuardada';
+import { FASES_JUEGO } from '../constants/gameConfig';
+
+const TABLERO_PRUEBA = { nombre: '8x8', filas: 8, columnas: 8 };
+const STORAGE_KEY = 'buscaminas_partida';
+
+const crearDatos = () => {
+    const motor = crearMotorJuego({ tamañoTablero: TABLERO_PRUEBA, aprender: false });
+    const celda = motor.iniciar(TABLERO_PRUEBA, { semilla: 3 });
+    motor.responder(celda, '1');
+    return {
+        partida: motor.exportarPartida(),
+        tiempoJuego: 12,
+        configuracion: { tamañoSeleccionado: '8x8', topologia: 'plana', forma: null },
+        oraculo: null
+    };
+};
+
+beforeEach(() => {
+    localStorage.clear();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+    jest.restoreAllMocks();
+});
+
+test('una partida guardada se carga con la versión del formato', () => {
+    const datos = crearDatos();
+    guardarPartida(datos);
+
+    expect(cargarPartida()).toEqual({ version: VERSION_PARTIDA, ...JSON.parse(JSON.stringify(datos)) });
+});
+
+test('las partidas dañadas o de otra versión se borran en lugar de cargarse', () => {
+    const datos = crearDatos();
+    const dañadas = [
+        { ...datos, partida: { ...datos.partida, historialMovimientos: undefined } },
+        { ...datos, partida: { ...datos.partida, banderas: {} } },
+        { ...datos, partida: { ...datos.partida, tablero: datos.partida.tablero.slice(1) } },
+        { ...datos, partida: { ...datos.partida, fase: FASES_JUEGO.VICTORIA } },
+        { ...datos, partida: { ...datos.partida, fase: FASES_JUEGO.ESPERANDO_RESPUESTA, celdaActual: null } }
+    ];
+
+    for (const partida of dañadas) {
+        guardarPartida(partida);
+        expect(cargarPartida()).toBeNull();
+        expect(localStorage.getItem(STORAGE_KEY)).toBeNull();
+    }
+
+    localStorage.setItem(STORAGE_KEY, JSON.stringify({ ...datos, version: VERSION_PARTIDA + 1 }));
+    expect(cargarPartida()).toBeNull();
+    localStorage.setItem(STORAGE_KEY, '{ no es json');
+    expect(cargarPartida()).toBeNull();
+    expect(localStorage.getItem(STORAGE_KEY)).toBeNull();
+});
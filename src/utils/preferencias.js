@@ -0,0 +1,45 @@
+/**
+ * Preferencias del jugador que se conservan entre sesiones en el almacenamiento local
+ */
+
+import { MODOS_VALIDACION } from '../constants/gameConfig';
+
+// Clave para almacenamiento local
+const STORAGE_KEY = 'buscaminas_preferencias';
+
+/**
+ * Cargar las preferencias guardadas
+ * @returns {Object} - Preferencias guardadas (vacío si no hay ninguna)
+ */
+export const cargarPreferencias = () => {
+    try {
+        const preferenciasGuardadas = localStorage.getItem(STORAGE_KEY);
+        if (preferenciasGuardadas) {
+            return JSON.parse(preferenciasGuardadas);
+        }
+    } catch (error) {
+        console.error("Error al cargar preferencias:", error);
+    }
+    return {};
+};
+
+/**
+ * Guardar cambios en las preferencias, conservando las demás
+ * @param {Object} cambios - Preferencias que se actualizan
+ */
+export const guardarPreferencias = (cambios) => {
+    try {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify({ ...cargarPreferencias(), ...cambios }));
+    } catch (error) {
+        console.error("Error al guardar preferencias:", error);
+    }
+};
+
+/**
+ * Modo de validación guardado, o "advertir" si no hay ninguno válido
+ * @returns {string} - Uno de MODOS_VALIDACION
+ */
+export const cargarModoValidacion = () => {
+    const { modoValidacion } = cargarPreferencias();
+    return Object.values(MODOS_VALIDACION).includes(modoValidacion) ? modoValidacion : MODOS_VALIDACION.ADVERTIR;
+};
@@ -0,0 +1,59 @@
+/**
+ * Utilidades para las pruebas: partidas del modo inverso jugadas de principio a fin
+ * respondiendo como el oráculo
+ */
+
+import { crearMotorJuego } from './MotorJuego';
+import { crearGeneradorAleatorio } from './aleatorio';
+import { generarTableroOculto, responderComoOraculo } from './oraculo';
+
+/**
+ * Responder como el oráculo a las preguntas de una partida ya empezada
+ * @param {object} motor - Motor con la partida en curso
+ * @param {Array<Array<boolean>>} minas - Disposición oculta de minas
+ * @param {object} celda - Pregunta pendiente
+ * @param {object} tamaño - Tamaño del tablero
+ * @param {object} opciones - { maximoJugadas (por defecto las celdas del tablero), alPreguntar(celda, motor)
+ *                            antes de cada respuesta, hasta(motor) para parar antes de que termine }
+ * @returns {object|null} - Pregunta pendiente al parar, o null si el sistema ya no pregunta
+ */
+export const continuarConOraculo = (motor, minas, celda, tamaño, {
+    maximoJugadas = tamaño.filas * tamaño.columnas,
+    alPreguntar = () => {},
+    hasta = () => false
+} = {}) => {
+    let pregunta = celda;
+
+    for (let jugada = 0; pregunta && jugada < maximoJugadas && !hasta(motor); jugada++) {
+        alPreguntar(pregunta, motor);
+        motor.responder(pregunta, responderComoOraculo(minas, pregunta.fila, pregunta.columna, tamaño));
+        pregunta = motor.siguienteCelda();
+    }
+
+    return pregunta;
+};
+
+/**
+ * Empezar una partida con una semilla y jugarla contra el oráculo. Las minas se generan con la
+ * misma semilla dejando libre la primera celda preguntada.
+ * @param {object} tamaño - Tamaño del tablero
+ * @param {object} opciones - { semilla, numeroMinas (6 por defecto), totalMinas que se indica al motor,
+ *                            motor (por defecto uno nuevo sin aprendizaje), alEmpezar(minas) antes de la
+ *                            primera respuesta, y las opciones de continuarConOraculo }
+ * @returns {object} - { motor, minas, celda } con la pregunta pendiente al parar
+ */
+export const jugarConOraculo = (tamaño, {
+    semilla,
+    numeroMinas = 6,
+    totalMinas = null,
+    motor = crearMotorJuego({ tamañoTablero: tamaño, aprender: false }),
+    alEmpezar = () => {},
+    ...opciones
+}) => {
+    const primera = motor.iniciar(tamaño, { semilla, totalMinas });
+    const minas = generarTableroOculto(tamaño, numeroMinas, crearGeneradorAleatorio(semilla), primera);
+    alEmpezar(minas);
+
+    const celda = continuarConOraculo(motor, minas, primera, tamaño, opciones);
+    return { motor, minas, celda };
+};
@@ -0,0 +1,309 @@
+/**
+ * Repeticiones de partidas del modo inverso en un documento JSON versionado para compartirlas:
+ * el tablero, cada pregunta con su respuesta y cada bandera con su origen, en el orden en que
+ * ocurrieron, además del tiempo de juego y el resultado final. Al importarla la partida queda
+ * tal como estaba al exportarla; si no había terminado, el sistema puede seguir jugándola.
+ */
+
+import { contenidoSegunRespuesta } from './MotorJuego';
+import { validarForma } from './formasTablero';
+import { normalizarSemilla } from './aleatorio';
+import { obtenerVecinas, obtenerMaximoVecinas, contarCeldasActivas, estaBloqueada } from './topologia';
+import { FASES_JUEGO, TOPOLOGIAS, LIMITES_TAMAÑO_PERSONALIZADO } from '../constants/gameConfig';
+
+// Identificador del formato y versión más reciente que se sabe leer
+export const FORMATO_REPETICION = 'buscaminas-inverso-repeticion';
+export const VERSION_REPETICION = 1;
+
+const RESULTADOS = ['victoria', 'derrota'];
+
+const coordenadas = (celda) => `(${celda.fila + 1},${celda.columna + 1})`;
+
+/**
+ * Crear el documento de repetición de una partida
+ * @param {object} partida - Partida exportada por el motor (exportarPartida)
+ * @param {object} opciones - { tiempoJuego: segundos de juego }
+ * @returns {object} - Documento listo para JSON.stringify
+ */
+export const crearRepeticion = (partida, { tiempoJuego = 0 } = {}) => {
+    const { filas, columnas, topologia, bloqueadas } = partida.tamañoTablero;
+
+    return {
+        formato: FORMATO_REPETICION,
+        version: VERSION_REPETICION,
+        exportadaEn: new Date().toISOString(),
+        tablero: {
+            filas,
+            columnas,
+            topologia: topologia || TOPOLOGIAS.PLANA,
+            ...(bloqueadas && bloqueadas.length > 0 ? { bloqueadas: [...bloqueadas] } : {})
+        },
+        totalMinas: partida.totalMinas ?? null,
+        semilla: partida.semilla,
+        movimientos: partida.historialMovimientos.map(mov => mov.esAccion
+            ? {
+                tipo: 'bandera',
+                fila: mov.fila,
+                columna: mov.columna,
+                origen: typeof mov.origen === 'string' ? mov.origen : null,
+                ...(mov.explicacion ? { explicacion: mov.explicacion } : {})
+            }
+            : {
+                tipo: 'respuesta',
+                fila: mov.fila,
+                columna: mov.columna,
+                respuesta: mov.contenido,
+                ...(mov.inconsistente ? { inconsistente: true } : {})
+            }),
+        preguntaPendiente: partida.fase === FASES_JUEGO.ESPERANDO_RESPUESTA && partida.celdaActual
+            ? { fila: partida.celdaActual.fila, columna: partida.celdaActual.columna }
+            : null,
+        tiempo: { segundos: Math.max(0, Math.floor(tiempoJuego)) },
+        resultado: RESULTADOS.includes(partida.resultado) ? partida.resultado : null
+    };
+};
+
+/**
+ * Validar el tablero de una repetición
+ * @param {object} tablero - { filas, columnas, topologia, bloqueadas? }
+ * @returns {object} - { valido, tamaño?, error? }
+ */
+const validarTablero = (tablero) => {
+    if (!tablero || typeof tablero !== 'object') {
+        return { valido: false, error: 'Falta la descripción del tablero' };
+    }
+
+    const { filas, columnas, topologia = TOPOLOGIAS.PLANA, bloqueadas } = tablero;
+    const { minimo, maximo } = LIMITES_TAMAÑO_PERSONALIZADO;
+    if (![filas, columnas].every(valor => Number.isInteger(valor) && valor >= minimo && valor <= maximo)) {
+        return { valido: false, error: `Las filas y columnas del tablero deben ser enteros entre ${minimo} y ${maximo}` };
+    }
+    if (!Object.values(TOPOLOGIAS).includes(topologia)) {
+        return { valido: false, error: `Tipo de tablero desconocido: "${topologia}"` };
+    }
+
+    const tamaño = { nombre: `${filas}x${columnas}`, filas, columnas, topologia };
+    if (bloqueadas !== undefined && bloqueadas !== null) {
+        if (!Array.isArray(bloqueadas) || !bloqueadas.every(clave => typeof clave === 'string')) {
+            return { valido: false, error: 'Las casillas bloqueadas deben ser una lista de claves "fila,columna"' };
+        }
+        const validacion = validarForma('importada', tamaño, bloqueadas);
+        if (!validacion.valido) {
+            return { valido: false, error: validacion.error };
+        }
+        if (validacion.forma.bloqueadas.length > 0) {
+            tamaño.bloqueadas = validacion.forma.bloqueadas;
+        }
+    }
+
+    return { valido: true, tamaño };
+};
+
+/**
+ * Comprobar que una casilla es un par de enteros dentro del tablero y no es un hueco
+ * @param {object} celda - { fila, columna }
+ * @param {object} tamaño - Tamaño del tablero
+ * @returns {string|null} - Descripción del problema o null si es válida
+ */
+const comprobarCasilla = (celda, tamaño) => {
+    const { fila, columna } = celda || {};
+    if (!Number.isInteger(fila) || !Number.isInteger(columna)) {
+        return 'la fila y la columna deben ser enteros (empezando en 0)';
+    }
+    if (fila < 0 || fila >= tamaño.filas || columna < 0 || columna >= tamaño.columnas) {
+        return `la casilla ${coordenadas(celda)} está fuera del tablero de ${tamaño.filas}x${tamaño.columnas}`;
+    }
+    if (estaBloqueada(fila, columna, tamaño)) {
+        return `la casilla ${coordenadas(celda)} es un hueco del tablero`;
+    }
+    return null;
+};
+
+/**
+ * Validar un documento de repetición y convertirlo en la partida que acepta el motor
+ * @param {object} documento - Documento ya interpretado como JSON
+ * @returns {object} - { valido, partida?, tiempoJuego?, error? }
+ */
+export const validarRepeticion = (documento) => {
+    if (!documento || typeof documento !== 'object' || Array.isArray(documento) || documento.formato !== FORMATO_REPETICION) {
+        return { valido: false, error: 'El archivo no es una partida exportada de Buscaminas Inverso' };
+    }
+    if (!Number.isInteger(documento.version) || documento.version < 1) {
+        return { valido: false, error: 'El archivo no indica una versión del formato válida' };
+    }
+    if (documento.version > VERSION_REPETICION) {
+        return {
+            valido: false,
+            error: `La partida usa la versión ${documento.version} del formato y esta aplicación solo admite hasta la ${VERSION_REPETICION}. Actualiza la aplicación para abrirla.`
+        };
+    }
+
+    const validacionTablero = validarTablero(documento.tablero);
+    if (!validacionTablero.valido) return validacionTablero;
+    const { tamaño } = validacionTablero;
+    const celdasActivas = contarCeldasActivas(tamaño);
+
+    const { totalMinas = null } = documento;
+    if (totalMinas !== null && !(Number.isInteger(totalMinas) && totalMinas >= 1 && totalMinas < celdasActivas)) {
+        return { valido: false, error: `El total de minas debe ser un entero entre 1 y ${celdasActivas - 1}` };
+    }
+    const semilla = normalizarSemilla(documento.semilla);
+    if (semilla === null) {
+        return { valido: false, error: 'La semilla de la partida no es válida' };
+    }
+
+    const resultado = documento.resultado ?? null;
+    if (resultado !== null && !RESULTADOS.includes(resultado)) {
+        return { valido: false, error: `Resultado desconocido: "${resultado}"` };
+    }
+    const segundos = documento.tiempo?.segundos ?? 0;
+    if (!Number.isInteger(segundos) || segundos < 0) {
+        return { valido: false, error: 'El tiempo de juego debe ser un número entero de segundos' };
+    }
+    if (!Array.isArray(documento.movimientos)) {
+        return { valido: false, error: 'Falta la lista de movimientos' };
+    }
+
+    // Reconstruir la partida movimiento a movimiento comprobando que cada uno es posible
+    const maximoVecinas = obtenerMaximoVecinas(tamaño);
+    const respuestasValidas = ['vacío', 'mina', ...Array.from({ length: maximoVecinas + 1 }, (_, i) => String(i))];
+    const tablero = Array(tamaño.filas).fill().map(() => Array(tamaño.columnas).fill(null));
+    const ocupadas = new Set();
+    const celdasDescubiertas = [];
+    const banderas = [];
+    const historialMovimientos = [];
+    let celdasSeguras = 0;
+
+    for (let i = 0; i < documento.movimientos.length; i++) {
+        const mov = documento.movimientos[i];
+        const prefijo = `Movimiento ${i + 1}`;
+        if (!mov || (mov.tipo !== 'respuesta' && mov.tipo !== 'bandera')) {
+            return { valido: false, error: `${prefijo}: el tipo debe ser "respuesta" o "bandera"` };
+        }
+        const problema = comprobarCasilla(mov, tamaño);
+        if (problema) {
+            return { valido: false, error: `${prefijo}: ${problema}` };
+        }
+
+        const { fila, columna } = mov;
+        const clave = `${fila},${columna}`;
+        if (ocupadas.has(clave)) {
+            return { valido: false, error: `${prefijo}: la casilla ${coordenadas(mov)} ya se había descubierto o marcado` };
+        }
+        if (historialMovimientos.some(m => !m.esAccion && m.contenido === 'mina')) {
+            return { valido: false, error: `${prefijo}: hay movimientos después de que el sistema encontrara una mina` };
+        }
+        ocupadas.add(clave);
+
+        if (mov.tipo === 'bandera') {
+            const origen = typeof mov.origen === 'string' ? mov.origen : null;
+            banderas.push({ fila, columna, origen });
+            historialMovimientos.push({
+                fila,
+                columna,
+                esAccion: true,
+                accion: 'bandera',
+                origen,
+                demostracion: null,
+                explicacion: typeof mov.explicacion === 'string' ? mov.explicacion : 'Bandera colocada'
+            });
+            continue;
+        }
+
+        if (!respuestasValidas.includes(mov.respuesta)) {
+            return {
+                valido: false,
+                error: `${prefijo}: la respuesta "${mov.respuesta}" no es válida (se admite vacío, mina o un número de 0 a ${maximoVecinas})`
+            };
+        }
+        // Un número no puede superar las vecinas que tiene esa casilla por su posición, topología y huecos
+        const vecinas = obtenerVecinas(fila, columna, tamaño).length;
+        if (Number(mov.respuesta) > vecinas) {
+            return {
+                valido: false,
+                error: `${prefijo}: la casilla ${coordenadas(mov)} solo tiene ${vecinas} vecinas y no puede indicar ${mov.respuesta} minas`
+            };
+        }
+        tablero[fila][columna] = contenidoSegunRespuesta(mov.respuesta);
+        celdasDescubiertas.push({ fila, columna });
+        historialMovimientos.push({ fila, columna, contenido: mov.respuesta, inconsistente: mov.inconsistente === true });
+        if (mov.respuesta !== 'mina') celdasSeguras++;
+    }
+
+    const encontroMina = historialMovimientos.some(m => !m.esAccion && m.contenido === 'mina');
+    if (encontroMina !== (resultado === 'derrota')) {
+        return {
+            valido: false,
+            error: encontroMina
+                ? 'El sistema encontró una mina pero el resultado no es "derrota"'
+                : 'El resultado es "derrota" pero ninguna respuesta es una mina'
+        };
+    }
+
+    const pendiente = documento.preguntaPendiente ?? null;
+    if (pendiente !== null) {
+        if (resultado !== null) {
+            return { valido: false, error: 'Una partida terminada no puede tener una pregunta pendiente' };
+        }
+        const problema = comprobarCasilla(pendiente, tamaño);
+        if (problema) {
+            return { valido: false, error: `Pregunta pendiente: ${problema}` };
+        }
+        if (ocupadas.has(`${pendiente.fila},${pendiente.columna}`)) {
+            return { valido: false, error: `Pregunta pendiente: la casilla ${coordenadas(pendiente)} ya se había descubierto o marcado` };
+        }
+    }
+
+    // En una derrota la última pregunta es la de la mina
+    const ultimaRespuesta = [...historialMovimientos].reverse().find(m => !m.esAccion);
+    const celdaActual = pendiente
+        ? { fila: pendiente.fila, columna: pendiente.columna }
+        : resultado === 'derrota' ? { fila: ultimaRespuesta.fila, columna: ultimaRespuesta.columna } : null;
+    const fase = resultado === 'victoria' ? FASES_JUEGO.VICTORIA
+        : resultado === 'derrota' ? FASES_JUEGO.DERROTA
+            : pendiente ? FASES_JUEGO.ESPERANDO_RESPUESTA : FASES_JUEGO.SELECCIONANDO;
+    const respuestas = celdasDescubiertas.length;
+    const textoResultado = resultado === 'victoria' ? ' El sistema ganó la partida.'
+        : resultado === 'derrota' ? ' El sistema encontró una mina.' : '';
+
+    return {
+        valido: true,
+        tiempoJuego: segundos,
+        partida: {
+            tamañoTablero: tamaño,
+            totalMinas,
+            semilla,
+            tablero,
+            celdasDescubiertas,
+            banderas,
+            historialMovimientos,
+            celdaActual,
+            demostracionActual: null,
+            fase,
+            resultado,
+            mensajeSistema: pendiente
+                ? `Partida importada. ¿Qué hay en la casilla ${coordenadas(pendiente)}?`
+                : `Partida importada: ${respuestas} respuesta${respuestas !== 1 ? 's' : ''} y ${banderas.length} bandera${banderas.length !== 1 ? 's' : ''}.${textoResultado}`,
+            estadisticas: {
+                movimientos: respuestas + (pendiente ? 1 : 0),
+                banderasColocadas: banderas.length,
+                celdasSeguras
+            }
+        }
+    };
+};
+
+/**
+ * Leer el texto de un archivo de repetición
+ * @param {string} texto - Contenido del archivo
+ * @returns {object} - { valido, partida?, tiempoJuego?, error? }
+ */
+export const leerRepeticion = (texto) => {
+    let documento;
+    try {
+        documento = JSON.parse(texto);
+    } catch (error) {
+        return { valido: false, error: 'El archivo no es un JSON válido' };
+    }
+    return validarRepeticion(documento);
+};
@@ -0,0 +1,70 @@
+import { crearMotorJuego } from './MotorJuego';
+import { crearRepeticion, leerRepeticion, validarRepeticion, VERSION_REPETICION } from './repeticionPartida';
+import { jugarConOraculo } from './pruebasOraculo';
+import { FASES_JUEGO } from '../constants/gameConfig';
+
+const TABLERO_PRUEBA = { nombre: '8x8', filas: 8, columnas: 8 };
+
+beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterEach(() => {
+    jest.restoreAllMocks();
+});
+
+test('una partida terminada se exporta y se importa con sus respuestas, banderas y resultado', () => {
+    const { motor: original } = jugarConOraculo(TABLERO_PRUEBA, { semilla: 7 });
+    const final = original.obtenerEstado();
+
+    const texto = JSON.stringify(crearRepeticion(original.exportarPartida(), { tiempoJuego: 95 }));
+    const documento = JSON.parse(texto);
+    expect(documento).toMatchObject({ version: VERSION_REPETICION, tiempo: { segundos: 95 }, resultado: final.resultado });
+    expect(documento.movimientos.filter(mov => mov.tipo === 'bandera').every(mov => typeof mov.origen === 'string')).toBe(true);
+
+    const lectura = leerRepeticion(texto);
+    expect(lectura.valido).toBe(true);
+    const importada = crearMotorJuego({ tamañoTablero: TABLERO_PRUEBA, aprender: false });
+    expect(importada.restaurarPartida(lectura.partida).restaurada).toBe(true);
+
+    const estado = importada.obtenerEstado();
+    expect(estado.fase).toBe(final.fase);
+    expect(estado.tablero).toEqual(final.tablero);
+    expect(estado.banderas.map(({ fila, columna }) => ({ fila, columna })))
+        .toEqual(final.banderas.map(({ fila, columna }) => ({ fila, columna })));
+    expect(estado.historialMovimientos.map(({ fila, columna, contenido }) => ({ fila, columna, contenido })))
+        .toEqual(final.historialMovimientos.map(({ fila, columna, contenido }) => ({ fila, columna, contenido })));
+});
+
+test('los archivos mal formados o incompatibles se rechazan con un error claro', () => {
+    const valido = {
+        formato: 'buscaminas-inverso-repeticion',
+        version: 1,
+        tablero: { filas: 8, columnas: 8, topologia: 'plana' },
+        totalMinas: null,
+        semilla: 7,
+        movimientos: [{ tipo: 'respuesta', fila: 0, columna: 0, respuesta: '1' }],
+        preguntaPendiente: { fila: 0, columna: 1 },
+        tiempo: { segundos: 3 },
+        resultado: null
+    };
+    expect(validarRepeticion(valido)).toMatchObject({
+        valido: true,
+        partida: { fase: FASES_JUEGO.ESPERANDO_RESPUESTA, celdaActual: { fila: 0, columna: 1 } }
+    });
+
+    const error = (cambios) => validarRepeticion({ ...valido, ...cambios }).error;
+    expect(leerRepeticion('{ no es json').error).toBe('El archivo no es un JSON válido');
+    expect(error({ formato: 'otro' })).toMatch(/no es una partida exportada/);
+    expect(error({ version: VERSION_REPETICION + 1 })).toMatch(/versión 2 del formato/);
+    expect(error({ tablero: { filas: 8, columnas: 8, topologia: 'esferica' } })).toMatch(/desconocido: "esferica"/);
+    expect(error({ movimientos: [{ tipo: 'respuesta', fila: 9, columna: 0, respuesta: '1' }] }))
+        .toBe('Movimiento 1: la casilla (10,1) está fuera del tablero de 8x8');
+    expect(error({ tablero: { filas: 8, columnas: 8, topologia: 'hexagonal' }, movimientos: [{ tipo: 'respuesta', fila: 0, columna: 0, respuesta: '7' }] }))
+        .toMatch(/"7" no es válida .* de 0 a 6/);
+    expect(error({ movimientos: [{ tipo: 'respuesta', fila: 0, columna: 0, respuesta: '4' }] }))
+        .toBe('Movimiento 1: la casilla (1,1) solo tiene 3 vecinas y no puede indicar 4 minas');
+    expect(error({ preguntaPendiente: { fila: 0, columna: 0 } })).toMatch(/ya se había descubierto/);
+    expect(error({ movimientos: [{ tipo: 'respuesta', fila: 0, columna: 0, respuesta: 'mina' }], preguntaPendiente: null }))
+        .toMatch(/encontró una mina pero el resultado no es "derrota"/);
+});
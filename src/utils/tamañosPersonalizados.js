@@ -0,0 +1,60 @@
+/**
+ * Tamaños de tablero creados por el jugador (rectangulares, p. ej. 16x30 o 9x9).
+ * Se guardan con las demás preferencias para ofrecerlos en las siguientes sesiones.
+ */
+
+import { LIMITES_TAMAÑO_PERSONALIZADO } from '../constants/gameConfig';
+import { cargarPreferencias, guardarPreferencias } from './preferencias';
+
+/**
+ * Validar las dimensiones de un tamaño personalizado
+ * @param {number} filas - Número de filas
+ * @param {number} columnas - Número de columnas
+ * @returns {object} - { valido, tamaño?, error? } con el tamaño listo para usar si es válido
+ */
+export const validarTamañoPersonalizado = (filas, columnas) => {
+    const { minimo, maximo } = LIMITES_TAMAÑO_PERSONALIZADO;
+    const enRango = (valor) => Number.isInteger(valor) && valor >= minimo && valor <= maximo;
+
+    if (!enRango(filas) || !enRango(columnas)) {
+        return { valido: false, error: `Las filas y las columnas deben ser números enteros entre ${minimo} y ${maximo}` };
+    }
+    return { valido: true, tamaño: { nombre: `${filas}x${columnas}`, filas, columnas, personalizado: true } };
+};
+
+/**
+ * Cargar los tamaños personalizados guardados (se descartan los que ya no son válidos)
+ * @returns {Array} - Tamaños { nombre, filas, columnas, personalizado }
+ */
+export const cargarTamañosPersonalizados = () => {
+    const { tamañosPersonalizados } = cargarPreferencias();
+    if (!Array.isArray(tamañosPersonalizados)) return [];
+
+    return tamañosPersonalizados
+        .map(tamaño => validarTamañoPersonalizado(tamaño?.filas, tamaño?.columnas))
+        .filter(validacion => validacion.valido)
+        .map(validacion => validacion.tamaño);
+};
+
+/**
+ * Añadir un tamaño a la lista guardada (si no estaba ya)
+ * @param {object} tamaño - Tamaño validado con validarTamañoPersonalizado
+ * @returns {Array} - Lista actualizada
+ */
+export const guardarTamañoPersonalizado = (tamaño) => {
+    const tamaños = cargarTamañosPersonalizados().filter(t => t.nombre !== tamaño.nombre);
+    const actualizados = [...tamaños, tamaño];
+    guardarPreferencias({ tamañosPersonalizados: actualizados.map(({ filas, columnas }) => ({ filas, columnas })) });
+    return actualizados;
+};
+
+/**
+ * Quitar un tamaño de la lista guardada
+ * @param {string} nombre - Nombre del tamaño ("filasxcolumnas")
+ * @returns {Array} - Lista actualizada
+ */
+export const eliminarTamañoPersonalizado = (nombre) => {
+    const actualizados = cargarTamañosPersonalizados().filter(t => t.nombre !== nombre);
+    guardarPreferencias({ tamañosPersonalizados: actualizados.map(({ filas, columnas }) => ({ filas, columnas })) });
+    return actualizados;
+};
@@ -0,0 +1,264 @@
+/**
+ * Vecindades del tablero según su topología. La topología viaja dentro del tamaño del tablero
+ * ({ filas, columnas, topologia }), así que cualquier módulo que ya recibe el tamaño la respeta.
+ * En la plana los bordes cortan las vecindades; en la toroidal el borde izquierdo toca el
+ * derecho y el superior el inferior, de modo que ninguna celda es de borde ni de esquina.
+ * En la hexagonal las filas impares se dibujan desplazadas media casilla a la derecha y cada
+ * celda tiene 6 vecinas: dos en su fila y dos en cada fila contigua.
+ * Un tablero irregular lleva además una máscara ({ bloqueadas: ['fila,columna', ...] }): las
+ * casillas bloqueadas no existen, nunca se preguntan ni cuentan como vecinas.
+ */
+
+import { TOPOLOGIAS } from '../constants/gameConfig';
+
+/**
+ * Indica si el tablero une sus bordes opuestos
+ * @param {object} tamañoTablero - Tamaño del tablero
+ * @returns {boolean}
+ */
+export const esToroidal = (tamañoTablero) => tamañoTablero?.topologia === TOPOLOGIAS.TOROIDAL;
+
+/**
+ * Indica si el tablero es de casillas hexagonales
+ * @param {object} tamañoTablero - Tamaño del tablero
+ * @returns {boolean}
+ */
+export const esHexagonal = (tamañoTablero) => tamañoTablero?.topologia === TOPOLOGIAS.HEXAGONAL;
+
+/**
+ * Número máximo de vecinas de una celda, que es también la respuesta numérica más alta posible
+ * @param {object} tamañoTablero - Tamaño del tablero
+ * @returns {number}
+ */
+export const obtenerMaximoVecinas = (tamañoTablero) => (esHexagonal(tamañoTablero) ? 6 : 8);
+
+// Conjunto de claves y límites de las casillas activas de cada máscara, para no recorrer la lista en cada consulta
+const conjuntosBloqueadas = new WeakMap();
+const limitesMascaras = new WeakMap();
+
+const obtenerConjuntoBloqueadas = (tamañoTablero) => {
+    const bloqueadas = tamañoTablero?.bloqueadas;
+    if (!bloqueadas || bloqueadas.length === 0) return null;
+
+    if (!conjuntosBloqueadas.has(bloqueadas)) {
+        conjuntosBloqueadas.set(bloqueadas, new Set(bloqueadas));
+    }
+    return conjuntosBloqueadas.get(bloqueadas);
+};
+
+/**
+ * Indica si el tablero tiene casillas bloqueadas
+ * @param {object} tamañoTablero - Tamaño del tablero
+ * @returns {boolean}
+ */
+export const tieneMascara = (tamañoTablero) => obtenerConjuntoBloqueadas(tamañoTablero) !== null;
+
+/**
+ * Indica si una casilla está bloqueada (es un hueco del tablero)
+ * @param {number} fila - Fila de la celda
+ * @param {number} columna - Columna de la celda
+ * @param {object} tamañoTablero - Tamaño del tablero
+ * @returns {boolean}
+ */
+export const estaBloqueada = (fila, columna, tamañoTablero) => {
+    const bloqueadas = obtenerConjuntoBloqueadas(tamañoTablero);
+    return bloqueadas !== null && bloqueadas.has(`${fila},${columna}`);
+};
+
+/**
+ * Casillas del tablero que no están bloqueadas, por filas
+ * @param {object} tamañoTablero - Tamaño del tablero
+ * @returns {Array} - Celdas {fila, columna}
+ */
+export const obtenerCeldasActivas = (tamañoTablero) => {
+    const celdas = [];
+    for (let i = 0; i < tamañoTablero.filas; i++) {
+        for (let j = 0; j < tamañoTablero.columnas; j++) {
+            if (!estaBloqueada(i, j, tamañoTablero)) celdas.push({ fila: i, columna: j });
+        }
+    }
+    return celdas;
+};
+
+/**
+ * Número de casillas que no están bloqueadas
+ * @param {object} tamañoTablero - Tamaño del tablero
+ * @returns {number}
+ */
+export const contarCeldasActivas = (tamañoTablero) => obtenerCeldasActivas(tamañoTablero).length;
+
+/**
+ * Indica si dos tamaños describen el mismo tablero: dimensiones, topología y huecos
+ * @param {object} tamaño1 - Tamaño de un tablero
+ * @param {object} tamaño2 - Tamaño del otro tablero
+ * @returns {boolean}
+ */
+export const esMismoTablero = (tamaño1, tamaño2) => {
+    if (!tamaño1 || !tamaño2) return false;
+    const bloqueadas1 = obtenerConjuntoBloqueadas(tamaño1);
+    const bloqueadas2 = obtenerConjuntoBloqueadas(tamaño2);
+
+    return tamaño1.filas === tamaño2.filas &&
+        tamaño1.columnas === tamaño2.columnas &&
+        (tamaño1.topologia || TOPOLOGIAS.PLANA) === (tamaño2.topologia || TOPOLOGIAS.PLANA) &&
+        (bloqueadas1?.size ?? 0) === (bloqueadas2?.size ?? 0) &&
+        [...(bloqueadas1 || [])].every(clave => bloqueadas2.has(clave));
+};
+
+/**
+ * Filas y columnas extremas que ocupan las casillas activas (todo el tablero si no hay máscara)
+ * @param {object} tamañoTablero - Tamaño del tablero
+ * @returns {object} - { filaMinima, filaMaxima, columnaMinima, columnaMaxima }
+ */
+export const obtenerLimitesActivos = (tamañoTablero) => {
+    const limites = {
+        filaMinima: 0,
+        filaMaxima: tamañoTablero.filas - 1,
+        columnaMinima: 0,
+        columnaMaxima: tamañoTablero.columnas - 1
+    };
+    if (!tieneMascara(tamañoTablero)) return limites;
+
+    const guardados = limitesMascaras.get(tamañoTablero.bloqueadas);
+    if (guardados && guardados.filas === tamañoTablero.filas && guardados.columnas === tamañoTablero.columnas) {
+        return guardados.limites;
+    }
+
+    const activas = obtenerCeldasActivas(tamañoTablero);
+    const limitesActivos = activas.length === 0 ? limites : {
+        filaMinima: Math.min(...activas.map(c => c.fila)),
+        filaMaxima: Math.max(...activas.map(c => c.fila)),
+        columnaMinima: Math.min(...activas.map(c => c.columna)),
+        columnaMaxima: Math.max(...activas.map(c => c.columna))
+    };
+    limitesMascaras.set(tamañoTablero.bloqueadas, {
+        filas: tamañoTablero.filas,
+        columnas: tamañoTablero.columnas,
+        limites: limitesActivos
+    });
+    return limitesActivos;
+};
+
+/**
+ * Distancia (en casillas, contando las diagonales) de una celda a la casilla bloqueada más cercana
+ * @param {number} fila - Fila de la celda
+ * @param {number} columna - Columna de la celda
+ * @param {object} tamañoTablero - Tamaño del tablero
+ * @returns {number} - Distancia, o Infinity si no hay casillas bloqueadas
+ */
+export const distanciaABloqueada = (fila, columna, tamañoTablero) => {
+    const bloqueadas = obtenerConjuntoBloqueadas(tamañoTablero);
+    if (!bloqueadas) return Infinity;
+
+    const { filas, columnas } = tamañoTablero;
+    const toroidal = esToroidal(tamañoTablero);
+    let distancia = Infinity;
+
+    bloqueadas.forEach(clave => {
+        const [f, c] = clave.split(',').map(Number);
+        let distanciaFilas = Math.abs(f - fila);
+        let distanciaColumnas = Math.abs(c - columna);
+        if (toroidal) {
+            distanciaFilas = Math.min(distanciaFilas, filas - distanciaFilas);
+            distanciaColumnas = Math.min(distanciaColumnas, columnas - distanciaColumnas);
+        }
+        distancia = Math.min(distancia, Math.max(distanciaFilas, distanciaColumnas));
+    });
+
+    return distancia;
+};
+
+/**
+ * Indica si el tablero tiene bordes y esquinas (los patrones de borde solo valen en ese caso)
+ * @param {object} tamañoTablero - Tamaño del tablero
+ * @returns {boolean}
+ */
+export const tieneBordes = (tamañoTablero) => !esToroidal(tamañoTablero);
+
+/**
+ * Celda que queda al desplazarse desde otra, dando la vuelta al tablero si es toroidal
+ * @param {number} fila - Fila de partida
+ * @param {number} columna - Columna de partida
+ * @param {number} desplazamientoFila - Filas que se avanza (puede ser negativo)
+ * @param {number} desplazamientoColumna - Columnas que se avanza (puede ser negativo)
+ * @param {object} tamañoTablero - Tamaño del tablero
+ * @returns {object|null} - { fila, columna } o null si se sale de un tablero plano
+ */
+export const desplazarCelda = (fila, columna, desplazamientoFila, desplazamientoColumna, tamañoTablero) => {
+    const { filas, columnas } = tamañoTablero;
+    let nuevaFila = fila + desplazamientoFila;
+    let nuevaColumna = columna + desplazamientoColumna;
+
+    if (esToroidal(tamañoTablero)) {
+        nuevaFila = ((nuevaFila % filas) + filas) % filas;
+        nuevaColumna = ((nuevaColumna % columnas) + columnas) % columnas;
+    } else if (nuevaFila < 0 || nuevaFila >= filas || nuevaColumna < 0 || nuevaColumna >= columnas) {
+        return null;
+    }
+
+    return { fila: nuevaFila, columna: nuevaColumna };
+};
+
+// Desplazamientos { fila, columna } a las 6 vecinas hexagonales según la paridad de la fila:
+// las filas impares están desplazadas a la derecha, así que sus vecinas de arriba y abajo también
+const DESPLAZAMIENTOS_HEXAGONALES = [
+    [[-1, -1], [-1, 0], [0, -1], [0, 1], [1, -1], [1, 0]],
+    [[-1, 0], [-1, 1], [0, -1], [0, 1], [1, 0], [1, 1]]
+];
+
+// Vecinas por la forma de las casillas, sin tener en cuenta la máscara
+const obtenerVecinasSinMascara = (fila, columna, tamañoTablero) => {
+    if (esHexagonal(tamañoTablero)) {
+        return DESPLAZAMIENTOS_HEXAGONALES[fila % 2]
+            .map(([i, j]) => desplazarCelda(fila, columna, i, j, tamañoTablero))
+            .filter(Boolean);
+    }
+
+    const toroidal = esToroidal(tamañoTablero);
+    const vecinas = [];
+
+    for (let i = -1; i <= 1; i++) {
+        for (let j = -1; j <= 1; j++) {
+            if (i === 0 && j === 0) continue;
+
+            const vecina = desplazarCelda(fila, columna, i, j, tamañoTablero);
+            if (!vecina) continue;
+
+            // En un toro muy estrecho dos desplazamientos pueden llevar a la misma celda (o a la propia)
+            if (toroidal && (
+                (vecina.fila === fila && vecina.columna === columna) ||
+                vecinas.some(v => v.fila === vecina.fila && v.columna === vecina.columna)
+            )) continue;
+
+            vecinas.push(vecina);
+        }
+    }
+
+    return vecinas;
+};
+
+/**
+ * Celdas vecinas de una celda (las 8 de alrededor, o las 6 de un tablero hexagonal),
+ * sin las casillas bloqueadas
+ * @param {number} fila - Fila de la celda
+ * @param {number} columna - Columna de la celda
+ * @param {object} tamañoTablero - Tamaño del tablero
+ * @returns {Array} - Celdas {fila, columna} vecinas, sin repetir
+ */
+export const obtenerVecinas = (fila, columna, tamañoTablero) => {
+    const vecinas = obtenerVecinasSinMascara(fila, columna, tamañoTablero);
+    return tieneMascara(tamañoTablero)
+        ? vecinas.filter(v => !estaBloqueada(v.fila, v.columna, tamañoTablero))
+        : vecinas;
+};
+
+/**
+ * Indica si dos celdas distintas son vecinas
+ * @param {object} celda1 - { fila, columna }
+ * @param {object} celda2 - { fila, columna }
+ * @param {object} tamañoTablero - Tamaño del tablero
+ * @returns {boolean}
+ */
+export const sonVecinas = (celda1, celda2, tamañoTablero) =>
+    obtenerVecinas(celda1.fila, celda1.columna, tamañoTablero)
+        .some(c => c.fila === celda2.fila && c.columna === celda2.columna);
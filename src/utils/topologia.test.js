@@ -0,0 +1,118 @@
+import { obtenerVecinas, desplazarCelda, sonVecinas, contarCeldasActivas } from './topologia';
+import { verificarConsistenciaRespuesta, calcularRespuestasPosibles } from './validacionLogica';
+import { crearMotorJuego } from './MotorJuego';
+import { jugarConOraculo } from './pruebasOraculo';
+import { verificarDemostracion } from './demostraciones';
+import { distanciaBorde } from './logicaJuego';
+import { normalizarPosicion } from './MemoriaJuego';
+import { FORMAS_PREDEFINIDAS, validarForma } from './formasTablero';
+import { EVENTOS_MOTOR, TOPOLOGIAS } from '../constants/gameConfig';
+
+const TORO = { nombre: '6x7', filas: 6, columnas: 7, topologia: TOPOLOGIAS.TOROIDAL };
+const PLANO = { nombre: '6x7', filas: 6, columnas: 7 };
+const HEXAGONAL = { nombre: '6x7', filas: 6, columnas: 7, topologia: TOPOLOGIAS.HEXAGONAL };
+
+beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterEach(() => {
+    jest.restoreAllMocks();
+});
+
+// Juega varias partidas contra el oráculo comprobando cada bandera y su demostración;
+// devuelve cuántas banderas se han comprobado
+const comprobarBanderasConOraculo = (tamaño, semillas, alPreguntar = () => {}) => {
+    let banderasComprobadas = 0;
+
+    semillas.forEach(semilla => {
+        const motor = crearMotorJuego({ tamañoTablero: tamaño, aprender: false });
+        let minas = null;
+
+        motor.suscribir(EVENTOS_MOTOR.BANDERAS, (banderas) => {
+            banderas.forEach(bandera => {
+                expect(minas[bandera.fila][bandera.columna]).toBe(true);
+                banderasComprobadas++;
+            });
+            banderas.filter(bandera => bandera.demostracion).forEach(bandera => {
+                expect(verificarDemostracion(bandera.demostracion, bandera, tamaño).valida).toBe(true);
+            });
+        });
+
+        jugarConOraculo(tamaño, { semilla, motor, alEmpezar: (oculto) => { minas = oculto; }, alPreguntar });
+        expect(motor.obtenerEstado().juegoTerminado).toBe(true);
+    });
+
+    return banderasComprobadas;
+};
+
+test('en un tablero toroidal las vecindades dan la vuelta por los bordes', () => {
+    expect(obtenerVecinas(0, 0, PLANO)).toHaveLength(3);
+    expect(obtenerVecinas(0, 0, TORO)).toHaveLength(8);
+    expect(obtenerVecinas(0, 0, TORO)).toEqual(expect.arrayContaining([{ fila: 5, columna: 6 }, { fila: 1, columna: 6 }]));
+    expect(desplazarCelda(5, 6, 1, 1, TORO)).toEqual({ fila: 0, columna: 0 });
+    expect(desplazarCelda(5, 6, 1, 1, PLANO)).toBeNull();
+    expect(sonVecinas({ fila: 0, columna: 3 }, { fila: 5, columna: 3 }, TORO)).toBe(true);
+
+    // Una esquina puede tener 8 minas alrededor
+    const tablero = Array(6).fill().map(() => Array(7).fill(null));
+    const responder = (tamaño) => verificarConsistenciaRespuesta(0, 0, '8', tablero, [], [], tamaño).esConsistente;
+    expect(responder(PLANO)).toBe(false);
+    expect(responder(TORO)).toBe(true);
+});
+
+test('el sistema juega un tablero toroidal con deducciones que usan las vecinas del otro lado', () => {
+    expect(comprobarBanderasConOraculo(TORO, [1, 2, 3])).toBeGreaterThan(0);
+});
+
+test('en un tablero hexagonal cada casilla tiene hasta 6 vecinas y las respuestas no pasan de 6', () => {
+    expect(obtenerVecinas(2, 3, HEXAGONAL)).toHaveLength(6);
+    // Las filas impares están desplazadas a la derecha
+    expect(obtenerVecinas(0, 0, HEXAGONAL)).toEqual([{ fila: 0, columna: 1 }, { fila: 1, columna: 0 }]);
+    expect(obtenerVecinas(1, 0, HEXAGONAL)).toHaveLength(5);
+    expect(sonVecinas({ fila: 1, columna: 3 }, { fila: 0, columna: 4 }, HEXAGONAL)).toBe(true);
+    expect(sonVecinas({ fila: 2, columna: 3 }, { fila: 1, columna: 4 }, HEXAGONAL)).toBe(false);
+
+    // La vecindad es simétrica en todo el tablero
+    for (let i = 0; i < HEXAGONAL.filas; i++) {
+        for (let j = 0; j < HEXAGONAL.columnas; j++) {
+            obtenerVecinas(i, j, HEXAGONAL).forEach(v => {
+                expect(sonVecinas(v, { fila: i, columna: j }, HEXAGONAL)).toBe(true);
+            });
+        }
+    }
+
+    const tablero = Array(6).fill().map(() => Array(7).fill(null));
+    const respuestas = calcularRespuestasPosibles(2, 3, tablero, [], [], HEXAGONAL);
+    expect(respuestas.map(r => r.valor)).toEqual(['vacío', '0', 'mina', '1', '2', '3', '4', '5', '6']);
+    expect(respuestas.every(r => r.posible)).toBe(true);
+
+    expect(comprobarBanderasConOraculo(HEXAGONAL, [1, 2, 3])).toBeGreaterThan(0);
+});
+
+test('en un tablero con huecos las casillas bloqueadas no existen para el sistema', () => {
+    const CON_HUECO = { ...PLANO, bloqueadas: ['2,3'] };
+    expect(obtenerVecinas(2, 2, CON_HUECO)).toHaveLength(7);
+    expect(sonVecinas({ fila: 2, columna: 2 }, { fila: 2, columna: 3 }, CON_HUECO)).toBe(false);
+    expect(contarCeldasActivas(CON_HUECO)).toBe(41);
+    // El hueco hace de borde
+    expect(distanciaBorde(2, 2, PLANO)).toBe(2);
+    expect(distanciaBorde(2, 2, CON_HUECO)).toBe(0);
+
+    // La posición se normaliza respecto a las casillas activas
+    const SIN_PRIMERA_FILA = { ...PLANO, bloqueadas: Array.from({ length: 7 }, (_, j) => `0,${j}`) };
+    expect(normalizarPosicion(1, 0, SIN_PRIMERA_FILA)).toEqual({ filaNorm: 0, columnaNorm: 0 });
+
+    expect(validarForma('Casi nada', PLANO, Array.from({ length: 40 }, (_, k) => `${Math.floor(k / 7)},${k % 7}`)).valido).toBe(false);
+    expect(validarForma('', PLANO, ['0,0']).valido).toBe(false);
+
+    // Partidas completas sobre un corazón: nunca se pregunta por un hueco
+    const corazon = FORMAS_PREDEFINIDAS.find(f => f.id === 'corazon');
+    const CORAZON = { nombre: '10x10', filas: 10, columnas: 10, bloqueadas: corazon.generar({ filas: 10, columnas: 10 }) };
+    const huecos = new Set(CORAZON.bloqueadas);
+    expect(huecos.size).toBeGreaterThan(0);
+
+    expect(comprobarBanderasConOraculo(CORAZON, [1, 2, 3], (celda) => {
+        expect(huecos.has(`${celda.fila},${celda.columna}`)).toBe(false);
+    })).toBeGreaterThan(0);
+});
@@ -1,8 +1,11 @@
 /**
  * Funciones para validar la consistencia lógica del tablero de Buscaminas
- * Implementación simplificada con solo validación básica de posición
+ * Comprueba la posición de cada respuesta, los límites de cada número (banderas y celdas
+ * sin descubrir alrededor) y que la frontera tenga al menos una colocación de minas válida
  */
 
+import { obtenerVecinas, obtenerMaximoVecinas } from './topologia';
+
 /**
  * Obtiene todas las celdas adyacentes a una posición dada
  * @param {number} fila - Fila de la celda
@@ -11,28 +14,8 @@
  * @returns {Array} Array de objetos con {fila, columna} de las celdas adyacentes
  */
 export const obtenerTodasCeldasAdyacentes = (fila, columna, tamañoSeleccionado) => {
-    const filasTablero = tamañoSeleccionado.filas;
-    const columnasTablero = tamañoSeleccionado.columnas;
-    let celdasAdyacentes = [];
-
-    for (let i = -1; i <= 1; i++) {
-        for (let j = -1; j <= 1; j++) {
-            if (i === 0 && j === 0) continue;
-
-            const nuevaFila = fila + i;
-            const nuevaColumna = columna + j;
-
-            // Verificar límites del tablero
-            if (
-                nuevaFila >= 0 && nuevaFila < filasTablero &&
-                nuevaColumna >= 0 && nuevaColumna < columnasTablero
-            ) {
-                celdasAdyacentes.push({ fila: nuevaFila, columna: nuevaColumna });
-            }
-        }
-    }
-
-    return celdasAdyacentes;
+    // Los bordes cortan la vecindad salvo en un tablero toroidal
+    return obtenerVecinas(fila, columna, tamañoSeleccionado);
 };
 
 /**
@@ -48,8 +31,198 @@ export const obtenerMaximoCeldasAdyacentes = (fila, columna, tamañoSeleccionado
 };
 
 /**
- * Verifica si una respuesta es consistente con el estado actual del tablero
- * Solo verifica restricciones de posición (esquinas/bordes)
+ * Máximo de nodos que puede explorar la búsqueda de una colocación de minas en un grupo.
+ * Si se agota, el grupo se da por consistente: solo se informa de lo que se ha demostrado.
+ * @type {number}
+ */
+const LIMITE_NODOS_BUSQUEDA = 100000;
+
+const claveCelda = (celda) => `${celda.fila},${celda.columna}`;
+
+/**
+ * Número de minas que indica el contenido de una celda descubierta ('' y '0' significan ninguna)
+ * @param {string|null} contenido - Contenido del tablero
+ * @returns {number|null} - Número de minas o null si la celda no restringe a sus vecinas
+ */
+const minasIndicadas = (contenido) => {
+    if (contenido === '') return 0;
+    if (contenido === null || contenido === undefined || contenido === 'M' || isNaN(contenido)) return null;
+    return parseInt(contenido);
+};
+
+/**
+ * Tablero, celdas descubiertas y banderas tal como quedarían tras una respuesta.
+ * Una mina se trata como una bandera más para las comprobaciones.
+ * @returns {object} - { tablero, celdasDescubiertas, banderas }
+ */
+const simularRespuesta = (fila, columna, respuesta, tablero, celdasDescubiertas, banderas) => {
+    const sinCelda = (lista) => lista.filter(c => c.fila !== fila || c.columna !== columna);
+
+    if (respuesta === 'mina') {
+        return {
+            tablero,
+            celdasDescubiertas: sinCelda(celdasDescubiertas),
+            banderas: [...sinCelda(banderas), { fila, columna }]
+        };
+    }
+
+    const nuevoTablero = tablero.map(filaTablero => [...filaTablero]);
+    nuevoTablero[fila][columna] = respuesta === 'vacío' ? '' : respuesta;
+    return {
+        tablero: nuevoTablero,
+        celdasDescubiertas: [...sinCelda(celdasDescubiertas), { fila, columna }],
+        banderas: sinCelda(banderas)
+    };
+};
+
+/**
+ * Restricción que impone cada número descubierto sobre sus vecinas
+ * @returns {Array} - [{ celda, valor, banderas, desconocidas: [{fila, columna}] }]
+ */
+const construirRestricciones = (tablero, tamañoSeleccionado, celdasDescubiertas, banderas) => {
+    const conBandera = new Set(banderas.map(claveCelda));
+    const descubiertas = new Set(celdasDescubiertas.map(claveCelda));
+    const restricciones = [];
+
+    celdasDescubiertas.forEach(({ fila, columna }) => {
+        const valor = minasIndicadas(tablero[fila][columna]);
+        if (valor === null) return;
+
+        const adyacentes = obtenerTodasCeldasAdyacentes(fila, columna, tamañoSeleccionado);
+        restricciones.push({
+            celda: { fila, columna },
+            valor,
+            banderas: adyacentes.filter(c => conBandera.has(claveCelda(c))).length,
+            desconocidas: adyacentes.filter(c => !conBandera.has(claveCelda(c)) && !descubiertas.has(claveCelda(c)))
+        });
+    });
+
+    return restricciones;
+};
+
+/**
+ * Contradicción de una restricción por sí sola: más banderas que su número o menos sitio que minas
+ * @param {object} restriccion - Restricción de construirRestricciones
+ * @returns {object|null} - Contradicción o null si el número todavía se puede cumplir
+ */
+const contradiccionLocal = ({ celda, valor, banderas, desconocidas }) => {
+    if (valor === 0 && banderas > 0) {
+        return { tipo: 'cero_con_banderas', celda, valor, banderas };
+    }
+    if (banderas > valor) {
+        return { tipo: 'exceso_banderas', celda, valor, actual: banderas };
+    }
+    if (banderas + desconocidas.length < valor) {
+        return { tipo: 'minas_insuficientes', celda, valor, faltantes: valor - banderas, disponibles: desconocidas.length };
+    }
+    return null;
+};
+
+/**
+ * Separa las restricciones en grupos que comparten alguna celda sin descubrir
+ * @param {Array} restricciones - Restricciones con celdas desconocidas
+ * @returns {Array} - Lista de grupos (listas de restricciones)
+ */
+const agruparRestricciones = (restricciones) => {
+    const padre = restricciones.map((_, i) => i);
+    const raiz = (i) => (padre[i] === i ? i : (padre[i] = raiz(padre[i])));
+    const primeraPorCelda = new Map();
+
+    restricciones.forEach((restriccion, i) => {
+        restriccion.desconocidas.forEach(c => {
+            const clave = claveCelda(c);
+            if (primeraPorCelda.has(clave)) {
+                padre[raiz(i)] = raiz(primeraPorCelda.get(clave));
+            } else {
+                primeraPorCelda.set(clave, i);
+            }
+        });
+    });
+
+    const grupos = new Map();
+    restricciones.forEach((restriccion, i) => {
+        const r = raiz(i);
+        if (!grupos.has(r)) grupos.set(r, []);
+        grupos.get(r).push(restriccion);
+    });
+    return [...grupos.values()];
+};
+
+/**
+ * Busca una colocación de minas que cumpla exactamente todas las restricciones del grupo
+ * @param {Array} grupo - Restricciones conectadas
+ * @returns {boolean|null} - true si existe, false si no existe ninguna, null si se agotó la búsqueda
+ */
+const grupoTieneSolucion = (grupo) => {
+    // Celdas en orden de aparición para que las restricciones se cierren pronto y poden la búsqueda
+    const indicePorClave = new Map();
+    grupo.forEach(r => r.desconocidas.forEach(c => {
+        if (!indicePorClave.has(claveCelda(c))) indicePorClave.set(claveCelda(c), indicePorClave.size);
+    }));
+
+    const restriccionesPorCelda = Array.from({ length: indicePorClave.size }, () => []);
+    grupo.forEach((r, idx) => r.desconocidas.forEach(c => restriccionesPorCelda[indicePorClave.get(claveCelda(c))].push(idx)));
+
+    const minasRestantes = grupo.map(r => r.valor - r.banderas);
+    const sinAsignar = grupo.map(r => r.desconocidas.length);
+    let nodos = 0;
+
+    const asignar = (indice) => {
+        if (++nodos > LIMITE_NODOS_BUSQUEDA) return null;
+        if (indice === indicePorClave.size) return true;
+
+        const afectadas = restriccionesPorCelda[indice];
+        for (const valor of [0, 1]) {
+            afectadas.forEach(r => {
+                sinAsignar[r]--;
+                minasRestantes[r] -= valor;
+            });
+
+            const resultado = afectadas.every(r => minasRestantes[r] >= 0 && minasRestantes[r] <= sinAsignar[r])
+                ? asignar(indice + 1)
+                : false;
+
+            afectadas.forEach(r => {
+                sinAsignar[r]++;
+                minasRestantes[r] += valor;
+            });
+
+            if (resultado !== false) return resultado;
+        }
+        return false;
+    };
+
+    return asignar(0);
+};
+
+/**
+ * Mensaje para el usuario de la primera contradicción encontrada
+ * @param {object} contradiccion - Contradicción detectada
+ * @returns {string} - Mensaje explicativo
+ */
+const describirContradiccion = (contradiccion) => {
+    const posicion = `(${contradiccion.celda.fila + 1},${contradiccion.celda.columna + 1})`;
+
+    switch (contradiccion.tipo) {
+        case 'cero_con_banderas':
+            return `Inconsistencia: La celda ${posicion} no tiene minas alrededor, pero hay ${contradiccion.banderas} banderas junto a ella.`;
+        case 'exceso_banderas':
+            return `Inconsistencia: La celda ${posicion} indica ${contradiccion.valor} minas, pero ya tiene ${contradiccion.actual} banderas alrededor.`;
+        case 'exceso_minas':
+            return `Inconsistencia: La celda ${posicion} indica ${contradiccion.valor} minas y ya tiene todas marcadas, así que esta casilla no puede ser una mina.`;
+        case 'minas_insuficientes':
+            return `Inconsistencia: La celda ${posicion} necesita ${contradiccion.faltantes} minas más, pero solo quedan ${contradiccion.disponibles} celdas sin descubrir alrededor.`;
+        case 'grupo_sin_solucion':
+            return `Inconsistencia: No existe ninguna colocación de minas que cumpla a la vez los números alrededor de ${posicion}.`;
+        default:
+            return "Inconsistencia con las reglas del Buscaminas.";
+    }
+};
+
+/**
+ * Verifica si una respuesta es consistente con el estado actual del tablero: la posición de la celda
+ * (esquinas/bordes) y los límites de su número y de los números vecinos una vez aplicada la respuesta.
+ * Solo se informa de las contradicciones que provoca la respuesta, no de las que ya hubiera.
  * @param {number} fila - Fila de la celda a verificar
  * @param {number} columna - Columna de la celda a verificar
  * @param {string} respuesta - Respuesta proporcionada ('vacío', 'mina', o un número)
@@ -68,7 +241,7 @@ export const verificarConsistenciaRespuesta = (
     banderas, 
     tamañoSeleccionado
 ) => {
-    // ÚNICA VERIFICACIÓN: Si es un número, verificar que no sea mayor que el máximo posible
+    // Un número nunca puede ser mayor que el número de celdas adyacentes
     if (respuesta !== 'vacío' && respuesta !== 'mina' && !isNaN(respuesta)) {
         const numeroMinas = parseInt(respuesta);
         const maximoAdyacentes = obtenerMaximoCeldasAdyacentes(fila, columna, tamañoSeleccionado);
@@ -87,7 +260,29 @@ export const verificarConsistenciaRespuesta = (
         }
     }
 
-    // Si no se encontraron inconsistencias
+    // Límites de la propia celda y de sus vecinas numeradas con la respuesta aplicada
+    const afectadas = new Set([{ fila, columna }, ...obtenerTodasCeldasAdyacentes(fila, columna, tamañoSeleccionado)].map(claveCelda));
+    const locales = (estado) => construirRestricciones(estado.tablero, tamañoSeleccionado, estado.celdasDescubiertas, estado.banderas)
+        .filter(r => afectadas.has(claveCelda(r.celda)))
+        .map(contradiccionLocal)
+        .filter(Boolean);
+
+    const previas = new Set(locales({ tablero, celdasDescubiertas, banderas }).map(c => `${c.tipo}:${claveCelda(c.celda)}`));
+    const contradicciones = locales(simularRespuesta(fila, columna, respuesta, tablero, celdasDescubiertas, banderas))
+        .filter(c => !previas.has(`${c.tipo}:${claveCelda(c.celda)}`))
+        // Una mina de más junto a un número ya completo se explica como mina, no como bandera
+        .map(c => respuesta === 'mina' && c.tipo === 'exceso_banderas'
+            ? { tipo: 'exceso_minas', celda: c.celda, valor: c.valor, confirmadas: c.actual }
+            : c);
+
+    if (contradicciones.length > 0) {
+        return {
+            esConsistente: false,
+            mensaje: describirContradiccion(contradicciones[0]),
+            contradicciones
+        };
+    }
+
     return {
         esConsistente: true,
         mensaje: "La respuesta es consistente con el estado actual del tablero.",
@@ -96,7 +291,9 @@ export const verificarConsistenciaRespuesta = (
 };
 
 /**
- * Verifica posibles inconsistencias futuras - Versión simplificada
+ * Verifica posibles inconsistencias futuras: aunque cada número se pueda cumplir por separado,
+ * la respuesta puede dejar la frontera sin ninguna colocación de minas que los cumpla todos a la vez.
+ * Solo se avisa si el tablero tenía solución antes de la respuesta.
  * @param {number} fila - Fila de la celda
  * @param {number} columna - Columna de la celda
  * @param {string} respuesta - Respuesta propuesta
@@ -104,7 +301,7 @@ export const verificarConsistenciaRespuesta = (
  * @param {Array} celdasDescubiertas - Celdas ya descubiertas
  * @param {Array} banderas - Banderas colocadas
  * @param {Object} tamañoSeleccionado - Tamaño del tablero
- * @returns {Object} - Resultado de la verificación
+ * @returns {Object} - Resultado de la verificación {hayAdvertencia, mensaje, contradicciones}
  */
 export const verificarPosiblesInconsistenciasFuturas = (
     fila, 
@@ -115,25 +312,100 @@ export const verificarPosiblesInconsistenciasFuturas = (
     banderas, 
     tamañoSeleccionado
 ) => {
-    // No realizar verificaciones adicionales en la versión simplificada
+    const sinAdvertencia = { hayAdvertencia: false, mensaje: "", contradicciones: [] };
+
+    if (!verificarConsistenciaGlobal(tablero, tamañoSeleccionado, celdasDescubiertas, banderas).esConsistente) {
+        return sinAdvertencia;
+    }
+
+    const simulado = simularRespuesta(fila, columna, respuesta, tablero, celdasDescubiertas, banderas);
+    const { esConsistente, inconsistencias } = verificarConsistenciaGlobal(
+        simulado.tablero, tamañoSeleccionado, simulado.celdasDescubiertas, simulado.banderas
+    );
+
+    if (esConsistente) return sinAdvertencia;
+
     return {
-        hayAdvertencia: false,
-        mensaje: ""
+        hayAdvertencia: true,
+        mensaje: describirContradiccion(inconsistencias[0]),
+        contradicciones: inconsistencias
     };
 };
 
 /**
- * Verificar consistencia global del tablero - Versión simplificada
+ * Verificar consistencia global del tablero: cada número tiene que poder cumplirse con las
+ * banderas y celdas sin descubrir que tiene alrededor, y cada grupo de números conectados
+ * tiene que admitir al menos una colocación de minas que los cumpla todos
  * @param {Array} tablero - Estado del tablero
  * @param {object} tamañoSeleccionado - Tamaño del tablero
  * @param {Array} celdasDescubiertas - Celdas descubiertas
  * @param {Array} banderas - Banderas colocadas
- * @returns {object} - Resultado de la verificación global
+ * @returns {object} - Resultado de la verificación global {esConsistente, inconsistencias}
  */
 export const verificarConsistenciaGlobal = (tablero, tamañoSeleccionado, celdasDescubiertas, banderas) => {
-    // Versión simplificada sin verificaciones adicionales
+    const restricciones = construirRestricciones(tablero, tamañoSeleccionado, celdasDescubiertas, banderas);
+    const inconsistencias = restricciones.map(contradiccionLocal).filter(Boolean);
+
+    // La búsqueda de una colocación solo tiene sentido si cada número es posible por separado
+    if (inconsistencias.length === 0) {
+        agruparRestricciones(restricciones.filter(r => r.desconocidas.length > 0)).forEach(grupo => {
+            if (grupoTieneSolucion(grupo) === false) {
+                inconsistencias.push({
+                    tipo: 'grupo_sin_solucion',
+                    celda: grupo[0].celda,
+                    celdas: grupo.map(r => r.celda)
+                });
+            }
+        });
+    }
+
     return {
-        esConsistente: true,
-        inconsistencias: []
+        esConsistente: inconsistencias.length === 0,
+        inconsistencias
     };
-};
\ No newline at end of file
+};
+
+/**
+ * Respuestas que admite una celda con el tablero actual, para ofrecer solo las posibles.
+ * Cada opción indica si es posible, el motivo si no lo es y si es la única respuesta posible
+ * (vacío y 0 cuentan como la misma respuesta). Los números llegan hasta el máximo de vecinas
+ * del tablero (6 en uno hexagonal).
+ * @param {number} fila - Fila de la celda preguntada
+ * @param {number} columna - Columna de la celda preguntada
+ * @param {Array} tablero - Estado actual del tablero
+ * @param {Array} celdasDescubiertas - Celdas ya descubiertas
+ * @param {Array} banderas - Banderas colocadas
+ * @param {Object} tamañoSeleccionado - Tamaño del tablero
+ * @returns {Array} - [{ valor, posible, critica, motivo, forzada }] en el orden de PanelRespuesta
+ */
+export const calcularRespuestasPosibles = (fila, columna, tablero, celdasDescubiertas, banderas, tamañoSeleccionado) => {
+    const numeros = Array.from({ length: obtenerMaximoVecinas(tamañoSeleccionado) }, (_, i) => String(i + 1));
+    const opciones = ['vacío', '0', 'mina', ...numeros];
+    // Si el tablero ya era contradictorio (respuestas forzadas) la frontera no descarta nada
+    const tableroConSolucion = verificarConsistenciaGlobal(tablero, tamañoSeleccionado, celdasDescubiertas, banderas).esConsistente;
+
+    const respuestas = opciones.map(valor => {
+        const local = verificarConsistenciaRespuesta(fila, columna, valor, tablero, celdasDescubiertas, banderas, tamañoSeleccionado);
+        if (!local.esConsistente) {
+            return {
+                valor,
+                posible: false,
+                critica: local.contradicciones[0].tipo === 'valor_imposible',
+                motivo: local.mensaje
+            };
+        }
+
+        if (tableroConSolucion) {
+            const simulado = simularRespuesta(fila, columna, valor, tablero, celdasDescubiertas, banderas);
+            const global = verificarConsistenciaGlobal(simulado.tablero, tamañoSeleccionado, simulado.celdasDescubiertas, simulado.banderas);
+            if (!global.esConsistente) {
+                return { valor, posible: false, critica: false, motivo: describirContradiccion(global.inconsistencias[0]) };
+            }
+        }
+
+        return { valor, posible: true, critica: false, motivo: null };
+    });
+
+    const distintas = new Set(respuestas.filter(r => r.posible).map(r => (r.valor === 'vacío' ? '0' : r.valor)));
+    return respuestas.map(r => ({ ...r, forzada: r.posible && distintas.size === 1 }));
+};
@@ -0,0 +1,62 @@
+import {
+    verificarConsistenciaRespuesta,
+    verificarPosiblesInconsistenciasFuturas,
+    verificarConsistenciaGlobal,
+    calcularRespuestasPosibles
+} from './validacionLogica';
+
+const TABLERO_3X3 = { filas: 3, columnas: 3 };
+const tableroVacio = (tamaño) => Array(tamaño.filas).fill().map(() => Array(tamaño.columnas).fill(null));
+
+test('una respuesta no puede quedar por debajo de sus banderas ni dejar sin cumplir a un vecino', () => {
+    const tablero = tableroVacio(TABLERO_3X3);
+    tablero[0][2] = '1';
+    const celdasDescubiertas = [{ fila: 0, columna: 2 }];
+    const banderas = [{ fila: 0, columna: 0 }, { fila: 0, columna: 1 }];
+    const responder = (respuesta) => verificarConsistenciaRespuesta(
+        1, 1, respuesta, tablero, celdasDescubiertas, banderas, TABLERO_3X3
+    ).contradicciones.map(c => c.tipo);
+
+    expect(responder('1')).toEqual(['exceso_banderas']);
+    expect(responder('0')).toEqual(['cero_con_banderas']);
+    expect(responder('mina')).toEqual(['exceso_minas']);
+    expect(responder('2')).toEqual([]);
+});
+
+test('se avisa cuando la frontera se queda sin ninguna colocación de minas válida', () => {
+    // Fila superior "1 ? 1" sobre tres celdas sin descubrir
+    const tamaño = { filas: 2, columnas: 3 };
+    const tablero = tableroVacio(tamaño);
+    tablero[0][0] = '1';
+    tablero[0][2] = '1';
+    const celdasDescubiertas = [{ fila: 0, columna: 0 }, { fila: 0, columna: 2 }];
+    const comprobar = (respuesta) => verificarPosiblesInconsistenciasFuturas(
+        0, 1, respuesta, tablero, celdasDescubiertas, [], tamaño
+    );
+
+    expect(comprobar('2').hayAdvertencia).toBe(false);
+    // Cada número es posible por separado, pero 3 minas abajo exceden los dos 1
+    expect(verificarConsistenciaRespuesta(0, 1, '3', tablero, celdasDescubiertas, [], tamaño).esConsistente).toBe(true);
+    expect(comprobar('3').contradicciones).toEqual([
+        expect.objectContaining({ tipo: 'grupo_sin_solucion' })
+    ]);
+
+    tablero[0][1] = '3';
+    const global = verificarConsistenciaGlobal(tablero, tamaño, [...celdasDescubiertas, { fila: 0, columna: 1 }], []);
+    expect(global.esConsistente).toBe(false);
+});
+
+test('las respuestas posibles descartan lo imposible y resaltan la respuesta obligada', () => {
+    const esquina = calcularRespuestasPosibles(0, 0, tableroVacio(TABLERO_3X3), [], [], TABLERO_3X3);
+    expect(esquina.filter(r => !r.posible).map(r => r.valor)).toEqual(['4', '5', '6', '7', '8']);
+    expect(esquina.every(r => r.posible || r.critica)).toBe(true);
+    expect(esquina.some(r => r.forzada)).toBe(false);
+
+    // Un 1 cuya única vecina es la celda preguntada obliga a que sea mina
+    const tamaño = { filas: 1, columnas: 2 };
+    const tablero = tableroVacio(tamaño);
+    tablero[0][0] = '1';
+    const obligada = calcularRespuestasPosibles(0, 1, tablero, [{ fila: 0, columna: 0 }], [], tamaño);
+    expect(obligada.filter(r => r.posible)).toEqual([expect.objectContaining({ valor: 'mina', forzada: true })]);
+    expect(obligada.find(r => r.valor === '0')).toMatchObject({ posible: false, critica: false });
+});